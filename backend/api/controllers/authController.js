@@ -0,0 +1,227 @@
+import mongoose from 'mongoose';
+import Session from '../../models/Session.js';
+import User from '../../models/User.js';
+import { AUTH_TOKEN_TYPES } from '../../models/AuthToken.js';
+import { consumeAuthToken, releaseAuthToken } from '../services/authTokenService.js';
+import { sendPasswordResetEmail, sendVerificationEmail } from '../services/accountMailService.js';
+import {
+  refreshSession,
+  endCurrentSession,
+  clearRefreshCookie,
+  revokeUserSessions,
+} from '../services/sessionService.js';
+import {
+  successResponse,
+  errorResponse,
+  asyncHandler,
+  isValidEmail,
+} from '../../utils/helpers.js';
+
+const authController = {
+  // Issue a new access token from the refresh cookie (rotates the cookie)
+  refresh: asyncHandler(async (req, res) => {
+    const result = await refreshSession(req, res);
+
+    if (!result.accessToken) {
+      clearRefreshCookie(res);
+      return res
+        .status(result.status)
+        .json(errorResponse(result.message, result.code));
+    }
+
+    const response = successResponse(
+      { token: result.accessToken, user: result.user },
+      'Token refreshed successfully'
+    );
+    res.json(response);
+  }),
+
+  // End the current session; works even when the access token has expired
+  logout: asyncHandler(async (req, res) => {
+    await endCurrentSession(req);
+    clearRefreshCookie(res);
+
+    const response = successResponse(null, 'Logged out successfully');
+    res.json(response);
+  }),
+
+  // List the caller's active sessions, flagging the one making the request
+  getSessions: asyncHandler(async (req, res) => {
+    const sessions = await Session.find({
+      userId: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    const data = sessions.map(session => ({
+      id: session._id,
+      userAgent: session.userAgent,
+      ipAddress: session.ipAddress,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session._id.toString() === req.user.sid
+    }));
+
+    const response = successResponse(data, 'Sessions retrieved successfully');
+    res.json(response);
+  }),
+
+  // Revoke one of the caller's sessions
+  revokeSession: asyncHandler(async (req, res) => {
+    const { sessionId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res
+        .status(404)
+        .json(errorResponse('Session not found', 'SESSION_NOT_FOUND'));
+    }
+
+    const session = await Session.findOne({ _id: sessionId, userId: req.user.id, revokedAt: null });
+    if (!session) {
+      return res
+        .status(404)
+        .json(errorResponse('Session not found', 'SESSION_NOT_FOUND'));
+    }
+
+    session.revokedAt = new Date();
+    await session.save();
+
+    if (sessionId === req.user.sid) {
+      clearRefreshCookie(res);
+    }
+
+    const response = successResponse({ id: session._id }, 'Session revoked successfully');
+    res.json(response);
+  }),
+
+  // Email a password reset link. Always answers the same way so the
+  // endpoint can't be used to find out which addresses are registered.
+  requestPasswordReset: asyncHandler(async (req, res) => {
+    const { email } = req.body;
+
+    if (typeof email !== 'string' || !isValidEmail(email)) {
+      return res
+        .status(400)
+        .json(errorResponse('Invalid email format', 'INVALID_EMAIL'));
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+    // Not awaited, so the response takes as long whether or not the account exists
+    if (user) {
+      sendPasswordResetEmail(user).catch((error) => {
+        console.error('Failed to send password reset email:', error.message);
+      });
+    }
+
+    const response = successResponse(
+      null,
+      'If an account exists for that email, a reset link has been sent'
+    );
+    res.json(response);
+  }),
+
+  // Set a new password from a reset link; signs out every existing session
+  resetPassword: asyncHandler(async (req, res) => {
+    const { token, newPassword } = req.body;
+
+    // Check everything that can be checked before the single-use token is spent
+    if (typeof newPassword !== 'string') {
+      return res
+        .status(400)
+        .json(errorResponse('Password must be a string', 'INVALID_PASSWORD'));
+    }
+
+    const userId = await consumeAuthToken(token, AUTH_TOKEN_TYPES.PASSWORD_RESET);
+    if (!userId) {
+      return res
+        .status(400)
+        .json(errorResponse('This reset link is invalid or has expired', 'INVALID_TOKEN'));
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res
+        .status(404)
+        .json(errorResponse('User not found', 'USER_NOT_FOUND'));
+    }
+
+    user.password = newPassword;
+    // Receiving the email proves the user owns the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    try {
+      await user.save();
+    } catch (error) {
+      // The password wasn't changed, so the link should still work
+      await releaseAuthToken(token, AUTH_TOKEN_TYPES.PASSWORD_RESET);
+      throw error;
+    }
+    await revokeUserSessions(user._id);
+
+    const response = successResponse(null, 'Password reset successfully. Please login with your new password');
+    res.json(response);
+  }),
+
+  // Confirm an email address from a verification link
+  verifyEmail: asyncHandler(async (req, res) => {
+    const { token } = req.body;
+
+    const userId = await consumeAuthToken(token, AUTH_TOKEN_TYPES.EMAIL_VERIFICATION);
+    if (!userId) {
+      return res
+        .status(400)
+        .json(errorResponse('This verification link is invalid or has expired', 'INVALID_TOKEN'));
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { emailVerified: true, emailVerifiedAt: new Date() },
+      { new: true }
+    );
+    if (!user) {
+      return res
+        .status(404)
+        .json(errorResponse('User not found', 'USER_NOT_FOUND'));
+    }
+
+    const response = successResponse(
+      { emailVerified: true, emailVerifiedAt: user.emailVerifiedAt },
+      'Email verified successfully'
+    );
+    res.json(response);
+  }),
+
+  // Send a new verification link to the signed-in user
+  resendVerificationEmail: asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res
+        .status(404)
+        .json(errorResponse('User not found', 'USER_NOT_FOUND'));
+    }
+
+    if (user.emailVerified) {
+      return res
+        .status(400)
+        .json(errorResponse('Email is already verified', 'ALREADY_VERIFIED'));
+    }
+
+    await sendVerificationEmail(user);
+
+    const response = successResponse(null, `Verification email sent to ${user.email}`);
+    res.json(response);
+  }),
+
+  // Sign out everywhere except the current device
+  revokeOtherSessions: asyncHandler(async (req, res) => {
+    const revoked = await revokeUserSessions(req.user.id, req.user.sid);
+
+    const response = successResponse({ revoked }, 'Other sessions revoked successfully');
+    res.json(response);
+  })
+};
+
+export default authController;
@@ -0,0 +1,84 @@
+import User from '../../models/User.js';
+import { buildUserFeed } from '../services/calendarService.js';
+import {
+  successResponse,
+  errorResponse,
+  asyncHandler,
+  generateSecureToken,
+  hashToken,
+} from '../../utils/helpers.js';
+
+// Path of a feed; the client prefixes it with the API origin
+const getFeedPath = (token) => `/api/calendar/feeds/${token}.ics`;
+
+const calendarController = {
+  // Whether the signed-in user has a feed URL. The URL itself can't be
+  // shown again; only its hash is stored.
+  getFeedStatus: asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user.id).select('+calendarFeed.tokenHash');
+    if (!user) {
+      return res
+        .status(404)
+        .json(errorResponse('User not found', 'USER_NOT_FOUND'));
+    }
+
+    const enabled = Boolean(user.calendarFeed?.tokenHash);
+    const response = successResponse(
+      { enabled, createdAt: enabled ? user.calendarFeed.createdAt : null },
+      'Calendar feed status retrieved successfully'
+    );
+    res.json(response);
+  }),
+
+  // Create the feed URL, replacing any previous one. The old URL stops
+  // working immediately.
+  createFeed: asyncHandler(async (req, res) => {
+    const token = generateSecureToken(32);
+    const createdAt = new Date();
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $set: { calendarFeed: { tokenHash: hashToken(token), createdAt } } }
+    );
+    if (!user) {
+      return res
+        .status(404)
+        .json(errorResponse('User not found', 'USER_NOT_FOUND'));
+    }
+
+    const response = successResponse(
+      { enabled: true, createdAt, path: getFeedPath(token) },
+      'Calendar feed created successfully'
+    );
+    res.status(201).json(response);
+  }),
+
+  // Turn the feed off; subscribed calendars stop updating
+  revokeFeed: asyncHandler(async (req, res) => {
+    await User.updateOne(
+      { _id: req.user.id },
+      { $set: { calendarFeed: { createdAt: null } } }
+    );
+
+    const response = successResponse({ enabled: false, createdAt: null }, 'Calendar feed revoked successfully');
+    res.json(response);
+  }),
+
+  // The feed itself. Calendar clients can't sign in, so the token in the
+  // URL is the only credential.
+  getFeed: asyncHandler(async (req, res) => {
+    const user = await User.findOne({ 'calendarFeed.tokenHash': hashToken(String(req.params.token)) });
+    if (!user || user.status === 'suspended') {
+      return res
+        .status(404)
+        .json(errorResponse('Calendar feed not found', 'FEED_NOT_FOUND'));
+    }
+
+    const calendar = await buildUserFeed(user);
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.send(calendar);
+  }),
+};
+
+export default calendarController;
@@ -1,8 +1,13 @@
 import Dashboard from '../../models/Dashboard.js';
-import Application from '../../models/Application.js';
+import Application, { APPLICATION_TRANSITIONS, APPLICATION_STATUSES } from '../../models/Application.js';
 import User from '../../models/User.js';
 import Project from '../../models/Project.js';
 import { createNotification } from './notificationController.js';
+import { errorResponse } from '../../utils/helpers.js';
+import { validateScreeningAnswers } from '../../utils/screeningAnswers.js';
+import { attachWaitlistRanks, promoteFromWaitlist } from '../services/waitlistService.js';
+import { isProjectOwner, findTeamMember } from '../../utils/projectAccess.js';
+import { removeFromProjectRoom } from '../../utils/socket.js';
 
 // Get dashboard data for a user
 export const getDashboard = async (req, res) => {
@@ -135,32 +140,24 @@ export const removeBookmark = async (req, res) => {
 // Submit application to a project
 export const submitApplication = async (req, res) => {
   try {
+    // Project and owner details come from the stored project, never the body
     const {
       projectId,
-      projectName,
-      projectStage,
-      projectIndustry,
       position,
-      applicantId,
-      applicantName,
-      applicantEmail,
-      applicantAvatar,
-      applicantTitle,
-      applicantLocation,
-      projectOwnerId,
-      projectOwnerName,
-      projectOwnerEmail,
-      projectOwnerAvatar,
       message,
       skills,
       hasResume,
       resumeUrl,
       resumeFileName,
-      positionId
+      positionId,
+      screeningAnswers,
+      joinWaitlist
     } = req.body;
+    // Applicants can only apply as themselves
+    const applicantId = req.user.id;
 
     // Validate required fields
-    if (!projectId || !position || !applicantId || !projectOwnerId) {
+    if (!projectId || !position || !applicantId) {
       return res.status(400).json({
         success: false,
         message: 'Missing required fields'
@@ -169,13 +166,50 @@ export const submitApplication = async (req, res) => {
 
     // Verify project exists
     const project = await Project.findById(projectId);
-    if (!project) {
+    if (!project || !project.ownerId) {
       return res.status(404).json({
         success: false,
         message: 'Project not found'
       });
     }
 
+    const projectOwnerId = project.ownerId;
+    const projectName = project.title;
+
+    // Closed positions take no applications; a filled one can still take waitlist entries
+    const openPosition = project.findOpenPosition({ positionId, role: position });
+    const availability = openPosition ? project.getPositionAvailability(openPosition) : null;
+
+    if (availability?.closedReason === 'EXPIRED') {
+      return res
+        .status(409)
+        .json(errorResponse('The application deadline for this position has passed', 'POSITION_CLOSED'));
+    }
+
+    if (availability?.closedReason === 'FILLED' && !joinWaitlist) {
+      return res
+        .status(409)
+        .json(errorResponse(
+          'This position is filled. You can join the waitlist instead.',
+          'POSITION_FILLED',
+          { headcount: availability.headcount, filled: availability.filled }
+        ));
+    }
+
+    const initialStatus = availability?.closedReason === 'FILLED' ? 'WAITLISTED' : 'PENDING';
+
+    // Answers must satisfy the position's screening questions
+    const screening = validateScreeningAnswers(openPosition?.questions, screeningAnswers);
+    if (screening.errors.length > 0) {
+      return res
+        .status(400)
+        .json(errorResponse(
+          'Please check your answers to the screening questions',
+          'INVALID_SCREENING_ANSWERS',
+          screening.errors
+        ));
+    }
+
     // Fetch full applicant details from User model to ensure we have complete data
     const applicant = await User.findById(applicantId);
     if (!applicant) {
@@ -197,45 +231,23 @@ export const submitApplication = async (req, res) => {
     // Generate unique application ID
     const applicationId = `APP-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 
-    // Get or create applicant's Application document
-    let applicantApplication = await Application.findOne({ userId: applicantId });
-    if (!applicantApplication) {
-      applicantApplication = new Application({
-        userId: applicantId,
-        userName: applicant.name,
-        userEmail: applicant.email,
-        applications_received: [],
-        applications_sent: []
-      });
-    }
-
-    // Get or create project owner's Application document
-    let ownerApplication = await Application.findOne({ userId: projectOwnerId });
-    if (!ownerApplication) {
-      ownerApplication = new Application({
-        userId: projectOwnerId,
-        userName: projectOwner.name,
-        userEmail: projectOwner.email,
-        applications_received: [],
-        applications_sent: []
-      });
-    }
-
-
-
     // Check if user already applied to this project for this position
-    // Only block if there's a PENDING or ACCEPTED application
-    // Allow re-application if previous was REJECTED, QUIT, or REMOVED
-    const existingActiveApplication = applicantApplication.applications_sent.find(
-      app => app.projectId.toString() === projectId && 
-             app.position === position &&
-             (app.status === 'PENDING' || app.status === 'ACCEPTED')
-    );
+    // Only block if there's a PENDING, WAITLISTED or ACCEPTED application
+    // Allow re-application if previous was REJECTED, QUIT, REMOVED or WITHDRAWN
+    const existingActiveApplication = await Application.findOne({
+      applicantId,
+      projectId,
+      position,
+      status: { $in: ['PENDING', 'WAITLISTED', 'ACCEPTED'] }
+    });
 
     if (existingActiveApplication) {
-      const statusMessage = existingActiveApplication.status === 'PENDING' 
-        ? 'You already have a pending application for this position. Please wait for the project owner to review it.'
-        : 'You are already accepted for this position and part of the team.';
+      const statusMessages = {
+        PENDING: 'You already have a pending application for this position. Please wait for the project owner to review it.',
+        WAITLISTED: 'You are already on the waitlist for this position.',
+        ACCEPTED: 'You are already accepted for this position and part of the team.'
+      };
+      const statusMessage = statusMessages[existingActiveApplication.status];
       
       return res.status(400).json({
         success: false,
@@ -244,12 +256,13 @@ export const submitApplication = async (req, res) => {
       });
     }
 
-    // Check if there was a previous rejected, quit, or removed application (for logging)
-    const previousApplication = applicantApplication.applications_sent.find(
-      app => app.projectId.toString() === projectId && 
-             app.position === position &&
-             (app.status === 'REJECTED' || app.status === 'QUIT' || app.status === 'REMOVED')
-    );
+    // Check if there was a previous rejected, quit, removed or withdrawn application (for logging)
+    const previousApplication = await Application.findOne({
+      applicantId,
+      projectId,
+      position,
+      status: { $in: ['REJECTED', 'QUIT', 'REMOVED', 'WITHDRAWN'] }
+    });
 
     if (previousApplication) {
       console.log(`User ${applicantId} is re-applying to ${projectName} - ${position} after ${previousApplication.status} status`);
@@ -257,93 +270,54 @@ export const submitApplication = async (req, res) => {
 
     const now = new Date();
 
-    // Create application for applicant's applications_sent array
-    // Use data from User model to ensure completeness
-    const sentApplicationData = {
-      applicationId,
-      projectOwnerId,
-      projectOwnerName: projectOwner.name,
-      projectOwnerEmail: projectOwner.email,
-      projectOwnerAvatar: projectOwner.avatar || '',
-      projectId,
-      projectName,
-      projectStage: projectStage || project.stage || '',
-      projectIndustry: projectIndustry || project.industry || '',
-      position,
-      positionId: positionId || '',
-      message: message || '',
-      skills: skills || [],
-      status: 'PENDING',
-      hasResume: hasResume || false,
-      resumeUrl: resumeUrl || '',
-      resumeFileName: resumeFileName || '',
-      attachments: [],
-      reviewNotes: '',
-      reviewedAt: null,
-      reviewedBy: null,
-      rejectionReason: '',
-      removedFromTeamAt: null,
-      removalReason: '',
-      appliedDate: now,
-      statusUpdatedAt: now,
-      quitAt: null
-    };
-
-    // Create application for owner's applications_received array
-    // Use data from User model to ensure completeness
-    const receivedApplicationData = {
+    // Snapshot applicant and owner details from the User model to ensure completeness
+    await Application.create({
       applicationId,
       applicantId,
+      ownerId: projectOwnerId,
       applicantName: applicant.name,
       applicantEmail: applicant.email,
       applicantAvatar: applicant.avatar || '',
       applicantTitle: applicant.title || '',
       applicantLocation: applicant.location || '',
+      projectOwnerName: projectOwner.name,
+      projectOwnerEmail: projectOwner.email,
+      projectOwnerAvatar: projectOwner.avatar || '',
       projectId,
       projectName,
-      projectStage: projectStage || project.stage || '',
+      projectStage: project.stage || '',
+      projectIndustry: project.industry || '',
       position,
       positionId: positionId || '',
       message: message || '',
       skills: skills || [],
-      status: 'PENDING',
+      screeningAnswers: screening.answers,
+      status: initialStatus,
       hasResume: hasResume || false,
       resumeUrl: resumeUrl || '',
       resumeFileName: resumeFileName || '',
-      attachments: [],
-      reviewNotes: '',
-      reviewedAt: null,
-      reviewedBy: null,
-      rating: null,
-      removedFromTeamAt: null,
-      removalReason: '',
       appliedDate: now,
-      statusUpdatedAt: now
-    };
-
-    // Add to both Application documents
-    applicantApplication.applications_sent.push(sentApplicationData);
-    ownerApplication.applications_received.push(receivedApplicationData);
-
-    // Update stats
-    applicantApplication.updateStats();
-    ownerApplication.updateStats();
+      statusUpdatedAt: now,
+      waitlistedAt: initialStatus === 'WAITLISTED' ? now : null,
+      timeline: [{
+        toStatus: initialStatus,
+        actor: 'APPLICANT',
+        actorId: applicantId,
+        actorName: applicant.name,
+        at: now
+      }]
+    });
 
     // Increment project application count
-    project.applications = (project.applications || 0) + 1;
-
-    // Save all changes
-    await Promise.all([
-      applicantApplication.save(),
-      ownerApplication.save(),
-      project.save()
-    ]);
+    await Project.updateOne({ _id: projectId }, { $inc: { applications: 1 } });
 
     // Notify project owner of new application
     await createNotification({
       recipientId: projectOwnerId,
       type: 'NEW_APPLICATION',
-      message: `${projectName}: New application received for ${position}.`,
+      message: initialStatus === 'WAITLISTED'
+        ? `${projectName}: ${applicant.name} joined the waitlist for ${position}.`
+        : `${projectName}: New application received for ${position}.`,
       projectId,
       projectName,
       positionName: position,
@@ -354,11 +328,12 @@ export const submitApplication = async (req, res) => {
 
     res.status(201).json({
       success: true,
-      message: 'Application submitted successfully',
+      message: initialStatus === 'WAITLISTED' ? 'Added to the waitlist' : 'Application submitted successfully',
       data: {
         applicationId,
-        status: 'PENDING',
-        appliedDate: now
+        status: initialStatus,
+        appliedDate: now,
+        waitlistedAt: initialStatus === 'WAITLISTED' ? now : null
       }
     });
   } catch (error) {
@@ -375,31 +350,19 @@ export const submitApplication = async (req, res) => {
 export const updateApplicationStatus = async (req, res) => {
   try {
     const { applicationId } = req.params;
-    const { status, reviewerId, reviewNotes } = req.body;
-
-    if (!['PENDING', 'ACCEPTED', 'REJECTED', 'REMOVED'].includes(status)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid status. Must be PENDING, ACCEPTED, REJECTED, or REMOVED'
-      });
+    const { status, reviewNotes } = req.body;
+    const reviewerId = req.user.id;
+
+    if (!APPLICATION_TRANSITIONS[status]) {
+      return res
+        .status(400)
+        .json(errorResponse(
+          `Invalid status. Must be one of ${Object.keys(APPLICATION_TRANSITIONS).join(', ')}`,
+          'INVALID_STATUS'
+        ));
     }
 
-    // Find the application in owner's applications_received
-    const ownerApplication = await Application.findOne({
-      'applications_received.applicationId': applicationId
-    });
-
-    if (!ownerApplication) {
-      return res.status(404).json({
-        success: false,
-        message: 'Application not found'
-      });
-    }
-
-    // Find the specific application
-    const application = ownerApplication.applications_received.find(
-      app => app.applicationId === applicationId
-    );
+    const application = await Application.findOne({ applicationId });
 
     if (!application) {
       return res.status(404).json({
@@ -408,73 +371,93 @@ export const updateApplicationStatus = async (req, res) => {
       });
     }
 
-    // Verify the reviewer is the project owner
-    if (reviewerId && ownerApplication.userId.toString() !== reviewerId.toString()) {
+    // Verify the reviewer owns the project now, not just when the application was made
+    const project = await Project.findById(application.projectId);
+    if (!isProjectOwner(project, reviewerId)) {
       return res.status(403).json({
         success: false,
         message: 'Only the project owner can accept or reject applications'
       });
     }
 
-    const now = new Date();
+    if (!application.canTransitionTo(status)) {
+      return res
+        .status(409)
+        .json(errorResponse(
+          `Cannot move an application from ${application.status} to ${status}`,
+          'INVALID_TRANSITION',
+          { from: application.status, allowed: Object.keys(APPLICATION_TRANSITIONS[application.status]) }
+        ));
+    }
 
-    // Update in owner's applications_received
-    await Application.updateOne(
-      { 
-        userId: ownerApplication.userId,
-        'applications_received.applicationId': applicationId 
-      },
-      { 
-        $set: { 
-          'applications_received.$.status': status,
-          'applications_received.$.statusUpdatedAt': now,
-          'applications_received.$.reviewedAt': now,
-          'applications_received.$.reviewedBy': reviewerId,
-          'applications_received.$.reviewNotes': reviewNotes || ''
-        }
-      }
-    );
+    if (!application.canTransitionTo(status, 'OWNER')) {
+      return res
+        .status(403)
+        .json(errorResponse(
+          `The project owner cannot move an application to ${status}`,
+          'TRANSITION_NOT_ALLOWED',
+          { from: application.status, to: status, allowedActors: APPLICATION_TRANSITIONS[application.status][status] }
+        ));
+    }
 
-    // Update in applicant's applications_sent
-    await Application.updateOne(
-      { 
-        userId: application.applicantId,
-        'applications_sent.applicationId': applicationId 
-      },
-      { 
-        $set: { 
-          'applications_sent.$.status': status,
-          'applications_sent.$.statusUpdatedAt': now,
-          'applications_sent.$.reviewedAt': now,
-          'applications_sent.$.reviewedBy': reviewerId,
-          'applications_sent.$.reviewNotes': reviewNotes || ''
-        }
+    // Accepting takes a seat, so the position must have one left
+    if (status === 'ACCEPTED') {
+      const openPosition = project.findOpenPosition({ positionId: application.positionId, role: application.position });
+      const availability = openPosition ? project.getPositionAvailability(openPosition) : null;
+      if (availability && availability.remaining === 0) {
+        return res
+          .status(409)
+          .json(errorResponse(
+            `All ${availability.headcount} seats for ${application.position} are filled`,
+            'POSITION_FILLED',
+            { headcount: availability.headcount, filled: availability.filled }
+          ));
       }
-    );
+    }
 
-    // Update stats in both documents
-    const updatedOwnerApp = await Application.findOne({ userId: ownerApplication.userId });
-    updatedOwnerApp.updateStats();
-    await updatedOwnerApp.save();
+    const reviewer = await User.findById(reviewerId).select('name');
 
-    const updatedApplicantApp = await Application.findOne({ userId: application.applicantId });
-    updatedApplicantApp.updateStats();
-    await updatedApplicantApp.save();
+    application.recordTransition(status, {
+      actor: 'OWNER',
+      actorId: reviewerId,
+      actorName: reviewer?.name || application.projectOwnerName,
+      note: reviewNotes || ''
+    });
+    const now = application.statusUpdatedAt;
+    application.reviewedAt = now;
+    application.reviewedBy = reviewerId;
+    application.reviewNotes = reviewNotes || '';
+    if (status === 'REMOVED') {
+      application.removedFromTeamAt = now;
+      application.removalReason = reviewNotes || 'Removed by project owner';
+    }
+    if (status === 'WAITLISTED') {
+      application.waitlistedAt = now;
+    }
+    await application.save();
 
     // If accepted, add applicant to project team
     if (status === 'ACCEPTED') {
-      const project = await Project.findById(application.projectId);
-      if (project) {
-        project.teamMembers.push({
-          id: application.applicantId,
-          name: application.applicantName,
-          role: application.position,
-          positionId: application.positionId,
-          email: application.applicantEmail,
-          avatar: application.applicantAvatar || '',
-          applicantColor: `#${Math.floor(Math.random()*16777215).toString(16)}`
-        });
+      project.teamMembers.push({
+        id: application.applicantId,
+        name: application.applicantName,
+        role: application.position,
+        positionId: application.positionId,
+        email: application.applicantEmail,
+        avatar: application.applicantAvatar || '',
+        applicantColor: `#${Math.floor(Math.random()*16777215).toString(16)}`
+      });
+      await project.save();
+    }
+
+    // Removing a member frees their seat for the waitlist, as removeTeamMember does
+    if (status === 'REMOVED') {
+      const departingMember = findTeamMember(project, application.applicantId);
+      if (departingMember) {
+        project.teamMembers = project.teamMembers.filter(member => member !== departingMember);
         await project.save();
+        removeFromProjectRoom(project._id, application.applicantId);
+        await promoteFromWaitlist(project, { positionId: departingMember.positionId, role: departingMember.role });
       }
     }
 
@@ -501,6 +484,17 @@ export const updateApplicationStatus = async (req, res) => {
         navigationPath: '/dashboard',
         navigationState: { tab: 'applications', subTab: 'sent' }
       });
+    } else if (status === 'WAITLISTED') {
+      await createNotification({
+        recipientId: application.applicantId,
+        type: 'APPLICATION_WAITLISTED',
+        message: `${application.projectName}: The ${application.position} position is full, so you've been added to its waitlist.`,
+        projectId: application.projectId,
+        projectName: application.projectName,
+        positionName: application.position,
+        navigationPath: '/dashboard',
+        navigationState: { tab: 'applications', subTab: 'sent' }
+      });
     } else if (status === 'REMOVED') {
       await createNotification({
         recipientId: application.applicantId,
@@ -520,7 +514,8 @@ export const updateApplicationStatus = async (req, res) => {
       data: {
         applicationId,
         status,
-        updatedAt: now
+        updatedAt: now,
+        timeline: application.timeline
       }
     });
   } catch (error) {
@@ -533,6 +528,80 @@ export const updateApplicationStatus = async (req, res) => {
   }
 };
 
+// Withdraw a pending application (for applicants)
+export const withdrawApplication = async (req, res) => {
+  try {
+    const { applicationId } = req.params;
+    const { reason } = req.body;
+
+    const application = await Application.findOne({ applicationId });
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    if (application.applicantId.toString() !== req.user.id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the applicant can withdraw an application'
+      });
+    }
+
+    if (!application.canTransitionTo('WITHDRAWN', 'APPLICANT')) {
+      return res
+        .status(409)
+        .json(errorResponse(
+          'Only pending or waitlisted applications can be withdrawn',
+          'INVALID_TRANSITION',
+          { from: application.status, allowed: Object.keys(APPLICATION_TRANSITIONS[application.status]) }
+        ));
+    }
+
+    application.recordTransition('WITHDRAWN', {
+      actor: 'APPLICANT',
+      actorId: application.applicantId,
+      actorName: application.applicantName,
+      note: reason || ''
+    });
+    application.withdrawnAt = application.statusUpdatedAt;
+    await application.save();
+
+    // Let the owner know the application left their review queue
+    await createNotification({
+      recipientId: application.ownerId,
+      type: 'APPLICATION_WITHDRAWN',
+      message: `${application.projectName}: ${application.applicantName} withdrew their application for ${application.position}.`,
+      projectId: application.projectId,
+      projectName: application.projectName,
+      positionName: application.position,
+      actorName: application.applicantName,
+      navigationPath: '/dashboard',
+      navigationState: { tab: 'applications', subTab: 'received' }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Application withdrawn successfully',
+      data: {
+        applicationId,
+        status: application.status,
+        updatedAt: application.statusUpdatedAt,
+        timeline: application.timeline
+      }
+    });
+  } catch (error) {
+    console.error('Error withdrawing application:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error withdrawing application',
+      error: error.message
+    });
+  }
+};
+
 // Get dashboard stats
 export const getDashboardStats = async (req, res) => {
   try {
@@ -595,44 +664,32 @@ export const getApplications = async (req, res) => {
     const { userId } = req.params;
     const { status } = req.query;
 
-    // Use Application collection instead of Dashboard
-    let application = await Application.findOne({ userId })
-      .populate('applications_received.projectId')
-      .populate('applications_received.applicantId', 'name email avatar bio title role skills location githubUrl linkedinUrl portfolioUrl experiences education')
-      .populate('applications_sent.projectId')
-      .populate('applications_sent.projectOwnerId', 'name email avatar');
-    
-    if (!application) {
-      // Return empty structure if application document doesn't exist yet
-      return res.status(200).json({
-        success: true,
-        data: {
-          applications_received: [],
-          applications_sent: [],
-          stats: {
-            totalReceived: 0,
-            pendingReceived: 0,
-            acceptedReceived: 0,
-            rejectedReceived: 0,
-            removedReceived: 0,
-            totalSent: 0,
-            pendingSent: 0,
-            acceptedSent: 0,
-            rejectedSent: 0,
-            quitSent: 0,
-            removedSent: 0
-          }
-        }
-      });
-    }
+    // Both lists come from the same collection: the user is either the
+    // project owner (received) or the applicant (sent). Withdrawn
+    // applications drop out of the owner's queue.
+    const [received, sent] = await Promise.all([
+      Application.find({ ownerId: userId, status: { $ne: 'WITHDRAWN' } })
+        .sort({ appliedDate: 1 })
+        .populate('projectId')
+        .populate('applicantId', 'name email avatar bio title role skills location githubUrl linkedinUrl portfolioUrl experiences education'),
+      Application.find({ applicantId: userId })
+        .sort({ appliedDate: 1 })
+        .populate('projectId')
+        .populate('ownerId', 'name email avatar')
+    ]);
+
+    const [applicationsReceived, applicationsSent] = await Promise.all([
+      attachWaitlistRanks(received.map(app => app.toReceivedEntry())),
+      attachWaitlistRanks(sent.map(app => app.toSentEntry()))
+    ]);
 
-    // Return the full application document with both arrays
+    // Keep the response shape from when each user had one document with both arrays
     res.status(200).json({
       success: true,
       data: {
-        applications_received: application.applications_received || [],
-        applications_sent: application.applications_sent || [],
-        stats: application.stats
+        applications_received: applicationsReceived,
+        applications_sent: applicationsSent,
+        stats: Application.buildStats(received, sent)
       }
     });
   } catch (error) {
@@ -651,7 +708,16 @@ export const getProjectApplications = async (req, res) => {
     const { projectId } = req.params;
     const { status } = req.query;
 
-    // Find the project owner's Application document
+    if (status && !APPLICATION_STATUSES.includes(status)) {
+      return res
+        .status(400)
+        .json(errorResponse(
+          `Invalid status. Must be one of ${APPLICATION_STATUSES.join(', ')}`,
+          'INVALID_STATUS'
+        ));
+    }
+
+    // Verify project exists
     const project = await Project.findById(projectId);
     if (!project) {
       return res.status(404).json({
@@ -660,26 +726,21 @@ export const getProjectApplications = async (req, res) => {
       });
     }
 
-    // Find owner's Application document
-    const ownerApplication = await Application.findOne({ userId: project.ownerId })
-      .populate('applications_received.applicantId', 'name email avatar bio title role skills location');
-
-    if (!ownerApplication) {
-      return res.status(200).json({
-        success: true,
-        data: []
+    // Screening answers and applicant details are for the owner only
+    if (!isProjectOwner(project, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the project owner can view its applications'
       });
     }
 
-    // Filter applications for this project
-    let applications = ownerApplication.applications_received.filter(
-      app => app.projectId.toString() === projectId
-    );
+    // Filter by status if provided; withdrawn applications are hidden otherwise
+    const filter = { projectId, status: status || { $ne: 'WITHDRAWN' } };
 
-    // Filter by status if provided
-    if (status) {
-      applications = applications.filter(app => app.status === status);
-    }
+    const applications = (await Application.find(filter)
+      .sort({ appliedDate: 1 })
+      .populate('applicantId', 'name email avatar bio title role skills location'))
+      .map(app => app.toReceivedEntry());
 
     res.status(200).json({
       success: true,
@@ -707,25 +768,12 @@ export const checkUserApplication = async (req, res) => {
       });
     }
 
-    // Get user's application document
-    const userApplication = await Application.findOne({ userId });
-    
-    if (!userApplication) {
-      return res.json({
-        success: true,
-        data: {
-          hasApplied: false,
-          application: null,
-          previousApplication: null
-        }
-      });
-    }
-
     // Find ALL applications for this project and position (including historical ones)
-    const allApplications = userApplication.applications_sent.filter(
-      app => app.projectId.toString() === projectId && 
-             (positionId ? app.positionId === positionId : app.position === position)
-    );
+    const allApplications = await Application.find({
+      applicantId: userId,
+      projectId,
+      ...(positionId ? { positionId } : { position })
+    });
 
     if (allApplications.length === 0) {
       return res.json({
@@ -742,26 +790,30 @@ export const checkUserApplication = async (req, res) => {
     allApplications.sort((a, b) => new Date(b.appliedDate) - new Date(a.appliedDate));
     const mostRecentApplication = allApplications[0];
 
-    // Check if the most recent application is PENDING, ACCEPTED, or INVITED (active)
-    const isActive = mostRecentApplication.status === 'PENDING' || mostRecentApplication.status === 'ACCEPTED' || mostRecentApplication.status === 'INVITED';
-
-    // Check if there's a previous application history (REJECTED, QUIT, or REMOVED)
-    const hasPreviousHistory = mostRecentApplication.status === 'REJECTED' || 
-                               mostRecentApplication.status === 'QUIT' || 
-                               mostRecentApplication.status === 'REMOVED';
+    // Check if the most recent application is PENDING, WAITLISTED, ACCEPTED, or INVITED (active)
+    const isActive = ['PENDING', 'WAITLISTED', 'ACCEPTED', 'INVITED'].includes(mostRecentApplication.status);
+
+    // Check if there's a previous application history (REJECTED, QUIT, REMOVED, or WITHDRAWN)
+    const hasPreviousHistory = ['REJECTED', 'QUIT', 'REMOVED', 'WITHDRAWN'].includes(mostRecentApplication.status);
+
+    const activeApplication = isActive ? {
+      applicationId: mostRecentApplication.applicationId,
+      status: mostRecentApplication.status,
+      projectId: mostRecentApplication.projectId,
+      position: mostRecentApplication.position,
+      positionId: mostRecentApplication.positionId,
+      projectName: mostRecentApplication.projectName,
+      appliedDate: mostRecentApplication.appliedDate,
+      statusUpdatedAt: mostRecentApplication.statusUpdatedAt,
+      waitlistedAt: mostRecentApplication.waitlistedAt
+    } : null;
+    if (activeApplication) await attachWaitlistRanks([activeApplication]);
 
     res.json({
       success: true,
       data: {
         hasApplied: isActive,
-        application: isActive ? {
-          applicationId: mostRecentApplication.applicationId,
-          status: mostRecentApplication.status,
-          position: mostRecentApplication.position,
-          projectName: mostRecentApplication.projectName,
-          appliedDate: mostRecentApplication.appliedDate,
-          statusUpdatedAt: mostRecentApplication.statusUpdatedAt
-        } : null,
+        application: activeApplication,
         // Include previous application history for UI to show appropriate messages
         previousApplication: hasPreviousHistory ? {
           applicationId: mostRecentApplication.applicationId,
@@ -773,6 +825,7 @@ export const checkUserApplication = async (req, res) => {
           rejectionReason: mostRecentApplication.rejectionReason || '',
           removalReason: mostRecentApplication.removalReason || '',
           quitAt: mostRecentApplication.quitAt || null,
+          withdrawnAt: mostRecentApplication.withdrawnAt || null,
           removedFromTeamAt: mostRecentApplication.removedFromTeamAt || null
         } : null
       }
@@ -801,17 +854,11 @@ export const getProjectInvitations = async (req, res) => {
       });
     }
 
-    const userApplication = await Application.findOne({ userId });
-
-    if (!userApplication) {
-      return res.json({ success: true, data: [] });
-    }
-
-    const invitations = userApplication.applications_sent
-      .filter(app =>
-        app.projectId.toString() === projectId &&
-        app.status === 'INVITED'
-      )
+    const invitations = (await Application.find({
+      applicantId: userId,
+      projectId,
+      status: 'INVITED'
+    }).sort({ appliedDate: 1 }))
       .map(app => ({
         applicationId: app.applicationId,
         position: app.position,
@@ -837,6 +884,7 @@ export default {
   removeBookmark,
   submitApplication,
   updateApplicationStatus,
+  withdrawApplication,
   getDashboardStats,
   getBookmarkedProjects,
   getApplications,
@@ -0,0 +1,206 @@
+import path from 'path';
+import mongoose from 'mongoose';
+import ProjectFile from '../../models/ProjectFile.js';
+import User from '../../models/User.js';
+import { getStorage } from '../services/storage/index.js';
+import { ATTACHMENT_TYPES, detectContentType } from '../services/attachmentService.js';
+import { findProjectForMember, isProjectOwner } from '../../utils/projectAccess.js';
+import { emitToProject } from '../../utils/socket.js';
+import {
+  successResponse,
+  errorResponse,
+  asyncHandler,
+  generateId,
+} from '../../utils/helpers.js';
+
+const MB = 1024 * 1024;
+
+// Total bytes a single project may store (PROJECT_STORAGE_QUOTA_MB, default 500 MB)
+const getProjectQuota = () => (parseInt(process.env.PROJECT_STORAGE_QUOTA_MB, 10) || 500) * MB;
+
+const getProjectUsage = async (projectId) => {
+  const [usage] = await ProjectFile.aggregate([
+    { $match: { projectId: new mongoose.Types.ObjectId(projectId) } },
+    { $group: { _id: null, total: { $sum: '$size' } } }
+  ]);
+  return usage ? usage.total : 0;
+};
+
+const buildStorageKey = (projectId, originalName) => {
+  const ext = path.extname(originalName || '').toLowerCase().replace(/[^a-z0-9.]/g, '');
+  return `projects/${projectId}/${generateId()}${ext}`;
+};
+
+// Files stored before types were detected on upload may carry whatever the
+// browser claimed; only types from the allowlist are served as such
+const SERVABLE_TYPES = new Set(Object.values(ATTACHMENT_TYPES).map(type => type.mimeType));
+
+const findProjectFile = async (projectId, fileId) => {
+  if (!mongoose.Types.ObjectId.isValid(fileId)) return null;
+  return ProjectFile.findOne({ _id: fileId, projectId });
+};
+
+const fileController = {
+  // List files for a project together with quota usage
+  getFiles: asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const { error, status } = await findProjectForMember(id, userId);
+    if (error) {
+      return res.status(status).json(error);
+    }
+
+    const [files, used] = await Promise.all([
+      ProjectFile.find({ projectId: id }).sort({ createdAt: -1 }),
+      getProjectUsage(id)
+    ]);
+
+    const response = successResponse(
+      { files, usage: { used, quota: getProjectQuota() } },
+      'Files retrieved successfully'
+    );
+    res.json(response);
+  }),
+
+  // Upload one or more files (multipart field `files`)
+  uploadFiles: asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const incoming = req.files || [];
+
+    const { error, status } = await findProjectForMember(id, userId);
+    if (error) {
+      return res.status(status).json(error);
+    }
+
+    if (incoming.length === 0) {
+      return res
+        .status(400)
+        .json(errorResponse('No files were uploaded', 'NO_FILES'));
+    }
+
+    const quota = getProjectQuota();
+    const used = await getProjectUsage(id);
+    const incomingSize = incoming.reduce((sum, file) => sum + file.size, 0);
+
+    if (used + incomingSize > quota) {
+      return res
+        .status(413)
+        .json(errorResponse(
+          'Upload would exceed the project storage quota',
+          'QUOTA_EXCEEDED',
+          { used, quota, requested: incomingSize }
+        ));
+    }
+
+    const uploader = await User.findById(userId);
+    const storage = getStorage();
+    const savedKeys = [];
+
+    try {
+      const records = [];
+      for (const file of incoming) {
+        const storageKey = buildStorageKey(id, file.originalname);
+        await storage.save(storageKey, file.buffer);
+        savedKeys.push(storageKey);
+
+        records.push({
+          projectId: id,
+          originalName: file.originalname,
+          mimeType: await detectContentType(file),
+          size: file.size,
+          storageKey,
+          storageDriver: storage.name,
+          uploadedBy: userId,
+          uploadedByName: uploader?.name || ''
+        });
+      }
+
+      const files = await ProjectFile.insertMany(records);
+      files.forEach(file => emitToProject(id, 'file:uploaded', file));
+
+      const response = successResponse(
+        { files, usage: { used: used + incomingSize, quota } },
+        'Files uploaded successfully'
+      );
+      res.status(201).json(response);
+    } catch (err) {
+      // Don't leave orphaned bytes behind when the batch fails
+      await Promise.all(savedKeys.map(key => storage.remove(key).catch(() => {})));
+      throw err;
+    }
+  }),
+
+  // Stream a file back with its original name and content type
+  downloadFile: asyncHandler(async (req, res) => {
+    const { id, fileId } = req.params;
+    const userId = req.user.id;
+
+    const { error, status } = await findProjectForMember(id, userId);
+    if (error) {
+      return res.status(status).json(error);
+    }
+
+    const file = await findProjectFile(id, fileId);
+    if (!file) {
+      return res
+        .status(404)
+        .json(errorResponse('File not found', 'FILE_NOT_FOUND'));
+    }
+
+    let stream;
+    try {
+      stream = await getStorage().createReadStream(file.storageKey);
+    } catch (err) {
+      console.error(`Stored file missing for ${file._id}:`, err.message);
+      return res
+        .status(404)
+        .json(errorResponse('File content is no longer available', 'FILE_CONTENT_MISSING'));
+    }
+
+    res.attachment(file.originalName);
+    res.setHeader('Content-Type', SERVABLE_TYPES.has(file.mimeType) ? file.mimeType : 'application/octet-stream');
+    res.setHeader('Content-Length', file.size);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    stream.on('error', (err) => {
+      console.error(`Error streaming file ${file._id}:`, err.message);
+      res.destroy(err);
+    });
+    stream.pipe(res);
+  }),
+
+  // Delete a file (uploader or project owner)
+  deleteFile: asyncHandler(async (req, res) => {
+    const { id, fileId } = req.params;
+    const userId = req.user.id;
+
+    const { project, error, status } = await findProjectForMember(id, userId);
+    if (error) {
+      return res.status(status).json(error);
+    }
+
+    const file = await findProjectFile(id, fileId);
+    if (!file) {
+      return res
+        .status(404)
+        .json(errorResponse('File not found', 'FILE_NOT_FOUND'));
+    }
+
+    if (file.uploadedBy.toString() !== userId.toString() && !isProjectOwner(project, userId)) {
+      return res
+        .status(403)
+        .json(errorResponse('Only the uploader or project owner can delete this file', 'FORBIDDEN'));
+    }
+
+    await getStorage().remove(file.storageKey);
+    await file.deleteOne();
+
+    emitToProject(id, 'file:deleted', { _id: file._id, projectId: id });
+
+    const response = successResponse({ _id: file._id }, 'File deleted successfully');
+    res.json(response);
+  })
+};
+
+export default fileController;
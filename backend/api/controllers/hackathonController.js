@@ -0,0 +1,361 @@
+import mongoose from 'mongoose';
+import Hackathon, { HACKATHON_STATUSES } from '../../models/Hackathon.js';
+import { createNotification } from './notificationController.js';
+import { buildCalendar, getHackathonEvents } from '../services/calendarService.js';
+import {
+  successResponse,
+  errorResponse,
+  asyncHandler,
+  sanitizeInput,
+  encodeCursor,
+  decodeCursor,
+  toList,
+} from '../../utils/helpers.js';
+
+const DEFAULT_PAGE_SIZE = 12;
+const MAX_PAGE_SIZE = 50;
+const MAX_CATEGORIES = 10;
+
+// Listing orders; both page on (startDate, _id)
+const HACKATHON_SORTS = {
+  soonest: 1,
+  latest: -1
+};
+
+const ORGANIZER_FIELDS = 'name avatar title';
+
+const isSameUser = (a, b) => Boolean(a && b) && a.toString() === b.toString();
+
+const isOrganizer = (hackathon, userId) => isSameUser(hackathon.organizerId?._id || hackathon.organizerId, userId);
+
+// Replace the participant and judge lists with counts and the viewer's own status
+const toClientHackathon = (hackathon, userId) => {
+  // Report the status the dates imply even if the scheduler hasn't stored it yet
+  hackathon.status = hackathon.computeStatus();
+  const { participants = [], judges = [], organizerId, ...data } = hackathon.toObject();
+  return {
+    ...data,
+    organizer: organizerId,
+    participantCount: participants.length,
+    judgeCount: judges.length,
+    isRegistered: Boolean(userId) && participants.some(participant => isSameUser(participant, userId)),
+    isOrganizer: isOrganizer(hackathon, userId),
+    isJudge: Boolean(userId) && judges.some(judge => isSameUser(judge, userId)),
+    registrationOpen: hackathon.isRegistrationOpen(),
+    submissionOpen: hackathon.isSubmissionOpen()
+  };
+};
+
+const parseDate = (value) => {
+  if (value === null || value === '') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * Reads the editable fields from a request body. Only fields present in the
+ * body are returned, so the same reader serves create and partial update.
+ * @returns {{values: object, error: (string|null)}}
+ */
+const readHackathonInput = (body) => {
+  const values = {};
+
+  for (const field of ['title', 'description', 'prize', 'location']) {
+    if (body[field] !== undefined) values[field] = sanitizeInput(String(body[field]));
+  }
+
+  for (const field of ['startDate', 'endDate', 'registrationDeadline', 'submissionDeadline']) {
+    if (body[field] === undefined) continue;
+    const date = parseDate(body[field]);
+    if (date === undefined || (date === null && ['startDate', 'endDate'].includes(field))) {
+      return { values, error: `Invalid ${field}` };
+    }
+    values[field] = date;
+  }
+
+  if (body.categories !== undefined) {
+    const categories = [...new Set(toList(body.categories).map(category => sanitizeInput(category)).filter(Boolean))];
+    if (categories.length > MAX_CATEGORIES) {
+      return { values, error: `At most ${MAX_CATEGORIES} categories are allowed` };
+    }
+    values.categories = categories;
+  }
+
+  if (body.maxParticipants !== undefined) {
+    const max = body.maxParticipants === null || body.maxParticipants === '' ? null : Number(body.maxParticipants);
+    if (max !== null && (!Number.isInteger(max) || max < 1)) {
+      return { values, error: 'maxParticipants must be a positive whole number' };
+    }
+    values.maxParticipants = max;
+  }
+
+  return { values, error: null };
+};
+
+const sendValidationError = (res, err) => res
+  .status(400)
+  .json(errorResponse(Object.values(err.errors)[0].message, 'VALIDATION_ERROR'));
+
+const findHackathon = (id) => (mongoose.Types.ObjectId.isValid(id) ? Hackathon.findById(id) : null);
+
+const hackathonController = {
+  // List hackathons. Filters by status (comma-separated), category,
+  // organizer and text; pages by start date, soonest first by default.
+  // `counts` has the number of hackathons per status for the other filters.
+  getHackathons: asyncHandler(async (req, res) => {
+    const { q, category, organizerId, cursor } = req.query;
+    const sortKey = Object.hasOwn(HACKATHON_SORTS, req.query.sort) ? req.query.sort : 'soonest';
+    const direction = HACKATHON_SORTS[sortKey];
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const now = new Date();
+
+    const baseFilter = {};
+    if (typeof q === 'string' && q.trim()) baseFilter.$text = { $search: q.trim() };
+    if (category) baseFilter.categories = category;
+    if (organizerId) {
+      if (!mongoose.Types.ObjectId.isValid(organizerId)) {
+        return res
+          .status(400)
+          .json(errorResponse('Invalid organizer ID', 'INVALID_ORGANIZER'));
+      }
+      baseFilter.organizerId = organizerId;
+    }
+
+    const filter = { ...baseFilter };
+    const statuses = toList(req.query.status).filter(status => HACKATHON_STATUSES.includes(status));
+    if (statuses.length > 0) {
+      filter.$and = [{ $or: statuses.map(status => Hackathon.statusCondition(status, now)) }];
+    }
+
+    const position = cursor ? decodeCursor(cursor) : null;
+    if (cursor && !(position && mongoose.Types.ObjectId.isValid(position.id) && position.v)) {
+      return res
+        .status(400)
+        .json(errorResponse('Invalid cursor', 'INVALID_CURSOR'));
+    }
+
+    const pageFilter = { ...filter };
+    if (position) {
+      const value = new Date(position.v);
+      const op = direction === 1 ? '$gt' : '$lt';
+      pageFilter.$or = [
+        { startDate: { [op]: value } },
+        { startDate: value, _id: { [op]: position.id } }
+      ];
+    }
+
+    const [page, total, statusCounts] = await Promise.all([
+      Hackathon.find(pageFilter)
+        .sort({ startDate: direction, _id: direction })
+        .limit(limit + 1)
+        .populate('organizerId', ORGANIZER_FIELDS),
+      Hackathon.countDocuments(filter),
+      Hackathon.aggregate([
+        { $match: baseFilter.organizerId ? { ...baseFilter, organizerId: new mongoose.Types.ObjectId(organizerId) } : baseFilter },
+        { $group: { _id: Hackathon.statusExpression(now), count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const hasMore = page.length > limit;
+    const hackathons = page.slice(0, limit);
+    const last = hackathons[hackathons.length - 1];
+
+    const counts = Object.fromEntries(HACKATHON_STATUSES.map(status => [status, 0]));
+    for (const { _id, count } of statusCounts) counts[_id] = count;
+
+    const response = successResponse(
+      hackathons.map(hackathon => toClientHackathon(hackathon, req.user?.id)),
+      'Hackathons retrieved successfully'
+    );
+    res.json({
+      ...response,
+      counts,
+      pagination: {
+        total,
+        limit,
+        sort: sortKey,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor({ v: last.startDate, id: last._id }) : null
+      }
+    });
+  }),
+
+  // Get a single hackathon
+  getHackathonById: asyncHandler(async (req, res) => {
+    const hackathon = await findHackathon(req.params.id)?.populate('organizerId', ORGANIZER_FIELDS);
+    if (!hackathon) {
+      return res
+        .status(404)
+        .json(errorResponse('Hackathon not found', 'HACKATHON_NOT_FOUND'));
+    }
+
+    const response = successResponse(toClientHackathon(hackathon, req.user?.id), 'Hackathon retrieved successfully');
+    res.json(response);
+  }),
+
+  // Host a hackathon; the signed-in user becomes its organizer
+  createHackathon: asyncHandler(async (req, res) => {
+    const { values, error } = readHackathonInput(req.body);
+    if (error) {
+      return res
+        .status(400)
+        .json(errorResponse(error, 'INVALID_FIELD'));
+    }
+
+    if (!values.title || !values.description || !values.startDate || !values.endDate) {
+      return res
+        .status(400)
+        .json(errorResponse('Title, description, start date and end date are required', 'MISSING_FIELDS'));
+    }
+
+    if (values.startDate <= new Date()) {
+      return res
+        .status(400)
+        .json(errorResponse('Start date must be in the future', 'INVALID_FIELD'));
+    }
+
+    const hackathon = new Hackathon({ ...values, organizerId: req.user.id });
+    try {
+      await hackathon.save();
+    } catch (err) {
+      if (err.name === 'ValidationError') return sendValidationError(res, err);
+      throw err;
+    }
+
+    await hackathon.populate('organizerId', ORGANIZER_FIELDS);
+    const response = successResponse(toClientHackathon(hackathon, req.user.id), 'Hackathon created successfully');
+    res.status(201).json(response);
+  }),
+
+  // Edit a hackathon (organizer only) until it is completed or cancelled
+  updateHackathon: asyncHandler(async (req, res) => {
+    const hackathon = await findHackathon(req.params.id);
+    if (!hackathon) {
+      return res
+        .status(404)
+        .json(errorResponse('Hackathon not found', 'HACKATHON_NOT_FOUND'));
+    }
+
+    if (!isOrganizer(hackathon, req.user.id)) {
+      return res
+        .status(403)
+        .json(errorResponse('Only the organizer can edit this hackathon', 'NOT_HACKATHON_ORGANIZER'));
+    }
+
+    // The stored status can lag behind the scheduler, so go by the dates
+    const status = hackathon.computeStatus();
+    if (['completed', 'cancelled'].includes(status)) {
+      return res
+        .status(409)
+        .json(errorResponse(`A ${status} hackathon can't be edited`, 'HACKATHON_CLOSED'));
+    }
+
+    const { values, error } = readHackathonInput(req.body);
+    if (error) {
+      return res
+        .status(400)
+        .json(errorResponse(error, 'INVALID_FIELD'));
+    }
+
+    for (const field of ['title', 'description']) {
+      if (values[field] === '') {
+        return res
+          .status(400)
+          .json(errorResponse(`${field === 'title' ? 'Title' : 'Description'} is required`, 'MISSING_FIELDS'));
+      }
+    }
+
+    if (values.startDate && status !== 'upcoming' && values.startDate.getTime() !== hackathon.startDate.getTime()) {
+      return res
+        .status(409)
+        .json(errorResponse("The start date can't change once the hackathon has started", 'HACKATHON_STARTED'));
+    }
+
+    if (values.maxParticipants && values.maxParticipants < hackathon.participants.length) {
+      return res
+        .status(400)
+        .json(errorResponse(
+          `${hackathon.participants.length} people have already registered`,
+          'MAX_PARTICIPANTS_TOO_LOW'
+        ));
+    }
+
+    hackathon.set(values);
+    try {
+      await hackathon.save();
+    } catch (err) {
+      if (err.name === 'ValidationError') return sendValidationError(res, err);
+      throw err;
+    }
+
+    await hackathon.populate('organizerId', ORGANIZER_FIELDS);
+    const response = successResponse(toClientHackathon(hackathon, req.user.id), 'Hackathon updated successfully');
+    res.json(response);
+  }),
+
+  // Cancel a hackathon that hasn't finished (organizer only) and let the
+  // participants know
+  cancelHackathon: asyncHandler(async (req, res) => {
+    const reason = typeof req.body.reason === 'string' ? sanitizeInput(req.body.reason).slice(0, 500) : '';
+
+    const hackathon = await findHackathon(req.params.id);
+    if (!hackathon) {
+      return res
+        .status(404)
+        .json(errorResponse('Hackathon not found', 'HACKATHON_NOT_FOUND'));
+    }
+
+    if (!isOrganizer(hackathon, req.user.id)) {
+      return res
+        .status(403)
+        .json(errorResponse('Only the organizer can cancel this hackathon', 'NOT_HACKATHON_ORGANIZER'));
+    }
+
+    const status = hackathon.computeStatus();
+    if (['completed', 'cancelled'].includes(status)) {
+      return res
+        .status(409)
+        .json(errorResponse(`This hackathon is already ${status}`, 'HACKATHON_CLOSED'));
+    }
+
+    hackathon.status = 'cancelled';
+    hackathon.cancelledAt = new Date();
+    hackathon.cancellationReason = reason;
+    await hackathon.save();
+
+    await Promise.all(hackathon.participants.map(participantId => createNotification({
+      recipientId: participantId,
+      type: 'HACKATHON_CANCELLED',
+      message: reason
+        ? `${hackathon.title} has been cancelled: ${reason}`
+        : `${hackathon.title} has been cancelled by its organizer`,
+      navigationPath: '/hackathons'
+    })));
+
+    await hackathon.populate('organizerId', ORGANIZER_FIELDS);
+    const response = successResponse(toClientHackathon(hackathon, req.user.id), 'Hackathon cancelled successfully');
+    res.json(response);
+  }),
+
+  // Download the hackathon as an .ics file for any calendar app
+  downloadCalendar: asyncHandler(async (req, res) => {
+    const hackathon = await findHackathon(req.params.id);
+    if (!hackathon) {
+      return res
+        .status(404)
+        .json(errorResponse('Hackathon not found', 'HACKATHON_NOT_FOUND'));
+    }
+
+    const calendar = buildCalendar({
+      name: hackathon.title,
+      events: getHackathonEvents(hackathon, { includeRegistration: true })
+    });
+    const fileName = hackathon.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'hackathon';
+
+    res.attachment(`${fileName}.ics`);
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.send(calendar);
+  })
+};
+
+export default hackathonController;
@@ -0,0 +1,840 @@
+import path from 'path';
+import mongoose from 'mongoose';
+import Hackathon from '../../models/Hackathon.js';
+import HackathonTeam, { MAX_TEAM_SIZE } from '../../models/HackathonTeam.js';
+import HackathonRegistration, { EXPERIENCE_LEVELS } from '../../models/HackathonRegistration.js';
+import User from '../../models/User.js';
+import { createNotification } from './notificationController.js';
+import { getStorage } from '../services/storage/index.js';
+import { inspectAttachment } from '../services/attachmentService.js';
+import {
+  claimSeat,
+  releaseSeat,
+  describeSeatFailure,
+  leaveTeam,
+  withdrawRegistration,
+  sendTeamInviteEmail
+} from '../services/hackathonTeamService.js';
+import {
+  successResponse,
+  errorResponse,
+  asyncHandler,
+  sanitizeInput,
+  encodeCursor,
+  decodeCursor,
+  toList,
+  isValidEmail,
+  generateId,
+} from '../../utils/helpers.js';
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+const MAX_SKILLS = 20;
+
+// Resumes may only be documents
+const RESUME_EXTENSIONS = ['.pdf', '.doc', '.docx'];
+
+const MEMBER_FIELDS = 'name avatar title';
+
+const isSameUser = (a, b) => Boolean(a && b) && a.toString() === b.toString();
+
+const isJudge = (hackathon, userId) => hackathon.judges.some(judge => isSameUser(judge, userId));
+
+const loadHackathon = (id) => (mongoose.Types.ObjectId.isValid(id) ? Hackathon.findById(id) : null);
+
+const sendHackathonNotFound = (res) => res
+  .status(404)
+  .json(errorResponse('Hackathon not found', 'HACKATHON_NOT_FOUND'));
+
+const findMyRegistration = (hackathonId, userId) => HackathonRegistration.findOne({ hackathonId, userId });
+
+// An invite is addressed to the user by id or, for email invites, by address
+const isInvitedUser = (invite, user) => isSameUser(invite.userId, user._id)
+  || (!invite.userId && Boolean(invite.email) && invite.email === user.email?.toLowerCase());
+
+const toClientRegistration = (registration) => {
+  const { resume, ...data } = registration.toObject();
+  return {
+    ...data,
+    resume: resume ? { originalName: resume.originalName, size: resume.size } : null
+  };
+};
+
+// Team with members populated; pending invites are only listed for members
+const toClientTeam = async (team, userId) => {
+  await team.populate([
+    { path: 'members', select: MEMBER_FIELDS },
+    { path: 'invites.userId', select: MEMBER_FIELDS }
+  ]);
+  const isMember = team.members.some(member => isSameUser(member._id, userId));
+  const { invites, ...data } = team.toObject();
+  return {
+    ...data,
+    isLeader: isSameUser(team.leaderId, userId),
+    openSeats: Math.max(team.maxSize - team.reservedSeats(), 0),
+    invites: isMember
+      ? invites
+        .filter(invite => invite.status === 'PENDING')
+        .map(({ _id, userId: invitee, email, createdAt }) => ({ _id, user: invitee, email, createdAt }))
+      : []
+  };
+};
+
+/**
+ * Reads the profile part of a registration
+ * @returns {{values: object, error: (string|null)}}
+ */
+const readRegistrationInput = (body) => {
+  const values = {};
+
+  if (body.skills !== undefined) {
+    const skills = [...new Set(toList(body.skills).map(skill => sanitizeInput(skill)).filter(Boolean))];
+    if (skills.length > MAX_SKILLS) {
+      return { values, error: `At most ${MAX_SKILLS} skills are allowed` };
+    }
+    values.skills = skills;
+  }
+
+  if (body.experience !== undefined && body.experience !== '') {
+    if (!EXPERIENCE_LEVELS.includes(body.experience)) {
+      return { values, error: 'Invalid experience level' };
+    }
+    values.experience = body.experience;
+  }
+
+  if (body.motivation !== undefined) values.motivation = sanitizeInput(String(body.motivation));
+
+  if (body.lookingForTeam !== undefined) {
+    values.lookingForTeam = body.lookingForTeam === true || body.lookingForTeam === 'true';
+  }
+
+  return { values, error: null };
+};
+
+// Claims a seat and creates the registration. When the seat can't be
+// claimed, `failure` has the status, message and code to respond with.
+const registerUser = async (hackathon, user, values) => {
+  if (!(await claimSeat(hackathon._id, user._id))) {
+    return { registration: null, failure: await describeSeatFailure(hackathon._id, user._id) };
+  }
+
+  try {
+    const registration = await HackathonRegistration.create({
+      // Default to the skills on the user's profile
+      skills: (user.skills || []).map(skill => skill.name).filter(Boolean),
+      ...values,
+      hackathonId: hackathon._id,
+      userId: user._id
+    });
+    return { registration, failure: null };
+  } catch (err) {
+    await releaseSeat(hackathon._id, user._id);
+    if (err.code === 11000) {
+      return {
+        registration: null,
+        failure: { status: 409, message: 'You are already registered for this hackathon', code: 'ALREADY_REGISTERED' }
+      };
+    }
+    throw err;
+  }
+};
+
+const removeResumeFile = async (resume) => {
+  if (!resume?.storageKey) return;
+  await getStorage().remove(resume.storageKey).catch(err => {
+    console.error(`Failed to remove resume ${resume.storageKey}:`, err.message);
+  });
+};
+
+const hackathonRegistrationController = {
+  // Register for a hackathon, solo or as the lead of a new team (teamName).
+  // Multipart so a resume can come along; every other field is optional.
+  register: asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+
+    const hackathon = await loadHackathon(req.params.id);
+    if (!hackathon) return sendHackathonNotFound(res);
+
+    if (isSameUser(hackathon.organizerId, userId)) {
+      return res
+        .status(409)
+        .json(errorResponse("Organizers can't register for their own hackathon", 'ORGANIZER_CANNOT_REGISTER'));
+    }
+
+    if (isJudge(hackathon, userId)) {
+      return res
+        .status(409)
+        .json(errorResponse("Judges can't register for the hackathon they judge", 'JUDGE_CANNOT_REGISTER'));
+    }
+
+    const { values, error } = readRegistrationInput(req.body);
+    if (error) {
+      return res
+        .status(400)
+        .json(errorResponse(error, 'INVALID_FIELD'));
+    }
+
+    const teamName = typeof req.body.teamName === 'string' ? sanitizeInput(req.body.teamName) : '';
+    const teamSize = req.body.teamSize === undefined ? MAX_TEAM_SIZE : Number(req.body.teamSize);
+    if (teamName && (!Number.isInteger(teamSize) || teamSize < 1 || teamSize > MAX_TEAM_SIZE)) {
+      return res
+        .status(400)
+        .json(errorResponse(`Team size must be between 1 and ${MAX_TEAM_SIZE}`, 'INVALID_FIELD'));
+    }
+
+    if (teamName && await HackathonTeam.exists({ hackathonId: hackathon._id, nameKey: teamName.toLowerCase() })) {
+      return res
+        .status(409)
+        .json(errorResponse('Another team already uses that name', 'TEAM_NAME_TAKEN'));
+    }
+
+    let resumeType = null;
+    if (req.file) {
+      const extension = path.extname(req.file.originalname || '').toLowerCase();
+      const { error: fileError, type } = RESUME_EXTENSIONS.includes(extension)
+        ? await inspectAttachment(req.file)
+        : { error: 'Resumes must be PDF or Word documents', type: null };
+      if (fileError) {
+        return res
+          .status(400)
+          .json(errorResponse(fileError, 'INVALID_RESUME'));
+      }
+      resumeType = type;
+    }
+
+    const user = await User.findById(userId).select('name email skills');
+    const { registration, failure } = await registerUser(hackathon, user, {
+      ...values,
+      lookingForTeam: teamName ? false : values.lookingForTeam ?? true
+    });
+    if (failure) {
+      return res
+        .status(failure.status)
+        .json(errorResponse(failure.message, failure.code));
+    }
+
+    try {
+      if (req.file) {
+        const storage = getStorage();
+        const storageKey = `hackathons/${hackathon._id}/resumes/${generateId()}${path.extname(req.file.originalname).toLowerCase()}`;
+        await storage.save(storageKey, req.file.buffer);
+        registration.resume = {
+          originalName: req.file.originalname,
+          mimeType: resumeType.mimeType,
+          size: req.file.size,
+          storageKey,
+          storageDriver: storage.name
+        };
+      }
+
+      let team = null;
+      if (teamName) {
+        team = await HackathonTeam.create({
+          hackathonId: hackathon._id,
+          name: teamName,
+          leaderId: userId,
+          members: [userId],
+          maxSize: teamSize
+        });
+        registration.teamId = team._id;
+      }
+      await registration.save();
+
+      const response = successResponse({
+        registration: toClientRegistration(registration),
+        team: team ? await toClientTeam(team, userId) : null
+      }, team ? `Registered with team ${team.name}` : 'Registered successfully');
+      res.status(201).json(response);
+    } catch (err) {
+      // Undo the seat so a failed upload or team name clash can be retried
+      await removeResumeFile(registration.resume);
+      await withdrawRegistration(registration);
+      if (err.code === 11000) {
+        return res
+          .status(409)
+          .json(errorResponse('Another team already uses that name', 'TEAM_NAME_TAKEN'));
+      }
+      throw err;
+    }
+  }),
+
+  // The viewer's registration, team and the team invites waiting for them
+  getMyRegistration: asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+
+    const hackathon = await loadHackathon(req.params.id);
+    if (!hackathon) return sendHackathonNotFound(res);
+
+    const [registration, user] = await Promise.all([
+      findMyRegistration(hackathon._id, userId),
+      User.findById(userId).select('email')
+    ]);
+
+    const team = registration?.teamId ? await HackathonTeam.findById(registration.teamId) : null;
+
+    const inviteMatch = { $or: [{ userId: user._id }, { userId: null, email: user.email?.toLowerCase() }] };
+    const invitingTeams = await HackathonTeam.find({
+      hackathonId: hackathon._id,
+      invites: { $elemMatch: { ...inviteMatch, status: 'PENDING' } }
+    }).populate('leaderId', MEMBER_FIELDS);
+
+    const invites = invitingTeams.flatMap(invitingTeam => invitingTeam.invites
+      .filter(invite => invite.status === 'PENDING' && isInvitedUser(invite, user))
+      .map(invite => ({
+        _id: invite._id,
+        teamId: invitingTeam._id,
+        teamName: invitingTeam.name,
+        leader: invitingTeam.leaderId,
+        memberCount: invitingTeam.members.length,
+        maxSize: invitingTeam.maxSize,
+        createdAt: invite.createdAt
+      })));
+
+    const response = successResponse({
+      registration: registration ? toClientRegistration(registration) : null,
+      team: team ? await toClientTeam(team, userId) : null,
+      invites
+    }, 'Registration retrieved successfully');
+    res.json(response);
+  }),
+
+  // Update skills, experience, motivation or pool visibility
+  updateMyRegistration: asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+
+    const registration = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await findMyRegistration(req.params.id, userId)
+      : null;
+    if (!registration) {
+      return res
+        .status(404)
+        .json(errorResponse("You aren't registered for this hackathon", 'NOT_REGISTERED'));
+    }
+
+    const { values, error } = readRegistrationInput(req.body);
+    if (error) {
+      return res
+        .status(400)
+        .json(errorResponse(error, 'INVALID_FIELD'));
+    }
+
+    // Team members aren't in the pool
+    if (registration.teamId) delete values.lookingForTeam;
+
+    registration.set(values);
+    await registration.save();
+
+    const response = successResponse(toClientRegistration(registration), 'Registration updated successfully');
+    res.json(response);
+  }),
+
+  // Withdraw from a hackathon that hasn't finished
+  withdraw: asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+
+    const hackathon = await loadHackathon(req.params.id);
+    if (!hackathon) return sendHackathonNotFound(res);
+
+    const registration = await findMyRegistration(hackathon._id, userId);
+    if (!registration) {
+      return res
+        .status(404)
+        .json(errorResponse("You aren't registered for this hackathon", 'NOT_REGISTERED'));
+    }
+
+    // Go by the dates; the stored status can lag behind the scheduler
+    const status = hackathon.computeStatus();
+    if (['completed', 'cancelled'].includes(status)) {
+      return res
+        .status(409)
+        .json(errorResponse(`This hackathon is already ${status}`, 'HACKATHON_CLOSED'));
+    }
+
+    await withdrawRegistration(registration);
+    await removeResumeFile(registration.resume);
+
+    const response = successResponse(null, 'You are no longer registered');
+    res.json(response);
+  }),
+
+  // Registrations for the organizer, newest first
+  getRegistrations: asyncHandler(async (req, res) => {
+    const hackathon = await loadHackathon(req.params.id);
+    if (!hackathon) return sendHackathonNotFound(res);
+
+    if (!isSameUser(hackathon.organizerId, req.user.id)) {
+      return res
+        .status(403)
+        .json(errorResponse('Only the organizer can see registrations', 'NOT_HACKATHON_ORGANIZER'));
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const filter = { hackathonId: hackathon._id };
+
+    const position = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    if (req.query.cursor && !(position && mongoose.Types.ObjectId.isValid(position.id) && position.v)) {
+      return res
+        .status(400)
+        .json(errorResponse('Invalid cursor', 'INVALID_CURSOR'));
+    }
+
+    const pageFilter = { ...filter };
+    if (position) {
+      const value = new Date(position.v);
+      pageFilter.$or = [
+        { createdAt: { $lt: value } },
+        { createdAt: value, _id: { $lt: position.id } }
+      ];
+    }
+
+    const [page, total] = await Promise.all([
+      HackathonRegistration.find(pageFilter)
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit + 1)
+        .populate('userId', `${MEMBER_FIELDS} email`)
+        .populate('teamId', 'name'),
+      HackathonRegistration.countDocuments(filter)
+    ]);
+
+    const hasMore = page.length > limit;
+    const registrations = page.slice(0, limit);
+    const last = registrations[registrations.length - 1];
+
+    const response = successResponse(
+      registrations.map(toClientRegistration),
+      'Registrations retrieved successfully'
+    );
+    res.json({
+      ...response,
+      pagination: {
+        total,
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor({ v: last.createdAt, id: last._id }) : null
+      }
+    });
+  }),
+
+  // Download a registrant's resume (the registrant or the organizer)
+  downloadResume: asyncHandler(async (req, res) => {
+    const { id, registrationId } = req.params;
+    const userId = req.user.id;
+
+    const hackathon = await loadHackathon(id);
+    if (!hackathon) return sendHackathonNotFound(res);
+
+    const registration = mongoose.Types.ObjectId.isValid(registrationId)
+      ? await HackathonRegistration.findOne({ _id: registrationId, hackathonId: hackathon._id })
+      : null;
+    if (!registration?.resume) {
+      return res
+        .status(404)
+        .json(errorResponse('Resume not found', 'RESUME_NOT_FOUND'));
+    }
+
+    if (!isSameUser(registration.userId, userId) && !isSameUser(hackathon.organizerId, userId)) {
+      return res
+        .status(403)
+        .json(errorResponse('You do not have access to this resume', 'ACCESS_DENIED'));
+    }
+
+    let stream;
+    try {
+      stream = await getStorage().createReadStream(registration.resume.storageKey);
+    } catch (err) {
+      console.error(`Stored resume missing for ${registration._id}:`, err.message);
+      return res
+        .status(404)
+        .json(errorResponse('File content is no longer available', 'FILE_CONTENT_MISSING'));
+    }
+
+    res.attachment(registration.resume.originalName);
+    res.setHeader('Content-Type', registration.resume.mimeType);
+    res.setHeader('Content-Length', registration.resume.size);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    stream.on('error', (err) => {
+      console.error(`Error streaming resume ${registration._id}:`, err.message);
+      res.destroy(err);
+    });
+    stream.pipe(res);
+  }),
+
+  // Solo registrants looking for a team, newest first; `skills` filters
+  // to people with any of the given skills
+  getTeamPool: asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+
+    const hackathon = await loadHackathon(req.params.id);
+    if (!hackathon) return sendHackathonNotFound(res);
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const filter = {
+      hackathonId: hackathon._id,
+      lookingForTeam: true,
+      teamId: null,
+      userId: { $ne: new mongoose.Types.ObjectId(userId) }
+    };
+    const skills = toList(req.query.skills);
+    if (skills.length > 0) filter.skills = { $in: skills };
+
+    const position = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    if (req.query.cursor && !(position && mongoose.Types.ObjectId.isValid(position.id) && position.v)) {
+      return res
+        .status(400)
+        .json(errorResponse('Invalid cursor', 'INVALID_CURSOR'));
+    }
+
+    const pageFilter = { ...filter };
+    if (position) {
+      const value = new Date(position.v);
+      pageFilter.$or = [
+        { createdAt: { $lt: value } },
+        { createdAt: value, _id: { $lt: position.id } }
+      ];
+    }
+
+    const [page, total] = await Promise.all([
+      HackathonRegistration.find(pageFilter)
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit + 1)
+        .select('userId skills experience createdAt')
+        .populate('userId', MEMBER_FIELDS),
+      HackathonRegistration.countDocuments(filter)
+    ]);
+
+    const hasMore = page.length > limit;
+    const registrants = page.slice(0, limit);
+    const last = registrants[registrants.length - 1];
+
+    const response = successResponse(
+      registrants.map(({ _id, userId: member, skills: memberSkills, experience, createdAt }) => ({
+        _id,
+        user: member,
+        skills: memberSkills,
+        experience,
+        createdAt
+      })),
+      'Team pool retrieved successfully'
+    );
+    res.json({
+      ...response,
+      pagination: {
+        total,
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor({ v: last.createdAt, id: last._id }) : null
+      }
+    });
+  }),
+
+  // Invite someone to a team by user id or email (team lead only)
+  inviteToTeam: asyncHandler(async (req, res) => {
+    const { id, teamId } = req.params;
+    const userId = req.user.id;
+
+    const hackathon = await loadHackathon(id);
+    if (!hackathon) return sendHackathonNotFound(res);
+
+    const team = mongoose.Types.ObjectId.isValid(teamId)
+      ? await HackathonTeam.findOne({ _id: teamId, hackathonId: hackathon._id })
+      : null;
+    if (!team) {
+      return res
+        .status(404)
+        .json(errorResponse('Team not found', 'TEAM_NOT_FOUND'));
+    }
+
+    if (!isSameUser(team.leaderId, userId)) {
+      return res
+        .status(403)
+        .json(errorResponse('Only the team lead can send invites', 'NOT_TEAM_LEADER'));
+    }
+
+    if (!hackathon.isRegistrationOpen()) {
+      return res
+        .status(409)
+        .json(errorResponse('Registration for this hackathon is closed', 'REGISTRATION_CLOSED'));
+    }
+
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    const inviteeId = req.body.userId;
+    if (!email && !inviteeId) {
+      return res
+        .status(400)
+        .json(errorResponse('An email address or user ID is required', 'MISSING_FIELDS'));
+    }
+    if (email && !isValidEmail(email)) {
+      return res
+        .status(400)
+        .json(errorResponse('Invalid email address', 'INVALID_EMAIL'));
+    }
+    if (inviteeId && !mongoose.Types.ObjectId.isValid(inviteeId)) {
+      return res
+        .status(400)
+        .json(errorResponse('Invalid user ID', 'INVALID_USER'));
+    }
+
+    const invitee = inviteeId
+      ? await User.findById(inviteeId).select('name email')
+      : await User.findOne({ email }).select('name email');
+    if (inviteeId && !invitee) {
+      return res
+        .status(404)
+        .json(errorResponse('User not found', 'USER_NOT_FOUND'));
+    }
+
+    if (invitee) {
+      if (isSameUser(invitee._id, userId) || team.members.some(member => isSameUser(member, invitee._id))) {
+        return res
+          .status(409)
+          .json(errorResponse(`${invitee.name} is already on this team`, 'ALREADY_MEMBER'));
+      }
+      if (isSameUser(invitee._id, hackathon.organizerId)) {
+        return res
+          .status(409)
+          .json(errorResponse("The organizer can't join a team", 'ORGANIZER_CANNOT_REGISTER'));
+      }
+      if (isJudge(hackathon, invitee._id)) {
+        return res
+          .status(409)
+          .json(errorResponse(`${invitee.name} is judging this hackathon`, 'JUDGE_CANNOT_REGISTER'));
+      }
+      const inviteeRegistration = await findMyRegistration(hackathon._id, invitee._id);
+      if (inviteeRegistration?.teamId) {
+        return res
+          .status(409)
+          .json(errorResponse(`${invitee.name} is already on another team`, 'ALREADY_ON_TEAM'));
+      }
+    }
+
+    const alreadyInvited = team.invites.some(invite => invite.status === 'PENDING'
+      && (invitee ? isInvitedUser(invite, invitee) : invite.email === email));
+    if (alreadyInvited) {
+      return res
+        .status(409)
+        .json(errorResponse('There is already a pending invite for this person', 'ALREADY_INVITED'));
+    }
+
+    if (team.reservedSeats() >= team.maxSize) {
+      return res
+        .status(409)
+        .json(errorResponse('Every seat on this team is taken or has a pending invite', 'TEAM_FULL'));
+    }
+
+    team.invites.push({
+      userId: invitee?._id || null,
+      email: invitee ? null : email,
+      invitedBy: userId
+    });
+    await team.save();
+
+    const inviter = await User.findById(userId).select('name');
+    if (invitee) {
+      await createNotification({
+        recipientId: invitee._id,
+        type: 'HACKATHON_TEAM_INVITE',
+        message: `${inviter.name} invited you to join ${team.name} for ${hackathon.title}`,
+        actorName: inviter.name,
+        navigationPath: '/hackathons',
+        navigationState: { hackathonId: hackathon._id.toString() }
+      });
+    } else {
+      try {
+        await sendTeamInviteEmail({ email, team, hackathon, inviterName: inviter.name });
+      } catch (err) {
+        // The invite stands; it still matches if they sign up with this address
+        console.error('Failed to send team invite email:', err.message);
+      }
+    }
+
+    const response = successResponse(await toClientTeam(team, userId), invitee
+      ? `Invite sent to ${invitee.name}`
+      : `Invite emailed to ${email}`);
+    res.status(201).json(response);
+  }),
+
+  // Withdraw a pending invite (team lead only)
+  revokeInvite: asyncHandler(async (req, res) => {
+    const { id, teamId, inviteId } = req.params;
+    const userId = req.user.id;
+
+    const team = mongoose.Types.ObjectId.isValid(teamId) && mongoose.Types.ObjectId.isValid(id)
+      ? await HackathonTeam.findOne({ _id: teamId, hackathonId: id })
+      : null;
+    const invite = team?.invites.id(inviteId);
+    if (!invite || invite.status !== 'PENDING') {
+      return res
+        .status(404)
+        .json(errorResponse('Invite not found', 'INVITE_NOT_FOUND'));
+    }
+
+    if (!isSameUser(team.leaderId, userId)) {
+      return res
+        .status(403)
+        .json(errorResponse('Only the team lead can withdraw invites', 'NOT_TEAM_LEADER'));
+    }
+
+    invite.status = 'REVOKED';
+    invite.respondedAt = new Date();
+    await team.save();
+
+    const response = successResponse(await toClientTeam(team, userId), 'Invite withdrawn');
+    res.json(response);
+  }),
+
+  // Accept a team invite. Registers the invitee first if needed, so the
+  // deadline and participant limit apply; a solo registrant just joins.
+  acceptInvite: asyncHandler(async (req, res) => {
+    const { id, teamId, inviteId } = req.params;
+    const userId = req.user.id;
+
+    const hackathon = await loadHackathon(id);
+    if (!hackathon) return sendHackathonNotFound(res);
+
+    const [team, user] = await Promise.all([
+      mongoose.Types.ObjectId.isValid(teamId) ? HackathonTeam.findOne({ _id: teamId, hackathonId: hackathon._id }) : null,
+      User.findById(userId).select('name email skills')
+    ]);
+    const invite = team?.invites.id(inviteId);
+    if (!invite || invite.status !== 'PENDING' || !isInvitedUser(invite, user)) {
+      return res
+        .status(404)
+        .json(errorResponse('Invite not found', 'INVITE_NOT_FOUND'));
+    }
+
+    if (isJudge(hackathon, userId)) {
+      return res
+        .status(409)
+        .json(errorResponse("Judges can't join a team for the hackathon they judge", 'JUDGE_CANNOT_REGISTER'));
+    }
+
+    let registration = await findMyRegistration(hackathon._id, userId);
+    if (registration?.teamId) {
+      return res
+        .status(409)
+        .json(errorResponse('Leave your current team before joining another', 'ALREADY_ON_TEAM'));
+    }
+
+    const isNewRegistration = !registration;
+    if (isNewRegistration) {
+      const result = await registerUser(hackathon, user, { lookingForTeam: false });
+      if (result.failure) {
+        return res
+          .status(result.failure.status)
+          .json(errorResponse(result.failure.message, result.failure.code));
+      }
+      registration = result.registration;
+    }
+
+    // The pending invite already holds this seat, so only a full roster blocks it
+    const joined = await HackathonTeam.updateOne({
+      _id: team._id,
+      invites: { $elemMatch: { _id: invite._id, status: 'PENDING' } },
+      $expr: { $lt: [{ $size: '$members' }, '$maxSize'] }
+    }, {
+      $addToSet: { members: user._id },
+      $set: {
+        'invites.$.status': 'ACCEPTED',
+        'invites.$.userId': user._id,
+        'invites.$.respondedAt': new Date()
+      }
+    });
+
+    if (joined.modifiedCount !== 1) {
+      if (isNewRegistration) await withdrawRegistration(registration);
+      return res
+        .status(409)
+        .json(errorResponse('This team is full or the invite is no longer open', 'TEAM_FULL'));
+    }
+
+    registration.teamId = team._id;
+    registration.lookingForTeam = false;
+    await registration.save();
+
+    await createNotification({
+      recipientId: team.leaderId,
+      type: 'HACKATHON_TEAM_UPDATED',
+      message: `${user.name} joined ${team.name} for ${hackathon.title}`,
+      actorName: user.name,
+      navigationPath: '/hackathons',
+      navigationState: { hackathonId: hackathon._id.toString() }
+    });
+
+    const updatedTeam = await HackathonTeam.findById(team._id);
+    const response = successResponse({
+      registration: toClientRegistration(registration),
+      team: await toClientTeam(updatedTeam, userId)
+    }, `You joined ${team.name}`);
+    res.json(response);
+  }),
+
+  // Decline a team invite
+  declineInvite: asyncHandler(async (req, res) => {
+    const { id, teamId, inviteId } = req.params;
+    const userId = req.user.id;
+
+    const [team, user] = await Promise.all([
+      mongoose.Types.ObjectId.isValid(teamId) && mongoose.Types.ObjectId.isValid(id)
+        ? HackathonTeam.findOne({ _id: teamId, hackathonId: id })
+        : null,
+      User.findById(userId).select('email')
+    ]);
+    const invite = team?.invites.id(inviteId);
+    if (!invite || invite.status !== 'PENDING' || !isInvitedUser(invite, user)) {
+      return res
+        .status(404)
+        .json(errorResponse('Invite not found', 'INVITE_NOT_FOUND'));
+    }
+
+    invite.status = 'DECLINED';
+    invite.userId = user._id;
+    invite.respondedAt = new Date();
+    await team.save();
+
+    const response = successResponse(null, 'Invite declined');
+    res.json(response);
+  }),
+
+  // Leave a team and go back to registering solo. A leaving lead hands the
+  // team to the next member.
+  leaveTeam: asyncHandler(async (req, res) => {
+    const { id, teamId } = req.params;
+    const userId = req.user.id;
+
+    const hackathon = await loadHackathon(id);
+    if (!hackathon) return sendHackathonNotFound(res);
+
+    const registration = await findMyRegistration(hackathon._id, userId);
+    if (!registration || !isSameUser(registration.teamId, teamId)) {
+      return res
+        .status(404)
+        .json(errorResponse("You aren't on this team", 'NOT_TEAM_MEMBER'));
+    }
+
+    // Go by the dates; the stored status can lag behind the scheduler
+    const status = hackathon.computeStatus();
+    if (['completed', 'cancelled'].includes(status)) {
+      return res
+        .status(409)
+        .json(errorResponse(`This hackathon is already ${status}`, 'HACKATHON_CLOSED'));
+    }
+
+    const { team, newLeaderId } = await leaveTeam(registration);
+    if (team && newLeaderId) {
+      const leaver = await User.findById(userId).select('name');
+      await createNotification({
+        recipientId: newLeaderId,
+        type: 'HACKATHON_TEAM_UPDATED',
+        message: `${leaver.name} left ${team.name}. You are now the team lead.`,
+        actorName: leaver.name,
+        navigationPath: '/hackathons',
+        navigationState: { hackathonId: hackathon._id.toString() }
+      });
+    }
+
+    const response = successResponse(toClientRegistration(registration), 'You left the team');
+    res.json(response);
+  })
+};
+
+export default hackathonRegistrationController;
@@ -0,0 +1,619 @@
+import mongoose from 'mongoose';
+import Hackathon, { MAX_RUBRIC_CRITERIA, JUDGING_WINDOW_MESSAGE } from '../../models/Hackathon.js';
+import HackathonRegistration from '../../models/HackathonRegistration.js';
+import HackathonSubmission from '../../models/HackathonSubmission.js';
+import User from '../../models/User.js';
+import { createNotification } from './notificationController.js';
+import { getStorage } from '../services/storage/index.js';
+import { inspectAttachment, storeAttachments, removeAttachmentFiles } from '../services/attachmentService.js';
+import { scoreScorecard, averageScore, buildLeaderboard } from '../services/judgingService.js';
+import { MAX_SUBMISSION_ASSETS } from '../../middleware/upload.js';
+import {
+  successResponse,
+  errorResponse,
+  asyncHandler,
+  sanitizeInput,
+  isValidEmail,
+} from '../../utils/helpers.js';
+
+const MEMBER_FIELDS = 'name avatar title';
+
+const isSameUser = (a, b) => Boolean(a && b) && a.toString() === b.toString();
+
+const isOrganizer = (hackathon, userId) => isSameUser(hackathon.organizerId, userId);
+
+const isJudge = (hackathon, userId) => hackathon.judges.some(judge => isSameUser(judge._id || judge, userId));
+
+// Organizer and judges see submissions and scores before results are out
+const isStaff = (hackathon, userId) => Boolean(userId) && (isOrganizer(hackathon, userId) || isJudge(hackathon, userId));
+
+const loadHackathon = (id) => (mongoose.Types.ObjectId.isValid(id) ? Hackathon.findById(id) : null);
+
+const sendHackathonNotFound = (res) => res
+  .status(404)
+  .json(errorResponse('Hackathon not found', 'HACKATHON_NOT_FOUND'));
+
+const sendValidationError = (res, err) => res
+  .status(400)
+  .json(errorResponse(Object.values(err.errors)[0].message, 'VALIDATION_ERROR'));
+
+// Teams submit once between them; solo registrants submit on their own
+const getEntrantKey = (registration) => (registration.teamId
+  ? `team:${registration.teamId}`
+  : `user:${registration.userId}`);
+
+const findEntrantSubmission = async (hackathonId, userId) => {
+  const registration = await HackathonRegistration.findOne({ hackathonId, userId });
+  if (!registration) return { registration: null, submission: null };
+  const submission = await HackathonSubmission.findOne({ hackathonId, entrantKey: getEntrantKey(registration) });
+  return { registration, submission };
+};
+
+// Works for queries and documents alike
+const SUBMISSION_POPULATE = [
+  { path: 'teamId', select: 'name' },
+  { path: 'submittedBy', select: MEMBER_FIELDS },
+  { path: 'scorecards.judgeId', select: MEMBER_FIELDS }
+];
+
+/**
+ * Shapes a submission for the viewer. The organizer sees every scorecard,
+ * a judge only their own, and everyone else none.
+ */
+const toClientSubmission = (submission, hackathon, userId) => {
+  const { assets = [], scorecards = [], teamId, entrantKey, ...data } = submission.toObject();
+  const visibleScorecards = isOrganizer(hackathon, userId)
+    ? scorecards
+    : scorecards.filter(card => isSameUser(card.judgeId?._id || card.judgeId, userId));
+  return {
+    ...data,
+    team: teamId,
+    assets: assets.map(({ storageKey, thumbnailKey, storageDriver, ...asset }) => asset),
+    judgeCount: scorecards.length,
+    averageScore: isStaff(hackathon, userId) || hackathon.status === 'completed' ? data.averageScore : null,
+    scorecards: visibleScorecards
+  };
+};
+
+// Project fields present in the body; links are checked by the model
+const readSubmissionInput = (body) => {
+  const values = {};
+  for (const field of ['title', 'description', 'repoUrl', 'demoUrl']) {
+    if (body[field] !== undefined) values[field] = sanitizeInput(String(body[field]));
+  }
+  return values;
+};
+
+/**
+ * Reads a rubric from the request, keeping criterion ids that already exist
+ * so scores stay attached to them
+ * @returns {{rubric: Array<object>, error: (string|null)}}
+ */
+const readRubric = (input, current) => {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { rubric: [], error: 'A rubric needs at least one criterion' };
+  }
+  if (input.length > MAX_RUBRIC_CRITERIA) {
+    return { rubric: [], error: `A rubric can have at most ${MAX_RUBRIC_CRITERIA} criteria` };
+  }
+
+  const rubric = [];
+  for (const criterion of input) {
+    const name = sanitizeInput(String(criterion?.name || ''));
+    const weight = Number(criterion?.weight);
+    const maxScore = criterion?.maxScore === undefined ? 10 : Number(criterion.maxScore);
+    if (!name) return { rubric: [], error: 'Every criterion needs a name' };
+    if (!Number.isInteger(weight) || !Number.isInteger(maxScore)) {
+      return { rubric: [], error: `Weight and max score for "${name}" must be whole numbers` };
+    }
+    const existing = criterion._id && current.find(entry => isSameUser(entry._id, criterion._id));
+    rubric.push({
+      ...(existing ? { _id: existing._id } : {}),
+      name,
+      description: sanitizeInput(String(criterion.description || '')),
+      weight,
+      maxScore
+    });
+  }
+  return { rubric, error: null };
+};
+
+// Pipe a stored file to the response as a download
+const streamStoredFile = async (res, asset) => {
+  let stream;
+  try {
+    stream = await getStorage().createReadStream(asset.storageKey);
+  } catch (err) {
+    console.error(`Stored submission asset missing at ${asset.storageKey}:`, err.message);
+    return res
+      .status(404)
+      .json(errorResponse('File content is no longer available', 'FILE_CONTENT_MISSING'));
+  }
+
+  res.attachment(asset.originalName);
+  res.set({
+    'Content-Type': asset.mimeType,
+    'Content-Length': String(asset.size),
+    'X-Content-Type-Options': 'nosniff'
+  });
+  stream.on('error', (err) => {
+    console.error(`Error streaming submission asset ${asset.storageKey}:`, err.message);
+    res.destroy(err);
+  });
+  stream.pipe(res);
+};
+
+const hackathonSubmissionController = {
+  // Replace the judging rubric (organizer only). Locked once any
+  // submission has been scored, so every scorecard uses the same rubric.
+  updateRubric: asyncHandler(async (req, res) => {
+    const hackathon = await loadHackathon(req.params.id);
+    if (!hackathon) return sendHackathonNotFound(res);
+
+    if (!isOrganizer(hackathon, req.user.id)) {
+      return res
+        .status(403)
+        .json(errorResponse('Only the organizer can edit the rubric', 'NOT_HACKATHON_ORGANIZER'));
+    }
+
+    if (hackathon.status === 'cancelled') {
+      return res
+        .status(409)
+        .json(errorResponse('This hackathon was cancelled', 'HACKATHON_CLOSED'));
+    }
+
+    if (await HackathonSubmission.exists({ hackathonId: hackathon._id, 'scorecards.0': { $exists: true } })) {
+      return res
+        .status(409)
+        .json(errorResponse("The rubric can't change once judges have started scoring", 'RUBRIC_LOCKED'));
+    }
+
+    const { rubric, error } = readRubric(req.body.rubric, hackathon.rubric);
+    if (error) {
+      return res
+        .status(400)
+        .json(errorResponse(error, 'INVALID_RUBRIC'));
+    }
+
+    hackathon.rubric = rubric;
+    try {
+      await hackathon.save();
+    } catch (err) {
+      if (err.name === 'ValidationError') return sendValidationError(res, err);
+      throw err;
+    }
+
+    const response = successResponse(hackathon.rubric, 'Rubric saved successfully');
+    res.json(response);
+  }),
+
+  // Judges assigned to a hackathon
+  getJudges: asyncHandler(async (req, res) => {
+    const hackathon = await loadHackathon(req.params.id);
+    if (!hackathon) return sendHackathonNotFound(res);
+
+    await hackathon.populate('judges', MEMBER_FIELDS);
+
+    const response = successResponse(hackathon.judges, 'Judges retrieved successfully');
+    res.json(response);
+  }),
+
+  // Assign a judge by user id or email (organizer only). Participants
+  // can't judge the hackathon they take part in.
+  addJudge: asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+
+    const hackathon = await loadHackathon(req.params.id);
+    if (!hackathon) return sendHackathonNotFound(res);
+
+    if (!isOrganizer(hackathon, userId)) {
+      return res
+        .status(403)
+        .json(errorResponse('Only the organizer can assign judges', 'NOT_HACKATHON_ORGANIZER'));
+    }
+
+    if (['completed', 'cancelled'].includes(hackathon.status)) {
+      return res
+        .status(409)
+        .json(errorResponse(`This hackathon is already ${hackathon.status}`, 'HACKATHON_CLOSED'));
+    }
+
+    if (!hackathon.hasJudgingWindow()) {
+      return res
+        .status(409)
+        .json(errorResponse(JUDGING_WINDOW_MESSAGE, 'NO_JUDGING_WINDOW'));
+    }
+
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    const judgeId = req.body.userId;
+    if (!email && !judgeId) {
+      return res
+        .status(400)
+        .json(errorResponse('An email address or user ID is required', 'MISSING_FIELDS'));
+    }
+    if (email && !isValidEmail(email)) {
+      return res
+        .status(400)
+        .json(errorResponse('Invalid email address', 'INVALID_EMAIL'));
+    }
+    if (judgeId && !mongoose.Types.ObjectId.isValid(judgeId)) {
+      return res
+        .status(400)
+        .json(errorResponse('Invalid user ID', 'INVALID_USER'));
+    }
+
+    const judge = judgeId
+      ? await User.findById(judgeId).select(MEMBER_FIELDS)
+      : await User.findOne({ email }).select(MEMBER_FIELDS);
+    if (!judge) {
+      return res
+        .status(404)
+        .json(errorResponse('No user found with those details', 'USER_NOT_FOUND'));
+    }
+
+    if (isJudge(hackathon, judge._id)) {
+      return res
+        .status(409)
+        .json(errorResponse(`${judge.name} is already a judge`, 'ALREADY_JUDGE'));
+    }
+
+    if (await HackathonRegistration.exists({ hackathonId: hackathon._id, userId: judge._id })) {
+      return res
+        .status(409)
+        .json(errorResponse(`${judge.name} is registered for this hackathon and can't judge it`, 'JUDGE_IS_PARTICIPANT'));
+    }
+
+    await Hackathon.updateOne({ _id: hackathon._id }, { $addToSet: { judges: judge._id } });
+
+    if (!isSameUser(judge._id, userId)) {
+      await createNotification({
+        recipientId: judge._id,
+        type: 'HACKATHON_JUDGE_ASSIGNED',
+        message: `You were added as a judge for ${hackathon.title}`,
+        navigationPath: '/hackathons',
+        navigationState: { hackathonId: hackathon._id.toString() }
+      });
+    }
+
+    const response = successResponse(judge, `${judge.name} is now a judge`);
+    res.status(201).json(response);
+  }),
+
+  // Remove a judge who hasn't scored anything yet (organizer only)
+  removeJudge: asyncHandler(async (req, res) => {
+    const { id, userId: judgeId } = req.params;
+
+    const hackathon = await loadHackathon(id);
+    if (!hackathon) return sendHackathonNotFound(res);
+
+    if (!isOrganizer(hackathon, req.user.id)) {
+      return res
+        .status(403)
+        .json(errorResponse('Only the organizer can remove judges', 'NOT_HACKATHON_ORGANIZER'));
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(judgeId) || !isJudge(hackathon, judgeId)) {
+      return res
+        .status(404)
+        .json(errorResponse('Judge not found', 'JUDGE_NOT_FOUND'));
+    }
+
+    if (await HackathonSubmission.exists({ hackathonId: hackathon._id, 'scorecards.judgeId': judgeId })) {
+      return res
+        .status(409)
+        .json(errorResponse('This judge has already scored submissions', 'JUDGE_HAS_SCORES'));
+    }
+
+    await Hackathon.updateOne({ _id: hackathon._id }, { $pull: { judges: judgeId } });
+
+    const response = successResponse(null, 'Judge removed');
+    res.json(response);
+  }),
+
+  // Every submission, oldest first. Open to the organizer and judges, and
+  // to everyone once the hackathon is completed.
+  getSubmissions: asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+
+    const hackathon = await loadHackathon(req.params.id);
+    if (!hackathon) return sendHackathonNotFound(res);
+
+    if (hackathon.status !== 'completed' && !isStaff(hackathon, userId)) {
+      return res
+        .status(403)
+        .json(errorResponse('Submissions are shared once the hackathon is completed', 'SUBMISSIONS_HIDDEN'));
+    }
+
+    const submissions = await HackathonSubmission.find({ hackathonId: hackathon._id })
+      .sort({ createdAt: 1, _id: 1 })
+      .populate(SUBMISSION_POPULATE);
+
+    const response = successResponse(
+      submissions.map(submission => toClientSubmission(submission, hackathon, userId)),
+      'Submissions retrieved successfully'
+    );
+    res.json(response);
+  }),
+
+  // The viewer's own (or their team's) submission, or null
+  getMySubmission: asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+
+    const hackathon = await loadHackathon(req.params.id);
+    if (!hackathon) return sendHackathonNotFound(res);
+
+    const { registration, submission } = await findEntrantSubmission(hackathon._id, userId);
+    if (!registration) {
+      return res
+        .status(404)
+        .json(errorResponse("You aren't registered for this hackathon", 'NOT_REGISTERED'));
+    }
+
+    if (submission) await submission.populate(SUBMISSION_POPULATE);
+
+    const response = successResponse(
+      submission ? toClientSubmission(submission, hackathon, userId) : null,
+      'Submission retrieved successfully'
+    );
+    res.json(response);
+  }),
+
+  // Create or update the viewer's submission while submissions are open.
+  // Sent as multipart form data; files in `files` are added as assets.
+  saveMySubmission: asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+    const incoming = req.files || [];
+
+    const hackathon = await loadHackathon(req.params.id);
+    if (!hackathon) return sendHackathonNotFound(res);
+
+    const { registration, submission: existing } = await findEntrantSubmission(hackathon._id, userId);
+    if (!registration) {
+      return res
+        .status(403)
+        .json(errorResponse('Register for this hackathon before submitting', 'NOT_REGISTERED'));
+    }
+
+    if (!hackathon.isSubmissionOpen()) {
+      return res
+        .status(409)
+        .json(errorResponse('Submissions for this hackathon are closed', 'SUBMISSIONS_CLOSED'));
+    }
+
+    const values = readSubmissionInput(req.body);
+    if (!existing && (!values.title || !values.description)) {
+      return res
+        .status(400)
+        .json(errorResponse('Project title and description are required', 'MISSING_FIELDS'));
+    }
+
+    const assetCount = (existing?.assets.length || 0) + incoming.length;
+    if (assetCount > MAX_SUBMISSION_ASSETS) {
+      return res
+        .status(400)
+        .json(errorResponse(`A submission can have at most ${MAX_SUBMISSION_ASSETS} files`, 'TOO_MANY_FILES'));
+    }
+
+    const checked = await Promise.all(incoming.map(async file => ({ file, ...(await inspectAttachment(file)) })));
+    const errors = checked.filter(({ error }) => error).map(({ error }) => error);
+    if (errors.length > 0) {
+      return res
+        .status(400)
+        .json(errorResponse(errors[0], 'INVALID_ATTACHMENT', { errors }));
+    }
+
+    const submission = existing || new HackathonSubmission({
+      hackathonId: hackathon._id,
+      teamId: registration.teamId,
+      entrantKey: getEntrantKey(registration),
+      submittedBy: userId
+    });
+    const assets = await storeAttachments(submission._id, checked, 'hackathon-submissions');
+
+    submission.set(values);
+    submission.assets.push(...assets);
+    if (existing) submission.lastEditedBy = userId;
+
+    try {
+      await submission.save();
+    } catch (err) {
+      await removeAttachmentFiles(assets);
+      if (err.name === 'ValidationError') return sendValidationError(res, err);
+      if (err.code === 11000) {
+        return res
+          .status(409)
+          .json(errorResponse('Your team has already submitted; refresh to edit it', 'ALREADY_SUBMITTED'));
+      }
+      throw err;
+    }
+
+    await submission.populate(SUBMISSION_POPULATE);
+    const response = successResponse(
+      toClientSubmission(submission, hackathon, userId),
+      existing ? 'Submission updated successfully' : 'Project submitted successfully'
+    );
+    res.status(existing ? 200 : 201).json(response);
+  }),
+
+  // Remove one asset from the viewer's submission while submissions are open
+  removeMyAsset: asyncHandler(async (req, res) => {
+    const { id, assetId } = req.params;
+    const userId = req.user.id;
+
+    const hackathon = await loadHackathon(id);
+    if (!hackathon) return sendHackathonNotFound(res);
+
+    const { submission } = await findEntrantSubmission(hackathon._id, userId);
+    const asset = submission && mongoose.Types.ObjectId.isValid(assetId) ? submission.assets.id(assetId) : null;
+    if (!asset) {
+      return res
+        .status(404)
+        .json(errorResponse('File not found', 'ASSET_NOT_FOUND'));
+    }
+
+    if (!hackathon.isSubmissionOpen()) {
+      return res
+        .status(409)
+        .json(errorResponse('Submissions for this hackathon are closed', 'SUBMISSIONS_CLOSED'));
+    }
+
+    submission.assets.pull(asset._id);
+    submission.lastEditedBy = userId;
+    await submission.save();
+    await removeAttachmentFiles([asset]);
+
+    await submission.populate(SUBMISSION_POPULATE);
+    const response = successResponse(toClientSubmission(submission, hackathon, userId), 'File removed');
+    res.json(response);
+  }),
+
+  // Download a submission asset. Open to the entrant, the organizer and
+  // judges, and to everyone once the hackathon is completed.
+  downloadAsset: asyncHandler(async (req, res) => {
+    const { id, submissionId, assetId } = req.params;
+    const userId = req.user?.id;
+
+    const hackathon = await loadHackathon(id);
+    if (!hackathon) return sendHackathonNotFound(res);
+
+    const submission = mongoose.Types.ObjectId.isValid(submissionId)
+      ? await HackathonSubmission.findOne({ _id: submissionId, hackathonId: hackathon._id })
+      : null;
+    const asset = submission && mongoose.Types.ObjectId.isValid(assetId) ? submission.assets.id(assetId) : null;
+    if (!asset) {
+      return res
+        .status(404)
+        .json(errorResponse('File not found', 'ASSET_NOT_FOUND'));
+    }
+
+    let allowed = hackathon.status === 'completed' || isStaff(hackathon, userId);
+    if (!allowed && userId) {
+      const registration = await HackathonRegistration.findOne({ hackathonId: hackathon._id, userId });
+      allowed = Boolean(registration) && getEntrantKey(registration) === submission.entrantKey;
+    }
+    if (!allowed) {
+      return res
+        .status(403)
+        .json(errorResponse('You do not have access to this file', 'ACCESS_DENIED'));
+    }
+
+    await streamStoredFile(res, asset);
+  }),
+
+  // Score a submission against the rubric (judges only, once submissions
+  // close). Scoring again replaces the judge's previous scorecard.
+  scoreSubmission: asyncHandler(async (req, res) => {
+    const { id, submissionId } = req.params;
+    const userId = req.user.id;
+
+    const hackathon = await loadHackathon(id);
+    if (!hackathon) return sendHackathonNotFound(res);
+
+    if (!isJudge(hackathon, userId)) {
+      return res
+        .status(403)
+        .json(errorResponse('Only judges can score submissions', 'NOT_JUDGE'));
+    }
+
+    // Scores are final once the results are public. The stored status can lag
+    // behind the scheduler, so go by the dates.
+    const status = hackathon.computeStatus();
+    if (['completed', 'cancelled'].includes(status)) {
+      return res
+        .status(409)
+        .json(errorResponse(`This hackathon is already ${status}`, 'HACKATHON_CLOSED'));
+    }
+
+    if (new Date() <= hackathon.getSubmissionDeadline()) {
+      return res
+        .status(409)
+        .json(errorResponse('Judging starts once submissions close', 'JUDGING_NOT_OPEN'));
+    }
+
+    if (hackathon.rubric.length === 0) {
+      return res
+        .status(409)
+        .json(errorResponse("The organizer hasn't set up a rubric yet", 'NO_RUBRIC'));
+    }
+
+    const submission = mongoose.Types.ObjectId.isValid(submissionId)
+      ? await HackathonSubmission.findOne({ _id: submissionId, hackathonId: hackathon._id })
+      : null;
+    if (!submission) {
+      return res
+        .status(404)
+        .json(errorResponse('Submission not found', 'SUBMISSION_NOT_FOUND'));
+    }
+
+    const { scores, total, error } = scoreScorecard(hackathon.rubric, req.body.scores);
+    if (error) {
+      return res
+        .status(400)
+        .json(errorResponse(error, 'INVALID_SCORES'));
+    }
+
+    const comment = typeof req.body.comment === 'string' ? sanitizeInput(req.body.comment) : '';
+    const scorecard = submission.scorecards.find(card => isSameUser(card.judgeId, userId));
+    if (scorecard) {
+      scorecard.set({ scores, total, comment });
+    } else {
+      submission.scorecards.push({ judgeId: userId, scores, total, comment });
+    }
+    submission.averageScore = averageScore(submission.scorecards);
+
+    try {
+      await submission.save();
+    } catch (err) {
+      if (err.name === 'ValidationError') return sendValidationError(res, err);
+      throw err;
+    }
+
+    await submission.populate(SUBMISSION_POPULATE);
+    const response = successResponse(toClientSubmission(submission, hackathon, userId), 'Scores saved');
+    res.json(response);
+  }),
+
+  // Ranked results. Published once the hackathon is completed; the
+  // organizer and judges can preview them earlier.
+  getLeaderboard: asyncHandler(async (req, res) => {
+    const userId = req.user?.id;
+
+    const hackathon = await loadHackathon(req.params.id);
+    if (!hackathon) return sendHackathonNotFound(res);
+
+    const published = hackathon.status === 'completed';
+    if (!published && !isStaff(hackathon, userId)) {
+      return res
+        .status(403)
+        .json(errorResponse('Results are published once the hackathon is completed', 'LEADERBOARD_NOT_PUBLISHED'));
+    }
+
+    const submissions = await HackathonSubmission.find({ hackathonId: hackathon._id })
+      .select('-assets')
+      .populate('teamId', 'name')
+      .populate('submittedBy', MEMBER_FIELDS);
+
+    const entries = buildLeaderboard(hackathon, submissions).map(({ submission, ...entry }) => ({
+      ...entry,
+      submission: {
+        _id: submission._id,
+        title: submission.title,
+        team: submission.teamId,
+        submittedBy: submission.submittedBy,
+        repoUrl: submission.repoUrl,
+        demoUrl: submission.demoUrl,
+        createdAt: submission.createdAt
+      }
+    }));
+
+    const response = successResponse({
+      published,
+      rubric: hackathon.rubric,
+      judgeCount: hackathon.judges.length,
+      entries
+    }, 'Leaderboard retrieved successfully');
+    res.json(response);
+  })
+};
+
+export default hackathonSubmissionController;
@@ -0,0 +1,248 @@
+import mongoose from 'mongoose';
+import Message from '../../models/Message.js';
+import User from '../../models/User.js';
+import { findProjectForMember } from '../../utils/projectAccess.js';
+import { emitToProject } from '../../utils/socket.js';
+import {
+  successResponse,
+  errorResponse,
+  asyncHandler,
+  sanitizeInput,
+} from '../../utils/helpers.js';
+
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+
+// Hide the body of soft-deleted messages but keep their place in the thread
+const toClientMessage = (message) => {
+  const data = message.toObject ? message.toObject() : { ...message };
+  if (data.isDeleted) {
+    data.content = '';
+    data.reactions = [];
+  }
+  if (data.replyTo && typeof data.replyTo === 'object' && data.replyTo.isDeleted) {
+    data.replyTo = { ...data.replyTo, content: '' };
+  }
+  return data;
+};
+
+const populateReply = (query) => query.populate('replyTo', 'senderId senderName content isDeleted');
+
+const findProjectMessage = async (projectId, messageId) => {
+  if (!mongoose.Types.ObjectId.isValid(messageId)) return null;
+  return Message.findOne({ _id: messageId, projectId });
+};
+
+const messageController = {
+  // Get paginated chat history for a project (newest page first, oldest-to-newest inside a page)
+  getMessages: asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { before } = req.query;
+    const userId = req.user.id;
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+    const { error, status } = await findProjectForMember(id, userId);
+    if (error) {
+      return res.status(status).json(error);
+    }
+
+    const filter = { projectId: id };
+    if (before) {
+      if (!mongoose.Types.ObjectId.isValid(before)) {
+        return res
+          .status(400)
+          .json(errorResponse('Invalid cursor', 'INVALID_CURSOR'));
+      }
+      filter._id = { $lt: before };
+    }
+
+    // Fetch one extra document to know whether an older page exists
+    const page = await populateReply(
+      Message.find(filter).sort({ _id: -1 }).limit(limit + 1)
+    );
+
+    const hasMore = page.length > limit;
+    const messages = page.slice(0, limit).reverse().map(toClientMessage);
+
+    const response = successResponse(
+      {
+        messages,
+        hasMore,
+        nextCursor: hasMore && messages.length > 0 ? messages[0]._id : null
+      },
+      'Messages retrieved successfully'
+    );
+    res.json(response);
+  }),
+
+  // Post a new message to the project chat
+  sendMessage: asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { content, replyTo, type } = req.body;
+    const senderId = req.user.id;
+
+    const { error, status } = await findProjectForMember(id, senderId);
+    if (error) {
+      return res.status(status).json(error);
+    }
+
+    const text = sanitizeInput(content || '');
+    if (!text) {
+      return res
+        .status(400)
+        .json(errorResponse('Message content is required', 'MISSING_CONTENT'));
+    }
+
+    if (replyTo) {
+      const parent = await findProjectMessage(id, replyTo);
+      if (!parent) {
+        return res
+          .status(400)
+          .json(errorResponse('Replied message not found in this project', 'INVALID_REPLY'));
+      }
+    }
+
+    const sender = await User.findById(senderId);
+    if (!sender) {
+      return res
+        .status(404)
+        .json(errorResponse('User not found', 'USER_NOT_FOUND'));
+    }
+
+    const created = await Message.create({
+      projectId: id,
+      senderId,
+      senderName: sender.name,
+      content: text,
+      type: type === 'system' ? 'text' : (type || 'text'),
+      replyTo: replyTo || null
+    });
+
+    const message = toClientMessage(await populateReply(Message.findById(created._id)));
+    emitToProject(id, 'message:new', message);
+
+    const response = successResponse(message, 'Message sent successfully');
+    res.status(201).json(response);
+  }),
+
+  // Edit the content of a message (sender only)
+  updateMessage: asyncHandler(async (req, res) => {
+    const { id, messageId } = req.params;
+    const { content } = req.body;
+    const userId = req.user.id;
+
+    const { error, status } = await findProjectForMember(id, userId);
+    if (error) {
+      return res.status(status).json(error);
+    }
+
+    const message = await findProjectMessage(id, messageId);
+    if (!message || message.isDeleted) {
+      return res
+        .status(404)
+        .json(errorResponse('Message not found', 'MESSAGE_NOT_FOUND'));
+    }
+
+    if (message.senderId.toString() !== userId.toString()) {
+      return res
+        .status(403)
+        .json(errorResponse('You can only edit your own messages', 'NOT_MESSAGE_SENDER'));
+    }
+
+    const text = sanitizeInput(content || '');
+    if (!text) {
+      return res
+        .status(400)
+        .json(errorResponse('Message content is required', 'MISSING_CONTENT'));
+    }
+
+    message.content = text;
+    message.editedAt = new Date();
+    await message.save();
+
+    const updated = toClientMessage(await populateReply(Message.findById(message._id)));
+    emitToProject(id, 'message:updated', updated);
+
+    const response = successResponse(updated, 'Message updated successfully');
+    res.json(response);
+  }),
+
+  // Soft-delete a message (sender or project owner)
+  deleteMessage: asyncHandler(async (req, res) => {
+    const { id, messageId } = req.params;
+    const userId = req.user.id;
+
+    const { project, error, status } = await findProjectForMember(id, userId);
+    if (error) {
+      return res.status(status).json(error);
+    }
+
+    const message = await findProjectMessage(id, messageId);
+    if (!message || message.isDeleted) {
+      return res
+        .status(404)
+        .json(errorResponse('Message not found', 'MESSAGE_NOT_FOUND'));
+    }
+
+    const isSender = message.senderId.toString() === userId.toString();
+    const isOwner = project.ownerId && project.ownerId.toString() === userId.toString();
+    if (!isSender && !isOwner) {
+      return res
+        .status(403)
+        .json(errorResponse('You can only delete your own messages', 'NOT_MESSAGE_SENDER'));
+    }
+
+    message.isDeleted = true;
+    message.deletedAt = new Date();
+    await message.save();
+
+    emitToProject(id, 'message:deleted', { _id: message._id, projectId: id });
+
+    const response = successResponse({ _id: message._id }, 'Message deleted successfully');
+    res.json(response);
+  }),
+
+  // Toggle an emoji reaction for the current user
+  toggleReaction: asyncHandler(async (req, res) => {
+    const { id, messageId } = req.params;
+    const { emoji } = req.body;
+    const userId = req.user.id;
+
+    const { error, status } = await findProjectForMember(id, userId);
+    if (error) {
+      return res.status(status).json(error);
+    }
+
+    if (!emoji) {
+      return res
+        .status(400)
+        .json(errorResponse('Emoji is required', 'MISSING_EMOJI'));
+    }
+
+    const message = await findProjectMessage(id, messageId);
+    if (!message || message.isDeleted) {
+      return res
+        .status(404)
+        .json(errorResponse('Message not found', 'MESSAGE_NOT_FOUND'));
+    }
+
+    const existing = message.reactions.find(
+      r => r.userId && r.userId.toString() === userId.toString() && r.emoji === emoji
+    );
+
+    if (existing) {
+      message.reactions.pull(existing._id);
+    } else {
+      message.reactions.push({ userId, emoji });
+    }
+    await message.save();
+
+    const updated = toClientMessage(await populateReply(Message.findById(message._id)));
+    emitToProject(id, 'message:updated', updated);
+
+    const response = successResponse(updated, 'Reaction updated successfully');
+    res.json(response);
+  })
+};
+
+export default messageController;
@@ -0,0 +1,298 @@
+import mongoose from 'mongoose';
+import Report, { REPORT_TARGET_TYPES, REPORT_REASONS, REPORT_STATUSES } from '../../models/Report.js';
+import ModerationLog, { MODERATION_ACTIONS } from '../../models/ModerationLog.js';
+import User from '../../models/User.js';
+import {
+  REPORT_ACTIONS,
+  findReportTarget,
+  describeTarget,
+  loadReportTargets,
+  applyReportAction,
+  recordModerationAction
+} from '../services/moderationService.js';
+import {
+  successResponse,
+  errorResponse,
+  asyncHandler,
+  sanitizeInput,
+  encodeCursor,
+  decodeCursor,
+} from '../../utils/helpers.js';
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+const USER_FIELDS = 'name avatar title role status';
+
+const parseLimit = (value) => Math.min(Math.max(parseInt(value, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+// Newest first, paged on _id; null if the cursor is malformed
+const readCursor = (cursor) => {
+  if (!cursor) return {};
+  const position = decodeCursor(cursor);
+  return position && mongoose.Types.ObjectId.isValid(position.id) ? { _id: { $lt: position.id } } : null;
+};
+
+const cleanNote = (value) => (typeof value === 'string' ? sanitizeInput(value).slice(0, 1000) : '');
+
+const moderationController = {
+  // Report a post, comment, project or profile to the moderators
+  createReport: asyncHandler(async (req, res) => {
+    const { targetType, targetId, reason } = req.body;
+    const details = cleanNote(req.body.details);
+
+    if (!REPORT_TARGET_TYPES.includes(targetType)) {
+      return res
+        .status(400)
+        .json(errorResponse('Invalid report target', 'INVALID_TARGET_TYPE', { allowed: REPORT_TARGET_TYPES }));
+    }
+
+    if (!REPORT_REASONS.includes(reason)) {
+      return res
+        .status(400)
+        .json(errorResponse('Please choose a reason', 'INVALID_REASON', { allowed: REPORT_REASONS }));
+    }
+
+    const found = await findReportTarget(targetType, targetId);
+    if (!found) {
+      return res
+        .status(404)
+        .json(errorResponse('The content you reported no longer exists', 'TARGET_NOT_FOUND'));
+    }
+
+    if (found.ownerId && found.ownerId.toString() === req.user.id.toString()) {
+      return res
+        .status(400)
+        .json(errorResponse('You cannot report your own content', 'CANNOT_REPORT_SELF'));
+    }
+
+    try {
+      const report = await Report.create({
+        reporterId: req.user.id,
+        targetType,
+        targetId: found.target._id,
+        targetUserId: found.ownerId || null,
+        postId: targetType === 'comment' ? found.target.postId : null,
+        reason,
+        details
+      });
+
+      const response = successResponse(
+        { _id: report._id, status: report.status },
+        'Thanks, a moderator will review your report'
+      );
+      res.status(201).json(response);
+    } catch (err) {
+      if (err.code === 11000) {
+        return res
+          .status(409)
+          .json(errorResponse('You have already reported this', 'ALREADY_REPORTED'));
+      }
+      throw err;
+    }
+  }),
+
+  // Moderator queue, newest first. Filters by status (OPEN by default) and
+  // target type; every report comes with a preview of its target and how
+  // many open reports that target has.
+  getReports: asyncHandler(async (req, res) => {
+    const { targetType } = req.query;
+    const status = REPORT_STATUSES.includes(req.query.status) ? req.query.status : 'OPEN';
+    const limit = parseLimit(req.query.limit);
+
+    const filter = { status };
+    if (REPORT_TARGET_TYPES.includes(targetType)) filter.targetType = targetType;
+
+    const pageFilter = readCursor(req.query.cursor);
+    if (!pageFilter) {
+      return res
+        .status(400)
+        .json(errorResponse('Invalid cursor', 'INVALID_CURSOR'));
+    }
+
+    const [page, total] = await Promise.all([
+      Report.find({ ...filter, ...pageFilter })
+        .sort({ _id: -1 })
+        .limit(limit + 1)
+        .populate('reporterId', USER_FIELDS)
+        .populate('targetUserId', USER_FIELDS)
+        .populate('resolvedBy', 'name'),
+      Report.countDocuments(filter)
+    ]);
+
+    const hasMore = page.length > limit;
+    const reports = page.slice(0, limit);
+
+    const [targets, openCounts] = await Promise.all([
+      loadReportTargets(reports),
+      Report.aggregate([
+        { $match: { status: 'OPEN', targetId: { $in: reports.map(report => report.targetId) } } },
+        { $group: { _id: { type: '$targetType', id: '$targetId' }, count: { $sum: 1 } } }
+      ])
+    ]);
+    const countByTarget = new Map(openCounts.map(({ _id, count }) => [`${_id.type}:${_id.id}`, count]));
+
+    const data = reports.map(report => {
+      const key = `${report.targetType}:${report.targetId}`;
+      const { reporterId, targetUserId, ...rest } = report.toObject();
+      return {
+        ...rest,
+        reporter: reporterId,
+        targetUser: targetUserId,
+        target: describeTarget(report.targetType, targets.get(key)),
+        openReportsOnTarget: countByTarget.get(key) || 0,
+        availableActions: report.status === 'OPEN' ? REPORT_ACTIONS[report.targetType] : []
+      };
+    });
+
+    const response = successResponse(data, 'Reports retrieved successfully');
+    res.json({
+      ...response,
+      pagination: {
+        total,
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor({ id: reports[reports.length - 1]._id }) : null
+      }
+    });
+  }),
+
+  // Act on an open report: HIDE, DELETE, WARN, SUSPEND or DISMISS.
+  // Closes every open report on the same target.
+  resolveReport: asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { action } = req.body;
+    const note = cleanNote(req.body.note);
+
+    const report = mongoose.Types.ObjectId.isValid(id) ? await Report.findById(id) : null;
+    if (!report) {
+      return res
+        .status(404)
+        .json(errorResponse('Report not found', 'REPORT_NOT_FOUND'));
+    }
+
+    if (report.status !== 'OPEN') {
+      return res
+        .status(409)
+        .json(errorResponse('This report has already been handled', 'REPORT_CLOSED'));
+    }
+
+    const allowed = REPORT_ACTIONS[report.targetType];
+    if (!allowed.includes(action)) {
+      return res
+        .status(400)
+        .json(errorResponse('Invalid action for this report', 'INVALID_ACTION', { allowed }));
+    }
+
+    if (action === 'SUSPEND' && !note) {
+      return res
+        .status(400)
+        .json(errorResponse('Please give a reason for the suspension', 'MISSING_NOTE'));
+    }
+
+    const { error, log } = await applyReportAction(report, req.user, action, note);
+    if (error) {
+      return res
+        .status(error.status)
+        .json(errorResponse(error.message, error.code));
+    }
+
+    const response = successResponse(
+      { action, resolvedReports: log.reportIds.length, logId: log._id },
+      'Report resolved successfully'
+    );
+    res.json(response);
+  }),
+
+  // Lift a suspension
+  reinstateUser: asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const note = cleanNote(req.body.note);
+
+    const user = mongoose.Types.ObjectId.isValid(id) ? await User.findById(id) : null;
+    if (!user) {
+      return res
+        .status(404)
+        .json(errorResponse('User not found', 'USER_NOT_FOUND'));
+    }
+
+    if (user.status !== 'suspended') {
+      return res
+        .status(409)
+        .json(errorResponse('This account is not suspended', 'NOT_SUSPENDED'));
+    }
+
+    user.status = 'active';
+    user.suspendedAt = null;
+    user.suspensionReason = '';
+    await user.save();
+
+    await recordModerationAction({
+      moderatorId: req.user.id,
+      action: 'REINSTATE',
+      targetType: 'user',
+      targetId: user._id,
+      targetUserId: user._id,
+      note
+    });
+
+    const response = successResponse({ _id: user._id, status: user.status }, 'Account reinstated successfully');
+    res.json(response);
+  }),
+
+  // Audit trail of moderator actions, newest first. Filters by action,
+  // moderator and affected user.
+  getAuditLog: asyncHandler(async (req, res) => {
+    const { action, moderatorId, targetUserId } = req.query;
+    const limit = parseLimit(req.query.limit);
+
+    const filter = {};
+    if (MODERATION_ACTIONS.includes(action)) filter.action = action;
+    for (const [field, value] of Object.entries({ moderatorId, targetUserId })) {
+      if (!value) continue;
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        return res
+          .status(400)
+          .json(errorResponse(`Invalid ${field}`, 'INVALID_USER'));
+      }
+      filter[field] = value;
+    }
+
+    const pageFilter = readCursor(req.query.cursor);
+    if (!pageFilter) {
+      return res
+        .status(400)
+        .json(errorResponse('Invalid cursor', 'INVALID_CURSOR'));
+    }
+
+    const [page, total] = await Promise.all([
+      ModerationLog.find({ ...filter, ...pageFilter })
+        .sort({ _id: -1 })
+        .limit(limit + 1)
+        .populate('moderatorId', 'name avatar role')
+        .populate('targetUserId', USER_FIELDS),
+      ModerationLog.countDocuments(filter)
+    ]);
+
+    const hasMore = page.length > limit;
+    const entries = page.slice(0, limit);
+
+    const data = entries.map(entry => {
+      const { moderatorId: moderator, targetUserId: targetUser, ...rest } = entry.toObject();
+      return { ...rest, moderator, targetUser };
+    });
+
+    const response = successResponse(data, 'Audit log retrieved successfully');
+    res.json({
+      ...response,
+      pagination: {
+        total,
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor({ id: entries[entries.length - 1]._id }) : null
+      }
+    });
+  })
+};
+
+export default moderationController;
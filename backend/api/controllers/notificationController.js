@@ -1,5 +1,17 @@
 import Notification from '../../models/Notification.js';
+import User from '../../models/User.js';
+import Project from '../../models/Project.js';
 import { addClient, removeClient, pushToUser } from '../../utils/sseClients.js';
+import {
+  NOTIFICATION_CHANNELS,
+  REQUIRED_TYPES,
+  getAllTypeChannels,
+  getDeliveryChannels,
+  readPreferenceInput,
+  applyPreferenceInput
+} from '../services/notificationPreferenceService.js';
+import { sendNotificationEmail } from '../services/notificationMailService.js';
+import { readUnsubscribeToken } from '../services/digestService.js';
 
 // SSE stream endpoint — client connects once and stays open
 export const streamNotifications = (req, res) => {
@@ -45,7 +57,11 @@ export const getNotifications = async (req, res) => {
 export const markAsRead = async (req, res) => {
   try {
     const { notificationId } = req.params;
-    await Notification.findByIdAndUpdate(notificationId, { read: true });
+    // Scoped to the caller so users can't touch each other's notifications
+    await Notification.findOneAndUpdate(
+      { _id: notificationId, recipientId: req.user.id },
+      { read: true }
+    );
     res.json({ success: true });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
@@ -67,17 +83,95 @@ export const markAllAsRead = async (req, res) => {
 export const deleteNotification = async (req, res) => {
   try {
     const { notificationId } = req.params;
-    await Notification.findByIdAndDelete(notificationId);
+    await Notification.findOneAndDelete({ _id: notificationId, recipientId: req.user.id });
     res.json({ success: true });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
 };
 
-// Helper: create a notification and push it live to the recipient if connected
+const toClientPreferences = async (user) => {
+  const mutedProjects = await Project.find({ _id: { $in: user.notificationPreferences?.mutedProjects || [] } })
+    .select('title');
+  return {
+    channels: NOTIFICATION_CHANNELS,
+    requiredTypes: REQUIRED_TYPES,
+    types: getAllTypeChannels(user),
+    mutedProjects: mutedProjects.map(project => ({ id: project._id, title: project.title })),
+    digest: user.notificationPreferences?.digest || 'weekly',
+    emailVerified: Boolean(user.emailVerified)
+  };
+};
+
+// Get the user's notification preferences, with defaults filled in
+export const getPreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    res.json({ success: true, data: await toClientPreferences(user) });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Change channels per type and/or replace the muted project list
+export const updatePreferences = async (req, res) => {
+  try {
+    const { values, error } = readPreferenceInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    // Drop projects that no longer exist
+    if (values.mutedProjects) {
+      const projects = await Project.find({ _id: { $in: values.mutedProjects } }).select('_id');
+      values.mutedProjects = projects.map(project => project._id);
+    }
+
+    applyPreferenceInput(user, values);
+    await user.save();
+
+    res.json({ success: true, data: await toClientPreferences(user) });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Turn digests off from the link in a digest email; no sign-in needed
+export const unsubscribeDigest = async (req, res) => {
+  try {
+    const userId = readUnsubscribeToken(req.body.token);
+    if (!userId) {
+      return res.status(400).json({ success: false, message: 'This unsubscribe link is invalid or has expired' });
+    }
+
+    const result = await User.updateOne({ _id: userId }, { $set: { 'notificationPreferences.digest': 'off' } });
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    res.json({ success: true, message: "You won't receive digest emails anymore" });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Helper: deliver a notification on the channels the recipient has enabled.
+// In-app notifications are stored and pushed to the live stream; with the
+// in-app channel off, a toast is pushed without storing anything.
 export const createNotification = async ({ recipientId, type, message, projectId, projectName, positionName, actorName, navigationPath, navigationState }) => {
   try {
-    const notification = await Notification.create({
+    const recipient = await User.findById(recipientId).select('name email emailVerified notificationPreferences');
+    if (!recipient) return null;
+
+    const channels = getDeliveryChannels(recipient, type, projectId);
+    const fields = {
       recipientId,
       type,
       message,
@@ -87,10 +181,23 @@ export const createNotification = async ({ recipientId, type, message, projectId
       actorName,
       navigationPath: navigationPath || '/dashboard',
       navigationState: navigationState || null
-    });
+    };
+
+    const notification = channels.inApp ? await Notification.create(fields) : null;
 
     // Push to connected SSE client immediately
-    pushToUser(notification.recipientId.toString(), notification);
+    if (notification) {
+      pushToUser(recipientId.toString(), { ...notification.toObject(), toast: channels.toast });
+    } else if (channels.toast) {
+      pushToUser(recipientId.toString(), { ...fields, createdAt: new Date(), toast: true, transient: true });
+    }
+
+    if (channels.email) {
+      // A mail failure shouldn't undo the in-app notification
+      sendNotificationEmail(recipient, fields).catch(error => {
+        console.error('Error emailing notification:', error);
+      });
+    }
 
     return notification;
   } catch (error) {
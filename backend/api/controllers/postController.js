@@ -0,0 +1,616 @@
+import mongoose from 'mongoose';
+import Post, { POST_CATEGORIES } from '../../models/Post.js';
+import Comment from '../../models/Comment.js';
+import { getStorage } from '../services/storage/index.js';
+import { inspectAttachment, storeAttachments, removeAttachmentFiles } from '../services/attachmentService.js';
+import { isModerator } from '../services/moderationService.js';
+import {
+  successResponse,
+  errorResponse,
+  asyncHandler,
+  sanitizeInput,
+  encodeCursor,
+  decodeCursor,
+  readCursorValue,
+} from '../../utils/helpers.js';
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+const DEFAULT_COMMENT_PAGE_SIZE = 20;
+const MAX_COMMENT_PAGE_SIZE = 100;
+
+// Feed sort options; every one pages on (field, _id)
+const POST_SORTS = {
+  latest: { field: 'createdAt', type: 'date', direction: -1 },
+  top: { field: 'likeCount', type: 'number', direction: -1 },
+  trending: { field: 'trendingScore', type: 'number', direction: -1 }
+};
+
+const AUTHOR_FIELDS = 'name avatar title role';
+
+const isSameUser = (a, b) => Boolean(a && b) && a.toString() === b.toString();
+
+// sanitizeInput line by line, so paragraphs survive
+const cleanText = (value) => (typeof value === 'string'
+  ? value.split(/\r?\n/).map(line => sanitizeInput(line)).join('\n').replace(/\n{3,}/g, '\n\n').trim()
+  : '');
+
+const parseLimit = (value, fallback, max) => Math.min(Math.max(parseInt(value, 10) || fallback, 1), max);
+
+// Rename the populated authorId to author, replace the likes array with
+// the viewer's own like and keep storage keys private
+const toClientPost = (post, likedByMe = false) => {
+  const { authorId, likes, attachments = [], ...data } = post.toObject ? post.toObject() : { ...post };
+  return {
+    ...data,
+    author: authorId,
+    likedByMe,
+    attachments: attachments.map(({ storageKey, thumbnailKey, storageDriver, ...attachment }) => ({
+      ...attachment,
+      hasThumbnail: Boolean(thumbnailKey)
+    }))
+  };
+};
+
+// Deleted and hidden comments keep their place in the thread, without
+// content or author
+const toClientComment = (comment) => {
+  const { authorId, ...data } = comment.toObject ? comment.toObject() : { ...comment };
+  const removed = data.isDeleted || data.isHidden;
+  if (removed) data.content = '';
+  return { ...data, author: removed ? null : authorId, replies: [] };
+};
+
+// Nests replies under their parents; each thread in reply order
+const buildThreads = (roots, replies) => {
+  const byId = new Map();
+  const threads = roots.map(root => {
+    const comment = toClientComment(root);
+    byId.set(comment._id.toString(), comment);
+    return comment;
+  });
+
+  for (const reply of replies) {
+    const comment = toClientComment(reply);
+    byId.set(comment._id.toString(), comment);
+    byId.get(comment.parentId?.toString())?.replies.push(comment);
+  }
+
+  return threads;
+};
+
+const findPost = (id) => (mongoose.Types.ObjectId.isValid(id) ? Post.findById(id) : null);
+
+// A post hidden by a moderator can still be opened by its author and moderators
+const canView = (post, user) => !post.isHidden ||
+  (Boolean(user) && (isSameUser(post.authorId, user.id) || isModerator(user)));
+
+const findPostAttachment = async (postId, attachmentId) => {
+  const post = await findPost(postId);
+  if (!post || !mongoose.Types.ObjectId.isValid(attachmentId)) return { post, attachment: null };
+  return { post, attachment: post.attachments.id(attachmentId) };
+};
+
+// Pipe a stored file to the response. With fileName it is sent as a
+// download (or inline) under that name.
+const streamStoredFile = async (res, key, { headers, fileName = null, inline = false }) => {
+  let stream;
+  try {
+    stream = await getStorage().createReadStream(key);
+  } catch (err) {
+    console.error(`Stored attachment missing at ${key}:`, err.message);
+    return res
+      .status(404)
+      .json(errorResponse('File content is no longer available', 'FILE_CONTENT_MISSING'));
+  }
+
+  if (fileName) {
+    res.attachment(fileName);
+    if (inline) res.set('Content-Disposition', res.get('Content-Disposition').replace(/^attachment/, 'inline'));
+  }
+  res.set(headers);
+  stream.on('error', (err) => {
+    console.error(`Error streaming attachment ${key}:`, err.message);
+    res.destroy(err);
+  });
+  stream.pipe(res);
+};
+
+const findPostComment = async (postId, commentId) => {
+  if (!mongoose.Types.ObjectId.isValid(commentId)) return null;
+  return Comment.findOne({ _id: commentId, postId });
+};
+
+const loadClientPost = async (id, userId) => {
+  const post = await Post.findById(id).populate('authorId', AUTHOR_FIELDS);
+  return toClientPost(post, Boolean(userId) && post.likes.some(like => isSameUser(like, userId)));
+};
+
+// likeCount or commentCount changed outside of save(), so update the score too
+const refreshTrendingScore = (post) => Post.updateOne(
+  { _id: post._id },
+  { trendingScore: post.computeTrendingScore() }
+);
+
+const setLiked = async (req, res, liked) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+
+  const existing = await findPost(id);
+  if (!existing || !canView(existing, req.user)) {
+    return res
+      .status(404)
+      .json(errorResponse('Post not found', 'POST_NOT_FOUND'));
+  }
+
+  // The likes condition makes repeating a like or unlike a no-op
+  const updated = await Post.findOneAndUpdate(
+    liked ? { _id: id, likes: { $ne: userId } } : { _id: id, likes: userId },
+    liked
+      ? { $push: { likes: userId }, $inc: { likeCount: 1 } }
+      : { $pull: { likes: userId }, $inc: { likeCount: -1 } },
+    { new: true }
+  );
+
+  if (updated) {
+    await refreshTrendingScore(updated);
+  } else if (!(await Post.exists({ _id: id }))) {
+    return res
+      .status(404)
+      .json(errorResponse('Post not found', 'POST_NOT_FOUND'));
+  }
+
+  const post = await loadClientPost(id, userId);
+  const response = successResponse(post, liked ? 'Post liked' : 'Post unliked');
+  res.json(response);
+};
+
+const postController = {
+  // Community feed. Filters by category, author and text; pages with a
+  // cursor in "latest", "top" or "trending" order.
+  getPosts: asyncHandler(async (req, res) => {
+    const { sort, cursor, category, authorId, q } = req.query;
+    const sortKey = Object.hasOwn(POST_SORTS, sort) ? sort : 'latest';
+    const { field, type, direction } = POST_SORTS[sortKey];
+    const limit = parseLimit(req.query.limit, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+    const filter = { isHidden: { $ne: true } };
+    if (POST_CATEGORIES.includes(category)) filter.category = category;
+    if (authorId) {
+      if (!mongoose.Types.ObjectId.isValid(authorId)) {
+        return res
+          .status(400)
+          .json(errorResponse('Invalid author ID', 'INVALID_AUTHOR'));
+      }
+      filter.authorId = authorId;
+    }
+    if (typeof q === 'string' && q.trim()) filter.$text = { $search: q.trim() };
+
+    const position = cursor ? decodeCursor(cursor) : null;
+    const cursorValue = position ? readCursorValue(position, type) : null;
+    if (cursor && !(position && mongoose.Types.ObjectId.isValid(position.id) && cursorValue !== null)) {
+      return res
+        .status(400)
+        .json(errorResponse('Invalid cursor', 'INVALID_CURSOR'));
+    }
+
+    const pageFilter = { ...filter };
+    if (position) {
+      const op = direction === -1 ? '$lt' : '$gt';
+      pageFilter.$or = [
+        { [field]: { [op]: cursorValue } },
+        { [field]: cursorValue, _id: { [op]: position.id } }
+      ];
+    }
+
+    // Fetch one extra document to know whether another page exists
+    const [page, total] = await Promise.all([
+      Post.find(pageFilter)
+        .select('-likes')
+        .sort({ [field]: direction, _id: direction })
+        .limit(limit + 1)
+        .populate('authorId', AUTHOR_FIELDS),
+      Post.countDocuments(filter)
+    ]);
+
+    const hasMore = page.length > limit;
+    const posts = page.slice(0, limit);
+    const last = posts[posts.length - 1];
+
+    const liked = req.user && posts.length > 0
+      ? await Post.find({ _id: { $in: posts.map(post => post._id) }, likes: req.user.id }).distinct('_id')
+      : [];
+    const likedIds = new Set(liked.map(postId => postId.toString()));
+
+    const response = successResponse(
+      posts.map(post => toClientPost(post, likedIds.has(post._id.toString()))),
+      'Posts retrieved successfully'
+    );
+    res.json({
+      ...response,
+      pagination: {
+        total,
+        limit,
+        sort: sortKey,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor({ v: last[field], id: last._id }) : null
+      }
+    });
+  }),
+
+  // Get a single post
+  getPostById: asyncHandler(async (req, res) => {
+    const post = await findPost(req.params.id);
+    if (!post || !canView(post, req.user)) {
+      return res
+        .status(404)
+        .json(errorResponse('Post not found', 'POST_NOT_FOUND'));
+    }
+
+    const response = successResponse(
+      await loadClientPost(post._id, req.user?.id),
+      'Post retrieved successfully'
+    );
+    res.json(response);
+  }),
+
+  // Publish a post as the signed-in user. Sent as multipart form data,
+  // files in the `files` field are stored as attachments.
+  createPost: asyncHandler(async (req, res) => {
+    const { category } = req.body;
+    const content = cleanText(req.body.content);
+    const incoming = req.files || [];
+
+    if (!content) {
+      return res
+        .status(400)
+        .json(errorResponse('Post content is required', 'MISSING_CONTENT'));
+    }
+
+    if (category && !POST_CATEGORIES.includes(category)) {
+      return res
+        .status(400)
+        .json(errorResponse('Invalid category', 'INVALID_CATEGORY', { allowed: POST_CATEGORIES }));
+    }
+
+    const checked = await Promise.all(incoming.map(async file => ({ file, ...(await inspectAttachment(file)) })));
+    const errors = checked.filter(({ error }) => error).map(({ error }) => error);
+    if (errors.length > 0) {
+      return res
+        .status(400)
+        .json(errorResponse(errors[0], 'INVALID_ATTACHMENT', { errors }));
+    }
+
+    const postId = new mongoose.Types.ObjectId();
+    const attachments = await storeAttachments(postId, checked);
+
+    let created;
+    try {
+      created = await Post.create({
+        _id: postId,
+        authorId: req.user.id,
+        content,
+        category: category || 'General',
+        attachments
+      });
+    } catch (err) {
+      await removeAttachmentFiles(attachments);
+      throw err;
+    }
+
+    const response = successResponse(
+      await loadClientPost(created._id, req.user.id),
+      'Post created successfully'
+    );
+    res.status(201).json(response);
+  }),
+
+  // Edit a post's content or category (author only)
+  updatePost: asyncHandler(async (req, res) => {
+    const { content, category } = req.body;
+    const userId = req.user.id;
+
+    const post = await findPost(req.params.id);
+    if (!post) {
+      return res
+        .status(404)
+        .json(errorResponse('Post not found', 'POST_NOT_FOUND'));
+    }
+
+    if (!isSameUser(post.authorId, userId)) {
+      return res
+        .status(403)
+        .json(errorResponse('You can only edit your own posts', 'NOT_POST_AUTHOR'));
+    }
+
+    if (content !== undefined) {
+      const text = cleanText(content);
+      if (!text) {
+        return res
+          .status(400)
+          .json(errorResponse('Post content is required', 'MISSING_CONTENT'));
+      }
+      post.content = text;
+    }
+
+    if (category !== undefined) {
+      if (!POST_CATEGORIES.includes(category)) {
+        return res
+          .status(400)
+          .json(errorResponse('Invalid category', 'INVALID_CATEGORY', { allowed: POST_CATEGORIES }));
+      }
+      post.category = category;
+    }
+
+    post.editedAt = new Date();
+    await post.save();
+
+    const response = successResponse(await loadClientPost(post._id, userId), 'Post updated successfully');
+    res.json(response);
+  }),
+
+  // Delete a post with its comments and attachments (author only)
+  deletePost: asyncHandler(async (req, res) => {
+    const post = await findPost(req.params.id);
+    if (!post) {
+      return res
+        .status(404)
+        .json(errorResponse('Post not found', 'POST_NOT_FOUND'));
+    }
+
+    if (!isSameUser(post.authorId, req.user.id)) {
+      return res
+        .status(403)
+        .json(errorResponse('You can only delete your own posts', 'NOT_POST_AUTHOR'));
+    }
+
+    await Promise.all([
+      Comment.deleteMany({ postId: post._id }),
+      post.deleteOne()
+    ]);
+    await removeAttachmentFiles(post.attachments);
+
+    const response = successResponse({ _id: post._id }, 'Post deleted successfully');
+    res.json(response);
+  }),
+
+  // Download an attachment with its original name and content type.
+  // `?inline=true` lets images open in the browser instead.
+  downloadAttachment: asyncHandler(async (req, res) => {
+    const { id, attachmentId } = req.params;
+
+    const { post, attachment } = await findPostAttachment(id, attachmentId);
+    if (!attachment || !canView(post, req.user)) {
+      return res
+        .status(404)
+        .json(errorResponse('Attachment not found', 'ATTACHMENT_NOT_FOUND'));
+    }
+
+    await streamStoredFile(res, attachment.storageKey, {
+      fileName: attachment.originalName,
+      inline: attachment.kind === 'image' && req.query.inline === 'true',
+      headers: {
+        'Content-Type': attachment.mimeType,
+        'Content-Length': String(attachment.size),
+        'X-Content-Type-Options': 'nosniff'
+      }
+    });
+  }),
+
+  // WebP preview of an image attachment
+  getAttachmentThumbnail: asyncHandler(async (req, res) => {
+    const { id, attachmentId } = req.params;
+
+    const { post, attachment } = await findPostAttachment(id, attachmentId);
+    if (!attachment || !attachment.thumbnailKey || !canView(post, req.user)) {
+      return res
+        .status(404)
+        .json(errorResponse('Thumbnail not found', 'THUMBNAIL_NOT_FOUND'));
+    }
+
+    // Keys are never reused, so the thumbnail can be cached for good; a
+    // hidden post's thumbnail must not end up in a shared cache
+    await streamStoredFile(res, attachment.thumbnailKey, {
+      headers: {
+        'Content-Type': 'image/webp',
+        'Cache-Control': post.isHidden ? 'private, no-store' : 'public, max-age=31536000, immutable'
+      }
+    });
+  }),
+
+  // Remove one attachment from a post (author only)
+  removeAttachment: asyncHandler(async (req, res) => {
+    const { id, attachmentId } = req.params;
+    const userId = req.user.id;
+
+    const { post, attachment } = await findPostAttachment(id, attachmentId);
+    if (!post) {
+      return res
+        .status(404)
+        .json(errorResponse('Post not found', 'POST_NOT_FOUND'));
+    }
+
+    if (!isSameUser(post.authorId, userId)) {
+      return res
+        .status(403)
+        .json(errorResponse('You can only change your own posts', 'NOT_POST_AUTHOR'));
+    }
+
+    if (!attachment) {
+      return res
+        .status(404)
+        .json(errorResponse('Attachment not found', 'ATTACHMENT_NOT_FOUND'));
+    }
+
+    post.attachments.pull(attachment._id);
+    await post.save();
+    await removeAttachmentFiles([attachment]);
+
+    const response = successResponse(await loadClientPost(post._id, userId), 'Attachment removed successfully');
+    res.json(response);
+  }),
+
+  // Like a post; liking twice has no further effect
+  likePost: asyncHandler((req, res) => setLiked(req, res, true)),
+
+  // Remove the signed-in user's like, if any
+  unlikePost: asyncHandler((req, res) => setLiked(req, res, false)),
+
+  // Comment threads on a post, oldest first. Pages on top-level comments;
+  // each comes with all of its replies nested under `replies`.
+  getComments: asyncHandler(async (req, res) => {
+    const { cursor } = req.query;
+    const limit = parseLimit(req.query.limit, DEFAULT_COMMENT_PAGE_SIZE, MAX_COMMENT_PAGE_SIZE);
+
+    const post = await findPost(req.params.id);
+    if (!post || !canView(post, req.user)) {
+      return res
+        .status(404)
+        .json(errorResponse('Post not found', 'POST_NOT_FOUND'));
+    }
+
+    const position = cursor ? decodeCursor(cursor) : null;
+    if (cursor && !(position && mongoose.Types.ObjectId.isValid(position.id))) {
+      return res
+        .status(400)
+        .json(errorResponse('Invalid cursor', 'INVALID_CURSOR'));
+    }
+
+    const rootFilter = { postId: post._id, parentId: null };
+    const [page, total] = await Promise.all([
+      Comment.find(position ? { ...rootFilter, _id: { $gt: position.id } } : rootFilter)
+        .sort({ _id: 1 })
+        .limit(limit + 1)
+        .populate('authorId', AUTHOR_FIELDS),
+      Comment.countDocuments(rootFilter)
+    ]);
+
+    const hasMore = page.length > limit;
+    const roots = page.slice(0, limit);
+    const replies = roots.length > 0
+      ? await Comment.find({ rootId: { $in: roots.map(root => root._id) }, parentId: { $ne: null } })
+        .sort({ createdAt: 1, _id: 1 })
+        .populate('authorId', AUTHOR_FIELDS)
+      : [];
+
+    const response = successResponse(buildThreads(roots, replies), 'Comments retrieved successfully');
+    res.json({
+      ...response,
+      pagination: {
+        total,
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor({ id: roots[roots.length - 1]._id }) : null
+      }
+    });
+  }),
+
+  // Comment on a post, or reply to a comment with `parentId`
+  createComment: asyncHandler(async (req, res) => {
+    const { parentId } = req.body;
+    const content = cleanText(req.body.content);
+
+    const post = await findPost(req.params.id);
+    if (!post || !canView(post, req.user)) {
+      return res
+        .status(404)
+        .json(errorResponse('Post not found', 'POST_NOT_FOUND'));
+    }
+
+    if (!content) {
+      return res
+        .status(400)
+        .json(errorResponse('Comment content is required', 'MISSING_CONTENT'));
+    }
+
+    let parent = null;
+    if (parentId) {
+      parent = await findPostComment(post._id, parentId);
+      if (!parent || parent.isDeleted || parent.isHidden) {
+        return res
+          .status(400)
+          .json(errorResponse('Replied comment not found on this post', 'INVALID_PARENT'));
+      }
+    }
+
+    const commentId = new mongoose.Types.ObjectId();
+    await Comment.create({
+      _id: commentId,
+      postId: post._id,
+      authorId: req.user.id,
+      content,
+      parentId: parent ? parent._id : null,
+      rootId: parent ? (parent.rootId || parent._id) : commentId
+    });
+
+    const updated = await Post.findByIdAndUpdate(post._id, { $inc: { commentCount: 1 } }, { new: true });
+    if (updated) await refreshTrendingScore(updated);
+
+    const comment = toClientComment(await Comment.findById(commentId).populate('authorId', AUTHOR_FIELDS));
+    const response = successResponse(comment, 'Comment added successfully');
+    res.status(201).json(response);
+  }),
+
+  // Edit a comment (author only)
+  updateComment: asyncHandler(async (req, res) => {
+    const { id, commentId } = req.params;
+    const content = cleanText(req.body.content);
+
+    const comment = await findPostComment(id, commentId);
+    if (!comment || comment.isDeleted || comment.isHidden) {
+      return res
+        .status(404)
+        .json(errorResponse('Comment not found', 'COMMENT_NOT_FOUND'));
+    }
+
+    if (!isSameUser(comment.authorId, req.user.id)) {
+      return res
+        .status(403)
+        .json(errorResponse('You can only edit your own comments', 'NOT_COMMENT_AUTHOR'));
+    }
+
+    if (!content) {
+      return res
+        .status(400)
+        .json(errorResponse('Comment content is required', 'MISSING_CONTENT'));
+    }
+
+    comment.content = content;
+    comment.editedAt = new Date();
+    await comment.save();
+
+    const updated = toClientComment(await Comment.findById(comment._id).populate('authorId', AUTHOR_FIELDS));
+    const response = successResponse(updated, 'Comment updated successfully');
+    res.json(response);
+  }),
+
+  // Soft-delete a comment (author only); its replies stay in the thread
+  deleteComment: asyncHandler(async (req, res) => {
+    const { id, commentId } = req.params;
+
+    const comment = await findPostComment(id, commentId);
+    if (!comment || comment.isDeleted) {
+      return res
+        .status(404)
+        .json(errorResponse('Comment not found', 'COMMENT_NOT_FOUND'));
+    }
+
+    if (!isSameUser(comment.authorId, req.user.id)) {
+      return res
+        .status(403)
+        .json(errorResponse('You can only delete your own comments', 'NOT_COMMENT_AUTHOR'));
+    }
+
+    comment.isDeleted = true;
+    comment.deletedAt = new Date();
+    await comment.save();
+
+    const updated = await Post.findByIdAndUpdate(id, { $inc: { commentCount: -1 } }, { new: true });
+    if (updated) await refreshTrendingScore(updated);
+
+    const response = successResponse({ _id: comment._id }, 'Comment deleted successfully');
+    res.json(response);
+  })
+};
+
+export default postController;
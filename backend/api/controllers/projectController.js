@@ -1,30 +1,217 @@
+import mongoose from 'mongoose';
 import Project from '../../models/Project.js';
 import User from '../../models/User.js';
 import Application from '../../models/Application.js';
 import { createNotification } from './notificationController.js';
+import { promoteFromWaitlist } from '../services/waitlistService.js';
+import { deleteProjectCascade } from '../services/projectCleanupService.js';
+import { isModerator } from '../services/moderationService.js';
+import { isProjectOwner, findTeamMember } from '../../utils/projectAccess.js';
+import { removeFromProjectRoom } from '../../utils/socket.js';
 import {
   successResponse,
   errorResponse,
   asyncHandler,
+  encodeCursor,
+  decodeCursor,
+  readCursorValue,
+  toList,
 } from '../../utils/helpers.js';
 
+const DEFAULT_PAGE_SIZE = 12;
+const MAX_PAGE_SIZE = 50;
+
+// Fields an owner may set when creating or editing a project. Everything else
+// (ownerId, the application counter, moderation state) is managed server-side.
+const EDITABLE_PROJECT_FIELDS = [
+  'title',
+  'description',
+  'stage',
+  'industry',
+  'teamMembers',
+  'openPositions',
+  'funding',
+  'timeline'
+];
+
+const pickEditableFields = (body = {}) => Object.fromEntries(
+  EDITABLE_PROJECT_FIELDS
+    .filter(field => body[field] !== undefined)
+    .map(field => [field, body[field]])
+);
+
+// Only the owner can be listed as founder; everyone else joins by invitation
+const withoutForeignFounders = (teamMembers, ownerId) => teamMembers.filter(member =>
+  member?.role !== 'Founder' || String(member.id) === String(ownerId)
+);
+
+const memberIdOf = (member) => (member?.id ? String(member.id._id || member.id) : null);
+
+/**
+ * Checks that members added through a project's team list fit their open
+ * positions, like invites sent with inviteToPosition: a position can't take
+ * more members than its free seats, or any once its deadline has passed.
+ * @param {object} project - Project document holding the team before the additions
+ * @param {Array<object>} addedMembers - Members being added
+ * @returns {{status: number, error: object}|null} Error response, or null if everyone fits
+ */
+const checkAddedMemberSeats = (project, addedMembers) => {
+  for (const position of project.openPositions) {
+    const joining = addedMembers.filter(member =>
+      project.findOpenPosition({ positionId: member.positionId, role: member.role }) === position
+    ).length;
+    if (joining === 0) continue;
+
+    const availability = project.getPositionAvailability(position);
+    if (availability.remaining < joining) {
+      return {
+        status: 409,
+        error: errorResponse(
+          `Only ${availability.remaining} of ${availability.headcount} seats for ${position.role} are free`,
+          'POSITION_FILLED',
+          { headcount: availability.headcount, filled: availability.filled, requested: joining }
+        )
+      };
+    }
+    if (availability.closedReason === 'EXPIRED') {
+      return {
+        status: 409,
+        error: errorResponse(`The deadline for ${position.role} has passed`, 'POSITION_CLOSED')
+      };
+    }
+  }
+  return null;
+};
+
+// Listing sort options. Keyed sorts page on (field, _id); relevance pages by
+// offset because text scores can't be used in a range query.
+const PROJECT_SORTS = {
+  newest: { field: 'createdAt', type: 'date', direction: -1 },
+  oldest: { field: 'createdAt', type: 'date', direction: 1 },
+  popular: { field: 'applications', type: 'number', direction: -1 },
+  relevance: null
+};
+
+// MongoDB filter for the listing's search and filter parameters
+const buildProjectFilter = ({ q, industry, stage, skills, isPaid }) => {
+  // Projects hidden by a moderator are never listed
+  const filter = { isHidden: { $ne: true } };
+  if (typeof q === 'string' && q.trim()) filter.$text = { $search: q.trim() };
+
+  const industries = toList(industry);
+  if (industries.length > 0) filter.industry = { $in: industries };
+
+  const stages = toList(stage);
+  if (stages.length > 0) filter.stage = { $in: stages };
+
+  const skillList = toList(skills);
+  if (skillList.length > 0) filter['openPositions.skills'] = { $in: skillList };
+
+  // At least one position that is (or isn't) paid
+  if (isPaid === 'true') filter.openPositions = { $elemMatch: { isPaid: true } };
+  if (isPaid === 'false') filter.openPositions = { $elemMatch: { isPaid: { $ne: true } } };
+
+  return filter;
+};
+
+// Record an owner-initiated invitation as an INVITED application
+const createInvitation = (project, owner, invitedUser, member) => {
+  const now = new Date();
+  return Application.create({
+    applicationId: `INV-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    applicantId: member.id,
+    ownerId: project.ownerId,
+    applicantName: member.name,
+    applicantEmail: member.email || invitedUser.email,
+    applicantAvatar: invitedUser.avatar || '',
+    applicantTitle: invitedUser.title || '',
+    applicantLocation: invitedUser.location || '',
+    projectOwnerName: owner.name,
+    projectOwnerEmail: owner.email,
+    projectOwnerAvatar: owner.avatar || '',
+    projectId: project._id,
+    projectName: project.title,
+    projectStage: project.stage,
+    projectIndustry: project.industry,
+    position: member.role,
+    positionId: member.positionId,
+    message: member.message || 'Invited to join the project',
+    status: 'INVITED',
+    appliedDate: now,
+    statusUpdatedAt: now,
+    timeline: [{
+      toStatus: 'INVITED',
+      actor: 'OWNER',
+      actorId: owner._id,
+      actorName: owner.name,
+      at: now
+    }]
+  });
+};
+
 const projectController = {
-  // Get all projects
+  // Search and list projects, a page at a time (DEFAULT_PAGE_SIZE unless
+  // `limit` says otherwise).
   getAllProjects: asyncHandler(async (req, res) => {
-    const { industry, stage, status } = req.query;
-    
-    const filter = {};
-    if (industry) filter.industry = industry;
-    if (stage) filter.stage = stage;
-    if (status) filter.status = status;
+    const { sort, cursor } = req.query;
+    const filter = buildProjectFilter(req.query);
+
+    let sortKey = Object.hasOwn(PROJECT_SORTS, sort) ? sort : (filter.$text ? 'relevance' : 'newest');
+    if (sortKey === 'relevance' && !filter.$text) sortKey = 'newest';
+    const keyedSort = PROJECT_SORTS[sortKey];
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const position = cursor ? decodeCursor(cursor) : null;
+    const cursorValue = position && keyedSort ? readCursorValue(position, keyedSort.type) : null;
+    const isValidPosition = keyedSort
+      ? position && mongoose.Types.ObjectId.isValid(position.id) && cursorValue !== null
+      : position && Number.isInteger(position.o) && position.o >= 0;
+    if (cursor && !isValidPosition) {
+      return res
+        .status(400)
+        .json(errorResponse('Invalid cursor', 'INVALID_CURSOR'));
+    }
 
-    const projects = await Project.find(filter)
+    const pageFilter = { ...filter };
+    if (position && keyedSort) {
+      const { field, direction } = keyedSort;
+      const op = direction === -1 ? '$lt' : '$gt';
+      pageFilter.$or = [
+        { [field]: { [op]: cursorValue } },
+        { [field]: cursorValue, _id: { [op]: position.id } }
+      ];
+    }
+
+    let query = keyedSort
+      ? Project.find(pageFilter).sort({ [keyedSort.field]: keyedSort.direction, _id: keyedSort.direction })
+      : Project.find(pageFilter, { score: { $meta: 'textScore' } }).sort({ score: { $meta: 'textScore' }, _id: -1 });
+    query = query
       .populate('ownerId', 'name email')
-      .populate('teamMembers.id', 'name email')
-      .sort({ createdAt: -1 });
+      .populate('teamMembers.id', 'name email');
+
+    if (position && !keyedSort) query = query.skip(position.o);
+    // Fetch one extra document to know whether another page exists
+    query = query.limit(limit + 1);
+
+    const [page, total] = await Promise.all([query, Project.countDocuments(filter)]);
+
+    const hasMore = page.length > limit;
+    const projects = hasMore ? page.slice(0, limit) : page;
+    const last = projects[projects.length - 1];
+
+    let nextCursor = null;
+    if (hasMore) {
+      nextCursor = keyedSort
+        ? encodeCursor({ v: last[keyedSort.field], id: last._id })
+        : encodeCursor({ o: (position?.o || 0) + projects.length });
+    }
 
     const response = successResponse(projects, 'Projects retrieved successfully');
-    res.json(response);
+    res.json({
+      ...response,
+      pagination: { total, limit, sort: sortKey, hasMore, nextCursor }
+    });
   }),
 
   // Get project by ID
@@ -35,7 +222,11 @@ const projectController = {
       .populate('ownerId', 'name email')
       .populate('teamMembers.id', 'name email');
 
-    if (!project) {
+    // A hidden project stays visible to its owner and to moderators
+    const canView = project && (!project.isHidden ||
+      (req.user && (isProjectOwner(project, req.user.id) || isModerator(req.user))));
+
+    if (!canView) {
       return res
         .status(404)
         .json(errorResponse('Project not found', 'PROJECT_NOT_FOUND'));
@@ -47,7 +238,7 @@ const projectController = {
 
   // Create new project
   createProject: asyncHandler(async (req, res) => {
-    const projectData = req.body;
+    const projectData = pickEditableFields(req.body);
 
     // Validate required fields
     if (!projectData.title || !projectData.description || !projectData.industry) {
@@ -56,11 +247,19 @@ const projectController = {
         .json(errorResponse('Missing required fields', 'MISSING_FIELDS'));
     }
 
-    // Set ownerId from teamMembers if not provided
-    if (!projectData.ownerId && projectData.teamMembers && projectData.teamMembers.length > 0) {
-      const founder = projectData.teamMembers.find(member => member.role === 'Founder');
-      if (founder) {
-        projectData.ownerId = founder.id;
+    // The authenticated user always owns the projects they create
+    projectData.ownerId = req.user.id;
+
+    if (Array.isArray(projectData.teamMembers)) {
+      projectData.teamMembers = withoutForeignFounders(projectData.teamMembers, req.user.id);
+
+      const founders = projectData.teamMembers.filter(member => member.role === 'Founder');
+      const seatCheck = checkAddedMemberSeats(
+        new Project({ ...projectData, teamMembers: founders }),
+        projectData.teamMembers.filter(member => member.role !== 'Founder')
+      );
+      if (seatCheck) {
+        return res.status(seatCheck.status).json(seatCheck.error);
       }
     }
 
@@ -80,8 +279,6 @@ const projectController = {
 
       for (const member of invitedMembers) {
         try {
-          const applicationId = `INV-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-          
           // Get owner details
           const owner = await User.findById(newProject.ownerId);
           if (!owner) continue;
@@ -90,66 +287,7 @@ const projectController = {
           const invitedUser = await User.findById(member.id);
           if (!invitedUser) continue;
 
-          // Create/update application record for project owner (received)
-          await Application.findOneAndUpdate(
-            { userId: newProject.ownerId },
-            {
-              $push: {
-                applications_received: {
-                  applicationId,
-                  applicantId: member.id,
-                  applicantName: member.name,
-                  applicantEmail: member.email || invitedUser.email,
-                  applicantAvatar: invitedUser.avatar || '',
-                  applicantTitle: invitedUser.title || '',
-                  applicantLocation: invitedUser.location || '',
-                  projectId: newProject._id,
-                  projectName: newProject.title,
-                  projectStage: newProject.stage,
-                  position: member.role,
-                  positionId: member.positionId,
-                  message: 'Invited to join the project',
-                  status: 'INVITED',
-                  appliedDate: new Date(),
-                  statusUpdatedAt: new Date()
-                }
-              }
-            },
-            { upsert: true, new: true }
-          ).then(doc => {
-            doc.updateStats();
-            return doc.save();
-          });
-
-          // Create/update application record for invited member (sent)
-          await Application.findOneAndUpdate(
-            { userId: member.id },
-            {
-              $push: {
-                applications_sent: {
-                  applicationId,
-                  projectOwnerId: newProject.ownerId,
-                  projectOwnerName: owner.name,
-                  projectOwnerEmail: owner.email,
-                  projectOwnerAvatar: owner.avatar || '',
-                  projectId: newProject._id,
-                  projectName: newProject.title,
-                  projectStage: newProject.stage,
-                  projectIndustry: newProject.industry,
-                  position: member.role,
-                  positionId: member.positionId,
-                  message: 'Invited to join the project',
-                  status: 'INVITED',
-                  appliedDate: new Date(),
-                  statusUpdatedAt: new Date()
-                }
-              }
-            },
-            { upsert: true, new: true }
-          ).then(doc => {
-            doc.updateStats();
-            return doc.save();
-          });
+          await createInvitation(newProject, owner, invitedUser, member);
 
           // Notify invited member
           await createNotification({
@@ -177,11 +315,7 @@ const projectController = {
   // Update project
   updateProject: asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const updateData = req.body;
-
-    // Remove fields that shouldn't be updated directly
-    delete updateData._id;
-    delete updateData.createdAt;
+    const updateData = pickEditableFields(req.body);
 
     // Get the original project to compare team members
     const originalProject = await Project.findById(id);
@@ -191,11 +325,42 @@ const projectController = {
         .json(errorResponse('Project not found', 'PROJECT_NOT_FOUND'));
     }
 
+    if (!isProjectOwner(originalProject, req.user.id)) {
+      return res
+        .status(403)
+        .json(errorResponse('Only the project owner can edit this project', 'NOT_PROJECT_OWNER'));
+    }
+
+    if (Array.isArray(updateData.teamMembers)) {
+      updateData.teamMembers = withoutForeignFounders(updateData.teamMembers, originalProject.ownerId);
+
+      // Members already on the team keep their seats; everyone else needs a free one
+      const originalIds = new Set(originalProject.teamMembers.map(memberIdOf).filter(Boolean));
+      const isExisting = (member) => !memberIdOf(member) || originalIds.has(memberIdOf(member));
+      const addedMembers = updateData.teamMembers.filter((member, index, members) =>
+        !isExisting(member) &&
+        member.role !== 'Founder' &&
+        members.findIndex(other => memberIdOf(other) === memberIdOf(member)) === index
+      );
+      const seatCheck = checkAddedMemberSeats(
+        new Project({
+          ...originalProject.toObject(),
+          ...updateData,
+          teamMembers: updateData.teamMembers.filter(isExisting)
+        }),
+        addedMembers
+      );
+      if (seatCheck) {
+        return res.status(seatCheck.status).json(seatCheck.error);
+      }
+    }
+
     // CRITICAL DATA INTEGRITY: Ensure all ACCEPTED members are preserved during updates
     // unless this is an EXPLICIT membership change that doesn't break relationships.
     // Participation should depend on status/membership, not on project fields.
     let membersActuallyChanged = false;
     let memberRolesChanged = []; // Track members who had their role changed
+    let removedMembers = []; // Their seats go to the waitlist once the update is saved
 
     if (updateData.teamMembers !== undefined) {
       const originalMembers = originalProject.teamMembers || [];
@@ -247,7 +412,7 @@ const projectController = {
       }
 
       // Identify members genuinely removed (present in original but NOT in update)
-      const removedMembers = originalMembers.filter(m => {
+      removedMembers = originalMembers.filter(m => {
         const mid = getNormalizedId(m.id);
         return mid && !newMemberIdsSet.has(mid) && m.role !== 'Founder';
       });
@@ -258,48 +423,26 @@ const projectController = {
         for (const rm of removedMembers) {
           const userId = getNormalizedId(rm.id);
           try {
-            // Update applicant's application record (sent)
-            const applicantApp = await Application.findOne({ userId });
-            if (applicantApp) {
-              const app = applicantApp.applications_sent.find(
-                a => a.projectId.toString() === id && 
-                   (a.status === 'ACCEPTED' || a.status === 'INVITED')
-              );
-              if (app) {
-                app.status = 'REMOVED';
-                app.statusUpdatedAt = now;
-                app.removedFromTeamAt = now;
-                app.removalReason = 'Removed by project owner during project update';
-                applicantApp.updateStats();
-                await applicantApp.save();
-                console.log(`Marked application status as REMOVED for user ${userId}`);
-              }
-            }
-
-            // Update owner's application record (received)
-            const ownerApp = await Application.findOne({ userId: originalProject.ownerId });
-            if (ownerApp) {
-              const app = ownerApp.applications_received.find(
-                a => a.projectId.toString() === id && 
-                   a.applicantId.toString() === userId &&
-                   (a.status === 'ACCEPTED' || a.status === 'INVITED')
-              );
-              if (app) {
-                app.status = 'REMOVED';
-                app.statusUpdatedAt = now;
-                app.removedFromTeamAt = now;
-                app.removalReason = 'Removed by project owner during project update';
-                ownerApp.updateStats();
-                await ownerApp.save();
-              }
-            }
+            const removedApp = await Application.findOne({
+              projectId: id,
+              applicantId: userId,
+              status: { $in: ['ACCEPTED', 'INVITED'] }
+            });
 
-            // Notify removed member
-            const removedMemberApp = await Application.findOne({ userId });
-            const removedApp = removedMemberApp?.applications_sent.find(
-              a => a.projectId.toString() === id && a.status === 'REMOVED'
-            );
             if (removedApp) {
+              const removalReason = 'Removed by project owner during project update';
+              removedApp.recordTransition('REMOVED', {
+                actor: 'OWNER',
+                actorId: req.user.id,
+                actorName: removedApp.projectOwnerName,
+                note: removalReason
+              });
+              removedApp.removedFromTeamAt = now;
+              removedApp.removalReason = removalReason;
+              await removedApp.save();
+
+              // Notify removed member
+              console.log(`Marked application status as REMOVED for user ${userId}`);
               await createNotification({
                 recipientId: userId,
                 type: 'MEMBER_REMOVED',
@@ -346,75 +489,24 @@ const projectController = {
     if (memberRolesChanged.length > 0) {
       for (const change of memberRolesChanged) {
         try {
-          // Update applicant's send record - Match by userId, projectId, and status
+          // Match by applicant, project, and status
           // Use ID-based matching primarily, with role name as fallback
-          const sentFilter = { 
-            userId: change.userId, 
-            'applications_sent.projectId': id,
-            'applications_sent.status': { $in: ['ACCEPTED', 'INVITED'] }
-          };
-
-          if (change.oldPositionId) {
-            sentFilter['$or'] = [
-              { 'applications_sent.positionId': change.oldPositionId },
-              { 'applications_sent.position': change.oldRole }
-            ];
-          } else {
-            sentFilter['applications_sent.position'] = change.oldRole;
-          }
-
-          await Application.updateOne(
-            sentFilter,
-            { 
-              $set: { 
-                'applications_sent.$[elem].position': change.newRole,
-                'applications_sent.$[elem].positionId': change.newPositionId 
-              } 
-            },
-            { arrayFilters: [{ 
-              'elem.projectId': id, 
-              'elem.status': { $in: ['ACCEPTED', 'INVITED'] },
+          await Application.updateMany(
+            {
+              projectId: id,
+              applicantId: change.userId,
+              status: { $in: ['ACCEPTED', 'INVITED'] },
               $or: [
-                { 'elem.positionId': change.oldPositionId || 'NONE' },
-                { 'elem.position': change.oldRole }
+                { positionId: change.oldPositionId || 'NONE' },
+                { position: change.oldRole }
               ]
-            }] }
-          );
-
-          // Update owner's received record
-          const receivedFilter = { 
-            userId: originalProject.ownerId, 
-            'applications_received.projectId': id,
-            'applications_received.applicantId': change.userId,
-            'applications_received.status': { $in: ['ACCEPTED', 'INVITED'] }
-          };
-
-          if (change.oldPositionId) {
-            receivedFilter['$or'] = [
-              { 'applications_received.positionId': change.oldPositionId },
-              { 'applications_received.position': change.oldRole }
-            ];
-          } else {
-            receivedFilter['applications_received.position'] = change.oldRole;
-          }
-
-          await Application.updateOne(
-            receivedFilter,
-            { 
-              $set: { 
-                'applications_received.$[elem].position': change.newRole,
-                'applications_received.$[elem].positionId': change.newPositionId 
-              } 
             },
-            { arrayFilters: [{ 
-              'elem.projectId': id, 
-              'elem.applicantId': change.userId,
-              'elem.status': { $in: ['ACCEPTED', 'INVITED'] },
-              $or: [
-                { 'elem.positionId': change.oldPositionId || 'NONE' },
-                { 'elem.position': change.oldRole }
-              ]
-            }] }
+            {
+              $set: {
+                position: change.newRole,
+                positionId: change.newPositionId
+              }
+            }
           );
         } catch (error) {
           console.error(`Error syncing role change for user ${change.userId}:`, error);
@@ -446,65 +538,11 @@ const projectController = {
         console.log(`Processing ${addedMembers.length} new team invitations`);
         for (const member of addedMembers) {
           try {
-            const applicationId = `INV-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
             const owner = await User.findById(updatedProject.ownerId);
             const invitedUser = await User.findById(member.id);
             if (!owner || !invitedUser) continue;
 
-            // Create/update application record for project owner (received)
-            await Application.findOneAndUpdate(
-              { userId: updatedProject.ownerId },
-              {
-                $push: {
-                  applications_received: {
-                    applicationId,
-                    applicantId: member.id,
-                    applicantName: member.name,
-                    applicantEmail: member.email || invitedUser.email,
-                    applicantAvatar: invitedUser.avatar || '',
-                    applicantTitle: invitedUser.title || '',
-                    applicantLocation: invitedUser.location || '',
-                    projectId: updatedProject._id,
-                    projectName: updatedProject.title,
-                    projectStage: updatedProject.stage,
-                    position: member.role,
-                    positionId: member.positionId,
-                    message: 'Invited to join the project',
-                    status: 'INVITED',
-                    appliedDate: new Date(),
-                    statusUpdatedAt: new Date()
-                  }
-                }
-              },
-              { upsert: true, new: true }
-            ).then(doc => { doc.updateStats(); return doc.save(); });
-
-            // Create/update application record for invited member (sent)
-            await Application.findOneAndUpdate(
-              { userId: member.id },
-              {
-                $push: {
-                  applications_sent: {
-                    applicationId,
-                    projectOwnerId: updatedProject.ownerId,
-                    projectOwnerName: owner.name,
-                    projectOwnerEmail: owner.email,
-                    projectOwnerAvatar: owner.avatar || '',
-                    projectId: updatedProject._id,
-                    projectName: updatedProject.title,
-                    projectStage: updatedProject.stage,
-                    projectIndustry: updatedProject.industry,
-                    position: member.role,
-                    positionId: member.positionId,
-                    message: 'Invited to join the project',
-                    status: 'INVITED',
-                    appliedDate: new Date(),
-                    statusUpdatedAt: new Date()
-                  }
-                }
-              },
-              { upsert: true, new: true }
-            ).then(doc => { doc.updateStats(); return doc.save(); });
+            await createInvitation(updatedProject, owner, invitedUser, member);
 
             // Notify invited member
             await createNotification({
@@ -531,33 +569,12 @@ const projectController = {
       try {
         const updateFields = {};
         
-        if (updateData.title) {
-          updateFields['applications_received.$[elem].projectName'] = updateData.title;
-          updateFields['applications_sent.$[elem].projectName'] = updateData.title;
-        }
-        
-        if (updateData.stage) {
-          updateFields['applications_received.$[elem].projectStage'] = updateData.stage;
-          updateFields['applications_sent.$[elem].projectStage'] = updateData.stage;
-        }
-
-        if (updateData.industry) {
-          // Note: applications_received doesn't store projectIndustry, only applications_sent does
-          updateFields['applications_sent.$[elem].projectIndustry'] = updateData.industry;
-        }
+        if (updateData.title) updateFields.projectName = updateData.title;
+        if (updateData.stage) updateFields.projectStage = updateData.stage;
+        if (updateData.industry) updateFields.projectIndustry = updateData.industry;
 
         // CRITICAL: Only update display fields, NEVER touch status or membership fields
-        await Application.updateMany(
-          { 'applications_received.projectId': id },
-          { $set: updateFields },
-          { arrayFilters: [{ 'elem.projectId': id }] }
-        );
-
-        await Application.updateMany(
-          { 'applications_sent.projectId': id },
-          { $set: updateFields },
-          { arrayFilters: [{ 'elem.projectId': id }] }
-        );
+        await Application.updateMany({ projectId: id }, { $set: updateFields });
 
         console.log(`Project details (${Object.keys(updateFields).join(', ')}) synced to all applications`);
       } catch (error) {
@@ -579,55 +596,20 @@ const projectController = {
           if (oldPos && oldPos.role !== newPos.role) {
             console.log(`Detected position rename via ID: "${oldPos.role}" → "${newPos.role}" (ID: ${newPos._id})`);
             
-            // Update applications_received position field using positionId as primary anchor
-            await Application.updateMany(
-              { 
-                'applications_received.projectId': id,
-                $or: [
-                  { 'applications_received.positionId': newPos._id.toString() },
-                  { 'applications_received.position': oldPos.role }
-                ]
-              },
-              { 
-                $set: { 
-                  'applications_received.$[elem].position': newPos.role,
-                  'applications_received.$[elem].positionId': newPos._id.toString()
-                }
-              },
-              { 
-                arrayFilters: [{ 
-                  'elem.projectId': id,
-                  $or: [
-                    { 'elem.positionId': newPos._id.toString() },
-                    { 'elem.position': oldPos.role }
-                  ]
-                }]
-              }
-            );
-
-            // Update applications_sent position field
+            // Update application position field using positionId as primary anchor
             await Application.updateMany(
               { 
-                'applications_sent.projectId': id,
+                projectId: id,
                 $or: [
-                  { 'applications_sent.positionId': newPos._id.toString() },
-                  { 'applications_sent.position': oldPos.role }
+                  { positionId: newPos._id.toString() },
+                  { position: oldPos.role }
                 ]
               },
               { 
                 $set: { 
-                  'applications_sent.$[elem].position': newPos.role,
-                  'applications_sent.$[elem].positionId': newPos._id.toString()
+                  position: newPos.role,
+                  positionId: newPos._id.toString()
                 }
-              },
-              { 
-                arrayFilters: [{ 
-                  'elem.projectId': id,
-                  $or: [
-                    { 'elem.positionId': newPos._id.toString() },
-                    { 'elem.position': oldPos.role }
-                  ]
-                }]
               }
             );
 
@@ -669,6 +651,16 @@ const projectController = {
       }
     }
 
+    // Each removed member frees a seat for the next waitlisted applicant
+    for (const rm of removedMembers) {
+      if (rm.id) removeFromProjectRoom(id, rm.id._id || rm.id);
+      try {
+        await promoteFromWaitlist(updatedProject, { positionId: rm.positionId, role: rm.role });
+      } catch (error) {
+        console.error('Error promoting from waitlist:', error);
+      }
+    }
+
     const response = successResponse(updatedProject, 'Project updated successfully');
     res.json(response);
   }),
@@ -677,7 +669,7 @@ const projectController = {
   deleteProject: asyncHandler(async (req, res) => {
     const { id } = req.params;
 
-    const deletedProject = await Project.findByIdAndDelete(id);
+    const deletedProject = await Project.findById(id);
 
     if (!deletedProject) {
       return res
@@ -685,6 +677,14 @@ const projectController = {
         .json(errorResponse('Project not found', 'PROJECT_NOT_FOUND'));
     }
 
+    if (!isProjectOwner(deletedProject, req.user.id)) {
+      return res
+        .status(403)
+        .json(errorResponse('Only the project owner can delete this project', 'NOT_PROJECT_OWNER'));
+    }
+
+    await deleteProjectCascade(deletedProject);
+
     const response = successResponse(
       { id: deletedProject._id },
       'Project deleted successfully'
@@ -704,17 +704,11 @@ const projectController = {
 
     // CRITICAL FIX: Find projects where user is participating
     // Check BOTH Application status AND Project teamMembers for maximum reliability
-    const userApplications = await Application.findOne({ userId });
-    const participatingProjectIds = [];
-    
-    if (userApplications && userApplications.applications_sent) {
-      userApplications.applications_sent.forEach(app => {
-        // Include both ACCEPTED and INVITED status
-        if ((app.status === 'ACCEPTED' || app.status === 'INVITED') && app.projectId) {
-          participatingProjectIds.push(app.projectId.toString());
-        }
-      });
-    }
+    // Include both ACCEPTED and INVITED status
+    const participatingProjectIds = await Application.distinct('projectId', {
+      applicantId: userId,
+      status: { $in: ['ACCEPTED', 'INVITED'] }
+    });
 
     // Query projects by Application ID list OR direct membership in teamMembers array
     const participatingFilter = {
@@ -760,11 +754,7 @@ const projectController = {
         .json(errorResponse('Invalid stage', 'INVALID_STAGE'));
     }
 
-    const updatedProject = await Project.findByIdAndUpdate(
-      id,
-      { stage },
-      { new: true }
-    );
+    const updatedProject = await Project.findById(id);
 
     if (!updatedProject) {
       return res
@@ -772,6 +762,15 @@ const projectController = {
         .json(errorResponse('Project not found', 'PROJECT_NOT_FOUND'));
     }
 
+    if (!isProjectOwner(updatedProject, req.user.id)) {
+      return res
+        .status(403)
+        .json(errorResponse('Only the project owner can change the stage', 'NOT_PROJECT_OWNER'));
+    }
+
+    updatedProject.stage = stage;
+    await updatedProject.save();
+
     const response = successResponse(updatedProject, 'Project stage updated successfully');
     res.json(response);
   }),
@@ -789,12 +788,30 @@ const projectController = {
         .json(errorResponse('Project not found', 'PROJECT_NOT_FOUND'));
     }
 
+    if (!isProjectOwner(project, req.user.id)) {
+      return res
+        .status(403)
+        .json(errorResponse('Only the project owner can add team members', 'NOT_PROJECT_OWNER'));
+    }
 
+    // Roles that match an open position are capped by its headcount
+    const openPosition = project.findOpenPosition({ role });
+    const availability = openPosition ? project.getPositionAvailability(openPosition) : null;
+    if (availability && availability.remaining === 0) {
+      return res
+        .status(409)
+        .json(errorResponse(
+          `All ${availability.headcount} seats for ${role} are filled`,
+          'POSITION_FILLED',
+          { headcount: availability.headcount, filled: availability.filled }
+        ));
+    }
 
     project.teamMembers.push({
       id: userId,
       name,
       role,
+      positionId: openPosition?._id,
       email,
       applicantColor
     });
@@ -805,6 +822,120 @@ const projectController = {
     res.json(response);
   }),
 
+  // Invite someone found through talent search to an open position. Like
+  // invites made while creating or editing a project, they join the team
+  // straight away and get an INVITED application.
+  inviteToPosition: asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { userId, positionId, message } = req.body;
+
+    if (!userId || !positionId) {
+      return res
+        .status(400)
+        .json(errorResponse('userId and positionId are required', 'MISSING_FIELDS'));
+    }
+
+    const project = await Project.findById(id);
+
+    if (!project) {
+      return res
+        .status(404)
+        .json(errorResponse('Project not found', 'PROJECT_NOT_FOUND'));
+    }
+
+    if (!isProjectOwner(project, req.user.id)) {
+      return res
+        .status(403)
+        .json(errorResponse('Only the project owner can send invitations', 'NOT_PROJECT_OWNER'));
+    }
+
+    const openPosition = mongoose.Types.ObjectId.isValid(positionId)
+      ? project.openPositions.id(positionId)
+      : null;
+    if (!openPosition) {
+      return res
+        .status(404)
+        .json(errorResponse('Position not found', 'POSITION_NOT_FOUND'));
+    }
+
+    const availability = project.getPositionAvailability(openPosition);
+    if (availability.remaining === 0) {
+      return res
+        .status(409)
+        .json(errorResponse(
+          `All ${availability.headcount} seats for ${openPosition.role} are filled`,
+          'POSITION_FILLED',
+          { headcount: availability.headcount, filled: availability.filled }
+        ));
+    }
+
+    const invitedUser = mongoose.Types.ObjectId.isValid(userId) ? await User.findById(userId) : null;
+    if (!invitedUser) {
+      return res
+        .status(404)
+        .json(errorResponse('User not found', 'USER_NOT_FOUND'));
+    }
+
+    if (isProjectOwner(project, invitedUser._id) || findTeamMember(project, invitedUser._id)) {
+      return res
+        .status(409)
+        .json(errorResponse(`${invitedUser.name} is already on this project`, 'ALREADY_MEMBER'));
+    }
+
+    // Someone already waiting on a decision should be reviewed, not invited over it
+    const openApplication = await Application.findOne({
+      applicantId: invitedUser._id,
+      projectId: project._id,
+      status: { $in: ['PENDING', 'WAITLISTED'] }
+    });
+    if (openApplication) {
+      return res
+        .status(409)
+        .json(errorResponse(
+          `${invitedUser.name} has already applied for ${openApplication.position}. Review their application instead.`,
+          'APPLICATION_EXISTS',
+          { applicationId: openApplication.applicationId, status: openApplication.status }
+        ));
+    }
+
+    const owner = await User.findById(req.user.id);
+    const member = {
+      id: invitedUser._id,
+      name: invitedUser.name,
+      role: openPosition.role,
+      positionId: openPosition._id,
+      email: invitedUser.email,
+      avatar: invitedUser.avatar || undefined
+    };
+
+    project.teamMembers.push(member);
+    await project.save();
+
+    const invitation = await createInvitation(project, owner, invitedUser, {
+      ...member,
+      positionId: openPosition._id.toString(),
+      message: typeof message === 'string' ? message.trim() : ''
+    });
+
+    await createNotification({
+      recipientId: invitedUser._id,
+      type: 'INVITATION_RECEIVED',
+      message: `${project.title}: You have been invited to join as ${openPosition.role} by ${owner.name}.`,
+      projectId: project._id,
+      projectName: project.title,
+      positionName: openPosition.role,
+      actorName: owner.name,
+      navigationPath: '/dashboard',
+      navigationState: { tab: 'applications', subTab: 'sent' }
+    });
+
+    const response = successResponse(
+      { project, invitation: invitation.toReceivedEntry() },
+      `${invitedUser.name} was invited as ${openPosition.role}`
+    );
+    res.status(201).json(response);
+  }),
+
   // Remove team member from project
   removeTeamMember: asyncHandler(async (req, res) => {
     const { id, userId } = req.params;
@@ -820,6 +951,14 @@ const projectController = {
         .json(errorResponse('Project not found', 'PROJECT_NOT_FOUND'));
     }
 
+    // Owners remove anyone; members may only remove themselves by quitting
+    const isSelfQuit = isQuit === 'true' && userId === req.user.id.toString();
+    if (!isProjectOwner(project, req.user.id) && !isSelfQuit) {
+      return res
+        .status(403)
+        .json(errorResponse('Only the project owner can remove team members', 'NOT_PROJECT_OWNER'));
+    }
+
     // Don't allow removing the owner
     if (project.ownerId && project.ownerId.toString() === userId) {
       return res
@@ -831,6 +970,9 @@ const projectController = {
     console.log('Team members before removal:', project.teamMembers.length);
     console.log('Team member IDs:', project.teamMembers.map(m => ({ id: m.id?.toString(), name: m.name })));
 
+    // Remember the seat being freed so the waitlist can fill it
+    const departingMember = project.teamMembers.find(member => member.id?.toString() === userId);
+
     // Filter out the team member - handle both ObjectId and string comparisons
     const initialLength = project.teamMembers.length;
     project.teamMembers = project.teamMembers.filter(member => {
@@ -855,115 +997,73 @@ const projectController = {
 
     await project.save();
     console.log('Project saved successfully');
+    removeFromProjectRoom(id, userId);
 
-    // Determine status and reason based on whether it's a quit or removal
-    const status = isQuit === 'true' ? 'QUIT' : 'REMOVED';
-    const removalReason = isQuit === 'true' ? 'Member quit the project' : 'Removed by project owner';
-    const now = new Date();
+    // The status follows who acted: members quit, owners remove
+    const status = isSelfQuit ? 'QUIT' : 'REMOVED';
+    const removalReason = isSelfQuit ? 'Member quit the project' : 'Removed by project owner';
 
     // Find the application for this project and user
-    const memberApplication = await Application.findOne({
-      userId: userId,
-      'applications_sent.projectId': id
+    const application = await Application.findOne({
+      projectId: id,
+      applicantId: userId,
+      status: { $in: ['ACCEPTED', 'INVITED'] }
     });
 
-    if (memberApplication) {
-      const application = memberApplication.applications_sent.find(
-        app => app.projectId.toString() === id && 
-               (app.status === 'ACCEPTED' || app.status === 'INVITED')
-      );
-
-      if (application) {
-        // Update member's applications_sent with appropriate status
-        const updateFields = {
-          'applications_sent.$.status': status,
-          'applications_sent.$.statusUpdatedAt': now,
-          'applications_sent.$.removalReason': removalReason
-        };
-
-        if (isQuit === 'true') {
-          updateFields['applications_sent.$.quitAt'] = now;
-        } else {
-          updateFields['applications_sent.$.removedFromTeamAt'] = now;
-        }
-
-        await Application.updateOne(
-          {
-            userId: userId,
-            'applications_sent.applicationId': application.applicationId
-          },
-          { $set: updateFields }
-        );
-
-        // Update owner's applications_received with appropriate status
-        const ownerUpdateFields = {
-          'applications_received.$.status': status,
-          'applications_received.$.statusUpdatedAt': now,
-          'applications_received.$.removalReason': removalReason
-        };
-
-        if (isQuit === 'true') {
-          ownerUpdateFields['applications_received.$.quitAt'] = now;
-        } else {
-          ownerUpdateFields['applications_received.$.removedFromTeamAt'] = now;
-        }
+    if (application) {
+      const actor = await User.findById(req.user.id).select('name');
 
-        await Application.updateOne(
-          {
-            userId: project.ownerId,
-            'applications_received.applicationId': application.applicationId
-          },
-          { $set: ownerUpdateFields }
-        );
-
-        // Update stats for both users
-        const updatedMemberApp = await Application.findOne({ userId: userId });
-        if (updatedMemberApp) {
-          updatedMemberApp.updateStats();
-          await updatedMemberApp.save();
-        }
-
-        const updatedOwnerApp = await Application.findOne({ userId: project.ownerId });
-        if (updatedOwnerApp) {
-          updatedOwnerApp.updateStats();
-          await updatedOwnerApp.save();
-        }
+      application.recordTransition(status, {
+        actor: isSelfQuit ? 'APPLICANT' : 'OWNER',
+        actorId: req.user.id,
+        actorName: actor?.name || '',
+        note: removalReason
+      });
+      application.removalReason = removalReason;
 
-        console.log(`Application status updated to ${status}`);
+      if (isSelfQuit) {
+        application.quitAt = application.statusUpdatedAt;
+      } else {
+        application.removedFromTeamAt = application.statusUpdatedAt;
+      }
 
-        // Send notification based on action type
-        if (isQuit === 'true') {
-          // Notify project owner that a member quit
-          const memberUser = await User.findById(userId);
-          const memberName = memberUser?.name || application.applicantName || 'A member';
-          await createNotification({
-            recipientId: project.ownerId,
-            type: 'MEMBER_QUIT',
-            message: `${memberName} has left the ${application.position} role in ${project.title}.`,
-            projectId: project._id,
-            projectName: project.title,
-            positionName: application.position,
-            actorName: memberName,
-            navigationPath: '/dashboard',
-            navigationState: { tab: 'applications', subTab: 'received' }
-          });
-        } else {
-          // Notify the removed member
-          await createNotification({
-            recipientId: userId,
-            type: 'MEMBER_REMOVED',
-            message: `${project.title}: You have been removed from the ${application.position} role.`,
-            projectId: project._id,
-            projectName: project.title,
-            positionName: application.position,
-            navigationPath: '/dashboard',
-            navigationState: { tab: 'applications', subTab: 'sent' }
-          });
-        }
+      await application.save();
+
+      console.log(`Application status updated to ${status}`);
+
+      // Send notification based on action type
+      if (isSelfQuit) {
+        // Notify project owner that a member quit
+        const memberName = actor?.name || application.applicantName || 'A member';
+        await createNotification({
+          recipientId: project.ownerId,
+          type: 'MEMBER_QUIT',
+          message: `${memberName} has left the ${application.position} role in ${project.title}.`,
+          projectId: project._id,
+          projectName: project.title,
+          positionName: application.position,
+          actorName: memberName,
+          navigationPath: '/dashboard',
+          navigationState: { tab: 'applications', subTab: 'received' }
+        });
+      } else {
+        // Notify the removed member
+        await createNotification({
+          recipientId: userId,
+          type: 'MEMBER_REMOVED',
+          message: `${project.title}: You have been removed from the ${application.position} role.`,
+          projectId: project._id,
+          projectName: project.title,
+          positionName: application.position,
+          navigationPath: '/dashboard',
+          navigationState: { tab: 'applications', subTab: 'sent' }
+        });
       }
     }
 
-    const response = successResponse(project, isQuit === 'true' ? 'Successfully quit project' : 'Team member removed successfully');
+    await promoteFromWaitlist(project, { positionId: departingMember.positionId, role: departingMember.role });
+
+    const response = successResponse(project, isSelfQuit ? 'Successfully quit project' : 'Team member removed successfully');
     res.json(response);
   }),
 
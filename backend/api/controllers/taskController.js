@@ -0,0 +1,273 @@
+import mongoose from 'mongoose';
+import Task, { TASK_STATUS_TRANSITIONS } from '../../models/Task.js';
+import User from '../../models/User.js';
+import {
+  findProjectForMember,
+  findTeamMember,
+  isProjectOwner,
+} from '../../utils/projectAccess.js';
+import { emitToProject } from '../../utils/socket.js';
+import {
+  successResponse,
+  errorResponse,
+  asyncHandler,
+  sanitizeInput,
+} from '../../utils/helpers.js';
+
+const PRIORITIES = ['low', 'medium', 'high'];
+
+const findProjectTask = async (projectId, taskId) => {
+  if (!mongoose.Types.ObjectId.isValid(taskId)) return null;
+  return Task.findOne({ _id: taskId, projectId });
+};
+
+// Resolve an assignee against the current team; `null` clears the assignment
+const resolveAssignee = (project, assigneeId) => {
+  if (!assigneeId) return { assigneeId: null, assigneeName: '' };
+  const member = findTeamMember(project, assigneeId);
+  if (!member) return null;
+  return { assigneeId, assigneeName: member.name };
+};
+
+const parseDueDate = (value) => {
+  if (!value) return { dueDate: null };
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return { dueDate: date };
+};
+
+const taskController = {
+  // Get all tasks on a project board
+  getTasks: asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { status, assigneeId } = req.query;
+    const userId = req.user.id;
+
+    const { error, status: code } = await findProjectForMember(id, userId);
+    if (error) {
+      return res.status(code).json(error);
+    }
+
+    if (status && !(typeof status === 'string' && Object.hasOwn(TASK_STATUS_TRANSITIONS, status))) {
+      return res
+        .status(400)
+        .json(errorResponse('Invalid task status', 'INVALID_STATUS'));
+    }
+
+    if (assigneeId && !mongoose.Types.ObjectId.isValid(assigneeId)) {
+      return res
+        .status(400)
+        .json(errorResponse('Invalid assignee ID', 'INVALID_ASSIGNEE'));
+    }
+
+    const filter = { projectId: id };
+    if (status) filter.status = status;
+    if (assigneeId) filter.assigneeId = assigneeId;
+
+    const tasks = await Task.find(filter).sort({ createdAt: -1 });
+
+    const response = successResponse(tasks, 'Tasks retrieved successfully');
+    res.json(response);
+  }),
+
+  // Create a task on the project board
+  createTask: asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { title, description, assigneeId, dueDate, priority } = req.body;
+    const userId = req.user.id;
+
+    const { project, error, status } = await findProjectForMember(id, userId);
+    if (error) {
+      return res.status(status).json(error);
+    }
+
+    if (!title || !sanitizeInput(title)) {
+      return res
+        .status(400)
+        .json(errorResponse('Task title is required', 'MISSING_FIELDS'));
+    }
+
+    if (priority && !PRIORITIES.includes(priority)) {
+      return res
+        .status(400)
+        .json(errorResponse('Priority must be low, medium or high', 'INVALID_PRIORITY'));
+    }
+
+    const assignee = resolveAssignee(project, assigneeId);
+    if (!assignee) {
+      return res
+        .status(400)
+        .json(errorResponse('Assignee must be a member of the project team', 'INVALID_ASSIGNEE'));
+    }
+
+    const due = parseDueDate(dueDate);
+    if (!due) {
+      return res
+        .status(400)
+        .json(errorResponse('Invalid due date', 'INVALID_DUE_DATE'));
+    }
+
+    const creator = await User.findById(userId);
+
+    const task = await Task.create({
+      projectId: id,
+      title: sanitizeInput(title),
+      description: sanitizeInput(description || ''),
+      ...assignee,
+      ...due,
+      priority: priority || 'medium',
+      status: 'pending',
+      createdBy: userId,
+      createdByName: creator?.name || ''
+    });
+
+    emitToProject(id, 'task:created', task);
+
+    const response = successResponse(task, 'Task created successfully');
+    res.status(201).json(response);
+  }),
+
+  // Update task details (title, description, assignee, due date, priority)
+  updateTask: asyncHandler(async (req, res) => {
+    const { id, taskId } = req.params;
+    const { title, description, assigneeId, dueDate, priority } = req.body;
+    const userId = req.user.id;
+
+    const { project, error, status } = await findProjectForMember(id, userId);
+    if (error) {
+      return res.status(status).json(error);
+    }
+
+    const task = await findProjectTask(id, taskId);
+    if (!task) {
+      return res
+        .status(404)
+        .json(errorResponse('Task not found', 'TASK_NOT_FOUND'));
+    }
+
+    if (title !== undefined) {
+      if (!sanitizeInput(title)) {
+        return res
+          .status(400)
+          .json(errorResponse('Task title is required', 'MISSING_FIELDS'));
+      }
+      task.title = sanitizeInput(title);
+    }
+
+    if (description !== undefined) {
+      task.description = sanitizeInput(description || '');
+    }
+
+    if (priority !== undefined) {
+      if (!PRIORITIES.includes(priority)) {
+        return res
+          .status(400)
+          .json(errorResponse('Priority must be low, medium or high', 'INVALID_PRIORITY'));
+      }
+      task.priority = priority;
+    }
+
+    if (assigneeId !== undefined) {
+      const assignee = resolveAssignee(project, assigneeId);
+      if (!assignee) {
+        return res
+          .status(400)
+          .json(errorResponse('Assignee must be a member of the project team', 'INVALID_ASSIGNEE'));
+      }
+      task.assigneeId = assignee.assigneeId;
+      task.assigneeName = assignee.assigneeName;
+    }
+
+    if (dueDate !== undefined) {
+      const due = parseDueDate(dueDate);
+      if (!due) {
+        return res
+          .status(400)
+          .json(errorResponse('Invalid due date', 'INVALID_DUE_DATE'));
+      }
+      task.dueDate = due.dueDate;
+    }
+
+    await task.save();
+    emitToProject(id, 'task:updated', task);
+
+    const response = successResponse(task, 'Task updated successfully');
+    res.json(response);
+  }),
+
+  // Move a task along the status workflow
+  updateTaskStatus: asyncHandler(async (req, res) => {
+    const { id, taskId } = req.params;
+    const { status: nextStatus } = req.body;
+    const userId = req.user.id;
+
+    const { error, status } = await findProjectForMember(id, userId);
+    if (error) {
+      return res.status(status).json(error);
+    }
+
+    const task = await findProjectTask(id, taskId);
+    if (!task) {
+      return res
+        .status(404)
+        .json(errorResponse('Task not found', 'TASK_NOT_FOUND'));
+    }
+
+    if (!TASK_STATUS_TRANSITIONS[nextStatus]) {
+      return res
+        .status(400)
+        .json(errorResponse('Invalid task status', 'INVALID_STATUS'));
+    }
+
+    if (!task.canTransitionTo(nextStatus)) {
+      return res
+        .status(409)
+        .json(errorResponse(
+          `Cannot move a task from ${task.status} to ${nextStatus}`,
+          'INVALID_TRANSITION',
+          { from: task.status, allowed: TASK_STATUS_TRANSITIONS[task.status] }
+        ));
+    }
+
+    task.status = nextStatus;
+    task.completedAt = nextStatus === 'completed' ? new Date() : null;
+    await task.save();
+
+    emitToProject(id, 'task:updated', task);
+
+    const response = successResponse(task, 'Task status updated successfully');
+    res.json(response);
+  }),
+
+  // Delete a task (creator or project owner)
+  deleteTask: asyncHandler(async (req, res) => {
+    const { id, taskId } = req.params;
+    const userId = req.user.id;
+
+    const { project, error, status } = await findProjectForMember(id, userId);
+    if (error) {
+      return res.status(status).json(error);
+    }
+
+    const task = await findProjectTask(id, taskId);
+    if (!task) {
+      return res
+        .status(404)
+        .json(errorResponse('Task not found', 'TASK_NOT_FOUND'));
+    }
+
+    if (task.createdBy.toString() !== userId.toString() && !isProjectOwner(project, userId)) {
+      return res
+        .status(403)
+        .json(errorResponse('Only the task creator or project owner can delete this task', 'FORBIDDEN'));
+    }
+
+    await task.deleteOne();
+    emitToProject(id, 'task:deleted', { _id: task._id, projectId: id });
+
+    const response = successResponse({ _id: task._id }, 'Task deleted successfully');
+    res.json(response);
+  })
+};
+
+export default taskController;
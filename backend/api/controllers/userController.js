@@ -1,9 +1,17 @@
+import mongoose from "mongoose";
 import User from "../../models/User.js";
-import jwt from "jsonwebtoken";
+import Project from "../../models/Project.js";
+import { startSession, revokeUserSessions } from "../services/sessionService.js";
+import { sendVerificationEmail } from "../services/accountMailService.js";
+import { getRecommendations } from "../services/recommendationService.js";
+import { buildTalentFilter, searchTalent, attachMutualProjects } from "../services/talentService.js";
+import { isProjectOwner } from "../../utils/projectAccess.js";
 import {
   successResponse,
   errorResponse,
   asyncHandler,
+  encodeCursor,
+  decodeCursor,
 } from "../../utils/helpers.js";
 
 // Function to get display title based on user role
@@ -20,6 +28,31 @@ const getRoleDisplayTitle = (role) => {
   return roleMap[role] || 'Developer';
 };
 
+// Roles that can't be picked through registration or self-service profile edits
+const PRIVILEGED_ROLES = ['admin', 'moderator'];
+
+// What anyone can see of another user's profile
+const PUBLIC_PROFILE_FIELDS = 'name avatar title role bio location skills availability preferredStages githubUrl linkedinUrl portfolioUrl experiences education createdAt';
+
+const DEFAULT_RECOMMENDATIONS = 10;
+const MAX_RECOMMENDATIONS = 30;
+const DEFAULT_SEARCH_PAGE_SIZE = 20;
+const MAX_SEARCH_PAGE_SIZE = 50;
+
+// limit and offset cursor for the people directory; null if the cursor is malformed
+const readPage = ({ limit, cursor }) => {
+  const page = cursor ? decodeCursor(cursor) : null;
+  if (cursor && !(page && Number.isInteger(page.o) && page.o >= 0)) return null;
+
+  return {
+    limit: Math.min(Math.max(parseInt(limit, 10) || DEFAULT_SEARCH_PAGE_SIZE, 1), MAX_SEARCH_PAGE_SIZE),
+    offset: page?.o || 0,
+  };
+};
+
+const isRoleEscalation = (requestedRole, currentRole) =>
+  PRIVILEGED_ROLES.includes(requestedRole) && requestedRole !== currentRole;
+
 const userController = {
   // Login user
   loginUser: asyncHandler(async (req, res) => {
@@ -50,12 +83,15 @@ const userController = {
         .json(errorResponse("Invalid email or password", "INVALID_CREDENTIALS"));
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user._id, email: user.email, role: user.role },
-      process.env.JWT_SECRET || 'teamera-super-secret-jwt-key-2024',
-      { expiresIn: process.env.JWT_EXPIRE || '7d' }
-    );
+    // Checked after the password so the status of an account isn't revealed
+    if (user.status === "suspended") {
+      return res
+        .status(403)
+        .json(errorResponse("Your account has been suspended", "ACCOUNT_SUSPENDED"));
+    }
+
+    // Short-lived access token in the body, refresh token in an httpOnly cookie
+    const { accessToken: token } = await startSession(req, res, user);
 
     // Remove password from response
     const userResponse = user.toJSON();
@@ -70,17 +106,111 @@ const userController = {
     res.json(response);
   }),
 
-  // Get all users
+  // Community member directory: public profile fields only, searchable and
+  // paged. Signed-in viewers also get the projects they share with each member.
   getAllUsers: asyncHandler(async (req, res) => {
-    const users = await User.find().select('-password');
+    const page = readPage(req.query);
+    if (!page) {
+      return res
+        .status(400)
+        .json(errorResponse("Invalid cursor", "INVALID_CURSOR"));
+    }
+
+    const { limit, offset } = page;
+    const filter = buildTalentFilter(req.query);
+    const { users, total, hasMore } = await searchTalent(filter, { offset, limit });
+    const members = req.user
+      ? await attachMutualProjects(users, req.user.id)
+      : users.map(member => ({ ...member, mutualProjects: [] }));
+
+    const response = successResponse(members, "Users retrieved successfully");
+    res.json({
+      ...response,
+      pagination: {
+        total,
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor({ o: offset + members.length }) : null,
+      },
+    });
+  }),
+
+  // People directory for project owners. Filters by skill, level, role,
+  // location and availability; with projectId and positionId the results
+  // are ranked for that open position.
+  searchUsers: asyncHandler(async (req, res) => {
+    const { projectId, positionId } = req.query;
+
+    const page = readPage(req.query);
+    if (!page) {
+      return res
+        .status(400)
+        .json(errorResponse("Invalid cursor", "INVALID_CURSOR"));
+    }
+    const { limit, offset } = page;
+
+    let project = null;
+    let openPosition = null;
+    if (projectId) {
+      project = mongoose.Types.ObjectId.isValid(projectId)
+        ? await Project.findById(projectId).populate("ownerId", "name location")
+        : null;
+
+      if (!project) {
+        return res
+          .status(404)
+          .json(errorResponse("Project not found", "PROJECT_NOT_FOUND"));
+      }
+
+      if (!isProjectOwner(project, req.user.id)) {
+        return res
+          .status(403)
+          .json(errorResponse("Only the project owner can rank candidates for this project", "NOT_PROJECT_OWNER"));
+      }
+
+      if (positionId) {
+        openPosition = mongoose.Types.ObjectId.isValid(positionId)
+          ? project.openPositions.id(positionId)
+          : null;
+
+        if (!openPosition) {
+          return res
+            .status(404)
+            .json(errorResponse("Position not found", "POSITION_NOT_FOUND"));
+        }
+      }
+    }
+
+    // Leave out the searcher and anyone already on the project
+    const excludeIds = [
+      req.user.id,
+      ...(project?.teamMembers || []).map(member => member.id).filter(Boolean),
+    ];
+    const filter = buildTalentFilter(req.query, excludeIds);
+
+    const { users, total, hasMore } = await searchTalent(filter, {
+      position: openPosition,
+      owner: project?.ownerId,
+      offset,
+      limit,
+    });
+
     const response = successResponse(users, "Users retrieved successfully");
-    res.json(response);
+    res.json({
+      ...response,
+      pagination: {
+        total,
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor({ o: offset + users.length }) : null,
+      },
+    });
   }),
 
   // Get user by ID
   getUserById: asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const user = await User.findById(id).select('-password');
+    const user = await User.findById(id).select(PUBLIC_PROFILE_FIELDS);
 
     if (!user) {
       return res
@@ -116,9 +246,48 @@ const userController = {
     res.json(response);
   }),
 
+  // Open positions ranked against the user's skills, location, preferred
+  // stages and past applications
+  getRecommendations: asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const user = await User.findById(id);
+
+    if (!user) {
+      return res
+        .status(404)
+        .json(errorResponse("User not found", "USER_NOT_FOUND"));
+    }
+
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || DEFAULT_RECOMMENDATIONS, 1),
+      MAX_RECOMMENDATIONS,
+    );
+    const recommendations = await getRecommendations(user, { limit });
+
+    const response = successResponse(
+      {
+        recommendations,
+        // Lets the client suggest what to fill in for better matches
+        profile: {
+          hasSkills: user.skills.some(skill => skill.name?.trim()),
+          hasLocation: Boolean(user.location?.trim()),
+          hasPreferredStages: user.preferredStages.length > 0,
+        },
+      },
+      "Recommendations retrieved successfully",
+    );
+    res.json(response);
+  }),
+
   // Create new user (Registration)
   createUser: asyncHandler(async (req, res) => {
-    const { name, email, password, role, ...otherData } = req.body;
+    const { name, email, password, role, emailVerified, emailVerifiedAt, ...otherData } = req.body;
+
+    if (isRoleEscalation(role)) {
+      return res
+        .status(403)
+        .json(errorResponse("This role cannot be self-assigned", "ROLE_NOT_ALLOWED"));
+    }
 
     // Check if email already exists
     const existingUser = await User.findOne({ email: email.toLowerCase() });
@@ -141,7 +310,18 @@ const userController = {
       ...otherData
     });
 
-    const response = successResponse(newUser, "User created successfully");
+    // Don't hold up registration on the mail server
+    sendVerificationEmail(newUser).catch((error) => {
+      console.error("Failed to send verification email:", error.message);
+    });
+
+    // Sign the new user in straight away
+    const { accessToken: token } = await startSession(req, res, newUser);
+
+    const response = successResponse(
+      { ...newUser.toJSON(), token },
+      "User created successfully"
+    );
     res.status(201).json(response);
   }),
 
@@ -150,6 +330,15 @@ const userController = {
     const { id } = req.params;
     const { email, ...updateData } = req.body;
 
+    delete updateData.password;
+    delete updateData.emailVerified;
+    delete updateData.emailVerifiedAt;
+    if (isRoleEscalation(updateData.role, req.user.role)) {
+      return res
+        .status(403)
+        .json(errorResponse("This role cannot be self-assigned", "ROLE_NOT_ALLOWED"));
+    }
+
     // Check if email is taken by another user
     if (email) {
       const emailExists = await User.findOne({ 
@@ -164,6 +353,14 @@ const userController = {
       updateData.email = email;
     }
 
+    // A new address has to be verified again
+    const currentUser = await User.findById(id);
+    const emailChanged = Boolean(email) && currentUser && currentUser.email !== email.toLowerCase();
+    if (emailChanged) {
+      updateData.emailVerified = false;
+      updateData.emailVerifiedAt = null;
+    }
+
     // Update user
     const updatedUser = await User.findByIdAndUpdate(
       id,
@@ -177,6 +374,12 @@ const userController = {
         .json(errorResponse("User not found", "USER_NOT_FOUND"));
     }
 
+    if (emailChanged) {
+      sendVerificationEmail(updatedUser).catch((error) => {
+        console.error("Failed to send verification email:", error.message);
+      });
+    }
+
     const response = successResponse(updatedUser, "User updated successfully");
     res.json(response);
   }),
@@ -184,7 +387,7 @@ const userController = {
   // Get user profile
   getUserProfile: asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const user = await User.findById(id).select('-password');
+    const user = await User.findById(id).select(PUBLIC_PROFILE_FIELDS);
 
     if (!user) {
       return res
@@ -210,6 +413,14 @@ const userController = {
     delete profileData.id;
     delete profileData._id;
     delete profileData.token;
+    delete profileData.emailVerified;
+    delete profileData.emailVerifiedAt;
+
+    if (isRoleEscalation(profileData.role, req.user.role)) {
+      return res
+        .status(403)
+        .json(errorResponse("This role cannot be self-assigned", "ROLE_NOT_ALLOWED"));
+    }
 
     // If role is being updated and title is not provided, set default title
     if (profileData.role && !profileData.title) {
@@ -260,11 +471,14 @@ const userController = {
         .json(errorResponse("User not found", "USER_NOT_FOUND"));
     }
 
+    await revokeUserSessions(id);
+
     const response = successResponse(deletedUser, "User deleted successfully");
     res.json(response);
   }),
 
-  // Verify user by email
+  // Look up a registered user by email (used when adding team members).
+  // Address ownership is confirmed separately via /api/auth/email/verify.
   verifyUserByEmail: asyncHandler(async (req, res) => {
     const { email } = req.body;
 
@@ -2,11 +2,22 @@ import express from "express";
 import helloController from "../controllers/helloController.js";
 import contactController from "../controllers/contactController.js";
 import userController from "../controllers/userController.js";
+import authController from "../controllers/authController.js";
 import dashboardController from "../controllers/dashboardController.js";
 import projectController from "../controllers/projectController.js";
-import { streamNotifications, getNotifications, markAsRead, markAllAsRead, deleteNotification } from "../controllers/notificationController.js";
-import { logger } from "../../middleware/auth.js";
-import { validateRegistration } from "../../middleware/validation.js";
+import messageController from "../controllers/messageController.js";
+import taskController from "../controllers/taskController.js";
+import fileController from "../controllers/fileController.js";
+import postController from "../controllers/postController.js";
+import moderationController from "../controllers/moderationController.js";
+import hackathonController from "../controllers/hackathonController.js";
+import hackathonRegistrationController from "../controllers/hackathonRegistrationController.js";
+import hackathonSubmissionController from "../controllers/hackathonSubmissionController.js";
+import calendarController from "../controllers/calendarController.js";
+import { streamNotifications, getNotifications, markAsRead, markAllAsRead, deleteNotification, getPreferences, updatePreferences, unsubscribeDigest } from "../controllers/notificationController.js";
+import { logger, authenticate, optionalAuth, authorize, requireSelf } from "../../middleware/auth.js";
+import { validateRegistration, validatePasswordUpdate, validateEmail } from "../../middleware/validation.js";
+import { uploadProjectFiles, uploadPostAttachments, uploadResume, uploadSubmissionAssets } from "../../middleware/upload.js";
 
 const router = express.Router();
 
@@ -16,54 +27,167 @@ router.use(logger);
 // Hello endpoint
 router.get("/hello", helloController.getHello);
 
+// Write routes (except login, registration, token refresh/logout, the emailed
+// reset/verification links and the contact form) require a valid JWT:
+// `Authorization: Bearer <token>`.
+// Controllers take the caller's identity from the token, never from the body.
+
 // Contact endpoints
 router.post("/contact", contactController.submitContact);
 
+// Auth session endpoints (refresh token travels in an httpOnly cookie)
+router.post("/auth/refresh", authController.refresh);
+router.post("/auth/logout", authController.logout);
+router.get("/auth/sessions", authenticate, authController.getSessions);
+router.delete("/auth/sessions", authenticate, authController.revokeOtherSessions);
+router.delete("/auth/sessions/:sessionId", authenticate, authController.revokeSession);
+router.post("/auth/password/forgot", validateEmail, authController.requestPasswordReset);
+router.post("/auth/password/reset", validatePasswordUpdate, authController.resetPassword);
+router.post("/auth/email/verify", authController.verifyEmail);
+router.post("/auth/email/verify/resend", authenticate, authController.resendVerificationEmail);
+
 // User endpoints
 router.post("/users/login", userController.loginUser);
-router.post("/users/verify-email", userController.verifyUserByEmail);
-router.get("/users", userController.getAllUsers);
+router.post("/users/verify-email", authenticate, userController.verifyUserByEmail);
+router.get("/users", optionalAuth, userController.getAllUsers);
+router.get("/users/search", authenticate, userController.searchUsers);
 router.get("/users/:id", userController.getUserById);
 router.get("/users/:id/profile", userController.getUserProfile);
 router.get("/users/:id/projects", userController.getUserProjects);
+router.get("/users/:id/recommendations", authenticate, requireSelf("id"), userController.getRecommendations);
+router.get("/users/:id/notification-preferences", authenticate, requireSelf("id"), getPreferences);
+router.put("/users/:id/notification-preferences", authenticate, requireSelf("id"), updatePreferences);
 router.post("/users", validateRegistration, userController.createUser);
-router.put("/users/:id", userController.updateUser);
-router.put("/users/:id/profile", userController.updateUserProfile);
-router.delete("/users/:id", userController.deleteUser);
+router.put("/users/:id", authenticate, requireSelf("id"), userController.updateUser);
+router.put("/users/:id/profile", authenticate, requireSelf("id"), userController.updateUserProfile);
+router.delete("/users/:id", authenticate, requireSelf("id"), userController.deleteUser);
 
 // Dashboard endpoints
 router.get("/dashboard/:userId", dashboardController.getDashboard);
 router.get("/dashboard/:userId/stats", dashboardController.getDashboardStats);
 router.get("/dashboard/:userId/bookmarks", dashboardController.getBookmarkedProjects);
-router.get("/dashboard/:userId/applications", dashboardController.getApplications);
-router.post("/dashboard/:userId/bookmarks", dashboardController.addBookmark);
-router.delete("/dashboard/:userId/bookmarks/:projectId", dashboardController.removeBookmark);
+router.get("/dashboard/:userId/applications", authenticate, requireSelf(), dashboardController.getApplications);
+router.post("/dashboard/:userId/bookmarks", authenticate, requireSelf(), dashboardController.addBookmark);
+router.delete("/dashboard/:userId/bookmarks/:projectId", authenticate, requireSelf(), dashboardController.removeBookmark);
 
 // Application endpoints
-router.post("/applications/submit", dashboardController.submitApplication);
-router.patch("/applications/:applicationId/status", dashboardController.updateApplicationStatus);
-router.get("/applications/project/:projectId", dashboardController.getProjectApplications);
+router.post("/applications/submit", authenticate, dashboardController.submitApplication);
+router.patch("/applications/:applicationId/status", authenticate, dashboardController.updateApplicationStatus);
+router.post("/applications/:applicationId/withdraw", authenticate, dashboardController.withdrawApplication);
+router.get("/applications/project/:projectId", authenticate, dashboardController.getProjectApplications);
 router.get("/applications/check", dashboardController.checkUserApplication);
 router.get("/applications/invitations", dashboardController.getProjectInvitations);
 
 // Notification endpoints — stream MUST be before /:userId to avoid param collision
 router.get("/notifications/:userId/stream", streamNotifications);
 router.get("/notifications/:userId", getNotifications);
-router.patch("/notifications/:notificationId/read", markAsRead);
-router.patch("/notifications/:userId/read-all", markAllAsRead);
-router.delete("/notifications/:notificationId", deleteNotification);
+router.patch("/notifications/:notificationId/read", authenticate, markAsRead);
+router.patch("/notifications/:userId/read-all", authenticate, requireSelf(), markAllAsRead);
+router.delete("/notifications/:notificationId", authenticate, deleteNotification);
+
+// Digest unsubscribe link (the token in the email identifies the user)
+router.post("/digests/unsubscribe", unsubscribeDigest);
 
 // Project endpoints
 router.get("/projects", projectController.getAllProjects);
-router.post("/projects", projectController.createProject);
+router.post("/projects", authenticate, projectController.createProject);
 router.get("/projects/user/:userId", projectController.getUserProjects);
-router.post("/projects/:id/apply", projectController.incrementApplicationCount);
-router.put("/projects/:id/stage", projectController.updateProjectStage);
-router.post("/projects/:id/team", projectController.addTeamMember);
-router.delete("/projects/:id/team/:userId", projectController.removeTeamMember);
-router.get("/projects/:id", projectController.getProjectById);
-router.put("/projects/:id", projectController.updateProject);
-router.delete("/projects/:id", projectController.deleteProject);
+router.post("/projects/:id/apply", authenticate, projectController.incrementApplicationCount);
+router.put("/projects/:id/stage", authenticate, projectController.updateProjectStage);
+router.post("/projects/:id/team", authenticate, projectController.addTeamMember);
+router.post("/projects/:id/invitations", authenticate, projectController.inviteToPosition);
+router.delete("/projects/:id/team/:userId", authenticate, projectController.removeTeamMember);
+
+// Project chat endpoints (team members only)
+router.get("/projects/:id/messages", authenticate, messageController.getMessages);
+router.post("/projects/:id/messages", authenticate, messageController.sendMessage);
+router.patch("/projects/:id/messages/:messageId", authenticate, messageController.updateMessage);
+router.delete("/projects/:id/messages/:messageId", authenticate, messageController.deleteMessage);
+router.post("/projects/:id/messages/:messageId/reactions", authenticate, messageController.toggleReaction);
+
+// Project task board endpoints (team members only)
+router.get("/projects/:id/tasks", authenticate, taskController.getTasks);
+router.post("/projects/:id/tasks", authenticate, taskController.createTask);
+router.put("/projects/:id/tasks/:taskId", authenticate, taskController.updateTask);
+router.patch("/projects/:id/tasks/:taskId/status", authenticate, taskController.updateTaskStatus);
+router.delete("/projects/:id/tasks/:taskId", authenticate, taskController.deleteTask);
+
+// Project file endpoints (team members only)
+router.get("/projects/:id/files", authenticate, fileController.getFiles);
+router.post("/projects/:id/files", authenticate, uploadProjectFiles, fileController.uploadFiles);
+router.get("/projects/:id/files/:fileId/download", authenticate, fileController.downloadFile);
+router.delete("/projects/:id/files/:fileId", authenticate, fileController.deleteFile);
+
+router.get("/projects/:id", optionalAuth, projectController.getProjectById);
+router.put("/projects/:id", authenticate, projectController.updateProject);
+router.delete("/projects/:id", authenticate, projectController.deleteProject);
+
+// Community post endpoints
+router.get("/posts", optionalAuth, postController.getPosts);
+router.post("/posts", authenticate, uploadPostAttachments, postController.createPost);
+router.get("/posts/:id", optionalAuth, postController.getPostById);
+router.patch("/posts/:id", authenticate, postController.updatePost);
+router.delete("/posts/:id", authenticate, postController.deletePost);
+router.get("/posts/:id/attachments/:attachmentId", optionalAuth, postController.downloadAttachment);
+router.get("/posts/:id/attachments/:attachmentId/thumbnail", optionalAuth, postController.getAttachmentThumbnail);
+router.delete("/posts/:id/attachments/:attachmentId", authenticate, postController.removeAttachment);
+router.put("/posts/:id/like", authenticate, postController.likePost);
+router.delete("/posts/:id/like", authenticate, postController.unlikePost);
+router.get("/posts/:id/comments", optionalAuth, postController.getComments);
+router.post("/posts/:id/comments", authenticate, postController.createComment);
+router.patch("/posts/:id/comments/:commentId", authenticate, postController.updateComment);
+router.delete("/posts/:id/comments/:commentId", authenticate, postController.deleteComment);
+
+// Hackathon endpoints (edits and cancellation are for the organizer)
+router.get("/hackathons", optionalAuth, hackathonController.getHackathons);
+router.post("/hackathons", authenticate, hackathonController.createHackathon);
+router.get("/hackathons/:id", optionalAuth, hackathonController.getHackathonById);
+router.patch("/hackathons/:id", authenticate, hackathonController.updateHackathon);
+router.post("/hackathons/:id/cancel", authenticate, hackathonController.cancelHackathon);
+router.get("/hackathons/:id/calendar.ics", hackathonController.downloadCalendar);
+
+// Hackathon registration and team endpoints
+router.post("/hackathons/:id/registrations", authenticate, uploadResume, hackathonRegistrationController.register);
+router.get("/hackathons/:id/registrations", authenticate, hackathonRegistrationController.getRegistrations);
+router.get("/hackathons/:id/registrations/me", authenticate, hackathonRegistrationController.getMyRegistration);
+router.patch("/hackathons/:id/registrations/me", authenticate, hackathonRegistrationController.updateMyRegistration);
+router.delete("/hackathons/:id/registrations/me", authenticate, hackathonRegistrationController.withdraw);
+router.get("/hackathons/:id/registrations/:registrationId/resume", authenticate, hackathonRegistrationController.downloadResume);
+router.get("/hackathons/:id/pool", authenticate, hackathonRegistrationController.getTeamPool);
+router.post("/hackathons/:id/teams/:teamId/invites", authenticate, hackathonRegistrationController.inviteToTeam);
+router.delete("/hackathons/:id/teams/:teamId/invites/:inviteId", authenticate, hackathonRegistrationController.revokeInvite);
+router.post("/hackathons/:id/teams/:teamId/invites/:inviteId/accept", authenticate, hackathonRegistrationController.acceptInvite);
+router.post("/hackathons/:id/teams/:teamId/invites/:inviteId/decline", authenticate, hackathonRegistrationController.declineInvite);
+router.post("/hackathons/:id/teams/:teamId/leave", authenticate, hackathonRegistrationController.leaveTeam);
+
+// Hackathon submission, judging and leaderboard endpoints
+router.put("/hackathons/:id/rubric", authenticate, hackathonSubmissionController.updateRubric);
+router.get("/hackathons/:id/judges", hackathonSubmissionController.getJudges);
+router.post("/hackathons/:id/judges", authenticate, hackathonSubmissionController.addJudge);
+router.delete("/hackathons/:id/judges/:userId", authenticate, hackathonSubmissionController.removeJudge);
+router.get("/hackathons/:id/submissions", optionalAuth, hackathonSubmissionController.getSubmissions);
+router.get("/hackathons/:id/submissions/mine", authenticate, hackathonSubmissionController.getMySubmission);
+router.put("/hackathons/:id/submissions/mine", authenticate, uploadSubmissionAssets, hackathonSubmissionController.saveMySubmission);
+router.delete("/hackathons/:id/submissions/mine/assets/:assetId", authenticate, hackathonSubmissionController.removeMyAsset);
+router.get("/hackathons/:id/submissions/:submissionId/assets/:assetId", optionalAuth, hackathonSubmissionController.downloadAsset);
+router.put("/hackathons/:id/submissions/:submissionId/scorecard", authenticate, hackathonSubmissionController.scoreSubmission);
+router.get("/hackathons/:id/leaderboard", optionalAuth, hackathonSubmissionController.getLeaderboard);
+
+// Calendar feed endpoints. The feed URL carries its own secret token so
+// calendar apps can subscribe without signing in.
+router.get("/calendar/feed", authenticate, calendarController.getFeedStatus);
+router.post("/calendar/feed", authenticate, calendarController.createFeed);
+router.delete("/calendar/feed", authenticate, calendarController.revokeFeed);
+router.get("/calendar/feeds/:token.ics", calendarController.getFeed);
+
+// Reporting and moderation endpoints (queue, actions and audit trail are
+// for moderators and admins)
+const moderatorsOnly = authorize("moderator", "admin");
+router.post("/reports", authenticate, moderationController.createReport);
+router.get("/moderation/reports", authenticate, moderatorsOnly, moderationController.getReports);
+router.post("/moderation/reports/:id/actions", authenticate, moderatorsOnly, moderationController.resolveReport);
+router.post("/moderation/users/:id/reinstate", authenticate, moderatorsOnly, moderationController.reinstateUser);
+router.get("/moderation/audit", authenticate, moderatorsOnly, moderationController.getAuditLog);
 
 // API info endpoint
 router.get("/", (req, res) => {
@@ -73,11 +197,20 @@ router.get("/", (req, res) => {
     endpoints: {
       hello: "GET /api/hello",
       contact: "POST /api/contact",
+      auth: "POST /api/auth/refresh",
       users: "GET /api/users",
       dashboard: "GET /api/dashboard/:userId",
       applications: "POST /api/applications/submit",
       notifications: "GET /api/notifications/:userId",
       projects: "GET /api/projects",
+      messages: "GET /api/projects/:id/messages",
+      tasks: "GET /api/projects/:id/tasks",
+      files: "GET /api/projects/:id/files",
+      posts: "GET /api/posts",
+      hackathons: "GET /api/hackathons",
+      calendar: "GET /api/calendar/feed",
+      reports: "POST /api/reports",
+      moderation: "GET /api/moderation/reports",
     },
     timestamp: new Date().toISOString(),
   });
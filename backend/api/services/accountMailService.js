@@ -0,0 +1,78 @@
+import { AUTH_TOKEN_TYPES } from '../../models/AuthToken.js';
+import { issueAuthToken } from './authTokenService.js';
+import { sendMail } from './mailer/index.js';
+
+export const getFrontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:5173';
+
+export const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Shared layout: one paragraph of copy, a button and the raw link as fallback
+export const renderActionEmail = ({ name, intro, actionLabel, link, footer }) => ({
+  text: [
+    `Hi ${name},`,
+    '',
+    intro,
+    '',
+    `${actionLabel}: ${link}`,
+    '',
+    footer
+  ].join('\n'),
+  html: `
+    <p>Hi ${escapeHtml(name)},</p>
+    <p>${escapeHtml(intro)}</p>
+    <p><a href="${escapeHtml(link)}" style="display:inline-block;padding:10px 18px;background:#4f46e5;color:#fff;border-radius:6px;text-decoration:none">${escapeHtml(actionLabel)}</a></p>
+    <p style="color:#64748b;font-size:13px">Or paste this link into your browser:<br>${escapeHtml(link)}</p>
+    <p style="color:#64748b;font-size:13px">${escapeHtml(footer)}</p>
+  `.trim()
+});
+
+/**
+ * Emails a fresh verification link to the user
+ * @param {object} user - User document
+ */
+export const sendVerificationEmail = async (user) => {
+  const { token } = await issueAuthToken(user._id, AUTH_TOKEN_TYPES.EMAIL_VERIFICATION);
+  const link = `${getFrontendUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your Teamera email address',
+    ...renderActionEmail({
+      name: user.name,
+      intro: 'Please confirm that this is your email address.',
+      actionLabel: 'Verify email',
+      link,
+      footer: 'This link expires in 24 hours. If you did not create a Teamera account, you can ignore this email.'
+    })
+  });
+};
+
+/**
+ * Emails a password reset link to the user
+ * @param {object} user - User document
+ */
+export const sendPasswordResetEmail = async (user) => {
+  const { token } = await issueAuthToken(user._id, AUTH_TOKEN_TYPES.PASSWORD_RESET);
+  const link = `${getFrontendUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your Teamera password',
+    ...renderActionEmail({
+      name: user.name,
+      intro: 'We received a request to reset your password.',
+      actionLabel: 'Choose a new password',
+      link,
+      footer: 'This link expires in 1 hour and can only be used once. If you did not ask for a reset, you can ignore this email.'
+    })
+  });
+};
+
+export default {
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
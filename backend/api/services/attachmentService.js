@@ -0,0 +1,157 @@
+import path from 'path';
+import sharp from 'sharp';
+import { getStorage } from './storage/index.js';
+import { generateId } from '../../utils/helpers.js';
+
+/**
+ * Community post and hackathon submission attachments. Files are checked
+ * against an allowlist by extension and by their first bytes, images get a
+ * WebP thumbnail, and the content type served back always comes from the
+ * allowlist rather than from what the browser claimed on upload.
+ */
+
+// Longest side of a generated thumbnail, in pixels
+const THUMBNAIL_SIZE = 480;
+
+const startsWith = (signature) => (buffer) => buffer.subarray(0, signature.length).equals(Buffer.from(signature));
+const isZip = startsWith([0x50, 0x4b, 0x03, 0x04]);
+const isPdf = startsWith('%PDF-');
+const isOleDocument = startsWith([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+// No NUL bytes in the first few KB
+const isText = (buffer) => !buffer.subarray(0, 8192).includes(0);
+
+// Allowed extensions. Images are verified by decoding them; other files by
+// their signature. SVG is left out because it can carry scripts.
+export const ATTACHMENT_TYPES = {
+  '.jpg': { kind: 'image', mimeType: 'image/jpeg', format: 'jpeg' },
+  '.jpeg': { kind: 'image', mimeType: 'image/jpeg', format: 'jpeg' },
+  '.png': { kind: 'image', mimeType: 'image/png', format: 'png' },
+  '.gif': { kind: 'image', mimeType: 'image/gif', format: 'gif' },
+  '.webp': { kind: 'image', mimeType: 'image/webp', format: 'webp' },
+  '.pdf': { kind: 'file', mimeType: 'application/pdf', matches: isPdf },
+  '.doc': { kind: 'file', mimeType: 'application/msword', matches: isOleDocument },
+  '.docx': { kind: 'file', mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', matches: isZip },
+  '.xls': { kind: 'file', mimeType: 'application/vnd.ms-excel', matches: isOleDocument },
+  '.xlsx': { kind: 'file', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', matches: isZip },
+  '.ppt': { kind: 'file', mimeType: 'application/vnd.ms-powerpoint', matches: isOleDocument },
+  '.pptx': { kind: 'file', mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', matches: isZip },
+  '.zip': { kind: 'file', mimeType: 'application/zip', matches: isZip },
+  '.fig': { kind: 'file', mimeType: 'application/octet-stream', matches: () => true },
+  '.txt': { kind: 'file', mimeType: 'text/plain; charset=utf-8', matches: isText },
+  '.md': { kind: 'file', mimeType: 'text/markdown; charset=utf-8', matches: isText },
+  '.csv': { kind: 'file', mimeType: 'text/csv; charset=utf-8', matches: isText }
+};
+
+const getExtension = (fileName) => path.extname(fileName || '').toLowerCase();
+
+/**
+ * Checks one uploaded file against the allowlist
+ * @param {object} file - multer file (originalname, buffer)
+ * @returns {Promise<{error: (string|null), type: (object|null), metadata: (object|null)}>}
+ * metadata has the image's width and height
+ */
+export const inspectAttachment = async (file) => {
+  const type = ATTACHMENT_TYPES[getExtension(file.originalname)];
+  if (!type) {
+    return { error: `${file.originalname}: this file type isn't allowed`, type: null, metadata: null };
+  }
+
+  if (type.kind === 'image') {
+    try {
+      const metadata = await sharp(file.buffer).metadata();
+      if (metadata.format !== type.format) throw new Error('Format does not match extension');
+      return { error: null, type, metadata };
+    } catch {
+      return { error: `${file.originalname} isn't a valid ${type.format.toUpperCase()} image`, type: null, metadata: null };
+    }
+  }
+
+  if (!type.matches(file.buffer)) {
+    return { error: `${file.originalname} doesn't look like a ${getExtension(file.originalname)} file`, type: null, metadata: null };
+  }
+
+  return { error: null, type, metadata: null };
+};
+
+/**
+ * Content type for a file that may be of any type, such as a project file:
+ * the allowlist's type when the file passes its checks, and
+ * application/octet-stream otherwise. What the browser claimed is ignored.
+ * @param {object} file - multer file (originalname, buffer)
+ * @returns {Promise<string>}
+ */
+export const detectContentType = async (file) => {
+  const { type } = await inspectAttachment(file);
+  return type ? type.mimeType : 'application/octet-stream';
+};
+
+/**
+ * Saves checked files (and image thumbnails) for a post or submission
+ * @param {string} ownerId - Post or submission the files belong to
+ * @param {Array<{file: object, type: object, metadata: object}>} checked - From inspectAttachment
+ * @param {string} [folder] - Top-level storage folder for the owner type
+ * @returns {Promise<Array<object>>} Attachment subdocuments (see attachmentSchema in Post.js)
+ */
+export const storeAttachments = async (ownerId, checked, folder = 'posts') => {
+  const storage = getStorage();
+  const savedKeys = [];
+
+  try {
+    const attachments = [];
+    for (const { file, type, metadata } of checked) {
+      const baseKey = `${folder}/${ownerId}/${generateId()}`;
+      const storageKey = `${baseKey}${getExtension(file.originalname)}`;
+      await storage.save(storageKey, file.buffer);
+      savedKeys.push(storageKey);
+
+      let thumbnailKey = null;
+      if (type.kind === 'image') {
+        const thumbnail = await sharp(file.buffer)
+          .rotate()
+          .resize({ width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, fit: 'inside', withoutEnlargement: true })
+          .webp({ quality: 80 })
+          .toBuffer();
+        thumbnailKey = `${baseKey}-thumb.webp`;
+        await storage.save(thumbnailKey, thumbnail);
+        savedKeys.push(thumbnailKey);
+      }
+
+      attachments.push({
+        originalName: file.originalname,
+        mimeType: type.mimeType,
+        kind: type.kind,
+        size: file.size,
+        width: metadata?.width || null,
+        height: metadata?.height || null,
+        storageKey,
+        thumbnailKey,
+        storageDriver: storage.name
+      });
+    }
+    return attachments;
+  } catch (err) {
+    // Don't leave orphaned bytes behind when the batch fails
+    await Promise.all(savedKeys.map(key => storage.remove(key).catch(() => {})));
+    throw err;
+  }
+};
+
+/**
+ * Deletes the stored bytes of attachments; missing files are ignored
+ * @param {Array<object>} attachments - Post.attachments or submission asset entries
+ */
+export const removeAttachmentFiles = async (attachments) => {
+  const storage = getStorage();
+  const keys = attachments.flatMap(({ storageKey, thumbnailKey }) => [storageKey, thumbnailKey].filter(Boolean));
+  await Promise.all(keys.map(key => storage.remove(key).catch(err => {
+    console.error(`Failed to remove attachment ${key}:`, err.message);
+  })));
+};
+
+export default {
+  ATTACHMENT_TYPES,
+  inspectAttachment,
+  detectContentType,
+  storeAttachments,
+  removeAttachmentFiles
+};
@@ -0,0 +1,70 @@
+import AuthToken, { AUTH_TOKEN_TYPES } from '../../models/AuthToken.js';
+import { generateSecureToken, hashToken } from '../../utils/helpers.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// How long an emailed link stays valid, per token type
+const TOKEN_TTL_MS = {
+  [AUTH_TOKEN_TYPES.PASSWORD_RESET]: 60 * MINUTE_MS,
+  [AUTH_TOKEN_TYPES.EMAIL_VERIFICATION]: 24 * 60 * MINUTE_MS
+};
+
+/**
+ * Issues a single-use token for a user. Any earlier unused token of the
+ * same type is discarded, so only the most recent email link works.
+ * @param {string} userId - User ID
+ * @param {string} type - One of AUTH_TOKEN_TYPES
+ * @returns {Promise<{token: string, expiresAt: Date}>} Raw token to put in the link
+ */
+export const issueAuthToken = async (userId, type) => {
+  await AuthToken.deleteMany({ userId, type, usedAt: null });
+
+  const token = generateSecureToken();
+  const expiresAt = new Date(Date.now() + TOKEN_TTL_MS[type]);
+  await AuthToken.create({ userId, type, tokenHash: hashToken(token), expiresAt });
+
+  return { token, expiresAt };
+};
+
+/**
+ * Marks a token as used and returns its owner. The update is atomic, so a
+ * token can never be redeemed twice.
+ * @param {string} token - Raw token from the link
+ * @param {string} type - One of AUTH_TOKEN_TYPES
+ * @returns {Promise<string|null>} User ID, or null if invalid, expired or used
+ */
+export const consumeAuthToken = async (token, type) => {
+  if (typeof token !== 'string' || !token) return null;
+
+  const record = await AuthToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+
+  return record ? record.userId : null;
+};
+
+/**
+ * Makes a consumed token usable again, for when the action it was redeemed
+ * for failed. Expired tokens stay unusable.
+ * @param {string} token - Raw token from the link
+ * @param {string} type - One of AUTH_TOKEN_TYPES
+ */
+export const releaseAuthToken = async (token, type) => {
+  await AuthToken.updateOne(
+    { tokenHash: hashToken(token), type, usedAt: { $ne: null } },
+    { usedAt: null }
+  );
+};
+
+export default {
+  issueAuthToken,
+  consumeAuthToken,
+  releaseAuthToken
+};
@@ -0,0 +1,231 @@
+import Hackathon from '../../models/Hackathon.js';
+import Task from '../../models/Task.js';
+import Project from '../../models/Project.js';
+import { getFrontendUrl } from './accountMailService.js';
+
+/**
+ * iCalendar (RFC 5545) output: a single hackathon as a download, and a
+ * per-user feed that calendar clients poll.
+ *
+ * UIDs are derived from the source documents, so when a date changes a
+ * subscribed client updates the existing event instead of adding a copy.
+ */
+
+const PRODUCT_ID = '-//Teamera//Calendar//EN';
+const UID_DOMAIN = 'teamera';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Past events kept in the feed, so recent history doesn't vanish from calendars
+const FEED_HISTORY_MS = 90 * DAY_MS;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// 20260315T090000Z
+const formatDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// 20260315 (task due dates are stored at UTC midnight)
+const formatDate = (date) => `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`;
+
+const escapeText = (value = '') => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  const chunks = [];
+  let chunk = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (size + charSize > limit) {
+      chunks.push(chunk);
+      chunk = '';
+      size = 0;
+    }
+    chunk += char;
+    size += charSize;
+  }
+  chunks.push(chunk);
+  return chunks.join('\r\n ');
+};
+
+/**
+ * @typedef {Object} CalendarEvent
+ * @property {string} uid - Stable identifier
+ * @property {Date} start
+ * @property {Date} [end] - Omitted for deadlines
+ * @property {boolean} [allDay] - Dates without a time of day
+ * @property {string} summary
+ * @property {string} [description]
+ * @property {string} [location]
+ * @property {string} [url]
+ * @property {boolean} [cancelled]
+ * @property {Date} [updatedAt]
+ */
+
+const renderEvent = (event, now) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatDateTime(event.updatedAt || now)}`
+  ];
+
+  if (event.allDay) {
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(event.start)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatDate(new Date(event.start.getTime() + DAY_MS))}`);
+  } else {
+    lines.push(`DTSTART:${formatDateTime(event.start)}`);
+    if (event.end) lines.push(`DTEND:${formatDateTime(event.end)}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  lines.push(`STATUS:${event.cancelled ? 'CANCELLED' : 'CONFIRMED'}`);
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Renders a VCALENDAR document
+ * @param {Object} options
+ * @param {string} options.name - Calendar name shown by clients
+ * @param {Array<CalendarEvent>} options.events
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+export const buildCalendar = ({ name, events, now = new Date() }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flatMap(event => renderEvent(event, now)),
+    'END:VCALENDAR'
+  ];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+/**
+ * Events for one hackathon: the hackathon itself, plus the registration
+ * and submission deadlines when they fall apart from its start and end
+ * @param {Object} hackathon - Hackathon document
+ * @param {Object} [options]
+ * @param {boolean} [options.includeRegistration] - Add the registration deadline
+ * @returns {Array<CalendarEvent>}
+ */
+export const getHackathonEvents = (hackathon, { includeRegistration = false } = {}) => {
+  const id = hackathon._id.toString();
+  const url = `${getFrontendUrl()}/hackathons`;
+  const cancelled = hackathon.status === 'cancelled';
+  const shared = { url, cancelled, updatedAt: hackathon.updatedAt };
+
+  const events = [{
+    ...shared,
+    uid: `hackathon-${id}@${UID_DOMAIN}`,
+    start: hackathon.startDate,
+    end: hackathon.endDate,
+    summary: hackathon.title,
+    description: [hackathon.description, hackathon.prize && `Prize: ${hackathon.prize}`].filter(Boolean).join('\n\n'),
+    location: hackathon.location
+  }];
+
+  if (includeRegistration && hackathon.registrationDeadline && hackathon.registrationDeadline < hackathon.startDate) {
+    events.push({
+      ...shared,
+      uid: `hackathon-${id}-registration@${UID_DOMAIN}`,
+      start: hackathon.registrationDeadline,
+      summary: `Registration closes: ${hackathon.title}`
+    });
+  }
+
+  if (hackathon.submissionDeadline && hackathon.submissionDeadline < hackathon.endDate) {
+    events.push({
+      ...shared,
+      uid: `hackathon-${id}-submission@${UID_DOMAIN}`,
+      start: hackathon.submissionDeadline,
+      summary: `Submissions close: ${hackathon.title}`
+    });
+  }
+
+  return events;
+};
+
+const getTaskEvents = (tasks, projectTitles) => tasks.map(task => {
+  const projectTitle = projectTitles.get(task.projectId.toString());
+  return {
+    uid: `task-${task._id}@${UID_DOMAIN}`,
+    start: task.dueDate,
+    allDay: true,
+    summary: `Due: ${task.title}`,
+    description: [projectTitle && `Project: ${projectTitle}`, task.description].filter(Boolean).join('\n\n'),
+    url: `${getFrontendUrl()}/dashboard`,
+    updatedAt: task.updatedAt
+  };
+});
+
+// Application deadlines of positions on the user's projects
+const getPositionEvents = (projects, since) => projects.flatMap(project =>
+  project.openPositions
+    .filter(position => position.deadline && position.deadline >= since)
+    .map(position => ({
+      uid: `position-${project._id}-${position._id}@${UID_DOMAIN}`,
+      start: position.deadline,
+      summary: `Applications close: ${position.role || 'Open position'} · ${project.title}`,
+      url: `${getFrontendUrl()}/dashboard`,
+      updatedAt: project.updatedAt
+    }))
+);
+
+/**
+ * Builds a user's calendar feed: hackathons they take part in, organize or
+ * judge; open tasks assigned to them that have a due date; and the
+ * application deadlines on projects they own or belong to. Events that
+ * ended more than 90 days ago are left out.
+ * @param {Object} user - User document
+ * @returns {Promise<string>} iCalendar text
+ */
+export const buildUserFeed = async (user, now = new Date()) => {
+  const userId = user._id;
+  const since = new Date(now.getTime() - FEED_HISTORY_MS);
+
+  const [hackathons, tasks, projects] = await Promise.all([
+    Hackathon.find({
+      endDate: { $gte: since },
+      $or: [{ participants: userId }, { organizerId: userId }, { judges: userId }]
+    }),
+    Task.find({
+      assigneeId: userId,
+      status: { $ne: 'completed' },
+      dueDate: { $ne: null, $gte: since }
+    }),
+    Project.find({
+      $or: [{ ownerId: userId }, { 'teamMembers.id': userId }],
+      'openPositions.deadline': { $gte: since }
+    }).select('title openPositions updatedAt')
+  ]);
+
+  // Tasks may belong to projects the query above skipped
+  const taskProjects = await Project.find({ _id: { $in: [...new Set(tasks.map(task => task.projectId.toString()))] } })
+    .select('title');
+  const projectTitles = new Map(taskProjects.map(project => [project._id.toString(), project.title]));
+
+  const events = [
+    ...hackathons.flatMap(hackathon => getHackathonEvents(hackathon)),
+    ...getTaskEvents(tasks, projectTitles),
+    ...getPositionEvents(projects, since)
+  ];
+
+  return buildCalendar({ name: `Teamera · ${user.name}`, events, now });
+};
+
+export default {
+  buildCalendar,
+  getHackathonEvents,
+  buildUserFeed
+};
@@ -0,0 +1,233 @@
+import User from '../../models/User.js';
+import Notification from '../../models/Notification.js';
+import Application from '../../models/Application.js';
+import { generateToken, verifyToken } from '../../middleware/auth.js';
+import { getRecommendations } from './recommendationService.js';
+import { getTypeChannels, isMutedProject } from './notificationPreferenceService.js';
+import { getFrontendUrl } from './accountMailService.js';
+import { sendDigestEmail } from './notificationMailService.js';
+
+/**
+ * Daily and weekly digest emails for users who weren't around to see their
+ * notifications: unread notifications, new projects matching their skills
+ * and applications waiting for their review.
+ *
+ * Digests go out once per slot: daily at DIGEST_HOUR_UTC (default 8) and
+ * weekly at the same hour on Mondays. Each user's slot is claimed in
+ * notificationPreferences.digestSentAt before the email is sent, so a
+ * repeated run or a second server never sends it twice. Users with nothing
+ * to report get no email.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIOD_MS = { daily: DAY_MS, weekly: 7 * DAY_MS };
+
+// Users handled per frequency in one scheduler run; the rest follow on the next
+const BATCH_SIZE = 100;
+const SECTION_LIMIT = 5;
+
+const UNSUBSCRIBE_PURPOSE = 'digest-unsubscribe';
+const UNSUBSCRIBE_TOKEN_TTL = '365d';
+
+const GROUP_TITLES = {
+  project: 'On your projects',
+  application: 'On your applications',
+  hackathon: 'Hackathons',
+  account: 'Your account'
+};
+
+const TYPE_GROUPS = {
+  NEW_APPLICATION: 'project',
+  APPLICATION_WITHDRAWN: 'project',
+  MEMBER_QUIT: 'project',
+  APPLICATION_ACCEPTED: 'application',
+  APPLICATION_REJECTED: 'application',
+  APPLICATION_WAITLISTED: 'application',
+  WAITLIST_PROMOTED: 'application',
+  INVITATION_RECEIVED: 'application',
+  MEMBER_REMOVED: 'application',
+  HACKATHON_CANCELLED: 'hackathon',
+  HACKATHON_TEAM_INVITE: 'hackathon',
+  HACKATHON_TEAM_UPDATED: 'hackathon',
+  HACKATHON_JUDGE_ASSIGNED: 'hackathon',
+  HACKATHON_REMINDER: 'hackathon',
+  MODERATION_WARNING: 'account'
+};
+
+const getDigestHour = () => {
+  const hour = parseInt(process.env.DIGEST_HOUR_UTC, 10);
+  return hour >= 0 && hour <= 23 ? hour : 8;
+};
+
+/**
+ * Start of the most recent digest slot for a frequency
+ * @param {string} frequency - "daily" or "weekly"
+ * @param {Date} now
+ * @returns {Date}
+ */
+export const getDigestSlot = (frequency, now = new Date()) => {
+  const slot = new Date(now);
+  slot.setUTCHours(getDigestHour(), 0, 0, 0);
+  if (slot > now) slot.setUTCDate(slot.getUTCDate() - 1);
+  if (frequency === 'weekly') {
+    // Back to Monday
+    slot.setUTCDate(slot.getUTCDate() - ((slot.getUTCDay() + 6) % 7));
+  }
+  return slot;
+};
+
+export const createUnsubscribeToken = (user) => generateToken(
+  { sub: user._id.toString(), purpose: UNSUBSCRIBE_PURPOSE },
+  UNSUBSCRIBE_TOKEN_TTL
+);
+
+/**
+ * Reads the user ID from an unsubscribe token
+ * @returns {string|null} User ID, or null if the token is invalid or expired
+ */
+export const readUnsubscribeToken = (token) => {
+  try {
+    const decoded = verifyToken(String(token));
+    return decoded.purpose === UNSUBSCRIBE_PURPOSE ? decoded.sub : null;
+  } catch {
+    return null;
+  }
+};
+
+const toSection = (title, items, total) => ({
+  title,
+  items: items.slice(0, SECTION_LIMIT),
+  more: Math.max(0, total - SECTION_LIMIT)
+});
+
+// Unread notifications since the last digest, minus anything already emailed
+// on its own or about a project the user has since muted
+const getNotificationSections = async (user, since) => {
+  const notifications = await Notification.find({ recipientId: user._id, read: false, createdAt: { $gt: since } })
+    .sort({ createdAt: -1 })
+    .limit(200);
+
+  const groups = new Map();
+  for (const notification of notifications) {
+    if (getTypeChannels(user, notification.type).email || isMutedProject(user, notification.projectId)) continue;
+    const group = TYPE_GROUPS[notification.type] || 'account';
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push({
+      text: notification.message,
+      link: `${getFrontendUrl()}${notification.navigationPath || '/dashboard'}`
+    });
+  }
+
+  return Object.keys(GROUP_TITLES)
+    .filter(group => groups.has(group))
+    .map(group => toSection(GROUP_TITLES[group], groups.get(group), groups.get(group).length));
+};
+
+// Recommended positions on projects created since the last digest
+const getProjectSection = async (user, since) => {
+  const recommendations = await getRecommendations(user, { limit: 50 });
+  const fresh = recommendations.filter(({ project }) => new Date(project.createdAt) > since);
+  if (fresh.length === 0) return null;
+
+  return toSection('New projects that match your skills', fresh.map(({ project, position }) => ({
+    text: `${position.role} · ${project.title}`,
+    link: `${getFrontendUrl()}/projects`
+  })), fresh.length);
+};
+
+// Applications to the user's projects still waiting for a decision
+const getReviewSection = async (user) => {
+  const applications = (await Application.find({ ownerId: user._id, status: 'PENDING' })
+    .select('projectId projectName applicantName position appliedDate')
+    .sort({ appliedDate: 1 })
+    .limit(200))
+    .filter(application => !isMutedProject(user, application.projectId));
+  if (applications.length === 0) return null;
+
+  return toSection('Applications waiting for your review', applications.map(application => ({
+    text: `${application.applicantName} applied for ${application.position} on ${application.projectName}`,
+    link: `${getFrontendUrl()}/dashboard`
+  })), applications.length);
+};
+
+/**
+ * Gathers one user's digest
+ * @param {Object} user - User document
+ * @param {Date} since - Start of the period covered
+ * @returns {Promise<Array<Object>>} Sections with something in them
+ */
+export const buildDigest = async (user, since) => {
+  const [notificationSections, projectSection, reviewSection] = await Promise.all([
+    getNotificationSections(user, since),
+    getProjectSection(user, since),
+    getReviewSection(user)
+  ]);
+  return [...notificationSections, reviewSection, projectSection].filter(Boolean);
+};
+
+const sendDigestsFor = async (frequency, now) => {
+  const slot = getDigestSlot(frequency, now);
+  const notSentThisSlot = {
+    $or: [
+      { 'notificationPreferences.digestSentAt': null },
+      { 'notificationPreferences.digestSentAt': { $lt: slot } }
+    ]
+  };
+
+  const users = await User.find({
+    emailVerified: true,
+    status: { $ne: 'suspended' },
+    // Users from before the setting existed have no value and get the weekly default
+    'notificationPreferences.digest': frequency === 'weekly' ? { $in: ['weekly', null] } : frequency,
+    ...notSentThisSlot
+  }).limit(BATCH_SIZE);
+
+  let sent = 0;
+  for (const user of users) {
+    const since = user.notificationPreferences?.digestSentAt || new Date(slot.getTime() - PERIOD_MS[frequency]);
+
+    // Claim the slot first so a second run (or a second server) skips it
+    const claimed = await User.updateOne(
+      { _id: user._id, ...notSentThisSlot },
+      { $set: { 'notificationPreferences.digestSentAt': now } }
+    );
+    if (claimed.modifiedCount !== 1) continue;
+
+    try {
+      const sections = await buildDigest(user, since);
+      if (sections.length === 0) continue;
+
+      await sendDigestEmail(user, {
+        subject: `Your ${frequency} Teamera digest`,
+        intro: frequency === 'daily'
+          ? "Here's what you missed on Teamera in the last day."
+          : "Here's what you missed on Teamera this week.",
+        sections,
+        settingsLink: `${getFrontendUrl()}/profile`,
+        unsubscribeLink: `${getFrontendUrl()}/unsubscribe?token=${encodeURIComponent(createUnsubscribeToken(user))}`
+      });
+      sent += 1;
+    } catch (err) {
+      console.error(`Digest for user ${user._id} failed:`, err.message);
+    }
+  }
+  return sent;
+};
+
+/**
+ * One pass of digest sending
+ * @returns {Promise<{dailyDigestsSent: number, weeklyDigestsSent: number}>}
+ */
+export const sendDueDigests = async (now = new Date()) => {
+  const dailyDigestsSent = await sendDigestsFor('daily', now);
+  const weeklyDigestsSent = await sendDigestsFor('weekly', now);
+  return { dailyDigestsSent, weeklyDigestsSent };
+};
+
+export default {
+  getDigestSlot,
+  createUnsubscribeToken,
+  readUnsubscribeToken,
+  buildDigest,
+  sendDueDigests
+};
@@ -0,0 +1,127 @@
+import Hackathon from '../../models/Hackathon.js';
+import { createNotification } from '../controllers/notificationController.js';
+
+/**
+ * Scheduled hackathon upkeep: status changes at the start and end dates,
+ * closing registration at its deadline, and reminders to participants
+ * before the start and before submissions close.
+ *
+ * Every step works from what is stored, so a run can be repeated or
+ * skipped without harm: the updates are conditional, and each reminder is
+ * claimed in Hackathon.remindersSent before it is sent. A server that was
+ * down catches up on its next run.
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Closest first
+const REMINDER_OFFSETS = [
+  { label: '1h', ms: HOUR },
+  { label: '24h', ms: 24 * HOUR }
+];
+const REMINDER_HORIZON = REMINDER_OFFSETS[REMINDER_OFFSETS.length - 1].ms;
+
+const formatRemaining = (ms) => {
+  if (ms < HOUR) {
+    const minutes = Math.max(1, Math.round(ms / MINUTE));
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  }
+  const hours = Math.round(ms / HOUR);
+  return `${hours} hour${hours === 1 ? '' : 's'}`;
+};
+
+const REMINDERS = {
+  start: {
+    getTime: (hackathon) => hackathon.startDate,
+    message: (hackathon, remaining) => `${hackathon.title} starts in ${remaining}`
+  },
+  submission: {
+    getTime: (hackathon) => hackathon.getSubmissionDeadline(),
+    message: (hackathon, remaining) => `Project submissions for ${hackathon.title} close in ${remaining}`
+  }
+};
+
+/**
+ * Picks the reminder that is due for a target time, if any. Only the
+ * closest window is sent; a hackathon created an hour before it starts gets
+ * the 1h reminder and never the 24h one.
+ * @returns {{key: string, keys: Array<string>}|null} The key to claim and
+ * every key it covers
+ */
+const findDueReminder = (kind, target, now) => {
+  const remaining = target - now;
+  if (remaining <= 0 || remaining > REMINDER_HORIZON) return null;
+
+  const index = REMINDER_OFFSETS.findIndex(offset => remaining <= offset.ms);
+  // Keys include the target so moving a date schedules fresh reminders
+  const keys = REMINDER_OFFSETS.slice(index).map(offset => `${kind}:${offset.label}:${target.toISOString()}`);
+  return { key: keys[0], keys };
+};
+
+const notifyParticipants = async (hackathon, message) => {
+  for (const participantId of hackathon.participants) {
+    await createNotification({
+      recipientId: participantId,
+      type: 'HACKATHON_REMINDER',
+      message,
+      navigationPath: '/hackathons',
+      navigationState: { hackathonId: hackathon._id.toString() }
+    });
+  }
+};
+
+/**
+ * Sends the start and submission reminders that are due
+ * @returns {Promise<number>} Reminders sent (one per hackathon and kind)
+ */
+export const sendDueReminders = async (now = new Date()) => {
+  const horizon = new Date(now.getTime() + REMINDER_HORIZON);
+  const inWindow = { $gt: now, $lte: horizon };
+
+  const hackathons = await Hackathon.find({
+    status: { $in: ['upcoming', 'ongoing'] },
+    'participants.0': { $exists: true },
+    $or: [
+      { startDate: inWindow },
+      { submissionDeadline: inWindow },
+      { submissionDeadline: null, endDate: inWindow }
+    ]
+  }).select('+remindersSent');
+
+  let sent = 0;
+  for (const hackathon of hackathons) {
+    for (const [kind, reminder] of Object.entries(REMINDERS)) {
+      const target = reminder.getTime(hackathon);
+      const due = findDueReminder(kind, target, now);
+      if (!due || hackathon.remindersSent.includes(due.key)) continue;
+
+      // Claim before sending so a second run (or a second server) skips it
+      const claimed = await Hackathon.updateOne(
+        { _id: hackathon._id, remindersSent: { $ne: due.key } },
+        { $addToSet: { remindersSent: { $each: due.keys } } }
+      );
+      if (claimed.modifiedCount !== 1) continue;
+
+      await notifyParticipants(hackathon, reminder.message(hackathon, formatRemaining(target - now)));
+      sent += 1;
+    }
+  }
+  return sent;
+};
+
+/**
+ * One pass of hackathon upkeep
+ * @returns {Promise<{statusChanges: number, registrationsClosed: number, remindersSent: number}>}
+ */
+export const runHackathonLifecycle = async (now = new Date()) => {
+  const statusChanges = await Hackathon.syncStatuses(now);
+  const registrationsClosed = await Hackathon.closeLapsedRegistrations(now);
+  const remindersSent = await sendDueReminders(now);
+  return { statusChanges, registrationsClosed, remindersSent };
+};
+
+export default {
+  sendDueReminders,
+  runHackathonLifecycle
+};
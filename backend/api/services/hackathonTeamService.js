@@ -0,0 +1,128 @@
+import Hackathon from '../../models/Hackathon.js';
+import HackathonTeam from '../../models/HackathonTeam.js';
+import HackathonRegistration from '../../models/HackathonRegistration.js';
+import { sendMail } from './mailer/index.js';
+import { renderActionEmail, getFrontendUrl } from './accountMailService.js';
+
+/**
+ * Seats and teams for hackathon registrations. A seat is the user's id in
+ * Hackathon.participants and is claimed with a single conditional update,
+ * so the registration deadline and maxParticipants hold under concurrent
+ * sign-ups. Teams hold their members; every member also has a
+ * registration that points back at the team.
+ */
+
+/**
+ * Adds the user to the hackathon's participants if registration is open
+ * and a seat is free
+ * @returns {Promise<boolean>} Whether a seat was claimed
+ */
+export const claimSeat = async (hackathonId, userId, now = new Date()) => {
+  const result = await Hackathon.updateOne({
+    _id: hackathonId,
+    status: { $in: ['upcoming', 'ongoing'] },
+    registrationClosedAt: null,
+    $or: [{ registrationDeadline: null }, { registrationDeadline: { $gte: now } }],
+    participants: { $ne: userId },
+    $expr: {
+      $or: [
+        { $eq: [{ $ifNull: ['$maxParticipants', null] }, null] },
+        { $lt: [{ $size: '$participants' }, '$maxParticipants'] }
+      ]
+    }
+  }, {
+    $addToSet: { participants: userId }
+  });
+  return result.modifiedCount === 1;
+};
+
+export const releaseSeat = (hackathonId, userId) => Hackathon.updateOne(
+  { _id: hackathonId },
+  { $pull: { participants: userId } }
+);
+
+/**
+ * Explains why claimSeat failed
+ * @returns {{status: number, message: string, code: string}}
+ */
+export const describeSeatFailure = async (hackathonId, userId, now = new Date()) => {
+  const hackathon = await Hackathon.findById(hackathonId);
+  if (!hackathon) {
+    return { status: 404, message: 'Hackathon not found', code: 'HACKATHON_NOT_FOUND' };
+  }
+  if (hackathon.participants.some(id => id.toString() === userId.toString())) {
+    return { status: 409, message: 'You are already registered for this hackathon', code: 'ALREADY_REGISTERED' };
+  }
+  if (!hackathon.isRegistrationOpen(now)) {
+    return { status: 409, message: 'Registration for this hackathon is closed', code: 'REGISTRATION_CLOSED' };
+  }
+  return { status: 409, message: 'This hackathon is full', code: 'HACKATHON_FULL' };
+};
+
+/**
+ * Takes a registrant off their team and back into the solo pool. A leaving
+ * lead hands the team to the longest-standing member; a team whose last
+ * member leaves is deleted along with its pending invites.
+ * @param {object} registration - HackathonRegistration document with a teamId
+ * @returns {Promise<{team: (object|null), newLeaderId: (object|null)}>} The team after the change
+ */
+export const leaveTeam = async (registration) => {
+  const team = await HackathonTeam.findById(registration.teamId);
+
+  registration.teamId = null;
+  registration.lookingForTeam = true;
+  await registration.save();
+
+  if (!team) return { team: null, newLeaderId: null };
+
+  team.members = team.members.filter(memberId => memberId.toString() !== registration.userId.toString());
+  if (team.members.length === 0) {
+    await team.deleteOne();
+    return { team: null, newLeaderId: null };
+  }
+
+  let newLeaderId = null;
+  if (team.leaderId.toString() === registration.userId.toString()) {
+    [newLeaderId] = team.members;
+    team.leaderId = newLeaderId;
+  }
+  await team.save();
+  return { team, newLeaderId };
+};
+
+/**
+ * Removes a registration entirely: off the team, out of the participants
+ * and deleted. Returns the deleted registration so its resume can be
+ * cleaned up.
+ */
+export const withdrawRegistration = async (registration) => {
+  if (registration.teamId) await leaveTeam(registration);
+  await releaseSeat(registration.hackathonId, registration.userId);
+  await HackathonRegistration.deleteOne({ _id: registration._id });
+  return registration;
+};
+
+/**
+ * Emails a team invite to someone without a Teamera account. The invite is
+ * matched to them by address once they sign up.
+ */
+export const sendTeamInviteEmail = ({ email, team, hackathon, inviterName }) => sendMail({
+  to: email,
+  subject: `${inviterName} invited you to a team for ${hackathon.title}`,
+  ...renderActionEmail({
+    name: 'there',
+    intro: `${inviterName} invited you to join ${team.name} for ${hackathon.title} on Teamera. Sign up with this email address to accept the invite.`,
+    actionLabel: 'View hackathon',
+    link: `${getFrontendUrl()}/hackathons`,
+    footer: 'If you were not expecting this invite, you can ignore this email.'
+  })
+});
+
+export default {
+  claimSeat,
+  releaseSeat,
+  describeSeatFailure,
+  leaveTeam,
+  withdrawRegistration,
+  sendTeamInviteEmail
+};
@@ -0,0 +1,115 @@
+/**
+ * Hackathon judging. A judge's scorecard gives every rubric criterion a
+ * score from 0 to its maxScore; the scorecard total is the weighted mean
+ * of those scores scaled to 100. A submission's score is the mean of its
+ * scorecard totals.
+ *
+ * The leaderboard orders scored submissions by that score. Ties are broken
+ * by the average (normalized) score on each criterion, heaviest weight
+ * first, then by the number of judges who scored, then by who submitted
+ * first.
+ */
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Checks a judge's scores against the rubric and computes the total
+ * @param {Array<object>} rubric - Hackathon.rubric
+ * @param {object} input - Map of criterion id to score
+ * @returns {{scores: Array<object>, total: (number|null), error: (string|null)}}
+ */
+export const scoreScorecard = (rubric, input) => {
+  if (!input || typeof input !== 'object') {
+    return { scores: [], total: null, error: 'Scores are required' };
+  }
+
+  const scores = [];
+  let weighted = 0;
+  let totalWeight = 0;
+
+  for (const criterion of rubric) {
+    const raw = input[criterion._id.toString()];
+    const score = Number(raw);
+    if (raw === undefined || raw === null || raw === '' || !Number.isFinite(score)) {
+      return { scores: [], total: null, error: `Enter a score for "${criterion.name}"` };
+    }
+    if (score < 0 || score > criterion.maxScore) {
+      return { scores: [], total: null, error: `"${criterion.name}" must be scored from 0 to ${criterion.maxScore}` };
+    }
+
+    scores.push({ criterionId: criterion._id, score });
+    weighted += (score / criterion.maxScore) * criterion.weight;
+    totalWeight += criterion.weight;
+  }
+
+  return { scores, total: round((weighted / totalWeight) * 100), error: null };
+};
+
+// Mean scorecard total, or null without scorecards
+export const averageScore = (scorecards) => {
+  if (scorecards.length === 0) return null;
+  return round(scorecards.reduce((sum, card) => sum + card.total, 0) / scorecards.length);
+};
+
+// Average score on one criterion as a fraction of its maxScore
+const criterionAverage = (submission, criterion) => {
+  const key = criterion._id.toString();
+  const values = submission.scorecards
+    .map(card => card.scores.find(entry => entry.criterionId.toString() === key))
+    .filter(Boolean)
+    .map(entry => entry.score / criterion.maxScore);
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+};
+
+/**
+ * Ranks submissions. Unscored submissions are listed last without a rank.
+ * @param {object} hackathon - Hackathon with its rubric
+ * @param {Array<object>} submissions - Submissions with scorecards
+ * @returns {Array<object>} Entries with rank, score, criterion averages and
+ * `decidedBy` (what separated the entry from the one above it)
+ */
+export const buildLeaderboard = (hackathon, submissions) => {
+  const criteria = [...hackathon.rubric].sort((a, b) => b.weight - a.weight);
+
+  const entries = submissions.map(submission => ({
+    submission,
+    score: submission.averageScore,
+    judgeCount: submission.scorecards.length,
+    criterionScores: criteria.map(criterion => ({
+      criterionId: criterion._id,
+      name: criterion.name,
+      average: round(criterionAverage(submission, criterion) * criterion.maxScore)
+    })),
+    // Full precision for comparing
+    normalized: criteria.map(criterion => criterionAverage(submission, criterion))
+  }));
+
+  // Returns [order, reason]; reason names the first rule that separates a and b
+  const compare = (a, b) => {
+    if (a.score !== b.score) return [b.score - a.score, 'score'];
+    for (let i = 0; i < criteria.length; i += 1) {
+      if (a.normalized[i] !== b.normalized[i]) return [b.normalized[i] - a.normalized[i], criteria[i].name];
+    }
+    if (a.judgeCount !== b.judgeCount) return [b.judgeCount - a.judgeCount, 'judges'];
+    return [a.submission.createdAt - b.submission.createdAt, 'submitted first'];
+  };
+
+  const scored = entries.filter(entry => entry.score !== null).sort((a, b) => compare(a, b)[0]);
+  const unscored = entries.filter(entry => entry.score === null)
+    .sort((a, b) => a.submission.createdAt - b.submission.createdAt);
+
+  return [
+    ...scored.map((entry, index) => ({
+      ...entry,
+      rank: index + 1,
+      decidedBy: index === 0 ? null : compare(scored[index - 1], entry)[1]
+    })),
+    ...unscored.map(entry => ({ ...entry, rank: null, decidedBy: null }))
+  ].map(({ normalized, ...entry }) => entry);
+};
+
+export default {
+  scoreScorecard,
+  averageScore,
+  buildLeaderboard
+};
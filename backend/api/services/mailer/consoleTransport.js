@@ -0,0 +1,25 @@
+import { generateId } from '../../../utils/helpers.js';
+
+/**
+ * Creates a transport that prints each message to the server log.
+ * Handy in development: reset and verification links show up in the console.
+ * @returns {object} Mail transport
+ */
+const createConsoleTransport = () => ({
+  name: 'console',
+
+  async send({ from, to, subject, text }) {
+    const messageId = generateId();
+    console.log([
+      `[Mail] ${messageId}`,
+      `From: ${from}`,
+      `To: ${to}`,
+      `Subject: ${subject}`,
+      '',
+      text
+    ].join('\n'));
+    return { messageId };
+  }
+});
+
+export default createConsoleTransport;
@@ -0,0 +1,33 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { generateId } from '../../../utils/helpers.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Default location: backend/mail-outbox
+const DEFAULT_DIR = path.join(__dirname, '..', '..', '..', 'mail-outbox');
+
+/**
+ * Creates a transport that writes every message to a JSON file so tests and
+ * local runs can inspect what would have been sent.
+ * @param {object} options
+ * @param {string} options.dir - Directory that receives the message files
+ * @returns {object} Mail transport
+ */
+const createFileTransport = ({ dir = DEFAULT_DIR } = {}) => ({
+  name: 'file',
+
+  async send(message) {
+    const messageId = generateId();
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(
+      path.join(dir, `${messageId}.json`),
+      JSON.stringify({ messageId, sentAt: new Date().toISOString(), ...message }, null, 2)
+    );
+    return { messageId };
+  }
+});
+
+export default createFileTransport;
@@ -0,0 +1,66 @@
+import createConsoleTransport from './consoleTransport.js';
+import createFileTransport from './fileTransport.js';
+import createSmtpTransport from './smtpTransport.js';
+
+/**
+ * Mail transport registry.
+ *
+ * Every transport exposes the same async interface:
+ *   send({ from, to, subject, text, html }) -> { messageId }
+ *
+ * MAIL_TRANSPORT picks the transport: `console` (default, logs the message),
+ * `file` (writes each message to MAIL_FILE_DIR) or `smtp` (SMTP_* settings;
+ * point it at a local stand-in such as Mailpit to test the real flow).
+ */
+const transports = {
+  console: () => createConsoleTransport(),
+  file: () => createFileTransport({ dir: process.env.MAIL_FILE_DIR || undefined }),
+  smtp: () => createSmtpTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT, 10) || 1025,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS
+  })
+};
+
+let transport = null;
+
+// Register or replace a mail transport factory
+export const registerMailTransport = (name, factory) => {
+  transports[name] = factory;
+  transport = null;
+};
+
+// Get the active mail transport (created on first use)
+export const getMailTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const factory = transports[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    transport = factory();
+  }
+  return transport;
+};
+
+/**
+ * Sends an email through the active transport
+ * @param {object} message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain-text body
+ * @param {string} [message.html] - HTML body
+ * @returns {Promise<{messageId: string}>}
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+  const from = process.env.MAIL_FROM || 'Teamera <no-reply@teamera.net>';
+  return getMailTransport().send({ from, to, subject, text, html });
+};
+
+export default {
+  sendMail,
+  getMailTransport,
+  registerMailTransport
+};
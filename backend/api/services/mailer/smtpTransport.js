@@ -0,0 +1,39 @@
+/**
+ * Creates a transport that delivers over SMTP via nodemailer.
+ * nodemailer is loaded on first send so the other transports work without it.
+ * @param {object} options
+ * @param {string} options.host - SMTP host
+ * @param {number} options.port - SMTP port
+ * @param {boolean} options.secure - Use TLS from the start (port 465)
+ * @param {string} [options.user] - SMTP username (omit for servers without auth)
+ * @param {string} [options.pass] - SMTP password
+ * @returns {object} Mail transport
+ */
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  let mailer = null;
+
+  const getMailer = async () => {
+    if (!mailer) {
+      const { default: nodemailer } = await import('nodemailer');
+      mailer = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined
+      });
+    }
+    return mailer;
+  };
+
+  return {
+    name: 'smtp',
+
+    async send({ from, to, subject, text, html }) {
+      const smtp = await getMailer();
+      const info = await smtp.sendMail({ from, to, subject, text, html });
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+export default createSmtpTransport;
@@ -0,0 +1,279 @@
+import mongoose from 'mongoose';
+import Post from '../../models/Post.js';
+import Comment from '../../models/Comment.js';
+import Project from '../../models/Project.js';
+import User from '../../models/User.js';
+import Report from '../../models/Report.js';
+import ModerationLog from '../../models/ModerationLog.js';
+import { createNotification } from '../controllers/notificationController.js';
+import { revokeUserSessions } from './sessionService.js';
+import { removeAttachmentFiles } from './attachmentService.js';
+import { deleteProjectCascade } from './projectCleanupService.js';
+import { disconnectUser } from '../../utils/socket.js';
+
+/**
+ * Content moderation. Members report posts, comments, projects and
+ * profiles; moderators act on a report's target (hide, delete, warn or
+ * suspend its author, or dismiss). An action closes every open report on
+ * the same target and is recorded in the ModerationLog audit trail.
+ */
+
+export const MODERATOR_ROLES = ['moderator', 'admin'];
+
+export const isModerator = (user) => Boolean(user) && MODERATOR_ROLES.includes(user.role);
+
+// Actions a moderator can take on a report, by target type
+export const REPORT_ACTIONS = {
+  post: ['HIDE', 'DELETE', 'WARN', 'SUSPEND', 'DISMISS'],
+  comment: ['HIDE', 'DELETE', 'WARN', 'SUSPEND', 'DISMISS'],
+  project: ['HIDE', 'DELETE', 'WARN', 'SUSPEND', 'DISMISS'],
+  user: ['WARN', 'SUSPEND', 'DISMISS']
+};
+
+// Longest content copy kept in a preview or an audit snapshot
+const PREVIEW_LENGTH = 280;
+const SNAPSHOT_LENGTH = 2000;
+
+// Per target type: how to load it, who is responsible for it and what to show
+const TARGETS = {
+  post: {
+    load: (id) => Post.findById(id),
+    ownerId: (post) => post.authorId,
+    text: (post) => post.content,
+    isGone: () => false
+  },
+  comment: {
+    load: (id) => Comment.findById(id),
+    ownerId: (comment) => comment.authorId,
+    text: (comment) => comment.content,
+    isGone: (comment) => comment.isDeleted
+  },
+  project: {
+    load: (id) => Project.findById(id),
+    ownerId: (project) => project.ownerId,
+    text: (project) => `${project.title}\n\n${project.description || ''}`.trim(),
+    isGone: () => false
+  },
+  user: {
+    load: (id) => User.findById(id),
+    ownerId: (user) => user._id,
+    text: (user) => [user.name, user.title, user.bio].filter(Boolean).join('\n'),
+    isGone: () => false
+  }
+};
+
+/**
+ * Loads the target of a report
+ * @param {string} targetType - One of REPORT_TARGET_TYPES
+ * @param {string} targetId - Target ID
+ * @returns {Promise<{target: object, ownerId: object}|null>} null if it
+ * doesn't exist or was deleted
+ */
+export const findReportTarget = async (targetType, targetId) => {
+  const handler = TARGETS[targetType];
+  if (!handler || !mongoose.Types.ObjectId.isValid(targetId)) return null;
+
+  const target = await handler.load(targetId);
+  if (!target || handler.isGone(target)) return null;
+  return { target, ownerId: handler.ownerId(target) };
+};
+
+/**
+ * Short description of a report target for the moderator queue
+ * @param {string} targetType - One of REPORT_TARGET_TYPES
+ * @param {object|null} target - Loaded target document
+ * @returns {{exists: boolean, isHidden: boolean, text: string, postId: (object|null)}}
+ */
+export const describeTarget = (targetType, target) => {
+  if (!target || TARGETS[targetType].isGone(target)) {
+    return { exists: false, isHidden: false, text: '', postId: null };
+  }
+  return {
+    exists: true,
+    isHidden: Boolean(target.isHidden),
+    text: TARGETS[targetType].text(target).slice(0, PREVIEW_LENGTH),
+    postId: targetType === 'comment' ? target.postId : null
+  };
+};
+
+/**
+ * Loads the targets of a page of reports in one query per target type
+ * @param {Array<object>} reports - Report documents
+ * @returns {Promise<Map<string, object>>} Targets keyed by "type:id"
+ */
+export const loadReportTargets = async (reports) => {
+  const idsByType = new Map();
+  for (const { targetType, targetId } of reports) {
+    if (!idsByType.has(targetType)) idsByType.set(targetType, []);
+    idsByType.get(targetType).push(targetId);
+  }
+
+  const models = { post: Post, comment: Comment, project: Project, user: User };
+  const targets = new Map();
+  await Promise.all([...idsByType].map(async ([type, ids]) => {
+    const docs = await models[type].find({ _id: { $in: ids } });
+    for (const doc of docs) targets.set(`${type}:${doc._id}`, doc);
+  }));
+  return targets;
+};
+
+// commentCount changes outside of save(), so the trending score is updated too
+const decrementCommentCount = async (postId) => {
+  const post = await Post.findByIdAndUpdate(postId, { $inc: { commentCount: -1 } }, { new: true });
+  if (post) await Post.updateOne({ _id: post._id }, { trendingScore: post.computeTrendingScore() });
+};
+
+const hideTarget = async (target) => {
+  target.isHidden = true;
+  target.hiddenAt = new Date();
+  await target.save();
+};
+
+const deleteTarget = async (targetType, target) => {
+  if (targetType === 'post') {
+    await Promise.all([
+      Comment.deleteMany({ postId: target._id }),
+      target.deleteOne()
+    ]);
+    await removeAttachmentFiles(target.attachments);
+  } else if (targetType === 'comment') {
+    // Soft delete like an author would, so the replies keep their thread
+    target.isDeleted = true;
+    target.deletedAt = new Date();
+    await target.save();
+    await decrementCommentCount(target.postId);
+  } else if (targetType === 'project') {
+    await deleteProjectCascade(target);
+  }
+};
+
+/**
+ * Suspends an account: it can't sign in, its sessions are revoked and its
+ * live connections closed
+ * @param {object} user - User document
+ * @param {string} reason - Shown to staff with the account
+ */
+export const suspendUser = async (user, reason) => {
+  user.status = 'suspended';
+  user.suspendedAt = new Date();
+  user.suspensionReason = reason;
+  await user.save();
+
+  await revokeUserSessions(user._id);
+  disconnectUser(user._id);
+};
+
+/**
+ * Whether a moderator may suspend an account. Nobody suspends themselves,
+ * and only admins can suspend staff; admins can't be suspended here.
+ * @param {object} moderator - req.user
+ * @param {object} user - Account to suspend
+ * @returns {string|null} Reason it isn't allowed
+ */
+export const checkSuspendable = (moderator, user) => {
+  if (user._id.toString() === moderator.id.toString()) return 'You cannot suspend your own account';
+  if (user.role === 'admin') return 'Administrators cannot be suspended';
+  if (user.role === 'moderator' && moderator.role !== 'admin') return 'Only administrators can suspend moderators';
+  return null;
+};
+
+const sendWarning = (userId, targetType, note) => {
+  const subject = targetType === 'user' ? 'profile' : targetType;
+  return createNotification({
+    recipientId: userId,
+    type: 'MODERATION_WARNING',
+    message: note
+      ? `A moderator has warned you about your ${subject}: ${note}`
+      : `A moderator has warned you about your ${subject}. Please review the community guidelines.`,
+    navigationPath: targetType === 'project' ? '/projects' : '/community'
+  });
+};
+
+/**
+ * Appends an entry to the audit trail
+ * @param {object} entry - moderatorId, action, targetType, targetId, targetUserId, reportIds, note, snapshot
+ * @returns {Promise<object>} ModerationLog document
+ */
+export const recordModerationAction = (entry) => ModerationLog.create({
+  ...entry,
+  snapshot: (entry.snapshot || '').slice(0, SNAPSHOT_LENGTH)
+});
+
+/**
+ * Carries out a moderator's decision on a report, closes the target's open
+ * reports and records the action
+ * @param {object} report - Report document
+ * @param {object} moderator - req.user of the moderator
+ * @param {string} action - One of REPORT_ACTIONS[report.targetType]
+ * @param {string} note - Moderator's note; sent to the user with a warning
+ * @returns {Promise<{error: ({status: number, code: string, message: string}|null), log: (object|null)}>}
+ */
+export const applyReportAction = async (report, moderator, action, note) => {
+  const { targetType, targetId } = report;
+  const found = await findReportTarget(targetType, targetId);
+  const targetUserId = found?.ownerId || report.targetUserId;
+
+  if (['HIDE', 'DELETE'].includes(action) && !found) {
+    return { error: { status: 404, code: 'TARGET_NOT_FOUND', message: 'The reported content no longer exists' }, log: null };
+  }
+
+  let targetUser = null;
+  if (action === 'SUSPEND' || action === 'WARN') {
+    targetUser = targetUserId ? await User.findById(targetUserId) : null;
+    if (!targetUser) {
+      return { error: { status: 404, code: 'USER_NOT_FOUND', message: 'The reported account no longer exists' }, log: null };
+    }
+  }
+
+  if (action === 'SUSPEND') {
+    const notAllowed = checkSuspendable(moderator, targetUser);
+    if (notAllowed) {
+      return { error: { status: 403, code: 'CANNOT_SUSPEND', message: notAllowed }, log: null };
+    }
+  }
+
+  const snapshot = found ? TARGETS[targetType].text(found.target) : '';
+
+  if (action === 'HIDE') await hideTarget(found.target);
+  if (action === 'DELETE') await deleteTarget(targetType, found.target);
+  if (action === 'WARN') await sendWarning(targetUser._id, targetType, note);
+  if (action === 'SUSPEND' && targetUser.status !== 'suspended') await suspendUser(targetUser, note);
+
+  const openReports = await Report.find({ targetType, targetId, status: 'OPEN' }).select('_id');
+  const reportIds = openReports.map(({ _id }) => _id);
+  await Report.updateMany(
+    { _id: { $in: reportIds } },
+    {
+      status: action === 'DISMISS' ? 'DISMISSED' : 'RESOLVED',
+      resolution: action,
+      resolvedBy: moderator.id,
+      resolvedAt: new Date()
+    }
+  );
+
+  const log = await recordModerationAction({
+    moderatorId: moderator.id,
+    action,
+    targetType,
+    targetId,
+    targetUserId,
+    reportIds,
+    note,
+    snapshot
+  });
+
+  return { error: null, log };
+};
+
+export default {
+  MODERATOR_ROLES,
+  REPORT_ACTIONS,
+  isModerator,
+  findReportTarget,
+  describeTarget,
+  loadReportTargets,
+  suspendUser,
+  checkSuspendable,
+  recordModerationAction,
+  applyReportAction
+};
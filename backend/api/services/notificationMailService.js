@@ -0,0 +1,96 @@
+import { sendMail } from './mailer/index.js';
+import { getFrontendUrl, renderActionEmail, escapeHtml } from './accountMailService.js';
+
+/**
+ * Emails one notification to its recipient
+ * @param {object} user - Recipient with name and email
+ * @param {object} notification - Notification fields (message, navigationPath)
+ */
+export const sendNotificationEmail = async (user, notification) => {
+  const link = `${getFrontendUrl()}${notification.navigationPath || '/dashboard'}`;
+
+  await sendMail({
+    to: user.email,
+    subject: notification.message.length > 80 ? `${notification.message.slice(0, 77)}...` : notification.message,
+    ...renderActionEmail({
+      name: user.name,
+      intro: notification.message,
+      actionLabel: 'Open Teamera',
+      link,
+      footer: 'You can choose which notifications are emailed to you under Settings on your profile.'
+    })
+  });
+};
+
+/**
+ * @typedef {Object} DigestSection
+ * @property {string} title
+ * @property {Array<{text: string, link: string}>} items
+ * @property {number} [more] - Items left out of the email
+ */
+
+/**
+ * Digest layout: a heading per section with a short list under it, then
+ * links to the settings and to unsubscribe
+ * @param {Object} options
+ * @param {string} options.name - Recipient name
+ * @param {string} options.intro - Opening line
+ * @param {Array<DigestSection>} options.sections
+ * @param {string} options.settingsLink
+ * @param {string} options.unsubscribeLink
+ * @returns {{text: string, html: string}}
+ */
+export const renderDigestEmail = ({ name, intro, sections, settingsLink, unsubscribeLink }) => {
+  const moreLine = (section) => (section.more ? `and ${section.more} more` : null);
+
+  const text = [
+    `Hi ${name},`,
+    '',
+    intro,
+    ...sections.flatMap(section => [
+      '',
+      section.title.toUpperCase(),
+      ...section.items.map(item => `- ${item.text}\n  ${item.link}`),
+      ...(section.more ? [`  ${moreLine(section)}`] : [])
+    ]),
+    '',
+    `Change what you get from Teamera: ${settingsLink}`,
+    `Unsubscribe from these digests: ${unsubscribeLink}`
+  ].join('\n');
+
+  const html = `
+    <p>Hi ${escapeHtml(name)},</p>
+    <p>${escapeHtml(intro)}</p>
+    ${sections.map(section => `
+    <h3 style="margin:20px 0 8px;font-size:15px;color:#1f2937">${escapeHtml(section.title)}</h3>
+    <ul style="margin:0;padding-left:20px">
+      ${section.items.map(item => `<li style="margin-bottom:6px"><a href="${escapeHtml(item.link)}" style="color:#4f46e5">${escapeHtml(item.text)}</a></li>`).join('\n      ')}
+    </ul>
+    ${section.more ? `<p style="color:#64748b;font-size:13px;margin:4px 0 0">${escapeHtml(moreLine(section))}</p>` : ''}`).join('')}
+    <p style="color:#64748b;font-size:13px;margin-top:24px">
+      <a href="${escapeHtml(settingsLink)}" style="color:#64748b">Notification settings</a> ·
+      <a href="${escapeHtml(unsubscribeLink)}" style="color:#64748b">Unsubscribe from these digests</a>
+    </p>
+  `.trim();
+
+  return { text, html };
+};
+
+/**
+ * Sends a digest email
+ * @param {object} user - Recipient with name and email
+ * @param {Object} digest - subject plus the renderDigestEmail options
+ */
+export const sendDigestEmail = async (user, { subject, ...content }) => {
+  await sendMail({
+    to: user.email,
+    subject,
+    ...renderDigestEmail({ name: user.name, ...content })
+  });
+};
+
+export default {
+  sendNotificationEmail,
+  renderDigestEmail,
+  sendDigestEmail
+};
@@ -0,0 +1,156 @@
+import mongoose from 'mongoose';
+import { NOTIFICATION_TYPES } from '../../models/Notification.js';
+import { DIGEST_FREQUENCIES } from '../../models/User.js';
+
+/**
+ * Which notifications reach a user, and how.
+ *
+ * Each notification type can go to three channels: the in-app list
+ * (`inApp`), a live toast over the SSE stream (`toast`) and email
+ * (`email`). Users override the defaults per type and can mute projects;
+ * nothing about a muted project is delivered. Email only goes to verified
+ * addresses. Separately, a daily or weekly digest email sums up what the
+ * user hasn't seen (see digestService).
+ */
+
+export const NOTIFICATION_CHANNELS = ['inApp', 'toast', 'email'];
+
+const DEFAULT_CHANNELS = { inApp: true, toast: true, email: false };
+
+// Always kept in the in-app list so the user can't hide them from themselves
+export const REQUIRED_TYPES = ['MODERATION_WARNING'];
+
+export const MAX_MUTED_PROJECTS = 100;
+
+const getOverrides = (user, type) => user?.notificationPreferences?.types?.get?.(type);
+
+/**
+ * Resolved channel settings for one type
+ * @param {Object} user - User document with notificationPreferences
+ * @param {string} type - Notification type
+ * @returns {{inApp: boolean, toast: boolean, email: boolean}}
+ */
+export const getTypeChannels = (user, type) => {
+  const overrides = getOverrides(user, type);
+  const channels = Object.fromEntries(NOTIFICATION_CHANNELS.map(channel =>
+    [channel, overrides?.[channel] ?? DEFAULT_CHANNELS[channel]]
+  ));
+  if (REQUIRED_TYPES.includes(type)) channels.inApp = true;
+  return channels;
+};
+
+/**
+ * Settings for every type, keyed by type
+ * @param {Object} user - User document with notificationPreferences
+ * @returns {Object<string, {inApp: boolean, toast: boolean, email: boolean}>}
+ */
+export const getAllTypeChannels = (user) => Object.fromEntries(
+  NOTIFICATION_TYPES.map(type => [type, getTypeChannels(user, type)])
+);
+
+export const isMutedProject = (user, projectId) => Boolean(projectId) &&
+  (user.notificationPreferences?.mutedProjects || []).some(muted => muted.toString() === projectId.toString());
+
+/**
+ * Channels a notification should go out on for this recipient
+ * @param {Object} user - Recipient with notificationPreferences, email and emailVerified
+ * @param {string} type - Notification type
+ * @param {string|ObjectId} [projectId] - Project the notification is about
+ * @returns {{inApp: boolean, toast: boolean, email: boolean}}
+ */
+export const getDeliveryChannels = (user, type, projectId) => {
+  if (!REQUIRED_TYPES.includes(type) && isMutedProject(user, projectId)) {
+    return { inApp: false, toast: false, email: false };
+  }
+  const channels = getTypeChannels(user, type);
+  channels.email = channels.email && Boolean(user.email && user.emailVerified);
+  return channels;
+};
+
+/**
+ * Reads a preferences update. `types` maps a type to the channels being
+ * changed; `mutedProjects` replaces the whole list; `digest` is the digest
+ * frequency. All are optional.
+ * @returns {{values: {types?: Object, mutedProjects?: Array<string>, digest?: string}, error: (string|null)}}
+ */
+export const readPreferenceInput = (body = {}) => {
+  const values = {};
+
+  if (body.types !== undefined) {
+    if (!body.types || typeof body.types !== 'object' || Array.isArray(body.types)) {
+      return { values, error: 'types must be an object keyed by notification type' };
+    }
+    values.types = {};
+    for (const [type, channels] of Object.entries(body.types)) {
+      if (!NOTIFICATION_TYPES.includes(type)) {
+        return { values, error: `Unknown notification type: ${type}` };
+      }
+      if (!channels || typeof channels !== 'object') {
+        return { values, error: `Invalid settings for ${type}` };
+      }
+      values.types[type] = {};
+      for (const channel of NOTIFICATION_CHANNELS) {
+        if (channels[channel] === undefined) continue;
+        if (typeof channels[channel] !== 'boolean') {
+          return { values, error: `${type}.${channel} must be true or false` };
+        }
+        values.types[type][channel] = channels[channel];
+      }
+    }
+  }
+
+  if (body.mutedProjects !== undefined) {
+    if (!Array.isArray(body.mutedProjects)) {
+      return { values, error: 'mutedProjects must be a list of project IDs' };
+    }
+    const projectIds = [...new Set(body.mutedProjects.map(String))];
+    if (projectIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return { values, error: 'mutedProjects contains an invalid project ID' };
+    }
+    if (projectIds.length > MAX_MUTED_PROJECTS) {
+      return { values, error: `At most ${MAX_MUTED_PROJECTS} projects can be muted` };
+    }
+    values.mutedProjects = projectIds;
+  }
+
+  if (body.digest !== undefined) {
+    if (!DIGEST_FREQUENCIES.includes(body.digest)) {
+      return { values, error: `digest must be one of: ${DIGEST_FREQUENCIES.join(', ')}` };
+    }
+    values.digest = body.digest;
+  }
+
+  return { values, error: null };
+};
+
+/**
+ * Applies a preferences update read by readPreferenceInput to a user
+ * document; the caller saves it
+ */
+export const applyPreferenceInput = (user, values) => {
+  if (values.types) {
+    for (const [type, channels] of Object.entries(values.types)) {
+      const current = getOverrides(user, type);
+      const next = { ...(current?.toObject?.() || current || {}), ...channels };
+      if (REQUIRED_TYPES.includes(type)) delete next.inApp;
+      user.notificationPreferences.types.set(type, next);
+    }
+  }
+  if (values.mutedProjects) {
+    user.notificationPreferences.mutedProjects = values.mutedProjects;
+  }
+  if (values.digest) {
+    user.notificationPreferences.digest = values.digest;
+  }
+};
+
+export default {
+  NOTIFICATION_CHANNELS,
+  REQUIRED_TYPES,
+  getTypeChannels,
+  getAllTypeChannels,
+  isMutedProject,
+  getDeliveryChannels,
+  readPreferenceInput,
+  applyPreferenceInput
+};
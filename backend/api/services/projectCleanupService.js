@@ -0,0 +1,40 @@
+import Project from '../../models/Project.js';
+import ProjectFile from '../../models/ProjectFile.js';
+import Task from '../../models/Task.js';
+import Message from '../../models/Message.js';
+import Application from '../../models/Application.js';
+import { getStorage } from './storage/index.js';
+
+/**
+ * Deleting a project also deletes everything that only exists for it: its
+ * uploaded files (records and stored bytes), tasks, chat messages and
+ * applications. Used by owners deleting their project and by moderators
+ * deleting a reported one.
+ */
+
+/**
+ * Deletes a project and its files, tasks, messages and applications.
+ * Stored bytes that are already missing are ignored.
+ * @param {object} project - Project document
+ */
+export const deleteProjectCascade = async (project) => {
+  const projectId = project._id;
+  const files = await ProjectFile.find({ projectId }).select('storageKey');
+
+  const storage = getStorage();
+  await Promise.all(files.map(({ storageKey }) => storage.remove(storageKey).catch(err => {
+    console.error(`Failed to remove project file ${storageKey}:`, err.message);
+  })));
+
+  await Promise.all([
+    ProjectFile.deleteMany({ projectId }),
+    Task.deleteMany({ projectId }),
+    Message.deleteMany({ projectId }),
+    Application.deleteMany({ projectId }),
+    Project.deleteOne({ _id: projectId })
+  ]);
+};
+
+export default {
+  deleteProjectCascade
+};
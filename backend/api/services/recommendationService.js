@@ -0,0 +1,202 @@
+import Project, { PROJECT_STAGES } from '../../models/Project.js';
+import Application from '../../models/Application.js';
+import {
+  normalize,
+  skillNamePattern,
+  toSkillLevels,
+  matchSkills,
+  formatMatchedSkills,
+  compareLocations,
+  LOCATION_SCORES
+} from '../../utils/skillMatch.js';
+
+/**
+ * Matches open positions against a user's profile. Every position gets a
+ * 0-100 score built from four factors, each returned with a short
+ * explanation so the client can show why it was picked:
+ *   skills   - required skills the user has, weighted by their level
+ *   history  - how the user's past applications to similar roles or the same industry turned out
+ *   stage    - whether the project is at one of the user's preferred stages
+ *   location - how close the user is to the project owner
+ */
+
+// Share of the final score, in percent
+export const FACTOR_WEIGHTS = {
+  skills: 55,
+  history: 20,
+  stage: 15,
+  location: 10
+};
+
+const FACTOR_LABELS = {
+  skills: 'Skills',
+  history: 'Past applications',
+  stage: 'Project stage',
+  location: 'Location'
+};
+
+// Statuses that mean the user is already in line for, or holds, the position
+const ACTIVE_STATUSES = ['PENDING', 'WAITLISTED', 'ACCEPTED', 'INVITED'];
+// Outcomes that count as the user having been taken on
+const JOINED_STATUSES = ['ACCEPTED', 'INVITED', 'QUIT', 'REMOVED'];
+
+// Newest projects considered per request; older ones rarely still have open seats
+const CANDIDATE_LIMIT = 200;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const scoreSkills = (userSkills, position) => {
+  const { score, required, matched, missing } = matchSkills(userSkills, position.skills);
+
+  let explanation = `You have ${matched.length} of ${required} required skills: ${formatMatchedSkills(matched)}`;
+  if (missing.length > 0) explanation += `. Missing: ${missing.join(', ')}`;
+
+  return { score, explanation, matchedSkills: matched.length };
+};
+
+const scoreHistory = (outcomes, project, position) => {
+  const projectId = project._id.toString();
+  const role = normalize(position.role);
+
+  const rejectedHere = outcomes.some(app =>
+    app.status === 'REJECTED' && app.projectId.toString() === projectId && normalize(app.position) === role
+  );
+  if (rejectedHere) {
+    return { score: 0.1, explanation: 'You were turned down for this role on this project before' };
+  }
+
+  const similar = outcomes.filter(app =>
+    normalize(app.position) === role || normalize(app.projectIndustry) === normalize(project.industry)
+  );
+  if (similar.length === 0) {
+    return { score: 0.5, explanation: `No past applications for similar roles or ${project.industry} projects` };
+  }
+
+  // Smoothed towards 0.5 so a single outcome doesn't decide the factor
+  const joined = similar.filter(app => JOINED_STATUSES.includes(app.status)).length;
+  return {
+    score: (joined + 1) / (similar.length + 2),
+    explanation: `${joined} of ${similar.length} past applications for similar roles or ${project.industry} projects were accepted`
+  };
+};
+
+const scoreStage = (preferredStages, project) => {
+  if (preferredStages.length === 0) {
+    return { score: 0.5, explanation: 'Add preferred stages to your profile to rank projects by stage' };
+  }
+  if (preferredStages.includes(project.stage)) {
+    return { score: 1, explanation: `${project.stage} is one of your preferred stages` };
+  }
+
+  // One step away from a preferred stage still counts for something
+  const index = PROJECT_STAGES.indexOf(project.stage);
+  const isAdjacent = preferredStages.some(stage => Math.abs(PROJECT_STAGES.indexOf(stage) - index) === 1);
+  return isAdjacent
+    ? { score: 0.5, explanation: `${project.stage} is one step from your preferred stages` }
+    : { score: 0, explanation: `${project.stage} is not one of your preferred stages` };
+};
+
+const LOCATION_EXPLANATIONS = {
+  SAME_CITY: (location) => `The project owner is also in ${location}`,
+  SAME_REGION: (location) => `The project owner is in the same region (${location})`,
+  ELSEWHERE: (location) => `The project owner is based in ${location}`
+};
+
+const scoreLocation = (userLocation, owner) => {
+  if (!userLocation?.trim()) {
+    return { score: 0.5, explanation: 'Add your location to your profile to rank nearby projects higher' };
+  }
+  const relation = compareLocations(userLocation, owner?.location);
+  if (!relation) {
+    return { score: 0.5, explanation: "The project owner hasn't shared a location" };
+  }
+  return { score: LOCATION_SCORES[relation], explanation: LOCATION_EXPLANATIONS[relation](owner.location) };
+};
+
+/**
+ * Ranks open positions for a user
+ * @param {object} user - User document (skills, location, preferredStages)
+ * @param {{limit: number}} options - Maximum number of results
+ * @returns {Promise<Array<object>>} One { project, position, score, factors }
+ * per position, best first
+ */
+export const getRecommendations = async (user, { limit = 10 } = {}) => {
+  const userSkills = toSkillLevels(user.skills);
+  if (userSkills.size === 0) return [];
+
+  const skillPatterns = [...userSkills.keys()].map(skillNamePattern);
+
+  const [projects, applications] = await Promise.all([
+    Project.find({
+      ownerId: { $ne: user._id },
+      'teamMembers.id': { $ne: user._id },
+      'openPositions.skills': { $in: skillPatterns },
+      isHidden: { $ne: true }
+    })
+      .sort({ createdAt: -1 })
+      .limit(CANDIDATE_LIMIT)
+      .populate('ownerId', 'name email location'),
+    Application.find({ applicantId: user._id })
+      .select('projectId position positionId projectIndustry status')
+      .lean()
+  ]);
+
+  const outcomes = applications.filter(app => JOINED_STATUSES.includes(app.status) || app.status === 'REJECTED');
+  const activeApplications = applications.filter(app => ACTIVE_STATUSES.includes(app.status));
+  const preferredStages = (user.preferredStages || []).filter(stage => PROJECT_STAGES.includes(stage));
+
+  const hasActiveApplication = (project, position) => activeApplications.some(app =>
+    app.projectId.toString() === project._id.toString() &&
+    (app.positionId ? app.positionId === position._id.toString() : app.position === position.role)
+  );
+
+  const recommendations = [];
+  for (const project of projects) {
+    for (const position of project.openPositions) {
+      const availability = project.getPositionAvailability(position);
+      if (!availability.isOpen || hasActiveApplication(project, position)) continue;
+
+      const skills = scoreSkills(userSkills, position);
+      if (skills.matchedSkills === 0) continue;
+
+      const results = {
+        skills,
+        history: scoreHistory(outcomes, project, position),
+        stage: scoreStage(preferredStages, project),
+        location: scoreLocation(user.location, project.ownerId)
+      };
+
+      const factors = Object.entries(FACTOR_WEIGHTS).map(([factor, weight]) => ({
+        factor,
+        label: FACTOR_LABELS[factor],
+        weight,
+        score: round(results[factor].score),
+        points: round(results[factor].score * weight),
+        explanation: results[factor].explanation
+      }));
+
+      recommendations.push({
+        project,
+        position,
+        score: Math.round(factors.reduce((total, { points }) => total + points, 0)),
+        factors
+      });
+    }
+  }
+
+  // Best score first; among equals, the position closing soonest
+  const deadline = (position) => (position.deadline ? position.deadline.getTime() : Infinity);
+  recommendations.sort((a, b) => b.score - a.score || deadline(a.position) - deadline(b.position));
+
+  return recommendations.slice(0, limit).map(({ project, position, score, factors }) => ({
+    project: project.toJSON(),
+    position: position.toJSON(),
+    score,
+    factors
+  }));
+};
+
+export default {
+  FACTOR_WEIGHTS,
+  getRecommendations
+};
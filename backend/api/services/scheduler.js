@@ -0,0 +1,58 @@
+import { runHackathonLifecycle } from './hackathonLifecycleService.js';
+import { sendDueDigests } from './digestService.js';
+
+/**
+ * In-process job scheduler. Each job runs once at startup and then on a
+ * fixed interval (SCHEDULER_INTERVAL_SECONDS, default 60). Jobs keep their
+ * state in the database, so nothing is lost on restart; a run that is
+ * still going when the next one is due is skipped rather than overlapped.
+ *
+ * Set SCHEDULER_ENABLED=false to run the API without background jobs, for
+ * example on extra instances behind a load balancer.
+ */
+
+const JOBS = [
+  { name: 'hackathon-lifecycle', run: runHackathonLifecycle },
+  { name: 'email-digests', run: sendDueDigests }
+];
+
+const getInterval = () => (parseInt(process.env.SCHEDULER_INTERVAL_SECONDS, 10) || 60) * 1000;
+
+const running = new Set();
+let timer = null;
+
+const runJob = async (job) => {
+  if (running.has(job.name)) return;
+  running.add(job.name);
+  try {
+    const result = await job.run(new Date());
+    const changes = Object.entries(result || {}).filter(([, count]) => count > 0);
+    if (changes.length > 0) {
+      console.log(`⏱️  ${job.name}: ${changes.map(([key, count]) => `${key}=${count}`).join(', ')}`);
+    }
+  } catch (err) {
+    console.error(`Scheduled job ${job.name} failed:`, err.message);
+  } finally {
+    running.delete(job.name);
+  }
+};
+
+const tick = () => Promise.all(JOBS.map(runJob));
+
+export const startScheduler = () => {
+  if (timer || process.env.SCHEDULER_ENABLED === 'false') return;
+  tick();
+  timer = setInterval(tick, getInterval());
+  // Don't keep the process alive just for the scheduler
+  timer.unref();
+};
+
+export const stopScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+export default {
+  startScheduler,
+  stopScheduler
+};
@@ -0,0 +1,204 @@
+import crypto from 'crypto';
+import Session from '../../models/Session.js';
+import User from '../../models/User.js';
+import { generateToken } from '../../middleware/auth.js';
+import { generateSecureToken, hashToken } from '../../utils/helpers.js';
+
+/**
+ * Server-side sessions backing the refresh-token flow.
+ *
+ * Access tokens are short-lived JWTs sent in the Authorization header.
+ * Each login creates a Session and a refresh token (`<sessionId>.<secret>`)
+ * delivered in an httpOnly cookie. Every refresh swaps the secret for a new
+ * one; presenting an old secret revokes the whole session.
+ */
+
+export const REFRESH_COOKIE_NAME = 'teamera_refresh';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A second tab refreshing with the just-rotated token inside this window is
+// treated as a race, not as token theft
+const ROTATION_GRACE_MS = 30 * 1000;
+
+const getRefreshTtlMs = () => (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30) * DAY_MS;
+
+const newSecret = () => generateSecureToken(48);
+
+const safeEqual = (a, b) => {
+  if (!a || !b || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+};
+
+const parseRefreshToken = (token) => {
+  if (typeof token !== 'string') return null;
+  const [sessionId, secret] = token.split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/i.test(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+// Lifetime comes from JWT_ACCESS_EXPIRE (see generateToken)
+const signAccessToken = (user, sessionId) => generateToken(
+  { id: user._id, email: user.email, role: user.role, sid: sessionId.toString() }
+);
+
+const getCookieOptions = () => {
+  // Cross-site deployments (separate frontend domain) need SameSite=None + Secure
+  const secure = process.env.NODE_ENV === 'production';
+  return {
+    httpOnly: true,
+    secure,
+    sameSite: secure ? 'none' : 'lax',
+    path: '/api/auth'
+  };
+};
+
+/**
+ * Reads the refresh token from the request cookies
+ * @param {object} req - Express request
+ * @returns {string|null} Raw refresh token
+ */
+export const readRefreshCookie = (req) => {
+  const header = req.headers.cookie;
+  if (!header) return null;
+
+  for (const part of header.split(';')) {
+    const [name, ...rest] = part.trim().split('=');
+    if (name === REFRESH_COOKIE_NAME) {
+      return decodeURIComponent(rest.join('='));
+    }
+  }
+  return null;
+};
+
+export const setRefreshCookie = (res, token, expiresAt) => {
+  res.cookie(REFRESH_COOKIE_NAME, token, { ...getCookieOptions(), expires: expiresAt });
+};
+
+export const clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE_NAME, getCookieOptions());
+};
+
+/**
+ * Creates a session for a freshly authenticated user and sets the refresh cookie
+ * @param {object} req - Express request (user agent and IP are recorded)
+ * @param {object} res - Express response
+ * @param {object} user - User document
+ * @returns {Promise<{accessToken: string, session: object}>}
+ */
+export const startSession = async (req, res, user) => {
+  const secret = newSecret();
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hashToken(secret),
+    userAgent: (req.get('user-agent') || '').slice(0, 300),
+    ipAddress: req.ip || '',
+    expiresAt: new Date(Date.now() + getRefreshTtlMs())
+  });
+
+  setRefreshCookie(res, `${session._id}.${secret}`, session.expiresAt);
+
+  return { accessToken: signAccessToken(user, session._id), session };
+};
+
+/**
+ * Exchanges a refresh token for a new access token and rotates the refresh secret
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @returns {Promise<{accessToken: string, user: object}|{status: number, code: string, message: string}>}
+ */
+export const refreshSession = async (req, res) => {
+  const parsed = parseRefreshToken(readRefreshCookie(req));
+  if (!parsed) {
+    return { status: 401, code: 'REFRESH_TOKEN_MISSING', message: 'Please login again' };
+  }
+
+  const session = await Session.findById(parsed.sessionId).select('+refreshTokenHash +previousTokenHash');
+  if (!session || !session.isActive()) {
+    return { status: 401, code: 'SESSION_EXPIRED', message: 'Your session has ended. Please login again' };
+  }
+
+  const presentedHash = hashToken(parsed.secret);
+  const isCurrent = safeEqual(presentedHash, session.refreshTokenHash);
+  const isRecentlyRotated = safeEqual(presentedHash, session.previousTokenHash) &&
+    session.rotatedAt && Date.now() - session.rotatedAt.getTime() < ROTATION_GRACE_MS;
+
+  if (!isCurrent && !isRecentlyRotated) {
+    // An old refresh token was replayed: assume it leaked and end the session
+    session.revokedAt = new Date();
+    await session.save();
+    return { status: 401, code: 'REFRESH_TOKEN_REUSED', message: 'Your session has ended. Please login again' };
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user) {
+    return { status: 401, code: 'USER_NOT_FOUND', message: 'Please login again' };
+  }
+
+  if (user.status === 'suspended') {
+    session.revokedAt = new Date();
+    await session.save();
+    return { status: 401, code: 'ACCOUNT_SUSPENDED', message: 'Your account has been suspended' };
+  }
+
+  if (isCurrent) {
+    const secret = newSecret();
+    session.previousTokenHash = session.refreshTokenHash;
+    session.refreshTokenHash = hashToken(secret);
+    session.rotatedAt = new Date();
+    session.expiresAt = new Date(Date.now() + getRefreshTtlMs());
+    setRefreshCookie(res, `${session._id}.${secret}`, session.expiresAt);
+  }
+
+  session.lastUsedAt = new Date();
+  await session.save();
+
+  return { accessToken: signAccessToken(user, session._id), user };
+};
+
+/**
+ * Revokes the session named by the request's refresh cookie, if any
+ * @param {object} req - Express request
+ * @returns {Promise<boolean>} Whether a session was revoked
+ */
+export const endCurrentSession = async (req) => {
+  const parsed = parseRefreshToken(readRefreshCookie(req));
+  if (!parsed) return false;
+
+  const session = await Session.findById(parsed.sessionId).select('+refreshTokenHash +previousTokenHash');
+  if (!session || session.revokedAt) return false;
+
+  const presentedHash = hashToken(parsed.secret);
+  if (!safeEqual(presentedHash, session.refreshTokenHash) && !safeEqual(presentedHash, session.previousTokenHash)) {
+    return false;
+  }
+
+  session.revokedAt = new Date();
+  await session.save();
+  return true;
+};
+
+/**
+ * Revokes every active session for a user, optionally keeping one
+ * @param {string} userId - User ID
+ * @param {string} [exceptSessionId] - Session to leave signed in
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+export const revokeUserSessions = async (userId, exceptSessionId = null) => {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const result = await Session.updateMany(filter, { revokedAt: new Date() });
+  return result.modifiedCount;
+};
+
+export default {
+  REFRESH_COOKIE_NAME,
+  readRefreshCookie,
+  setRefreshCookie,
+  clearRefreshCookie,
+  startSession,
+  refreshSession,
+  endCurrentSession,
+  revokeUserSessions
+};
@@ -0,0 +1,42 @@
+import createLocalStorage from './localStorage.js';
+
+/**
+ * Storage adapter registry.
+ *
+ * Every adapter exposes the same async interface:
+ *   save(key, buffer)      -> { key, size }
+ *   createReadStream(key)  -> Readable
+ *   remove(key)            -> void
+ *
+ * Add a new backend (S3, GCS...) by registering a factory here and
+ * selecting it with STORAGE_DRIVER.
+ */
+const drivers = {
+  local: () => createLocalStorage({ root: process.env.STORAGE_LOCAL_ROOT || undefined })
+};
+
+let adapter = null;
+
+// Register or replace a storage driver factory
+export const registerStorageDriver = (name, factory) => {
+  drivers[name] = factory;
+  adapter = null;
+};
+
+// Get the active storage adapter (created on first use)
+export const getStorage = () => {
+  if (!adapter) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    const factory = drivers[driver];
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${driver}`);
+    }
+    adapter = factory();
+  }
+  return adapter;
+};
+
+export default {
+  getStorage,
+  registerStorageDriver
+};
@@ -0,0 +1,55 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Default location: backend/uploads
+const DEFAULT_ROOT = path.join(__dirname, '..', '..', '..', 'uploads');
+
+/**
+ * Creates a storage adapter that keeps files on the local disk.
+ * Keys are relative paths such as `projects/<projectId>/<file>`.
+ * @param {object} options
+ * @param {string} options.root - Directory that holds every stored file
+ * @returns {object} Storage adapter
+ */
+const createLocalStorage = ({ root = DEFAULT_ROOT } = {}) => {
+  const resolveKey = (key) => {
+    const fullPath = path.resolve(root, key);
+    // Never allow a key to escape the storage root
+    if (!fullPath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return fullPath;
+  };
+
+  return {
+    name: 'local',
+
+    async save(key, buffer) {
+      const fullPath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+      await fs.promises.writeFile(fullPath, buffer);
+      return { key, size: buffer.length };
+    },
+
+    async createReadStream(key) {
+      const fullPath = resolveKey(key);
+      await fs.promises.access(fullPath, fs.constants.R_OK);
+      return fs.createReadStream(fullPath);
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        // Already gone is fine; anything else is a real failure
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+};
+
+export default createLocalStorage;
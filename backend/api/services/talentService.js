@@ -0,0 +1,222 @@
+import User from '../../models/User.js';
+import Project from '../../models/Project.js';
+import { escapeRegex, toList } from '../../utils/helpers.js';
+import {
+  SKILL_LEVELS,
+  skillNamePattern,
+  levelsAtLeast,
+  toSkillLevels,
+  matchSkills,
+  formatMatchedSkills,
+  compareLocations,
+  LOCATION_SCORES
+} from '../../utils/skillMatch.js';
+
+/**
+ * People directory, used by the Community member list and by project
+ * owners' talent search. Without a position, results are listed by name;
+ * with one, every candidate gets a 0-100 match score for it with a
+ * per-factor explanation, like project recommendations.
+ */
+
+// Share of the match score, in percent
+export const TALENT_WEIGHTS = {
+  skills: 70,
+  availability: 20,
+  location: 10
+};
+
+const FACTOR_LABELS = {
+  skills: 'Skills',
+  availability: 'Availability',
+  location: 'Location'
+};
+
+const AVAILABILITY_FACTORS = {
+  AVAILABLE: { score: 1, explanation: 'Looking to join projects' },
+  LIMITED: { score: 0.5, explanation: 'Has limited time for new projects' },
+  UNAVAILABLE: { score: 0, explanation: 'Not looking to join projects right now' }
+};
+
+const LOCATION_EXPLANATIONS = {
+  SAME_CITY: (location) => `Also in ${location}`,
+  SAME_REGION: (location) => `In the same region (${location})`,
+  ELSEWHERE: (location) => `Based in ${location}`
+};
+
+// Roles people can be searched by; staff accounts aren't listed
+export const SEARCHABLE_ROLES = ['user', 'founder', 'professional', 'investor', 'student'];
+
+// Public profile fields returned in search results; never email or account state
+const RESULT_FIELDS = 'name avatar title role bio location skills availability githubUrl linkedinUrl portfolioUrl createdAt';
+
+// Most candidates ranked in memory for one position
+const CANDIDATE_LIMIT = 500;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * MongoDB filter for the directory's search parameters
+ * @param {object} query - q, skills, level, role, location, availability
+ * @param {Array} excludeIds - Users to leave out (the searcher, current team)
+ * @returns {object} Filter for User.find
+ */
+export const buildTalentFilter = ({ q, skills, level, role, location, availability }, excludeIds = []) => {
+  const filter = {
+    _id: { $nin: excludeIds },
+    status: 'active',
+    role: { $in: SEARCHABLE_ROLES }
+  };
+
+  if (typeof q === 'string' && q.trim()) {
+    const pattern = new RegExp(escapeRegex(q.trim()), 'i');
+    filter.$or = [{ name: pattern }, { title: pattern }, { bio: pattern }];
+  }
+
+  // Every listed skill is required, at the given level or above
+  const levels = SKILL_LEVELS.includes(level) ? levelsAtLeast(level) : null;
+  const skillList = toList(skills);
+  if (skillList.length > 0) {
+    filter.skills = {
+      $all: skillList.map(name => ({
+        $elemMatch: { name: skillNamePattern(name), ...(levels && { level: { $in: levels } }) }
+      }))
+    };
+  } else if (levels) {
+    filter['skills.level'] = { $in: levels };
+  }
+
+  const roles = toList(role).filter(value => SEARCHABLE_ROLES.includes(value));
+  if (roles.length > 0) filter.role = { $in: roles };
+
+  if (typeof location === 'string' && location.trim()) {
+    filter.location = new RegExp(escapeRegex(location.trim()), 'i');
+  }
+
+  // Accounts created before availability existed count as available
+  const availabilities = toList(availability);
+  if (availabilities.length > 0) {
+    filter.availability = {
+      $in: availabilities.includes('AVAILABLE') ? [...availabilities, null] : availabilities
+    };
+  }
+
+  return filter;
+};
+
+/**
+ * Scores one person against an open position
+ * @param {object} user - User document or lean object
+ * @param {object} position - Open position (role, skills)
+ * @param {object} owner - Project owner, for the location factor
+ * @returns {{score: number, factors: Array<object>}}
+ */
+export const scoreCandidate = (user, position, owner) => {
+  const { score: skillScore, required, matched, missing } = matchSkills(toSkillLevels(user.skills), position.skills);
+
+  let skillExplanation;
+  if (required === 0) {
+    skillExplanation = `No skills listed for ${position.role}`;
+  } else if (matched.length === 0) {
+    skillExplanation = `Has none of the ${required} required skills`;
+  } else {
+    skillExplanation = `Has ${matched.length} of ${required} required skills: ${formatMatchedSkills(matched)}`;
+    if (missing.length > 0) skillExplanation += `. Missing: ${missing.join(', ')}`;
+  }
+
+  const relation = compareLocations(user.location, owner?.location);
+
+  const results = {
+    skills: { score: required === 0 ? 0.5 : skillScore, explanation: skillExplanation },
+    availability: AVAILABILITY_FACTORS[user.availability] || AVAILABILITY_FACTORS.AVAILABLE,
+    location: relation
+      ? { score: LOCATION_SCORES[relation], explanation: LOCATION_EXPLANATIONS[relation](user.location) }
+      : { score: 0.5, explanation: user.location ? `Based in ${user.location}` : 'No location shared' }
+  };
+
+  const factors = Object.entries(TALENT_WEIGHTS).map(([factor, weight]) => ({
+    factor,
+    label: FACTOR_LABELS[factor],
+    weight,
+    score: round(results[factor].score),
+    points: round(results[factor].score * weight),
+    explanation: results[factor].explanation
+  }));
+
+  return {
+    score: Math.round(factors.reduce((total, { points }) => total + points, 0)),
+    factors
+  };
+};
+
+/**
+ * Searches the people directory
+ * @param {object} filter - From buildTalentFilter
+ * @param {{position: (object|null), owner: (object|null), offset: number, limit: number}} options
+ * @returns {Promise<{users: Array<object>, total: number, hasMore: boolean}>}
+ * Each user is a plain object with `match` set when a position was given
+ */
+export const searchTalent = async (filter, { position = null, owner = null, offset = 0, limit }) => {
+  if (!position) {
+    const [page, total] = await Promise.all([
+      User.find(filter).select(RESULT_FIELDS).sort({ name: 1, _id: 1 }).skip(offset).limit(limit + 1).lean(),
+      User.countDocuments(filter)
+    ]);
+    return { users: page.slice(0, limit), total, hasMore: page.length > limit };
+  }
+
+  // Ranking needs every candidate scored, so only the most recently active
+  // ones are considered
+  const [candidates, total] = await Promise.all([
+    User.find(filter).select(RESULT_FIELDS).sort({ updatedAt: -1 }).limit(CANDIDATE_LIMIT).lean(),
+    User.countDocuments(filter)
+  ]);
+
+  const ranked = candidates
+    .map(user => ({ ...user, match: scoreCandidate(user, position, owner) }))
+    .sort((a, b) => b.match.score - a.match.score || a.name.localeCompare(b.name));
+
+  return {
+    users: ranked.slice(offset, offset + limit),
+    total,
+    hasMore: ranked.length > offset + limit
+  };
+};
+
+/**
+ * Adds `mutualProjects` ({ _id, title }) to each user: projects both the
+ * viewer and that user own or are on the team of
+ * @param {Array<object>} users - Plain user objects from searchTalent
+ * @param {string} viewerId - Signed-in user
+ * @returns {Promise<Array<object>>} New user objects
+ */
+export const attachMutualProjects = async (users, viewerId) => {
+  const viewerProjects = await Project.find({
+    $or: [{ ownerId: viewerId }, { 'teamMembers.id': viewerId }]
+  })
+    .select('title ownerId teamMembers.id')
+    .lean();
+
+  const isOnProject = (project, userId) =>
+    project.ownerId?.toString() === userId ||
+    (project.teamMembers || []).some(member => member.id?.toString() === userId);
+
+  return users.map(user => {
+    const userId = user._id.toString();
+    const mutualProjects = userId === viewerId.toString()
+      ? []
+      : viewerProjects
+        .filter(project => isOnProject(project, userId))
+        .map(({ _id, title }) => ({ _id, title }));
+    return { ...user, mutualProjects };
+  });
+};
+
+export default {
+  TALENT_WEIGHTS,
+  SEARCHABLE_ROLES,
+  buildTalentFilter,
+  scoreCandidate,
+  searchTalent,
+  attachMutualProjects
+};
@@ -0,0 +1,93 @@
+import Application from '../../models/Application.js';
+import { createNotification } from '../controllers/notificationController.js';
+
+/**
+ * Waitlists for filled open positions. Applicants who apply to a full
+ * position (or whom the owner waitlists) wait in join order; when a member
+ * leaves, the first one goes back to PENDING for the owner to review.
+ */
+
+// Matches applications for a position, by id or by role name
+const positionFilter = (projectId, { positionId, role }) => ({
+  projectId,
+  $or: [
+    ...(positionId ? [{ positionId: positionId.toString() }] : []),
+    { position: role }
+  ]
+});
+
+/**
+ * Moves the first waitlisted applicant for a position back to PENDING and
+ * lets both sides know. Call once for every seat that frees up.
+ * @param {object} project - Project document
+ * @param {{positionId: (string|null), role: string}} position - Position that lost a member
+ * @returns {Promise<object|null>} The promoted application, if any
+ */
+export const promoteFromWaitlist = async (project, { positionId, role }) => {
+  const openPosition = project.findOpenPosition({ positionId, role });
+  if (!openPosition) return null;
+
+  const application = await Application.findOne({
+    ...positionFilter(project._id, { positionId: openPosition._id, role: openPosition.role }),
+    status: 'WAITLISTED'
+  }).sort({ waitlistedAt: 1 });
+
+  if (!application) return null;
+
+  application.recordTransition('PENDING', {
+    actor: 'SYSTEM',
+    note: 'A spot opened up on the team'
+  });
+  await application.save();
+
+  await createNotification({
+    recipientId: application.applicantId,
+    type: 'WAITLIST_PROMOTED',
+    message: `${project.title}: A spot opened up for ${application.position}. Your application is back under review.`,
+    projectId: project._id,
+    projectName: project.title,
+    positionName: application.position,
+    navigationPath: '/dashboard',
+    navigationState: { tab: 'applications', subTab: 'sent' }
+  });
+
+  await createNotification({
+    recipientId: project.ownerId?._id || project.ownerId,
+    type: 'NEW_APPLICATION',
+    message: `${project.title}: ${application.applicantName} moved up from the waitlist for ${application.position}.`,
+    projectId: project._id,
+    projectName: project.title,
+    positionName: application.position,
+    actorName: application.applicantName,
+    navigationPath: '/dashboard',
+    navigationState: { tab: 'applications', subTab: 'received' }
+  });
+
+  return application;
+};
+
+/**
+ * Adds a 1-based `waitlistRank` to every WAITLISTED entry in the list
+ * @param {Array<object>} entries - Plain application entries
+ * @returns {Promise<Array<object>>} The same entries
+ */
+export const attachWaitlistRanks = async (entries) => {
+  await Promise.all(entries
+    .filter(entry => entry.status === 'WAITLISTED')
+    .map(async (entry) => {
+      const projectId = entry.projectId?._id || entry.projectId;
+      const ahead = await Application.countDocuments({
+        ...positionFilter(projectId, { positionId: entry.positionId, role: entry.position }),
+        status: 'WAITLISTED',
+        waitlistedAt: { $lt: entry.waitlistedAt }
+      });
+      entry.waitlistRank = ahead + 1;
+    }));
+
+  return entries;
+};
+
+export default {
+  promoteFromWaitlist,
+  attachWaitlistRanks
+};
@@ -1,7 +1,12 @@
 import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Session from '../models/Session.js';
 
-// JWT Secret - should be in environment variables
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
+// JWT Secret - should be in environment variables. Read lazily because
+// server.js loads backend/.env after this module has been imported.
+const DEFAULT_JWT_SECRET = 'your-super-secret-jwt-key-change-in-production';
+const getJwtSecret = () => process.env.JWT_SECRET || DEFAULT_JWT_SECRET;
 
 /**
  * Logger middleware - logs all incoming requests
@@ -25,9 +30,31 @@ export const logger = (req, res, next) => {
 };
 
 /**
- * Authentication middleware - verifies JWT token
+ * Loads the account behind a verified token. Tokens outlive a suspension,
+ * role change or sign-out by up to their lifetime, so the account and the
+ * session the token was issued for (`sid`) are read from the database.
+ * @param {object} decoded - Verified token payload
+ * @returns {Promise<{user: (object|null), suspended: boolean}>} user is the
+ * payload with the current role, or null if the account is gone or suspended
+ * or the session has ended
  */
-export const authenticate = (req, res, next) => {
+export const loadTokenUser = async (decoded) => {
+  if (!mongoose.Types.ObjectId.isValid(decoded.sid)) return { user: null, suspended: false };
+
+  const [account, session] = await Promise.all([
+    User.findById(decoded.id).select('role status').lean(),
+    Session.exists({ _id: decoded.sid, userId: decoded.id, revokedAt: null, expiresAt: { $gt: new Date() } })
+  ]);
+  if (!account) return { user: null, suspended: false };
+  if (account.status === 'suspended') return { user: null, suspended: true };
+  if (!session) return { user: null, suspended: false };
+  return { user: { ...decoded, role: account.role }, suspended: false };
+};
+
+/**
+ * Authentication middleware - verifies JWT token and rejects suspended accounts
+ */
+export const authenticate = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
 
@@ -51,8 +78,27 @@ export const authenticate = (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
+    const decoded = jwt.verify(token, getJwtSecret());
+    const { user, suspended } = await loadTokenUser(decoded);
+
+    if (suspended) {
+      return res.status(403).json({
+        success: false,
+        error: 'Account suspended',
+        code: 'ACCOUNT_SUSPENDED',
+        message: 'Your account has been suspended'
+      });
+    }
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Session not found',
+        message: 'Please login again'
+      });
+    }
+
+    req.user = user;
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -80,9 +126,10 @@ export const authenticate = (req, res, next) => {
 };
 
 /**
- * Optional authentication - attaches user if token exists, but doesn't require it
+ * Optional authentication - attaches user if token exists, but doesn't require it.
+ * Suspended accounts are treated as signed out.
  */
-export const optionalAuth = (req, res, next) => {
+export const optionalAuth = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
 
@@ -92,8 +139,8 @@ export const optionalAuth = (req, res, next) => {
         : authHeader;
 
       if (token) {
-        const decoded = jwt.verify(token, JWT_SECRET);
-        req.user = decoded;
+        const { user } = await loadTokenUser(jwt.verify(token, getJwtSecret()));
+        if (user) req.user = user;
       }
     }
 
@@ -130,13 +177,40 @@ export const authorize = (...allowedRoles) => {
   };
 };
 
+/**
+ * Ownership middleware - the route param must match the authenticated user
+ * Must run after `authenticate`.
+ * @param {string} param - Name of the route param holding the user ID (default: 'userId')
+ */
+export const requireSelf = (param = 'userId') => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Unauthorized',
+        message: 'Authentication required'
+      });
+    }
+
+    if (String(req.params[param]) !== String(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'You can only modify your own account'
+      });
+    }
+
+    next();
+  };
+};
+
 /**
  * Generate JWT token
  * @param {object} payload - Data to encode in token
- * @param {string} expiresIn - Token expiration time (default: '24h')
+ * @param {string} expiresIn - Token expiration time (default: JWT_ACCESS_EXPIRE or '15m')
  */
-export const generateToken = (payload, expiresIn = '24h') => {
-  return jwt.sign(payload, JWT_SECRET, { expiresIn });
+export const generateToken = (payload, expiresIn = process.env.JWT_ACCESS_EXPIRE || '15m') => {
+  return jwt.sign(payload, getJwtSecret(), { expiresIn });
 };
 
 /**
@@ -144,14 +218,16 @@ export const generateToken = (payload, expiresIn = '24h') => {
  * @param {string} token - Token to verify
  */
 export const verifyToken = (token) => {
-  return jwt.verify(token, JWT_SECRET);
+  return jwt.verify(token, getJwtSecret());
 };
 
 export default {
   logger,
+  loadTokenUser,
   authenticate,
   optionalAuth,
   authorize,
+  requireSelf,
   generateToken,
   verifyToken
 };
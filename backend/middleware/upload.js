@@ -0,0 +1,120 @@
+import multer from 'multer';
+import { errorResponse } from '../utils/helpers.js';
+
+const MB = 1024 * 1024;
+
+// Per-file limit for project files (FILE_MAX_SIZE_MB, default 25 MB).
+// Read lazily so values from backend/.env are picked up after startup.
+export const getMaxFileSize = () => (parseInt(process.env.FILE_MAX_SIZE_MB, 10) || 25) * MB;
+
+// Maximum number of files accepted in a single upload request
+export const MAX_FILES_PER_UPLOAD = 10;
+
+// Per-file limit for Community post attachments (POST_ATTACHMENT_MAX_SIZE_MB, default 10 MB)
+export const getMaxAttachmentSize = () => (parseInt(process.env.POST_ATTACHMENT_MAX_SIZE_MB, 10) || 10) * MB;
+
+// Maximum number of attachments on one post
+export const MAX_POST_ATTACHMENTS = 5;
+
+// Maximum number of assets on one hackathon submission (same size limit as post attachments)
+export const MAX_SUBMISSION_ASSETS = 5;
+
+// Limit for a resume sent with a hackathon registration (RESUME_MAX_SIZE_MB, default 5 MB)
+export const getMaxResumeSize = () => (parseInt(process.env.RESUME_MAX_SIZE_MB, 10) || 5) * MB;
+
+/**
+ * Wraps a multer handler so its errors use the standard error response.
+ * Files are kept in memory; controllers hand them to the storage adapter
+ * only after access checks pass.
+ * @param {Function} createHandler - Returns a multer middleware (e.g. `upload.array('files')`)
+ * @param {{getMaxSize: Function, maxFiles: number}} limits - Used in the error messages
+ */
+const withUploadErrors = (createHandler, { getMaxSize, maxFiles }) => (req, res, next) => {
+  createHandler()(req, res, (err) => {
+    if (!err) return next();
+
+    if (err instanceof multer.MulterError) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json(
+          errorResponse(
+            `Each file must be smaller than ${Math.round(getMaxSize() / MB)} MB`,
+            'FILE_TOO_LARGE'
+          )
+        );
+      }
+
+      if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+        return res.status(400).json(
+          errorResponse(
+            `You can upload up to ${maxFiles} files at a time`,
+            'TOO_MANY_FILES'
+          )
+        );
+      }
+
+      return res.status(400).json(errorResponse(err.message, 'UPLOAD_ERROR'));
+    }
+
+    next(err);
+  });
+};
+
+/**
+ * Upload middleware for project files (multipart field: `files`)
+ */
+export const uploadProjectFiles = withUploadErrors(() =>
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: getMaxFileSize(), files: MAX_FILES_PER_UPLOAD }
+  }).array('files', MAX_FILES_PER_UPLOAD),
+  { getMaxSize: getMaxFileSize, maxFiles: MAX_FILES_PER_UPLOAD }
+);
+
+/**
+ * Upload middleware for Community post attachments (multipart field: `files`).
+ * Other form fields (content, category) end up in req.body as usual.
+ */
+export const uploadPostAttachments = withUploadErrors(() =>
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: getMaxAttachmentSize(), files: MAX_POST_ATTACHMENTS }
+  }).array('files', MAX_POST_ATTACHMENTS),
+  { getMaxSize: getMaxAttachmentSize, maxFiles: MAX_POST_ATTACHMENTS }
+);
+
+/**
+ * Upload middleware for a hackathon registration (optional multipart
+ * field: `resume`). The other registration fields end up in req.body.
+ */
+export const uploadResume = withUploadErrors(() =>
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: getMaxResumeSize(), files: 1 }
+  }).single('resume'),
+  { getMaxSize: getMaxResumeSize, maxFiles: 1 }
+);
+
+/**
+ * Upload middleware for hackathon submission assets (multipart field:
+ * `files`). The submission fields end up in req.body.
+ */
+export const uploadSubmissionAssets = withUploadErrors(() =>
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: getMaxAttachmentSize(), files: MAX_SUBMISSION_ASSETS }
+  }).array('files', MAX_SUBMISSION_ASSETS),
+  { getMaxSize: getMaxAttachmentSize, maxFiles: MAX_SUBMISSION_ASSETS }
+);
+
+export default {
+  uploadProjectFiles,
+  uploadPostAttachments,
+  uploadResume,
+  uploadSubmissionAssets,
+  getMaxFileSize,
+  getMaxAttachmentSize,
+  getMaxResumeSize,
+  MAX_FILES_PER_UPLOAD,
+  MAX_POST_ATTACHMENTS,
+  MAX_SUBMISSION_ASSETS
+};
@@ -1,383 +1,337 @@
 import mongoose from 'mongoose';
 
-const applicationSchema = new mongoose.Schema({
-  userId: {
+// Who can move an application: the project owner, the applicant, or the server itself
+export const APPLICATION_ACTORS = ['OWNER', 'APPLICANT', 'SYSTEM'];
+
+// Legal status moves and the actors allowed to make each one.
+// REJECTED, REMOVED, QUIT and WITHDRAWN are final; applying again creates a new application.
+// WAITLISTED applications go back to PENDING when a seat opens up.
+export const APPLICATION_TRANSITIONS = {
+  PENDING: { ACCEPTED: ['OWNER'], REJECTED: ['OWNER', 'SYSTEM'], WITHDRAWN: ['APPLICANT'], WAITLISTED: ['OWNER'] },
+  WAITLISTED: { PENDING: ['SYSTEM'], REJECTED: ['OWNER', 'SYSTEM'], WITHDRAWN: ['APPLICANT'] },
+  INVITED: { REMOVED: ['OWNER', 'SYSTEM'], QUIT: ['APPLICANT'] },
+  ACCEPTED: { REMOVED: ['OWNER', 'SYSTEM'], QUIT: ['APPLICANT'] },
+  REJECTED: {},
+  REMOVED: {},
+  QUIT: {},
+  WITHDRAWN: {}
+};
+
+export const APPLICATION_STATUSES = Object.keys(APPLICATION_TRANSITIONS);
+
+// One entry per status change, oldest first
+const timelineEntrySchema = new mongoose.Schema({
+  fromStatus: {
+    type: String,
+    enum: APPLICATION_STATUSES,
+    default: null
+  },
+  toStatus: {
+    type: String,
+    enum: APPLICATION_STATUSES,
+    required: true
+  },
+  actor: {
+    type: String,
+    enum: APPLICATION_ACTORS,
+    required: true
+  },
+  actorId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
+    default: null
+  },
+  actorName: {
+    type: String,
+    default: ''
+  },
+  note: {
+    type: String,
+    default: ''
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Applicant's answer to one of the position's screening questions. The
+// prompt and type are copied so later edits to the question don't change it.
+const screeningAnswerSchema = new mongoose.Schema({
+  questionId: {
+    type: String,
+    required: true
+  },
+  prompt: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  answer: {
+    type: String,
+    default: ''
+  }
+}, { _id: false });
+
+// One document per application. The applicant's "sent" list and the owner's
+// "received" list are both queries over this collection.
+const applicationSchema = new mongoose.Schema({
+  applicationId: {
+    type: String,
     required: true,
     unique: true
   },
-  userName: {
+
+  // ========================================
+  // PARTIES
+  // ========================================
+  applicantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+
+  // APPLICANT SNAPSHOT
+  applicantName: {
     type: String,
-    required: false
+    required: true
   },
-  userEmail: {
+  applicantEmail: {
     type: String,
-    required: false
+    required: true
+  },
+  applicantAvatar: {
+    type: String,
+    default: ''
+  },
+  applicantTitle: {
+    type: String,
+    default: ''
+  },
+  applicantLocation: {
+    type: String,
+    default: ''
+  },
+
+  // PROJECT OWNER SNAPSHOT
+  projectOwnerName: {
+    type: String,
+    required: true
+  },
+  projectOwnerEmail: {
+    type: String,
+    required: true
+  },
+  projectOwnerAvatar: {
+    type: String,
+    default: ''
+  },
+
+  // PROJECT SNAPSHOT
+  projectName: {
+    type: String,
+    required: true
   },
-  
+  projectStage: {
+    type: String,
+    default: ''
+  },
+  projectIndustry: {
+    type: String,
+    default: ''
+  },
+
   // ========================================
-  // APPLICATIONS RECEIVED (For Project Owners)
+  // APPLICATION DETAILS
   // ========================================
-  applications_received: [{
-    applicationId: {
-      type: String,
-      required: true
-    },
-    
-    // APPLICANT INFORMATION (User who applied)
-    applicantId: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      required: true
-    },
-    applicantName: {
-      type: String,
-      required: true
-    },
-    applicantEmail: {
-      type: String,
-      required: true
-    },
-    applicantAvatar: {
-      type: String,
-      default: ''
-    },
-    applicantTitle: {
-      type: String,
-      default: ''
-    },
-    applicantLocation: {
-      type: String,
-      default: ''
-    },
-    
-    // PROJECT INFORMATION
-    projectId: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Project',
-      required: true
-    },
-    projectName: {
-      type: String,
-      required: true
-    },
-    projectStage: {
-      type: String,
-      default: ''
-    },
-    
-    // APPLICATION DETAILS
-    position: {
-      type: String,
-      required: true
-    },
-    positionId: {
-      type: String,
-      required: false
-    },
-    message: {
-      type: String,
-      default: ''
-    },
-    skills: [{
-      type: String
-    }],
-    status: {
-      type: String,
-      enum: ['PENDING', 'ACCEPTED', 'REJECTED', 'REMOVED', 'INVITED', 'QUIT'],
-      default: 'PENDING'
-    },
-    
-    // RESUME/ATTACHMENTS
-    hasResume: {
-      type: Boolean,
-      default: false
-    },
-    resumeUrl: {
-      type: String,
-      default: ''
-    },
-    resumeFileName: {
-      type: String,
-      default: ''
-    },
-    attachments: [{
-      fileName: String,
-      fileUrl: String,
-      fileType: String,
-      fileSize: Number
-    }],
-    
-    // REVIEW INFORMATION
-    reviewNotes: {
-      type: String,
-      default: ''
-    },
-    reviewedAt: {
-      type: Date,
-      default: null
-    },
-    reviewedBy: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      default: null
-    },
-    rating: {
-      type: Number,
-      min: 1,
-      max: 5,
-      default: null
-    },
-    removedFromTeamAt: {
-      type: Date,
-      default: null
-    },
-    removalReason: {
-      type: String,
-      default: ''
-    },
-    
-    // TIMESTAMPS
-    appliedDate: {
-      type: Date,
-      default: Date.now
-    },
-    statusUpdatedAt: {
-      type: Date,
-      default: Date.now
-    }
+  position: {
+    type: String,
+    required: true
+  },
+  positionId: {
+    type: String,
+    required: false
+  },
+  message: {
+    type: String,
+    default: ''
+  },
+  skills: [{
+    type: String
   }],
-  
-  // ========================================
-  // APPLICATIONS SENT (For Applicants)
-  // ========================================
-  applications_sent: [{
-    applicationId: {
-      type: String,
-      required: true
-    },
-    
-    // PROJECT OWNER INFORMATION (Who created the project)
-    projectOwnerId: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      required: true
-    },
-    projectOwnerName: {
-      type: String,
-      required: true
-    },
-    projectOwnerEmail: {
-      type: String,
-      required: true
-    },
-    projectOwnerAvatar: {
-      type: String,
-      default: ''
-    },
-    
-    // PROJECT INFORMATION
-    projectId: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Project',
-      required: true
-    },
-    projectName: {
-      type: String,
-      required: true
-    },
-    projectStage: {
-      type: String,
-      default: ''
-    },
-    projectIndustry: {
-      type: String,
-      default: ''
-    },
-    
-    // APPLICATION DETAILS
-    position: {
-      type: String,
-      required: true
-    },
-    positionId: {
-      type: String,
-      required: false
-    },
-    message: {
-      type: String,
-      default: ''
-    },
-    skills: [{
-      type: String
-    }],
-    status: {
-      type: String,
-      enum: ['PENDING', 'ACCEPTED', 'REJECTED', 'QUIT', 'REMOVED', 'INVITED'],
-      default: 'PENDING'
-    },
-    
-    // RESUME/ATTACHMENTS
-    hasResume: {
-      type: Boolean,
-      default: false
-    },
-    resumeUrl: {
-      type: String,
-      default: ''
-    },
-    resumeFileName: {
-      type: String,
-      default: ''
-    },
-    attachments: [{
-      fileName: String,
-      fileUrl: String,
-      fileType: String,
-      fileSize: Number
-    }],
-    
-    // REVIEW INFORMATION
-    reviewNotes: {
-      type: String,
-      default: ''
-    },
-    reviewedAt: {
-      type: Date,
-      default: null
-    },
-    reviewedBy: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      default: null
-    },
-    rejectionReason: {
-      type: String,
-      default: ''
-    },
-    removedFromTeamAt: {
-      type: Date,
-      default: null
-    },
-    removalReason: {
-      type: String,
-      default: ''
-    },
-    
-    // TIMESTAMPS
-    appliedDate: {
-      type: Date,
-      default: Date.now
-    },
-    statusUpdatedAt: {
-      type: Date,
-      default: Date.now
-    },
-    quitAt: {
-      type: Date,
-      default: null
-    }
+  screeningAnswers: [screeningAnswerSchema],
+  status: {
+    type: String,
+    enum: APPLICATION_STATUSES,
+    default: 'PENDING'
+  },
+
+  // RESUME/ATTACHMENTS
+  hasResume: {
+    type: Boolean,
+    default: false
+  },
+  resumeUrl: {
+    type: String,
+    default: ''
+  },
+  resumeFileName: {
+    type: String,
+    default: ''
+  },
+  attachments: [{
+    fileName: String,
+    fileUrl: String,
+    fileType: String,
+    fileSize: Number
   }],
-  
-  // ========================================
-  // STATISTICS
-  // ========================================
-  stats: {
-    // Received Statistics
-    totalReceived: {
-      type: Number,
-      default: 0
-    },
-    pendingReceived: {
-      type: Number,
-      default: 0
-    },
-    acceptedReceived: {
-      type: Number,
-      default: 0
-    },
-    rejectedReceived: {
-      type: Number,
-      default: 0
-    },
-    removedReceived: {
-      type: Number,
-      default: 0
-    },
-    invitedReceived: {
-      type: Number,
-      default: 0
-    },
-    quitReceived: {
-      type: Number,
-      default: 0
-    },
-    
-    // Sent Statistics
-    totalSent: {
-      type: Number,
-      default: 0
-    },
-    pendingSent: {
-      type: Number,
-      default: 0
-    },
-    acceptedSent: {
-      type: Number,
-      default: 0
-    },
-    rejectedSent: {
-      type: Number,
-      default: 0
-    },
-    quitSent: {
-      type: Number,
-      default: 0
-    },
-    removedSent: {
-      type: Number,
-      default: 0
-    },
-    invitedSent: {
-      type: Number,
-      default: 0
-    }
-  }
+
+  // REVIEW INFORMATION
+  reviewNotes: {
+    type: String,
+    default: ''
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  rating: {
+    type: Number,
+    min: 1,
+    max: 5,
+    default: null
+  },
+  rejectionReason: {
+    type: String,
+    default: ''
+  },
+  removedFromTeamAt: {
+    type: Date,
+    default: null
+  },
+  removalReason: {
+    type: String,
+    default: ''
+  },
+
+  // TIMESTAMPS
+  appliedDate: {
+    type: Date,
+    default: Date.now
+  },
+  statusUpdatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  quitAt: {
+    type: Date,
+    default: null
+  },
+  withdrawnAt: {
+    type: Date,
+    default: null
+  },
+  // Waitlist order: earliest first
+  waitlistedAt: {
+    type: Date,
+    default: null
+  },
+
+  // STATUS HISTORY
+  timeline: [timelineEntrySchema]
 }, {
   timestamps: true
 });
 
 // Indexes for faster queries
-// Note: userId index is already created by unique: true in schema definition
-applicationSchema.index({ 'applications_received.applicationId': 1 });
-applicationSchema.index({ 'applications_received.status': 1 });
-applicationSchema.index({ 'applications_received.applicantId': 1 });
-applicationSchema.index({ 'applications_received.projectId': 1 });
-applicationSchema.index({ 'applications_sent.applicationId': 1 });
-applicationSchema.index({ 'applications_sent.status': 1 });
-applicationSchema.index({ 'applications_sent.projectId': 1 });
-applicationSchema.index({ 'applications_sent.projectOwnerId': 1 });
+// Note: applicationId index is already created by unique: true in schema definition
+applicationSchema.index({ applicantId: 1, appliedDate: 1 });
+applicationSchema.index({ ownerId: 1, appliedDate: 1 });
+applicationSchema.index({ projectId: 1, status: 1 });
+applicationSchema.index({ applicantId: 1, projectId: 1, status: 1 });
+applicationSchema.index({ projectId: 1, status: 1, waitlistedAt: 1 });
+
+// Check whether the application may move to the given status,
+// optionally also checking that the actor is allowed to make that move
+applicationSchema.methods.canTransitionTo = function(nextStatus, actor) {
+  const allowedActors = (APPLICATION_TRANSITIONS[this.status] || {})[nextStatus];
+  if (!allowedActors) return false;
+  return actor ? allowedActors.includes(actor) : true;
+};
+
+// Move to a new status and log it on the timeline. Callers check
+// canTransitionTo first and save the document afterwards.
+applicationSchema.methods.recordTransition = function(nextStatus, { actor, actorId = null, actorName = '', note = '' }) {
+  const now = new Date();
+  this.timeline.push({
+    fromStatus: this.status,
+    toStatus: nextStatus,
+    actor,
+    actorId,
+    actorName,
+    note,
+    at: now
+  });
+  this.status = nextStatus;
+  this.statusUpdatedAt = now;
+};
+
+// Entry as the project owner sees it (dashboard applications_received)
+applicationSchema.methods.toReceivedEntry = function() {
+  const { projectOwnerName, projectOwnerEmail, projectOwnerAvatar, ...entry } = this.toObject();
+  return entry;
+};
+
+// Entry as the applicant sees it (dashboard applications_sent)
+applicationSchema.methods.toSentEntry = function() {
+  const { ownerId, ...entry } = this.toObject();
+  return { ...entry, projectOwnerId: ownerId };
+};
+
+// Dashboard counters, computed from the two lists
+applicationSchema.statics.buildStats = function(received, sent) {
+  const count = (list, status) => list.filter(app => app.status === status).length;
 
-// Method to update stats
-applicationSchema.methods.updateStats = function() {
-  // Received Statistics
-  this.stats.totalReceived = this.applications_received.length;
-  this.stats.pendingReceived = this.applications_received.filter(app => app.status === 'PENDING').length;
-  this.stats.acceptedReceived = this.applications_received.filter(app => app.status === 'ACCEPTED').length;
-  this.stats.rejectedReceived = this.applications_received.filter(app => app.status === 'REJECTED').length;
-  this.stats.removedReceived = this.applications_received.filter(app => app.status === 'REMOVED').length;
-  this.stats.invitedReceived = this.applications_received.filter(app => app.status === 'INVITED').length;
-  this.stats.quitReceived = this.applications_received.filter(app => app.status === 'QUIT').length;
-  
-  // Sent Statistics
-  this.stats.totalSent = this.applications_sent.length;
-  this.stats.pendingSent = this.applications_sent.filter(app => app.status === 'PENDING').length;
-  this.stats.acceptedSent = this.applications_sent.filter(app => app.status === 'ACCEPTED').length;
-  this.stats.rejectedSent = this.applications_sent.filter(app => app.status === 'REJECTED').length;
-  this.stats.quitSent = this.applications_sent.filter(app => app.status === 'QUIT').length;
-  this.stats.removedSent = this.applications_sent.filter(app => app.status === 'REMOVED').length;
-  this.stats.invitedSent = this.applications_sent.filter(app => app.status === 'INVITED').length;
+  return {
+    // Received Statistics
+    totalReceived: received.length,
+    pendingReceived: count(received, 'PENDING'),
+    acceptedReceived: count(received, 'ACCEPTED'),
+    rejectedReceived: count(received, 'REJECTED'),
+    removedReceived: count(received, 'REMOVED'),
+    invitedReceived: count(received, 'INVITED'),
+    quitReceived: count(received, 'QUIT'),
+    waitlistedReceived: count(received, 'WAITLISTED'),
+
+    // Sent Statistics
+    totalSent: sent.length,
+    pendingSent: count(sent, 'PENDING'),
+    acceptedSent: count(sent, 'ACCEPTED'),
+    rejectedSent: count(sent, 'REJECTED'),
+    quitSent: count(sent, 'QUIT'),
+    removedSent: count(sent, 'REMOVED'),
+    invitedSent: count(sent, 'INVITED'),
+    withdrawnSent: count(sent, 'WITHDRAWN'),
+    waitlistedSent: count(sent, 'WAITLISTED')
+  };
 };
 
 const Application = mongoose.model('Application', applicationSchema);
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+export const AUTH_TOKEN_TYPES = {
+  PASSWORD_RESET: 'PASSWORD_RESET',
+  EMAIL_VERIFICATION: 'EMAIL_VERIFICATION'
+};
+
+// Single-use tokens sent by email. Only the SHA-256 hash is stored.
+const authTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Object.values(AUTH_TOKEN_TYPES),
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+authTokenSchema.index({ userId: 1, type: 1 });
+// MongoDB removes expired tokens on its own
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuthToken = mongoose.model('AuthToken', authTokenSchema);
+
+export default AuthToken;
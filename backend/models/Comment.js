@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+const commentSchema = new mongoose.Schema({
+  postId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  content: {
+    type: String,
+    required: [true, 'Comment content is required'],
+    maxlength: [2000, 'Comment must be less than 2000 characters']
+  },
+  // Comment being replied to; null for a top-level comment
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  // Top-level comment of the thread (itself for a top-level comment), so a
+  // page of threads can load all of its replies in one query
+  rootId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  // Deleted comments keep their place so replies stay threaded
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  // Hidden by a moderator; shown like a deleted comment
+  isHidden: {
+    type: Boolean,
+    default: false
+  },
+  hiddenAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient querying
+commentSchema.index({ postId: 1, parentId: 1, _id: 1 });
+commentSchema.index({ rootId: 1, createdAt: 1 });
+commentSchema.index({ authorId: 1 });
+
+const Comment = mongoose.model('Comment', commentSchema);
+
+export default Comment;
@@ -1,5 +1,39 @@
 import mongoose from 'mongoose';
 
+export const HACKATHON_STATUSES = ['upcoming', 'ongoing', 'completed', 'cancelled'];
+
+export const MAX_RUBRIC_CRITERIA = 10;
+
+export const JUDGING_WINDOW_MESSAGE = 'Set a submission deadline before the end date to leave time for judging';
+
+// One judging criterion; a scorecard gives each criterion 0..maxScore
+const rubricCriterionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Criterion name is required'],
+    trim: true,
+    maxlength: [80, 'Criterion name must be less than 80 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [300, 'Criterion description must be less than 300 characters'],
+    default: ''
+  },
+  // Relative importance; weights don't need to add up to anything
+  weight: {
+    type: Number,
+    required: true,
+    min: [1, 'Weight must be at least 1'],
+    max: [100, 'Weight must be at most 100']
+  },
+  maxScore: {
+    type: Number,
+    min: [1, 'Max score must be at least 1'],
+    max: [100, 'Max score must be at most 100'],
+    default: 10
+  }
+});
+
 const hackathonSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -30,7 +64,7 @@ const hackathonSchema = new mongoose.Schema({
   }],
   status: {
     type: String,
-    enum: ['upcoming', 'ongoing', 'completed', 'cancelled'],
+    enum: HACKATHON_STATUSES,
     default: 'upcoming'
   },
   categories: [{
@@ -51,15 +85,168 @@ const hackathonSchema = new mongoose.Schema({
   },
   registrationDeadline: {
     type: Date
+  },
+  // Set by the scheduler once the registration deadline passes; cleared
+  // when the organizer moves the deadline back into the future
+  registrationClosedAt: {
+    type: Date,
+    default: null
+  },
+  // Last moment to submit or edit a project; the end date when unset
+  submissionDeadline: {
+    type: Date,
+    default: null
+  },
+  rubric: {
+    type: [rubricCriterionSchema],
+    validate: {
+      validator: (rubric) => rubric.length <= MAX_RUBRIC_CRITERIA,
+      message: `A rubric can have at most ${MAX_RUBRIC_CRITERIA} criteria`
+    }
+  },
+  // Users who score submissions, assigned by the organizer
+  judges: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  cancellationReason: {
+    type: String,
+    maxlength: [500, 'Reason must be less than 500 characters'],
+    default: ''
+  },
+  // Reminder keys already sent ("start:1h:<date>"), so each goes out once
+  remindersSent: {
+    type: [String],
+    select: false
   }
 }, {
   timestamps: true
 });
 
+hackathonSchema.path('endDate').validate(function(endDate) {
+  return !this.startDate || !endDate || endDate > this.startDate;
+}, 'End date must be after the start date');
+
+hackathonSchema.path('registrationDeadline').validate(function(deadline) {
+  return !deadline || !this.endDate || deadline <= this.endDate;
+}, 'Registration must close before the hackathon ends');
+
+hackathonSchema.path('submissionDeadline').validate(function(deadline) {
+  return !deadline || ((!this.startDate || deadline > this.startDate) && (!this.endDate || deadline <= this.endDate));
+}, 'Submissions must close after the start and no later than the end');
+
 // Index for search and filtering
 hackathonSchema.index({ title: 'text', description: 'text' });
-hackathonSchema.index({ status: 1 });
+hackathonSchema.index({ status: 1, startDate: 1, _id: 1 });
 hackathonSchema.index({ startDate: 1 });
+hackathonSchema.index({ organizerId: 1 });
+hackathonSchema.index({ judges: 1 });
+
+// Status implied by the dates; a cancelled hackathon stays cancelled
+hackathonSchema.methods.computeStatus = function(now = new Date()) {
+  if (this.status === 'cancelled') return 'cancelled';
+  if (now < this.startDate) return 'upcoming';
+  if (now < this.endDate) return 'ongoing';
+  return 'completed';
+};
+
+// Query conditions for hackathons whose dates put them in a status. The
+// stored status only catches up when the scheduler runs, so listings filter
+// on these instead.
+hackathonSchema.statics.statusCondition = function(status, now = new Date()) {
+  if (status === 'cancelled') return { status: 'cancelled' };
+  const dates = {
+    upcoming: { startDate: { $gt: now } },
+    ongoing: { startDate: { $lte: now }, endDate: { $gt: now } },
+    completed: { endDate: { $lte: now } }
+  };
+  return { status: { $ne: 'cancelled' }, ...dates[status] };
+};
+
+// Aggregation expression with the same result as computeStatus()
+hackathonSchema.statics.statusExpression = function(now = new Date()) {
+  return {
+    $switch: {
+      branches: [
+        { case: { $eq: ['$status', 'cancelled'] }, then: 'cancelled' },
+        { case: { $gt: ['$startDate', now] }, then: 'upcoming' },
+        { case: { $gt: ['$endDate', now] }, then: 'ongoing' }
+      ],
+      default: 'completed'
+    }
+  };
+};
+
+// Whether new participants can still sign up
+hackathonSchema.methods.isRegistrationOpen = function(now = new Date()) {
+  if (!['upcoming', 'ongoing'].includes(this.status) || this.registrationClosedAt) return false;
+  return !this.registrationDeadline || now <= this.registrationDeadline;
+};
+
+hackathonSchema.methods.getSubmissionDeadline = function() {
+  return this.submissionDeadline || this.endDate;
+};
+
+// Judges score between the submission deadline and the end date, so that
+// gap must exist before there is anything to judge with
+hackathonSchema.methods.hasJudgingWindow = function() {
+  return this.getSubmissionDeadline() < this.endDate;
+};
+
+// Whether entrants can submit or edit projects right now
+hackathonSchema.methods.isSubmissionOpen = function(now = new Date()) {
+  if (this.status === 'cancelled' || this.status === 'completed') return false;
+  return now >= this.startDate && now <= this.getSubmissionDeadline();
+};
+
+// Bring stored statuses in line with the clock. Cancelled hackathons are
+// never touched. Returns the number of hackathons that changed.
+hackathonSchema.statics.syncStatuses = async function(now = new Date()) {
+  const [started, ended] = await Promise.all([
+    this.updateMany(
+      { status: 'upcoming', startDate: { $lte: now }, endDate: { $gt: now } },
+      { $set: { status: 'ongoing' } }
+    ),
+    this.updateMany(
+      { status: { $in: ['upcoming', 'ongoing'] }, endDate: { $lte: now } },
+      { $set: { status: 'completed' } }
+    )
+  ]);
+  return started.modifiedCount + ended.modifiedCount;
+};
+
+// Close registration for hackathons whose deadline has passed. Returns the
+// number of hackathons closed.
+hackathonSchema.statics.closeLapsedRegistrations = async function(now = new Date()) {
+  const result = await this.updateMany(
+    { registrationClosedAt: null, registrationDeadline: { $ne: null, $lt: now } },
+    { $set: { registrationClosedAt: now } }
+  );
+  return result.modifiedCount;
+};
+
+hackathonSchema.pre('validate', function(next) {
+  const judgingChanged = ['rubric', 'judges', 'submissionDeadline', 'endDate'].some(path => this.isModified(path));
+  const hasJudging = this.rubric.length > 0 || this.judges.length > 0;
+  if (judgingChanged && hasJudging && this.endDate && !this.hasJudgingWindow()) {
+    this.invalidate('submissionDeadline', JUDGING_WINDOW_MESSAGE);
+  }
+  next();
+});
+
+hackathonSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('startDate') || this.isModified('endDate')) {
+    this.status = this.computeStatus();
+  }
+  if (this.isModified('registrationDeadline') && (!this.registrationDeadline || this.registrationDeadline > new Date())) {
+    this.registrationClosedAt = null;
+  }
+  next();
+});
 
 const Hackathon = mongoose.model('Hackathon', hackathonSchema);
 
@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+export const EXPERIENCE_LEVELS = ['beginner', 'intermediate', 'experienced', 'expert'];
+
+const MAX_SKILLS = 20;
+
+const hackathonRegistrationSchema = new mongoose.Schema({
+  hackathonId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hackathon',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // null while registered solo
+  teamId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'HackathonTeam',
+    default: null
+  },
+  // Solo registrants listed in the "looking for team" pool
+  lookingForTeam: {
+    type: Boolean,
+    default: true
+  },
+  skills: {
+    type: [String],
+    validate: {
+      validator: (skills) => skills.length <= MAX_SKILLS,
+      message: `At most ${MAX_SKILLS} skills are allowed`
+    }
+  },
+  experience: {
+    type: String,
+    enum: [...EXPERIENCE_LEVELS, ''],
+    default: ''
+  },
+  motivation: {
+    type: String,
+    maxlength: [1000, 'Motivation must be less than 1000 characters'],
+    default: ''
+  },
+  // Only the registrant and the organizer can download it
+  resume: {
+    type: {
+      originalName: String,
+      mimeType: String,
+      size: Number,
+      storageKey: String,
+      storageDriver: String
+    },
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+hackathonRegistrationSchema.index({ hackathonId: 1, userId: 1 }, { unique: true });
+hackathonRegistrationSchema.index({ hackathonId: 1, teamId: 1 });
+hackathonRegistrationSchema.index({ hackathonId: 1, lookingForTeam: 1, createdAt: -1, _id: -1 });
+hackathonRegistrationSchema.index({ userId: 1 });
+
+const HackathonRegistration = mongoose.model('HackathonRegistration', hackathonRegistrationSchema);
+
+export default HackathonRegistration;
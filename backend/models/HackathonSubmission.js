@@ -0,0 +1,106 @@
+import mongoose from 'mongoose';
+import { attachmentSchema } from './Post.js';
+import { isValidHttpUrl } from '../utils/helpers.js';
+
+const optionalUrl = {
+  type: String,
+  trim: true,
+  maxlength: [500, 'Link must be less than 500 characters'],
+  default: '',
+  validate: {
+    validator: (url) => !url || isValidHttpUrl(url),
+    message: 'Links must start with http:// or https://'
+  }
+};
+
+// One judge's scores for a submission, one entry per rubric criterion
+const scorecardSchema = new mongoose.Schema({
+  judgeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  scores: [{
+    _id: false,
+    criterionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    score: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+  comment: {
+    type: String,
+    maxlength: [1000, 'Comment must be less than 1000 characters'],
+    default: ''
+  },
+  // Weighted score out of 100; see judgingService
+  total: {
+    type: Number,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+const hackathonSubmissionSchema = new mongoose.Schema({
+  hackathonId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hackathon',
+    required: true
+  },
+  // null for solo entrants
+  teamId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'HackathonTeam',
+    default: null
+  },
+  // "team:<teamId>" or "user:<userId>"; one submission per entrant
+  entrantKey: {
+    type: String,
+    required: true
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastEditedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  title: {
+    type: String,
+    required: [true, 'Project title is required'],
+    trim: true,
+    maxlength: [200, 'Title must be less than 200 characters']
+  },
+  description: {
+    type: String,
+    required: [true, 'Project description is required'],
+    maxlength: [5000, 'Description must be less than 5000 characters']
+  },
+  repoUrl: optionalUrl,
+  demoUrl: optionalUrl,
+  assets: [attachmentSchema],
+  scorecards: [scorecardSchema],
+  // Mean of the scorecard totals; null until a judge scores it
+  averageScore: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+hackathonSubmissionSchema.index({ hackathonId: 1, entrantKey: 1 }, { unique: true });
+hackathonSubmissionSchema.index({ hackathonId: 1, createdAt: 1 });
+hackathonSubmissionSchema.index({ 'scorecards.judgeId': 1 });
+
+const HackathonSubmission = mongoose.model('HackathonSubmission', hackathonSubmissionSchema);
+
+export default HackathonSubmission;
@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+
+// Largest team a lead can create; matches the registration form
+export const MAX_TEAM_SIZE = 5;
+
+export const TEAM_INVITE_STATUSES = ['PENDING', 'ACCEPTED', 'DECLINED', 'REVOKED'];
+
+// An invite goes to a member (userId) or, for people without an
+// account yet, to an email address that is matched once they sign up
+const inviteSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: TEAM_INVITE_STATUSES,
+    default: 'PENDING'
+  },
+  respondedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+const hackathonTeamSchema = new mongoose.Schema({
+  hackathonId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hackathon',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Team name is required'],
+    trim: true,
+    maxlength: [60, 'Team name must be less than 60 characters']
+  },
+  // Lowercased name, unique within a hackathon
+  nameKey: {
+    type: String
+  },
+  leaderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  maxSize: {
+    type: Number,
+    min: [1, 'A team needs at least one member'],
+    max: [MAX_TEAM_SIZE, `Teams can have at most ${MAX_TEAM_SIZE} members`],
+    default: MAX_TEAM_SIZE
+  },
+  invites: [inviteSchema]
+}, {
+  timestamps: true
+});
+
+hackathonTeamSchema.index({ hackathonId: 1, nameKey: 1 }, { unique: true });
+hackathonTeamSchema.index({ hackathonId: 1, members: 1 });
+hackathonTeamSchema.index({ 'invites.userId': 1 });
+hackathonTeamSchema.index({ 'invites.email': 1 });
+
+hackathonTeamSchema.pre('validate', function(next) {
+  if (this.isModified('name')) this.nameKey = this.name.trim().toLowerCase();
+  next();
+});
+
+// Seats taken by members plus invites still waiting for an answer
+hackathonTeamSchema.methods.reservedSeats = function() {
+  return this.members.length + this.invites.filter(invite => invite.status === 'PENDING').length;
+};
+
+const HackathonTeam = mongoose.model('HackathonTeam', hackathonTeamSchema);
+
+export default HackathonTeam;
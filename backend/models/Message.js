@@ -41,6 +41,10 @@ const messageSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  editedAt: {
+    type: Date,
+    default: null
+  },
   isDeleted: {
     type: Boolean,
     default: false
@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+import { REPORT_TARGET_TYPES } from './Report.js';
+
+export const MODERATION_ACTIONS = ['HIDE', 'DELETE', 'WARN', 'SUSPEND', 'REINSTATE', 'DISMISS'];
+
+// Audit trail of moderator actions. Entries are only ever appended.
+const moderationLogSchema = new mongoose.Schema({
+  moderatorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: MODERATION_ACTIONS,
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: REPORT_TARGET_TYPES,
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Account affected by the action
+  targetUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Open reports the action closed
+  reportIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report'
+  }],
+  note: {
+    type: String,
+    maxlength: [1000, 'Note must be less than 1000 characters'],
+    default: ''
+  },
+  // Copy of the content at the time, so deleted content stays reviewable
+  snapshot: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for efficient querying
+moderationLogSchema.index({ targetUserId: 1, _id: -1 });
+moderationLogSchema.index({ targetType: 1, targetId: 1 });
+
+const ModerationLog = mongoose.model('ModerationLog', moderationLogSchema);
+
+export default ModerationLog;
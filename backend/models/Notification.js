@@ -1,5 +1,23 @@
 import mongoose from 'mongoose';
 
+export const NOTIFICATION_TYPES = [
+  'NEW_APPLICATION',
+  'APPLICATION_ACCEPTED',
+  'APPLICATION_REJECTED',
+  'MEMBER_REMOVED',
+  'MEMBER_QUIT',
+  'INVITATION_RECEIVED',
+  'APPLICATION_WITHDRAWN',
+  'APPLICATION_WAITLISTED',
+  'WAITLIST_PROMOTED',
+  'MODERATION_WARNING',
+  'HACKATHON_CANCELLED',
+  'HACKATHON_TEAM_INVITE',
+  'HACKATHON_TEAM_UPDATED',
+  'HACKATHON_JUDGE_ASSIGNED',
+  'HACKATHON_REMINDER'
+];
+
 const notificationSchema = new mongoose.Schema({
   recipientId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -9,7 +27,7 @@ const notificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['NEW_APPLICATION', 'APPLICATION_ACCEPTED', 'APPLICATION_REJECTED', 'MEMBER_REMOVED', 'MEMBER_QUIT', 'INVITATION_RECEIVED'],
+    enum: NOTIFICATION_TYPES,
     required: true
   },
   message: {
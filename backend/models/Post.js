@@ -0,0 +1,127 @@
+import mongoose from 'mongoose';
+
+export const POST_CATEGORIES = ['General', 'Announcements', 'Project Showcase', 'Job Opportunities', 'Help & Support'];
+
+// Seconds of age worth one order of magnitude of engagement in trendingScore
+const TRENDING_DECAY_SECONDS = 45000;
+
+// A file stored with a post (or hackathon submission); see attachmentService
+export const attachmentSchema = new mongoose.Schema({
+  originalName: {
+    type: String,
+    required: [true, 'File name is required'],
+    maxlength: [255, 'File name must be less than 255 characters']
+  },
+  // Content type served on download, taken from the allowlist
+  mimeType: {
+    type: String,
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['image', 'file'],
+    default: 'file'
+  },
+  size: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Image dimensions; null for other files
+  width: { type: Number, default: null },
+  height: { type: Number, default: null },
+  // Location of the bytes inside the storage driver
+  storageKey: {
+    type: String,
+    required: true
+  },
+  thumbnailKey: {
+    type: String,
+    default: null
+  },
+  storageDriver: {
+    type: String,
+    default: 'local'
+  }
+}, {
+  timestamps: true
+});
+
+const postSchema = new mongoose.Schema({
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  content: {
+    type: String,
+    required: [true, 'Post content is required'],
+    maxlength: [5000, 'Post must be less than 5000 characters']
+  },
+  category: {
+    type: String,
+    enum: POST_CATEGORIES,
+    default: 'General'
+  },
+  attachments: [attachmentSchema],
+  // Users who liked the post; likeCount mirrors its length for sorting
+  likes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  likeCount: {
+    type: Number,
+    default: 0
+  },
+  // Comments that aren't deleted, replies included
+  commentCount: {
+    type: Number,
+    default: 0
+  },
+  // Engagement with a time bonus, so newer posts with the same engagement
+  // rank higher. Only changes with engagement; see computeTrendingScore.
+  trendingScore: {
+    type: Number,
+    default: 0
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  // Hidden by a moderator: left out of the feed, visible to the author
+  isHidden: {
+    type: Boolean,
+    default: false
+  },
+  hiddenAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient querying
+postSchema.index({ createdAt: -1, _id: -1 });
+postSchema.index({ likeCount: -1, _id: -1 });
+postSchema.index({ trendingScore: -1, _id: -1 });
+postSchema.index({ category: 1, createdAt: -1 });
+postSchema.index({ authorId: 1 });
+postSchema.index({ content: 'text' });
+
+// log10 of likes plus comments, plus one point per TRENDING_DECAY_SECONDS
+// since the epoch. Doesn't depend on the current time, so it can be stored.
+postSchema.methods.computeTrendingScore = function() {
+  const engagement = Math.max(this.likeCount + this.commentCount, 1);
+  const ageBonus = (this.createdAt || new Date()).getTime() / 1000 / TRENDING_DECAY_SECONDS;
+  return Math.log10(engagement) + ageBonus;
+};
+
+postSchema.pre('save', function(next) {
+  this.trendingScore = this.computeTrendingScore();
+  next();
+});
+
+const Post = mongoose.model('Post', postSchema);
+
+export default Post;
@@ -1,5 +1,68 @@
 import mongoose from 'mongoose';
 
+// Answer formats an owner can pick for a screening question
+export const SCREENING_QUESTION_TYPES = ['SHORT_TEXT', 'LONG_TEXT', 'MULTIPLE_CHOICE', 'YES_NO', 'URL'];
+
+export const PROJECT_STAGES = ['Ideation Stage', 'Idea Validation', 'MVP Development', 'Beta Testing', 'Market Ready', 'Scaling'];
+
+// A question applicants answer when applying for an open position
+const screeningQuestionSchema = new mongoose.Schema({
+  prompt: {
+    type: String,
+    required: [true, 'Question text is required'],
+    trim: true,
+    maxlength: [300, 'Question must be less than 300 characters']
+  },
+  type: {
+    type: String,
+    enum: SCREENING_QUESTION_TYPES,
+    default: 'SHORT_TEXT'
+  },
+  // Choices for MULTIPLE_CHOICE; ignored for other types
+  options: [{
+    type: String,
+    trim: true
+  }],
+  required: {
+    type: Boolean,
+    default: false
+  }
+});
+
+const hasEnoughChoices = (questions) => questions.every(question =>
+  question.type !== 'MULTIPLE_CHOICE' || (question.options || []).filter(Boolean).length >= 2
+);
+
+// A role the owner is recruiting for. It stops taking applications once
+// every seat is filled or the deadline has passed.
+const openPositionSchema = new mongoose.Schema({
+  role: String,
+  skills: [String],
+  isPaid: Boolean,
+  headcount: {
+    type: Number,
+    min: [1, 'Headcount must be at least 1'],
+    default: 1
+  },
+  deadline: {
+    type: Date,
+    default: null
+  },
+  questions: {
+    type: [screeningQuestionSchema],
+    default: [],
+    validate: [hasEnoughChoices, 'Multiple choice questions need at least two options']
+  }
+}, {
+  toJSON: { virtuals: true },
+  id: false
+});
+
+// Seats left and open/closed state, sent to clients with every project
+openPositionSchema.virtual('availability').get(function() {
+  return this.ownerDocument().getPositionAvailability(this);
+});
+
 const projectSchema = new mongoose.Schema({
   ownerId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -18,7 +81,7 @@ const projectSchema = new mongoose.Schema({
   },
   stage: {
     type: String,
-    enum: ['Ideation Stage', 'Idea Validation', 'MVP Development', 'Beta Testing', 'Market Ready', 'Scaling'],
+    enum: PROJECT_STAGES,
     default: 'Ideation Stage'
   },
   industry: {
@@ -47,11 +110,7 @@ const projectSchema = new mongoose.Schema({
     email: String,
     applicantColor: String
   }],
-  openPositions: [{
-    role: String,
-    skills: [String],
-    isPaid: Boolean
-  }],
+  openPositions: [openPositionSchema],
   funding: {
     type: String,
     default: ''
@@ -63,6 +122,15 @@ const projectSchema = new mongoose.Schema({
   applications: {
     type: Number,
     default: 0
+  },
+  // Hidden by a moderator: left out of listings, visible to the owner
+  isHidden: {
+    type: Boolean,
+    default: false
+  },
+  hiddenAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -74,6 +142,38 @@ projectSchema.index({ ownerId: 1 });
 projectSchema.index({ stage: 1 });
 projectSchema.index({ industry: 1 });
 
+// Find an open position by id, falling back to the role name
+projectSchema.methods.findOpenPosition = function({ positionId, role }) {
+  return this.openPositions.find(position =>
+    (positionId && position._id.toString() === positionId.toString()) || position.role === role
+  );
+};
+
+// Team members holding the position. Members saved with a positionId are
+// matched on it; older members only carry the role name.
+projectSchema.methods.countPositionMembers = function(position) {
+  return this.teamMembers.filter(member => {
+    if (member.role === 'Founder') return false;
+    return member.positionId
+      ? member.positionId.toString() === position._id.toString()
+      : member.role === position.role;
+  }).length;
+};
+
+// Headcount, seats taken and whether the position still takes applications
+projectSchema.methods.getPositionAvailability = function(position, now = new Date()) {
+  const headcount = position.headcount || 1;
+  const filled = this.countPositionMembers(position);
+  const remaining = Math.max(headcount - filled, 0);
+  const expired = Boolean(position.deadline && position.deadline < now);
+
+  let closedReason = null;
+  if (remaining === 0) closedReason = 'FILLED';
+  else if (expired) closedReason = 'EXPIRED';
+
+  return { headcount, filled, remaining, isOpen: !closedReason, closedReason };
+};
+
 const Project = mongoose.model('Project', projectSchema);
 
 export default Project;
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+const projectFileSchema = new mongoose.Schema({
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  originalName: {
+    type: String,
+    required: [true, 'File name is required'],
+    maxlength: [255, 'File name must be less than 255 characters']
+  },
+  // Detected from the file itself; application/octet-stream when unknown
+  mimeType: {
+    type: String,
+    default: 'application/octet-stream'
+  },
+  size: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Location of the bytes inside the storage driver
+  storageKey: {
+    type: String,
+    required: true
+  },
+  storageDriver: {
+    type: String,
+    default: 'local'
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  uploadedByName: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+projectFileSchema.index({ projectId: 1, createdAt: -1 });
+
+const ProjectFile = mongoose.model('ProjectFile', projectFileSchema);
+
+export default ProjectFile;
@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+
+// Things a member can report
+export const REPORT_TARGET_TYPES = ['post', 'comment', 'project', 'user'];
+
+export const REPORT_REASONS = ['SPAM', 'HARASSMENT', 'HATE_SPEECH', 'INAPPROPRIATE', 'MISINFORMATION', 'OTHER'];
+
+export const REPORT_STATUSES = ['OPEN', 'RESOLVED', 'DISMISSED'];
+
+const reportSchema = new mongoose.Schema({
+  reporterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: REPORT_TARGET_TYPES,
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Author or owner of the reported content (the user, for a profile);
+  // the account a warning or suspension applies to
+  targetUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Post a reported comment belongs to
+  postId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    default: null
+  },
+  reason: {
+    type: String,
+    enum: REPORT_REASONS,
+    required: [true, 'A reason is required']
+  },
+  details: {
+    type: String,
+    maxlength: [1000, 'Details must be less than 1000 characters'],
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: REPORT_STATUSES,
+    default: 'OPEN'
+  },
+  // Moderator action that closed the report, e.g. HIDE or DISMISS
+  resolution: {
+    type: String,
+    default: null
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient querying
+reportSchema.index({ status: 1, _id: -1 });
+reportSchema.index({ targetType: 1, targetId: 1, status: 1 });
+// A member can have one open report per target
+reportSchema.index(
+  { reporterId: 1, targetType: 1, targetId: 1 },
+  { unique: true, partialFilterExpression: { status: 'OPEN' } }
+);
+
+const Report = mongoose.model('Report', reportSchema);
+
+export default Report;
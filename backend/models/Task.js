@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+// Allowed status moves on the board. Completed tasks can be reopened.
+export const TASK_STATUS_TRANSITIONS = {
+  'pending': ['in-progress', 'completed'],
+  'in-progress': ['pending', 'completed'],
+  'completed': ['in-progress']
+};
+
+const taskSchema = new mongoose.Schema({
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Task title is required'],
+    trim: true,
+    maxlength: [200, 'Title must be less than 200 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [2000, 'Description must be less than 2000 characters'],
+    default: ''
+  },
+  assigneeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  assigneeName: {
+    type: String,
+    default: ''
+  },
+  dueDate: {
+    type: Date,
+    default: null
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'medium'
+  },
+  status: {
+    type: String,
+    enum: Object.keys(TASK_STATUS_TRANSITIONS),
+    default: 'pending'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdByName: {
+    type: String,
+    default: ''
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for board and "my tasks" queries
+taskSchema.index({ projectId: 1, status: 1, createdAt: -1 });
+taskSchema.index({ assigneeId: 1, dueDate: 1 });
+
+// Check whether the task may move to the given status
+taskSchema.methods.canTransitionTo = function(nextStatus) {
+  return (TASK_STATUS_TRANSITIONS[this.status] || []).includes(nextStatus);
+};
+
+const Task = mongoose.model('Task', taskSchema);
+
+export default Task;
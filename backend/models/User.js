@@ -1,5 +1,10 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { PROJECT_STAGES } from './Project.js';
+
+export const USER_AVAILABILITY = ['AVAILABLE', 'LIMITED', 'UNAVAILABLE'];
+
+export const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -46,6 +51,23 @@ const userSchema = new mongoose.Schema({
     enum: ['active', 'inactive', 'suspended'],
     default: 'active'
   },
+  // Set by a moderator; a suspended user can't sign in or use the API
+  suspendedAt: {
+    type: Date,
+    default: null
+  },
+  suspensionReason: {
+    type: String,
+    default: ''
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
   skills: [{
     name: {
       type: String,
@@ -61,6 +83,17 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Whether the user is looking to join projects; shown in talent search
+  availability: {
+    type: String,
+    enum: USER_AVAILABILITY,
+    default: 'AVAILABLE'
+  },
+  // Project stages the user would like to join; used by recommendations
+  preferredStages: [{
+    type: String,
+    enum: PROJECT_STAGES
+  }],
   githubUrl: {
     type: String,
     default: ''
@@ -86,11 +119,53 @@ const userSchema = new mongoose.Schema({
     institution: String,
     period: String,
     details: String
-  }]
+  }],
+  notificationPreferences: {
+    // Channel overrides per notification type; anything unset falls back
+    // to the defaults in notificationPreferenceService
+    types: {
+      type: Map,
+      of: new mongoose.Schema({
+        inApp: Boolean,
+        toast: Boolean,
+        email: Boolean
+      }, { _id: false }),
+      default: {}
+    },
+    // Notifications about these projects aren't delivered at all
+    mutedProjects: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project'
+    }],
+    // Summary email of unread notifications and activity; users created
+    // before this setting existed are treated as weekly
+    digest: {
+      type: String,
+      enum: DIGEST_FREQUENCIES,
+      default: 'weekly'
+    },
+    digestSentAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Secret calendar feed URL; only the token's hash is stored
+  calendarFeed: {
+    tokenHash: {
+      type: String,
+      select: false
+    },
+    createdAt: {
+      type: Date,
+      default: null
+    }
+  }
 }, {
   timestamps: true
 });
 
+userSchema.index({ 'calendarFeed.tokenHash': 1 }, { unique: true, sparse: true });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   // Set default title based on role if not provided
@@ -0,0 +1,181 @@
+/**
+ * Converts legacy per-user application documents into one document per application.
+ *
+ * Before: each user had a single document ({ userId, applications_received[], applications_sent[] })
+ * and every application was stored twice, once in the owner's received list and once in the
+ * applicant's sent list. After: one document per applicationId with applicantId/ownerId/projectId.
+ *
+ * Usage (from backend/):
+ *   npm run migrate:applications            # convert and remove the legacy documents
+ *   npm run migrate:applications -- --dry-run
+ *
+ * Safe to re-run: applications are upserted by applicationId and legacy documents are only
+ * removed once every converted application has been written.
+ */
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Application from '../models/Application.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Legacy documents are the only ones keyed by userId
+const LEGACY_FILTER = { userId: { $exists: true } };
+
+const time = (value) => (value ? new Date(value).getTime() : 0);
+
+// Fields that only the owner's copy (received) or only the applicant's copy (sent) carried
+const OWNER_SIDE_FIELDS = ['rating'];
+const APPLICANT_SIDE_FIELDS = ['projectIndustry', 'rejectionReason', 'quitAt'];
+
+/**
+ * Merges the two legacy copies of an application. When they disagree the copy whose
+ * status changed most recently wins, since the old dual writes could leave one behind.
+ */
+const mergeCopies = (received, sent) => {
+  const newest = !sent || (received && time(received.statusUpdatedAt) >= time(sent.statusUpdatedAt))
+    ? received
+    : sent;
+  const { _id, applicantId, projectOwnerId, ...shared } = newest;
+
+  const merged = {
+    ...shared,
+    applicantId: received?.applicantId ?? sent.applicantId,
+    ownerId: sent?.projectOwnerId ?? received.ownerId
+  };
+
+  for (const field of OWNER_SIDE_FIELDS) {
+    if (received && received[field] !== undefined) merged[field] = received[field];
+  }
+  for (const field of APPLICANT_SIDE_FIELDS) {
+    if (sent && sent[field] !== undefined) merged[field] = sent[field];
+  }
+
+  // Snapshots are only on one side each
+  merged.applicantName = received?.applicantName || sent?.applicantName || '';
+  merged.applicantEmail = received?.applicantEmail || sent?.applicantEmail || '';
+  merged.applicantAvatar = received?.applicantAvatar || '';
+  merged.applicantTitle = received?.applicantTitle || '';
+  merged.applicantLocation = received?.applicantLocation || '';
+  merged.projectOwnerName = sent?.projectOwnerName || received?.projectOwnerName || '';
+  merged.projectOwnerEmail = sent?.projectOwnerEmail || received?.projectOwnerEmail || '';
+  merged.projectOwnerAvatar = sent?.projectOwnerAvatar || '';
+
+  return merged;
+};
+
+const collectApplications = (legacyDocs) => {
+  const received = new Map();
+  const sent = new Map();
+
+  for (const doc of legacyDocs) {
+    for (const app of doc.applications_received || []) {
+      // The owner is the document's user; fill the owner snapshot from it in case the sent copy is missing
+      received.set(app.applicationId, {
+        ...app,
+        ownerId: doc.userId,
+        projectOwnerName: doc.userName,
+        projectOwnerEmail: doc.userEmail
+      });
+    }
+    for (const app of doc.applications_sent || []) {
+      sent.set(app.applicationId, {
+        ...app,
+        applicantId: doc.userId,
+        applicantName: doc.userName,
+        applicantEmail: doc.userEmail
+      });
+    }
+  }
+
+  const ids = new Set([...received.keys(), ...sent.keys()]);
+  const applications = [];
+  let mismatched = 0;
+
+  for (const applicationId of ids) {
+    const r = received.get(applicationId);
+    const s = sent.get(applicationId);
+    if (!r || !s || r.status !== s.status) mismatched++;
+    applications.push(mergeCopies(r, s));
+  }
+
+  return { applications, mismatched };
+};
+
+// Indexes on userId (unique) and the nested arrays would reject or slow the new documents
+const dropLegacyIndexes = async (collection) => {
+  const indexes = await collection.indexes();
+  for (const index of indexes) {
+    const keys = Object.keys(index.key);
+    if (keys.some(key => key === 'userId' || key.startsWith('applications_'))) {
+      await collection.dropIndex(index.name);
+      console.log(`Dropped legacy index ${index.name}`);
+    }
+  }
+};
+
+const migrate = async () => {
+  const mongoURI = process.env.MONGODB_URI;
+  if (!mongoURI) {
+    throw new Error('MONGODB_URI is not defined in environment variables');
+  }
+
+  // The unique applicationId index can't be built while legacy documents exist
+  mongoose.set('autoIndex', false);
+  await mongoose.connect(mongoURI);
+
+  const collection = Application.collection;
+  const legacyDocs = await collection.find(LEGACY_FILTER).toArray();
+
+  if (legacyDocs.length === 0) {
+    console.log('No legacy application documents found, nothing to migrate.');
+  } else {
+    const { applications, mismatched } = collectApplications(legacyDocs);
+    console.log(`Found ${legacyDocs.length} legacy documents holding ${applications.length} applications.`);
+    if (mismatched > 0) {
+      console.log(`${mismatched} applications had out-of-sync or missing copies; kept the most recently updated one.`);
+    }
+
+    if (dryRun) {
+      console.log('Dry run: no changes written.');
+      return;
+    }
+
+    await dropLegacyIndexes(collection);
+
+    if (applications.length > 0) {
+      const result = await Application.bulkWrite(
+        applications.map(app => ({
+          updateOne: {
+            filter: { applicationId: app.applicationId },
+            update: { $setOnInsert: app },
+            upsert: true
+          }
+        }))
+      );
+      console.log(`Inserted ${result.upsertedCount} applications (${applications.length - result.upsertedCount} already migrated).`);
+    }
+
+    const removed = await collection.deleteMany(LEGACY_FILTER);
+    console.log(`Removed ${removed.deletedCount} legacy documents.`);
+  }
+
+  if (!dryRun) {
+    await Application.syncIndexes();
+    console.log('Application indexes are up to date.');
+  }
+};
+
+migrate()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('Application migration failed:', error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -1,10 +1,13 @@
 import express from "express";
+import http from "http";
 import cors from "cors";
 import dotenv from "dotenv";
 import path from "path";
 import { fileURLToPath } from "url";
 import connectDB from "./api/config/database.js";
 import apiRoutes from "./api/routes/index.js";
+import { initSocket } from "./utils/socket.js";
+import { startScheduler } from "./api/services/scheduler.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -13,10 +16,11 @@ const __dirname = path.dirname(__filename);
 dotenv.config({ path: path.join(__dirname, ".env") });
 
 const app = express();
+const server = http.createServer(app);
 const PORT = process.env.PORT || 5000;
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, then start the background jobs that depend on it
+connectDB().then(() => startScheduler());
 
 // Middleware
 app.use(
@@ -87,7 +91,10 @@ app.use("*", (req, res) => {
   });
 });
 
-app.listen(PORT, () => {
+// Real-time events (project chat) share the HTTP server
+initSocket(server);
+
+server.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📍 Health check: http://localhost:${PORT}/health`);
   console.log(`🔌 API endpoints: http://localhost:${PORT}/api`);
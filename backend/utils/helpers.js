@@ -1,6 +1,7 @@
 /**
  * Utility helper functions for the Teamera API
  */
+import crypto from 'crypto';
 
 /**
  * Creates a standardized success response object
@@ -80,6 +81,20 @@ export const isValidEmail = (email) => {
   return emailRegex.test(email);
 };
 
+/**
+ * Validates a web link
+ * @param {string} url - Link to validate
+ * @returns {boolean} Whether url is an absolute http(s) URL
+ */
+export const isValidHttpUrl = (url) => {
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch {
+    return false;
+  }
+};
+
 /**
  * Generates a unique ID
  * @returns {string} Unique identifier
@@ -88,6 +103,24 @@ export const generateId = () => {
   return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 };
 
+/**
+ * Generates a random, URL-safe secret for emailed links and refresh tokens
+ * @param {number} bytes - Amount of randomness (default: 32 bytes)
+ * @returns {string} Secret token
+ */
+export const generateSecureToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('base64url');
+};
+
+/**
+ * Hashes a secret token for storage; only the hash is ever persisted
+ * @param {string} token - Raw token
+ * @returns {string} SHA-256 hex digest
+ */
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
 /**
  * Paginate an array of results
  * @param {Array} array - Array to paginate
@@ -114,6 +147,68 @@ export const paginate = (array, page = 1, limit = 10) => {
   };
 };
 
+/**
+ * Encodes a pagination cursor as an opaque URL-safe string
+ * @param {object} position - Where the next page starts (e.g. last sort value and id)
+ * @returns {string} Cursor to hand back to the client
+ */
+export const encodeCursor = (position) => {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+};
+
+/**
+ * Decodes a cursor produced by encodeCursor
+ * @param {string} cursor - Cursor from the client
+ * @returns {object|null} Decoded position, or null if the cursor is malformed
+ */
+export const decodeCursor = (cursor) => {
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return position && typeof position === 'object' ? position : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Reads the sort value of a keyset cursor, so a tampered cursor can't put an
+ * object (a query operator) into the page filter
+ * @param {object} position - Decoded cursor
+ * @param {string} type - "date" or "number", the type of the sort field
+ * @returns {Date|number|null} The value, or null if it isn't of that type
+ */
+export const readCursorValue = (position, type) => {
+  const value = position?.v;
+  if (type === 'date') {
+    if (typeof value !== 'string') return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+};
+
+/**
+ * Reads a list query parameter, given either comma-separated or repeated
+ * @param {string|Array<string>} value - e.g. "React,Node.js" or ["React", "Node.js"]
+ * @returns {Array<string>} Trimmed, non-empty items
+ */
+export const toList = (value) => {
+  return [].concat(value || [])
+    .join(',')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Escapes a string for use inside a regular expression
+ * @param {string} value - Literal text, e.g. user search input
+ * @returns {string} Escaped text
+ */
+export const escapeRegex = (value) => {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
 /**
  * Deep clone an object
  * @param {object} obj - Object to clone
@@ -138,8 +233,16 @@ export default {
   sanitizeInput,
   asyncHandler,
   isValidEmail,
+  isValidHttpUrl,
   generateId,
+  generateSecureToken,
+  hashToken,
   paginate,
+  encodeCursor,
+  decodeCursor,
+  readCursorValue,
+  toList,
+  escapeRegex,
   deepClone,
   sleep
 };
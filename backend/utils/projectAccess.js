@@ -0,0 +1,90 @@
+import Project from '../models/Project.js';
+import { errorResponse } from './helpers.js';
+
+/**
+ * Project membership helpers shared by the collaboration features
+ * (chat, tasks, files).
+ */
+
+// Normalize an id that may be an ObjectId, a populated document or a string
+const toIdString = (value) => {
+  if (!value) return null;
+  if (typeof value === 'object' && value._id) return value._id.toString();
+  return value.toString();
+};
+
+/**
+ * Checks whether a user owns the project
+ * @param {object} project - Project document
+ * @param {string} userId - User ID to check
+ * @returns {boolean} Whether the user is the project owner
+ */
+export const isProjectOwner = (project, userId) => {
+  if (!project || !userId) return false;
+  return toIdString(project.ownerId) === userId.toString();
+};
+
+/**
+ * Checks whether a user is a current member of the project team.
+ * The owner always counts as a member.
+ * @param {object} project - Project document
+ * @param {string} userId - User ID to check
+ * @returns {boolean} Whether the user belongs to the team
+ */
+export const isProjectMember = (project, userId) => {
+  if (!project || !userId) return false;
+  if (isProjectOwner(project, userId)) return true;
+
+  return Boolean(findTeamMember(project, userId));
+};
+
+/**
+ * Finds the team member entry for a user
+ * @param {object} project - Project document
+ * @param {string} userId - User ID to look up
+ * @returns {object|null} Matching `teamMembers` entry, if any
+ */
+export const findTeamMember = (project, userId) => {
+  if (!project || !userId) return null;
+  const key = userId.toString();
+  return (project.teamMembers || []).find(member => toIdString(member.id) === key) || null;
+};
+
+/**
+ * Loads a project and verifies that the user is on its team
+ * @param {string} projectId - Project ID
+ * @param {string} userId - User ID requesting access
+ * @returns {Promise<object>} `{ project }` on success, `{ status, error }` otherwise
+ */
+export const findProjectForMember = async (projectId, userId) => {
+  if (!userId) {
+    return {
+      status: 401,
+      error: errorResponse('User ID is required', 'MISSING_USER')
+    };
+  }
+
+  const project = await Project.findById(projectId);
+  if (!project) {
+    return {
+      status: 404,
+      error: errorResponse('Project not found', 'PROJECT_NOT_FOUND')
+    };
+  }
+
+  if (!isProjectMember(project, userId)) {
+    return {
+      status: 403,
+      error: errorResponse('Only team members can access this project', 'NOT_A_MEMBER')
+    };
+  }
+
+  return { project };
+};
+
+export default {
+  isProjectOwner,
+  isProjectMember,
+  findTeamMember,
+  findProjectForMember
+};
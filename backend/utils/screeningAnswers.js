@@ -0,0 +1,93 @@
+/**
+ * Checks applicants' answers against the screening questions an owner
+ * attached to an open position (Project.openPositions[].questions).
+ */
+
+const MAX_LENGTH = {
+  SHORT_TEXT: 300,
+  LONG_TEXT: 5000,
+  MULTIPLE_CHOICE: 300,
+  YES_NO: 3,
+  URL: 2048
+};
+
+const URL_PATTERN = /^https?:\/\/[^\s/$.?#][^\s]*$/i;
+
+// Accept booleans as well as "yes"/"no" in any case; store "Yes"/"No"
+const normalizeYesNo = (value) => {
+  if (value === true) return 'Yes';
+  if (value === false) return 'No';
+  const lower = value.toLowerCase();
+  if (lower === 'yes') return 'Yes';
+  if (lower === 'no') return 'No';
+  return null;
+};
+
+// Returns the cleaned answer, or an error message when it doesn't fit the question
+const checkAnswer = (question, answer) => {
+  switch (question.type) {
+    case 'YES_NO': {
+      const value = normalizeYesNo(answer);
+      return value ? { value } : { error: 'Answer must be Yes or No' };
+    }
+    case 'MULTIPLE_CHOICE':
+      return question.options.includes(answer)
+        ? { value: answer }
+        : { error: 'Pick one of the listed options' };
+    case 'URL':
+      return URL_PATTERN.test(answer)
+        ? { value: answer }
+        : { error: 'Answer must be a link starting with http:// or https://' };
+    default:
+      return { value: answer };
+  }
+};
+
+/**
+ * Validates answers for a position's screening questions
+ * @param {Array} questions - Screening questions of the position
+ * @param {object} answers - Answers keyed by question ID
+ * @returns {{answers: Array, errors: Array}} Answer snapshots to store on the
+ * application, and one { questionId, prompt, message } per rejected answer
+ */
+export const validateScreeningAnswers = (questions = [], answers = {}) => {
+  const provided = answers && typeof answers === 'object' ? answers : {};
+  const result = { answers: [], errors: [] };
+
+  for (const question of questions) {
+    const questionId = question._id.toString();
+    const raw = provided[questionId];
+    const answer = typeof raw === 'string' ? raw.trim() : raw;
+    const fail = (message) => result.errors.push({ questionId, prompt: question.prompt, message });
+
+    if (answer === undefined || answer === null || answer === '') {
+      if (question.required) fail('This question is required');
+      continue;
+    }
+
+    const isYesNoBoolean = question.type === 'YES_NO' && typeof answer === 'boolean';
+    if (typeof answer !== 'string' && !isYesNoBoolean) {
+      fail('Answer must be text');
+      continue;
+    }
+
+    if (!isYesNoBoolean && answer.length > MAX_LENGTH[question.type]) {
+      fail(`Answer must be at most ${MAX_LENGTH[question.type]} characters`);
+      continue;
+    }
+
+    const { value, error } = checkAnswer(question, answer);
+    if (error) {
+      fail(error);
+      continue;
+    }
+
+    result.answers.push({ questionId, prompt: question.prompt, type: question.type, answer: value });
+  }
+
+  return result;
+};
+
+export default {
+  validateScreeningAnswers
+};
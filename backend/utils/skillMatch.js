@@ -0,0 +1,113 @@
+import { escapeRegex } from './helpers.js';
+
+/**
+ * Compares a person's skills (User.skills) and location with what a
+ * project needs. Shared by project recommendations and talent search.
+ */
+
+export const SKILL_LEVELS = ['BEGINNER', 'INTERMEDIATE', 'ADVANCED', 'EXPERT'];
+
+// How much a skill at each level counts towards a match
+const LEVEL_WEIGHTS = {
+  BEGINNER: 0.4,
+  INTERMEDIATE: 0.65,
+  ADVANCED: 0.85,
+  EXPERT: 1
+};
+
+const LEVEL_LABELS = {
+  BEGINNER: 'Beginner',
+  INTERMEDIATE: 'Intermediate',
+  ADVANCED: 'Advanced',
+  EXPERT: 'Expert'
+};
+
+export const normalize = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : '');
+
+// Case-insensitive exact match for a skill name, ignoring surrounding spaces
+export const skillNamePattern = (name) => new RegExp(`^\\s*${escapeRegex(name.trim())}\\s*$`, 'i');
+
+// Levels at or above the given one, e.g. ADVANCED -> ['ADVANCED', 'EXPERT']
+export const levelsAtLeast = (level) => {
+  const index = SKILL_LEVELS.indexOf(level);
+  return index === -1 ? SKILL_LEVELS : SKILL_LEVELS.slice(index);
+};
+
+/**
+ * @param {Array<{name: string, level: string}>} skills - User.skills
+ * @returns {Map<string, string>} Level keyed by normalized skill name
+ */
+export const toSkillLevels = (skills = []) => new Map(
+  skills
+    .filter(skill => normalize(skill?.name))
+    .map(skill => [normalize(skill.name), skill.level])
+);
+
+/**
+ * Scores how well a set of skills covers the required ones
+ * @param {Map<string, string>} skillLevels - From toSkillLevels
+ * @param {Array<string>} required - Skills a position asks for
+ * @returns {{score: number, required: number, matched: Array, missing: Array<string>}}
+ * score is 0-1: each required skill counts by the level it is held at
+ */
+export const matchSkills = (skillLevels, required = []) => {
+  const wanted = [...new Set(required.map(skill => skill?.trim()).filter(Boolean))];
+  const matched = [];
+  const missing = [];
+
+  for (const skill of wanted) {
+    const level = skillLevels.get(normalize(skill));
+    if (level) matched.push({ skill, level });
+    else missing.push(skill);
+  }
+
+  const score = wanted.length > 0
+    ? matched.reduce((total, { level }) => total + (LEVEL_WEIGHTS[level] || LEVEL_WEIGHTS.BEGINNER), 0) / wanted.length
+    : 0;
+
+  return { score, required: wanted.length, matched, missing };
+};
+
+// "React (Expert), CSS (Intermediate)"
+export const formatMatchedSkills = (matched) => matched
+  .map(({ skill, level }) => `${skill} (${LEVEL_LABELS[level] || LEVEL_LABELS.BEGINNER})`)
+  .join(', ');
+
+// "Berlin, Germany" -> { city: 'berlin', region: 'germany' }
+const parseLocation = (location) => {
+  const parts = (location || '').split(',').map(normalize).filter(Boolean);
+  if (parts.length === 0) return null;
+  return { city: parts[0], region: parts[parts.length - 1] };
+};
+
+/**
+ * Compares two free-text locations
+ * @returns {('SAME_CITY'|'SAME_REGION'|'ELSEWHERE'|null)} null when either is unknown
+ */
+export const compareLocations = (a, b) => {
+  const first = parseLocation(a);
+  const second = parseLocation(b);
+  if (!first || !second) return null;
+  if (first.city === second.city) return 'SAME_CITY';
+  if (first.region === second.region) return 'SAME_REGION';
+  return 'ELSEWHERE';
+};
+
+// Location factor score for each comparison result
+export const LOCATION_SCORES = {
+  SAME_CITY: 1,
+  SAME_REGION: 0.7,
+  ELSEWHERE: 0.2
+};
+
+export default {
+  SKILL_LEVELS,
+  LOCATION_SCORES,
+  normalize,
+  skillNamePattern,
+  levelsAtLeast,
+  toSkillLevels,
+  matchSkills,
+  formatMatchedSkills,
+  compareLocations
+};
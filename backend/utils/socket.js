@@ -0,0 +1,110 @@
+import { Server } from 'socket.io';
+import { findProjectForMember } from './projectAccess.js';
+import { verifyToken, loadTokenUser } from '../middleware/auth.js';
+
+// Single socket.io server shared by every real-time feature
+let io = null;
+
+const projectRoom = (projectId) => `project:${projectId}`;
+
+/**
+ * Attaches socket.io to the HTTP server.
+ * Clients authenticate with the same JWT as the REST API (`auth.token` in the
+ * handshake), then join a project room with `project:join` and receive every
+ * event broadcast to that project until they leave, disconnect or are
+ * removed from the team.
+ * @param {import('http').Server} server - HTTP server used by Express
+ * @returns {Server} socket.io server instance
+ */
+export const initSocket = (server) => {
+  io = new Server(server, {
+    cors: {
+      origin: process.env.FRONTEND_URL || 'http://localhost:5173',
+      credentials: true
+    }
+  });
+
+  io.use(async (socket, next) => {
+    try {
+      const { user } = await loadTokenUser(verifyToken(socket.handshake.auth?.token));
+      if (!user) return next(new Error('Authentication required'));
+      socket.data.user = user;
+      next();
+    } catch (err) {
+      next(new Error('Authentication required'));
+    }
+  });
+
+  io.on('connection', (socket) => {
+    console.log(`[Socket] Client connected: ${socket.id}`);
+
+    socket.on('project:join', async ({ projectId } = {}, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      try {
+        const { error } = await findProjectForMember(projectId, socket.data.user.id);
+        if (error) {
+          return reply({ success: false, message: error.message });
+        }
+
+        socket.join(projectRoom(projectId));
+        reply({ success: true });
+      } catch (err) {
+        console.error(`[Socket] Join failed for ${socket.id}:`, err.message);
+        reply({ success: false, message: 'Unable to join project' });
+      }
+    });
+
+    socket.on('project:leave', ({ projectId } = {}) => {
+      if (projectId) socket.leave(projectRoom(projectId));
+    });
+
+    socket.on('disconnect', () => {
+      console.log(`[Socket] Client disconnected: ${socket.id}`);
+    });
+  });
+
+  return io;
+};
+
+/**
+ * Broadcasts an event to everyone who has the project open
+ * @param {string} projectId - Project ID
+ * @param {string} event - Event name
+ * @param {any} data - Event payload
+ */
+export const emitToProject = (projectId, event, data) => {
+  if (!io) return;
+  io.to(projectRoom(projectId.toString())).emit(event, data);
+};
+
+/**
+ * Closes every connection a user has open, e.g. after a suspension
+ * @param {string} userId - User ID
+ */
+export const disconnectUser = (userId) => {
+  if (!io) return;
+  for (const socket of io.of('/').sockets.values()) {
+    if (String(socket.data.user?.id) === String(userId)) socket.disconnect(true);
+  }
+};
+
+/**
+ * Takes a user who left a project team out of its room, so their open
+ * connections stop receiving the project's events
+ * @param {string} projectId - Project ID
+ * @param {string} userId - User ID
+ */
+export const removeFromProjectRoom = (projectId, userId) => {
+  if (!io) return;
+  const room = projectRoom(projectId.toString());
+  for (const socket of io.of('/').sockets.values()) {
+    if (String(socket.data.user?.id) === String(userId)) socket.leave(room);
+  }
+};
+
+export default {
+  initSocket,
+  emitToProject,
+  disconnectUser,
+  removeFromProjectRoom
+};
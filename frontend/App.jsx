@@ -4,10 +4,15 @@ import Navbar from './components/Navbar';
 import Footer from './components/Footer';
 import Home from './pages/Home';
 import Projects from './pages/Projects';
+import Talent from './pages/Talent';
 import Hackathons from './pages/Hackathons';
 import Profile from './pages/Profile';
 import Dashboard from './pages/Dashboard';
 import Community from './pages/Community';
+import Moderation from './pages/Moderation';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
+import Unsubscribe from './pages/Unsubscribe';
 import AuthModal from './components/AuthModal';
 import OnboardingModal from './components/OnboardingModal';
 import ProjectModal from './components/ProjectModal';
@@ -17,6 +22,7 @@ import ProtectedRoute from './components/ProtectedRoute';
 import { AuthProvider } from './context/AuthContext';
 import { ProjectProvider } from './context/ProjectContext';
 import { NotificationProvider } from './context/NotificationContext';
+import { MODERATOR_ROLES } from './utils/roles';
 import './styles/App.css';
 
 function AppContent() {
@@ -58,7 +64,12 @@ function AppContent() {
             />
             <main className="main-content">
               <Routes>
-                <Route path="/" element={<Home onAuthClick={() => handleModalState(setShowAuthModal, true)} />} />
+                <Route path="/" element={
+                  <Home
+                    onAuthClick={() => handleModalState(setShowAuthModal, true)}
+                    onProjectClick={setSelectedProject}
+                  />
+                } />
                 <Route path="/projects" element={
                   <Projects 
                     onProjectClick={setSelectedProject}
@@ -66,10 +77,15 @@ function AppContent() {
                     onEditProject={handleEditProject}
                   />
                 } />
+                <Route path="/talent" element={<ProtectedRoute><Talent /></ProtectedRoute>} />
                 <Route path="/hackathons" element={<Hackathons />} />
                 <Route path="/profile" element={<ProtectedRoute><Profile /></ProtectedRoute>} />
                 <Route path="/dashboard" element={<ProtectedRoute><Dashboard /></ProtectedRoute>} />
                 <Route path="/community" element={<Community />} />
+                <Route path="/moderation" element={<ProtectedRoute roles={MODERATOR_ROLES}><Moderation /></ProtectedRoute>} />
+                <Route path="/reset-password" element={<ResetPassword />} />
+                <Route path="/verify-email" element={<VerifyEmail />} />
+                <Route path="/unsubscribe" element={<Unsubscribe />} />
               </Routes>
             </main>
             <Footer />
@@ -0,0 +1,139 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Monitor, Smartphone, LogOut } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { authFetch } from '../utils/api';
+import './ActiveSessions.css';
+
+const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+// Turn a user agent string into something like "Chrome on Windows"
+const describeDevice = (userAgent = '') => {
+  const browser =
+    /Edg\//.test(userAgent) ? 'Edge' :
+    /OPR\//.test(userAgent) ? 'Opera' :
+    /Firefox\//.test(userAgent) ? 'Firefox' :
+    /Chrome\//.test(userAgent) ? 'Chrome' :
+    /Safari\//.test(userAgent) ? 'Safari' :
+    'Unknown browser';
+
+  const os =
+    /Windows/.test(userAgent) ? 'Windows' :
+    /Android/.test(userAgent) ? 'Android' :
+    /iPhone|iPad|iPod/.test(userAgent) ? 'iOS' :
+    /Mac OS X/.test(userAgent) ? 'macOS' :
+    /Linux/.test(userAgent) ? 'Linux' :
+    'unknown device';
+
+  return { label: `${browser} on ${os}`, isMobile: /Mobi|Android|iPhone|iPad/.test(userAgent) };
+};
+
+// Lists the signed-in user's active sessions and lets them revoke any of them
+function ActiveSessions() {
+  const { logout } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      const response = await authFetch(`${apiBaseUrl}/api/auth/sessions`);
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to load sessions');
+      }
+      setSessions(result.data);
+      setError('');
+    } catch (err) {
+      console.error('Error loading sessions:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const handleRevoke = async (session) => {
+    // Revoking this device is the same as logging out
+    if (session.current) {
+      if (window.confirm('Sign out of this device?')) logout();
+      return;
+    }
+
+    try {
+      const response = await authFetch(`${apiBaseUrl}/api/auth/sessions/${session.id}`, { method: 'DELETE' });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to revoke session');
+      }
+      setSessions(prev => prev.filter(s => s.id !== session.id));
+    } catch (err) {
+      console.error('Error revoking session:', err);
+      setError(err.message);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    if (!window.confirm('Sign out of all other devices?')) return;
+    try {
+      const response = await authFetch(`${apiBaseUrl}/api/auth/sessions`, { method: 'DELETE' });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to revoke sessions');
+      }
+      setSessions(prev => prev.filter(s => s.current));
+    } catch (err) {
+      console.error('Error revoking sessions:', err);
+      setError(err.message);
+    }
+  };
+
+  const otherSessions = sessions.filter(s => !s.current);
+
+  return (
+    <div className="settings-card">
+      <h3>Active Sessions</h3>
+      <p>Devices currently signed in to your account.</p>
+
+      {error && <p className="settings-message">{error}</p>}
+
+      {loading ? (
+        <p>Loading sessions...</p>
+      ) : (
+        <ul className="session-list">
+          {sessions.map(session => {
+            const { label, isMobile } = describeDevice(session.userAgent);
+            return (
+              <li key={session.id} className="session-item">
+                {isMobile ? <Smartphone size={20} /> : <Monitor size={20} />}
+                <div className="session-details">
+                  <span className="session-device">
+                    {label}
+                    {session.current && <span className="session-current">This device</span>}
+                  </span>
+                  <span className="session-meta">
+                    {session.ipAddress || 'Unknown IP'} · Last active {new Date(session.lastUsedAt).toLocaleString()}
+                  </span>
+                </div>
+                <button className="session-revoke-btn" onClick={() => handleRevoke(session)}>
+                  <LogOut size={16} />
+                  <span>{session.current ? 'Sign out' : 'Revoke'}</span>
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {otherSessions.length > 0 && (
+        <button className="settings-btn" onClick={handleRevokeOthers}>
+          Sign out of all other devices
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default ActiveSessions;
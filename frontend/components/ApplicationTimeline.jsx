@@ -0,0 +1,61 @@
+import { History } from 'lucide-react';
+import './ApplicationTimeline.css';
+
+const STATUS_LABELS = {
+  PENDING: 'Applied',
+  WAITLISTED: 'Waitlisted',
+  INVITED: 'Invited',
+  ACCEPTED: 'Accepted',
+  REJECTED: 'Rejected',
+  REMOVED: 'Removed from team',
+  QUIT: 'Left the team',
+  WITHDRAWN: 'Withdrawn'
+};
+
+const ACTOR_LABELS = {
+  OWNER: 'Project owner',
+  APPLICANT: 'Applicant',
+  SYSTEM: 'Teamera'
+};
+
+// Collapsible status history for an application card
+function ApplicationTimeline({ application }) {
+  // Applications created before the timeline existed only have their submission date
+  const wasInvited = application.status === 'INVITED';
+  const entries = application.timeline?.length
+    ? application.timeline
+    : [{
+        toStatus: wasInvited ? 'INVITED' : 'PENDING',
+        actor: wasInvited ? 'OWNER' : 'APPLICANT',
+        at: application.appliedDate
+      }];
+
+  return (
+    <details className="application-timeline">
+      <summary>
+        <History size={14} />
+        <span>Status history ({entries.length})</span>
+      </summary>
+      <ol className="timeline-list">
+        {entries.map((entry, index) => (
+          <li key={index} className="timeline-entry">
+            <span className={`timeline-dot status-${entry.toStatus.toLowerCase()}`} />
+            <div className="timeline-body">
+              <div className="timeline-heading">
+                <strong>{STATUS_LABELS[entry.toStatus] || entry.toStatus}</strong>
+                <time dateTime={entry.at}>{new Date(entry.at).toLocaleString()}</time>
+              </div>
+              <span className="timeline-actor">
+                by {entry.actorName || ACTOR_LABELS[entry.actor] || 'Unknown'}
+                {entry.actorName && ACTOR_LABELS[entry.actor] ? ` (${ACTOR_LABELS[entry.actor].toLowerCase()})` : ''}
+              </span>
+              {entry.note && <p className="timeline-note">{entry.note}</p>}
+            </div>
+          </li>
+        ))}
+      </ol>
+    </details>
+  );
+}
+
+export default ApplicationTimeline;
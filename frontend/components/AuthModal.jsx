@@ -15,6 +15,8 @@ function AuthModal({ onClose, onSuccess }) {
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [showForgot, setShowForgot] = useState(false);
+  const [resetMessage, setResetMessage] = useState('');
   const { login } = useAuth();
 
   const handleInputChange = (e) => {
@@ -52,6 +54,8 @@ function AuthModal({ onClose, onSuccess }) {
           headers: {
             'Content-Type': 'application/json',
           },
+          // Lets the browser store the httpOnly refresh cookie
+          credentials: 'include',
           body: JSON.stringify({
             email: formData.email,
             password: formData.password
@@ -95,6 +99,8 @@ function AuthModal({ onClose, onSuccess }) {
           headers: {
             'Content-Type': 'application/json',
           },
+          // Lets the browser store the httpOnly refresh cookie
+          credentials: 'include',
           body: JSON.stringify({
             name: formData.fullName,
             email: formData.email,
@@ -119,7 +125,8 @@ function AuthModal({ onClose, onSuccess }) {
           bio: data.data.bio || '',
           skills: data.data.skills || [],
           experience: data.data.experience || '',
-          location: data.data.location || ''
+          location: data.data.location || '',
+          token: data.data.token
         };
 
         login(userData);
@@ -133,6 +140,43 @@ function AuthModal({ onClose, onSuccess }) {
     }
   };
 
+  // Ask the backend to email a password reset link
+  const handleForgotSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+      const response = await fetch(`${apiBaseUrl}/api/auth/password/forgot`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ email: formData.email }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to send reset link');
+      }
+
+      setResetMessage(data.message);
+    } catch (err) {
+      console.error('Password reset request error:', err);
+      setError(err.message || 'An error occurred. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const closeForgot = () => {
+    setShowForgot(false);
+    setResetMessage('');
+    setError('');
+  };
+
   const handleGoogleAuth = () => {
     setLoading(true);
     setTimeout(() => {
@@ -198,6 +242,54 @@ function AuthModal({ onClose, onSuccess }) {
           <span className="auth-logo-text">Teamera</span>
         </div>
 
+        {showForgot ? (
+          <>
+            <div className="auth-heading">
+              <h2>Reset your password</h2>
+              <p className="auth-subtitle">
+                Enter your account email and we'll send you a link to choose a new password.
+              </p>
+            </div>
+
+            <form onSubmit={handleForgotSubmit} className="auth-form">
+              {error && (
+                <div className="auth-error-message">
+                  <span>{error}</span>
+                </div>
+              )}
+
+              {resetMessage ? (
+                <div className="auth-success-message">{resetMessage}</div>
+              ) : (
+                <>
+                  <div className="auth-field">
+                    <label htmlFor="auth-forgot-email">Email address</label>
+                    <input
+                      type="email"
+                      id="auth-forgot-email"
+                      name="email"
+                      placeholder="name@company.com"
+                      value={formData.email}
+                      onChange={handleInputChange}
+                      required
+                      disabled={loading}
+                      autoComplete="email"
+                    />
+                  </div>
+
+                  <button type="submit" className="auth-submit-btn" disabled={loading}>
+                    {loading ? <span className="auth-spinner"></span> : 'Send reset link'}
+                  </button>
+                </>
+              )}
+            </form>
+
+            <div className="auth-toggle-row">
+              <p>Remembered it? <button type="button" className="auth-toggle-btn" onClick={closeForgot}>Back to sign in</button></p>
+            </div>
+          </>
+        ) : (
+        <>
         {/* Heading */}
         <div className="auth-heading">
           <h2>{isLogin ? 'Sign in to your account' : 'Create your account'}</h2>
@@ -382,7 +474,13 @@ function AuthModal({ onClose, onSuccess }) {
           {/* Forgot Password (Sign In only) */}
           {isLogin && (
             <div className="auth-forgot-row">
-              <a href="#" className="auth-forgot-link">Forgot password?</a>
+              <a
+                href="#"
+                className="auth-forgot-link"
+                onClick={(e) => { e.preventDefault(); setShowForgot(true); setError(''); }}
+              >
+                Forgot password?
+              </a>
             </div>
           )}
 
@@ -426,6 +524,8 @@ function AuthModal({ onClose, onSuccess }) {
             <p>Already have an account? <button type="button" className="auth-toggle-btn" onClick={() => setIsLogin(true)}>Sign in</button></p>
           )}
         </div>
+        </>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,124 @@
+import { useState, useEffect } from 'react';
+import { Copy, CalendarPlus } from 'lucide-react';
+import { authFetch } from '../utils/api';
+import './CalendarFeedSettings.css';
+
+const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+// Lets the signed-in user create, reset or turn off their private calendar
+// feed. The feed URL is shown once, right after it is created.
+function CalendarFeedSettings() {
+  const [feed, setFeed] = useState(null);
+  const [feedUrl, setFeedUrl] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    authFetch(`${apiBaseUrl}/api/calendar/feed`)
+      .then(response => response.json())
+      .then(result => {
+        if (result.success) setFeed(result.data);
+        else setMessage(result.message || 'Failed to load calendar feed');
+      })
+      .catch(err => {
+        console.error('Error loading calendar feed:', err);
+        setMessage('Failed to load calendar feed');
+      });
+  }, []);
+
+  const handleCreate = async () => {
+    if (feed?.enabled && !window.confirm('Calendars subscribed to your current feed URL will stop updating. Continue?')) return;
+
+    try {
+      const response = await authFetch(`${apiBaseUrl}/api/calendar/feed`, { method: 'POST' });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to create calendar feed');
+      }
+      setFeed(result.data);
+      setFeedUrl(`${apiBaseUrl}${result.data.path}`);
+      setMessage('');
+    } catch (err) {
+      console.error('Error creating calendar feed:', err);
+      setMessage(err.message);
+    }
+  };
+
+  const handleRevoke = async () => {
+    if (!window.confirm('Turn off your calendar feed? Subscribed calendars will stop updating.')) return;
+
+    try {
+      const response = await authFetch(`${apiBaseUrl}/api/calendar/feed`, { method: 'DELETE' });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to turn off calendar feed');
+      }
+      setFeed(result.data);
+      setFeedUrl('');
+      setMessage('Calendar feed turned off');
+    } catch (err) {
+      console.error('Error revoking calendar feed:', err);
+      setMessage(err.message);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl);
+      setMessage('Feed URL copied');
+    } catch {
+      setMessage('Copy the URL above to add it to your calendar');
+    }
+  };
+
+  return (
+    <div className="settings-card">
+      <h3>Calendar Feed</h3>
+      <p>
+        Subscribe from Google Calendar, Outlook or Apple Calendar to see your hackathons,
+        task due dates and application deadlines. Anyone with the URL can read the feed.
+      </p>
+
+      {message && <p className="settings-message">{message}</p>}
+
+      {feedUrl && (
+        <div className="calendar-feed-url">
+          <input type="text" value={feedUrl} readOnly onFocus={(e) => e.target.select()} />
+          <button className="calendar-feed-icon-btn" onClick={handleCopy} title="Copy URL" aria-label="Copy URL">
+            <Copy size={16} />
+          </button>
+          <a
+            className="calendar-feed-icon-btn"
+            href={feedUrl.replace(/^https?:/, 'webcal:')}
+            title="Open in calendar app"
+            aria-label="Open in calendar app"
+          >
+            <CalendarPlus size={16} />
+          </a>
+        </div>
+      )}
+
+      {feedUrl && (
+        <p className="calendar-feed-hint">Save this URL now; it won't be shown again.</p>
+      )}
+
+      {feed?.enabled && !feedUrl && (
+        <p className="calendar-feed-hint">
+          Feed active since {new Date(feed.createdAt).toLocaleDateString()}. Reset it to get a new URL.
+        </p>
+      )}
+
+      {feed && (
+        <>
+          <button className="settings-btn settings-btn-secondary" onClick={handleCreate}>
+            {feed.enabled ? 'Reset Feed URL' : 'Create Feed URL'}
+          </button>
+          {feed.enabled && (
+            <button className="settings-btn" onClick={handleRevoke}>Turn Off Feed</button>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default CalendarFeedSettings;
@@ -7,8 +7,11 @@ import ChatTab from './tabs/ChatTab';
 import TasksTab from './tabs/TasksTab';
 import FilesTab from './tabs/FilesTab';
 import TeamTab from './tabs/TeamTab';
+import { authFetch, getAuthHeaders } from '../utils/api';
 import './CollaborationSpace.css';
 
+const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
 function CollaborationSpace({ onClose, activeProject = null, defaultTab = 'chat' }) {
   const [activeTab, setActiveTab] = useState(defaultTab);
   const [selectedProject, setSelectedProject] = useState(null);
@@ -16,6 +19,7 @@ function CollaborationSpace({ onClose, activeProject = null, defaultTab = 'chat'
   const [showNewTaskModal, setShowNewTaskModal] = useState(false);
   const [newTask, setNewTask] = useState({ title: '', description: '', assignee: '', dueDate: '', priority: 'medium' });
   const [isUploading, setIsUploading] = useState(false);
+  const [uploads, setUploads] = useState([]);
   const { user } = useAuth();
   const { projects, leaveProject } = useProjects();
   const { showToast } = useNotifications();
@@ -63,33 +67,37 @@ function CollaborationSpace({ onClose, activeProject = null, defaultTab = 'chat'
     }
   };
 
+  // Team member ids may arrive populated ({ _id, name }) or as plain strings
+  const getMemberId = (member) => {
+    if (!member?.id) return '';
+    return typeof member.id === 'object' ? (member.id._id || '').toString() : member.id.toString();
+  };
+
   // Handle task creation
-  const handleCreateTask = (e) => {
+  const handleCreateTask = async (e) => {
     e.preventDefault();
-    if (newTask.title.trim()) {
-      // Create task object with metadata
-      const taskData = {
-        id: Date.now(),
-        title: newTask.title,
-        description: newTask.description,
-        assignee: newTask.assignee,
-        dueDate: newTask.dueDate,
-        priority: newTask.priority,
-        status: 'pending',
-        createdAt: new Date().toISOString(),
-        createdBy: user?.name || 'Unknown User',
-        projectId: selectedProject?.id || null,
-        projectName: selectedProject?.title || 'Unknown Project'
-      };
-
-      // Store task in localStorage
-      const storedTasks = JSON.parse(localStorage.getItem('createdTasks') || '[]');
-      storedTasks.unshift(taskData); // Add to beginning (most recent first)
-      localStorage.setItem('createdTasks', JSON.stringify(storedTasks));
-
-      console.log('Task created and stored:', taskData);
-
-      // Reset form with current project context
+    if (!newTask.title.trim() || !selectedProject) return;
+
+    try {
+      const projectId = selectedProject.id || selectedProject._id;
+      const response = await authFetch(`${apiBaseUrl}/api/projects/${projectId}/tasks`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          title: newTask.title,
+          description: newTask.description,
+          assigneeId: newTask.assignee || null,
+          dueDate: newTask.dueDate || null,
+          priority: newTask.priority
+        }),
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to create task');
+      }
+
+      // The board picks the new task up from the live project feed
       setNewTask({
         title: '',
         description: '',
@@ -98,14 +106,92 @@ function CollaborationSpace({ onClose, activeProject = null, defaultTab = 'chat'
         priority: 'medium'
       });
       setShowNewTaskModal(false);
-
-      // Show success feedback (optional)
-      // You can add a toast notification here
+    } catch (error) {
+      console.error('Error creating task:', error);
+      showToast({
+        type: 'error',
+        title: 'Failed to create task',
+        description: error.message,
+      });
     }
   };
 
+  // Upload selected files to the project; XHR gives us real progress events
+  const uploadFilesToProject = (files) => {
+    const projectId = selectedProject.id || selectedProject._id;
+    const batchId = Date.now();
+    const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+
+    setIsUploading(true);
+    setUploads(files.map((file, index) => ({
+      id: `${batchId}-${index}`,
+      name: file.name,
+      size: file.size,
+      uploadedBy: user?.name || 'You',
+      uploadedAt: new Date().toISOString(),
+      status: 'uploading',
+      progress: 0
+    })));
+
+    const formData = new FormData();
+    files.forEach(file => formData.append('files', file));
+
+    const xhr = new XMLHttpRequest();
+    xhr.open('POST', `${apiBaseUrl}/api/projects/${projectId}/files`);
+    Object.entries(getAuthHeaders()).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+    xhr.upload.onprogress = (event) => {
+      if (!event.lengthComputable || totalSize === 0) return;
+      const progress = Math.round((event.loaded / event.total) * 100);
+      setUploads(prev => prev.map(upload => ({ ...upload, progress })));
+    };
+
+    xhr.onload = () => {
+      let result = {};
+      try {
+        result = JSON.parse(xhr.responseText);
+      } catch (_) {
+        result = {};
+      }
+
+      setIsUploading(false);
+      setUploads([]);
+
+      if (xhr.status >= 200 && xhr.status < 300 && result.success) {
+        showToast({
+          type: 'success',
+          title: 'Upload complete',
+          description: `${files.length} file${files.length > 1 ? 's' : ''} uploaded to ${selectedProject.title}.`,
+        });
+        if (contentRef.current) {
+          contentRef.current.scrollTo({ top: 0, behavior: 'smooth' });
+        }
+      } else {
+        showToast({
+          type: 'error',
+          title: 'Upload failed',
+          description: result.message || 'The files could not be uploaded.',
+        });
+      }
+    };
+
+    xhr.onerror = () => {
+      setIsUploading(false);
+      setUploads([]);
+      showToast({
+        type: 'error',
+        title: 'Upload failed',
+        description: 'Network error while uploading files.',
+      });
+    };
+
+    xhr.send(formData);
+  };
+
   // Handle file upload
   const handleFileUpload = () => {
+    if (!selectedProject) return;
+
     const fileInput = document.createElement('input');
     fileInput.type = 'file';
     fileInput.multiple = true; // Allow multiple file selection
@@ -114,74 +200,7 @@ function CollaborationSpace({ onClose, activeProject = null, defaultTab = 'chat'
     fileInput.onchange = (e) => {
       const files = Array.from(e.target.files);
       if (files.length > 0) {
-        // Show uploading state
-        setIsUploading(true);
-
-        // Process each file
-        files.forEach((file, index) => {
-          // Create a unique ID for the file
-          const fileId = Date.now() + index;
-
-          // Create file object with metadata
-          const fileData = {
-            id: fileId,
-            name: file.name,
-            size: file.size,
-            type: file.type,
-            uploadedBy: user?.name || 'Unknown User',
-            uploadedAt: new Date().toISOString(),
-            status: 'uploading',
-            progress: 0,
-            projectId: selectedProject?.id || null,
-            projectName: selectedProject?.title || 'Unknown Project',
-            file: file // Store the actual file object
-          };
-
-          // Store file in localStorage
-          const storedFiles = JSON.parse(localStorage.getItem('uploadedFiles') || '[]');
-          storedFiles.unshift(fileData); // Add to beginning (most recent first)
-          localStorage.setItem('uploadedFiles', JSON.stringify(storedFiles));
-
-          // Simulate upload progress
-          let progress = 0;
-          const progressInterval = setInterval(() => {
-            progress += Math.random() * 15;
-            if (progress >= 100) {
-              progress = 100;
-              clearInterval(progressInterval);
-
-              // Update file status to completed
-              const updatedFiles = JSON.parse(localStorage.getItem('uploadedFiles') || '[]');
-              const fileIndex = updatedFiles.findIndex(f => f.id === fileId);
-              if (fileIndex !== -1) {
-                updatedFiles[fileIndex].status = 'completed';
-                updatedFiles[fileIndex].progress = 100;
-                localStorage.setItem('uploadedFiles', JSON.stringify(updatedFiles));
-              }
-
-              // Check if all files are done
-              const allCompleted = updatedFiles.every(f => f.status === 'completed');
-              if (allCompleted) {
-                setIsUploading(false);
-                // Scroll to top of content to show new files
-                if (contentRef.current) {
-                  contentRef.current.scrollTo({
-                    top: 0,
-                    behavior: 'smooth'
-                  });
-                }
-              }
-            } else {
-              // Update progress in localStorage
-              const updatedFiles = JSON.parse(localStorage.getItem('uploadedFiles') || '[]');
-              const fileIndex = updatedFiles.findIndex(f => f.id === fileId);
-              if (fileIndex !== -1) {
-                updatedFiles[fileIndex].progress = Math.round(progress);
-                localStorage.setItem('uploadedFiles', JSON.stringify(updatedFiles));
-              }
-            }
-          }, 200);
-        });
+        uploadFilesToProject(files);
       }
     };
   };
@@ -389,7 +408,7 @@ function CollaborationSpace({ onClose, activeProject = null, defaultTab = 'chat'
           isOwner={isOwner}
         />;
       case 'files':
-        return <FilesTab project={selectedProject} isUploading={isUploading} />;
+        return <FilesTab project={selectedProject} isUploading={isUploading} uploads={uploads} isOwner={isOwner} />;
       case 'team':
         return <TeamTab project={selectedProject} isAdmin={isAdmin} isOwner={isOwner} />;
       default:
@@ -556,8 +575,8 @@ function CollaborationSpace({ onClose, activeProject = null, defaultTab = 'chat'
                     >
                       <option value="">Select assignee</option>
                       {selectedProject?.teamMembers && selectedProject.teamMembers.length > 0 ? (
-                        selectedProject.teamMembers.map((member, index) => (
-                          <option key={index} value={member.name}>
+                        selectedProject.teamMembers.filter(member => getMemberId(member)).map((member) => (
+                          <option key={getMemberId(member)} value={getMemberId(member)}>
                             {member.name} {member.role ? `(${member.role})` : ''}
                           </option>
                         ))
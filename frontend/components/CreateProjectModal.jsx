@@ -5,8 +5,17 @@ import { useProjects } from '../context/ProjectContext';
 import { useAuth } from '../context/AuthContext';
 import UserAvatar from './UserAvatar';
 import ProfileModal from './ProfileModal';
+import { authFetch } from '../utils/api';
 import './CreateProjectModal.css';
 
+// Deadline as a yyyy-mm-dd value for <input type="date">, in local time
+const toDateInputValue = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
 function CreateProjectModal({ onClose, projectToEdit }) {
   // State for current step in the modal
   const [currentStep, setCurrentStep] = useState(0);
@@ -16,7 +25,7 @@ function CreateProjectModal({ onClose, projectToEdit }) {
     description: '',
     industry: '',
     stage: '',
-    openPositions: [{ role: '', skills: [], isPaid: false }],
+    openPositions: [{ role: '', skills: [], isPaid: false, headcount: 1, deadline: '' }],
     funding: '',
     timeline: '',
     teamMembers: []
@@ -59,8 +68,8 @@ function CreateProjectModal({ onClose, projectToEdit }) {
         industry: projectToEdit.industry || '',
         stage: projectToEdit.stage || '',
         openPositions: projectToEdit.openPositions && projectToEdit.openPositions.length > 0 
-          ? projectToEdit.openPositions 
-          : [{ role: '', skills: [], isPaid: false }],
+          ? projectToEdit.openPositions.map(pos => ({ ...pos, deadline: toDateInputValue(pos.deadline) }))
+          : [{ role: '', skills: [], isPaid: false, headcount: 1, deadline: '' }],
         funding: projectToEdit.funding || '',
         timeline: projectToEdit.timeline || '',
         teamMembers: teamMembersWithoutFounder.map(member => {
@@ -106,6 +115,15 @@ function CreateProjectModal({ onClose, projectToEdit }) {
     'Other'
   ];
 
+  // Answer formats for screening questions (values match SCREENING_QUESTION_TYPES on the server)
+  const questionTypeOptions = [
+    { value: 'SHORT_TEXT', label: 'Short text' },
+    { value: 'LONG_TEXT', label: 'Long text' },
+    { value: 'MULTIPLE_CHOICE', label: 'Multiple choice' },
+    { value: 'YES_NO', label: 'Yes / No' },
+    { value: 'URL', label: 'Link (URL)' }
+  ];
+
   // Handle adding a custom skill
   const handleCustomSkillAdd = (positionIndex) => {
     if (customSkill.trim()) {
@@ -178,11 +196,41 @@ function CreateProjectModal({ onClose, projectToEdit }) {
     }));
   };
 
+  // Update the screening questions of one position
+  const updatePositionQuestions = (positionIndex, update) => {
+    setFormData(prev => ({
+      ...prev,
+      openPositions: prev.openPositions.map((pos, i) =>
+        i === positionIndex ? { ...pos, questions: update(pos.questions || []) } : pos
+      )
+    }));
+  };
+
+  // Add a screening question to a position
+  const addQuestion = (positionIndex) => {
+    updatePositionQuestions(positionIndex, questions => [
+      ...questions,
+      { prompt: '', type: 'SHORT_TEXT', options: [], required: false }
+    ]);
+  };
+
+  // Change one field of a screening question
+  const handleQuestionChange = (positionIndex, questionIndex, field, value) => {
+    updatePositionQuestions(positionIndex, questions => questions.map((question, i) =>
+      i === questionIndex ? { ...question, [field]: value } : question
+    ));
+  };
+
+  // Remove a screening question from a position
+  const removeQuestion = (positionIndex, questionIndex) => {
+    updatePositionQuestions(positionIndex, questions => questions.filter((_, i) => i !== questionIndex));
+  };
+
   // Add a new open position
   const addPosition = () => {
     setFormData(prev => ({
       ...prev,
-      openPositions: [...prev.openPositions, { role: '', skills: [], isPaid: false }]
+      openPositions: [...prev.openPositions, { role: '', skills: [], isPaid: false, headcount: 1, deadline: '' }]
     }));
   };
 
@@ -251,7 +299,7 @@ function CreateProjectModal({ onClose, projectToEdit }) {
     }
 
     try {
-      const response = await fetch(`${import.meta.env.VITE_API_URL || 'http://localhost:5000'}/api/users/verify-email`, {
+      const response = await authFetch(`${import.meta.env.VITE_API_URL || 'http://localhost:5000'}/api/users/verify-email`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -345,7 +393,25 @@ function CreateProjectModal({ onClose, projectToEdit }) {
       stage: formData.stage,
       funding: formData.funding,
       timeline: formData.timeline,
-      openPositions: formData.openPositions.filter(pos => pos.role.trim() !== '')
+      openPositions: formData.openPositions
+        .filter(pos => pos.role.trim() !== '')
+        // availability is computed by the server
+        .map(({ availability, ...pos }) => ({
+          ...pos,
+          headcount: Math.max(parseInt(pos.headcount, 10) || 1, 1),
+          // Applications stay open until the end of the chosen day
+          deadline: pos.deadline ? new Date(`${pos.deadline}T23:59:59`).toISOString() : null,
+          // Drop blank questions and empty choice lines
+          questions: (pos.questions || [])
+            .filter(question => question.prompt.trim() !== '')
+            .map(question => ({
+              ...question,
+              prompt: question.prompt.trim(),
+              options: question.type === 'MULTIPLE_CHOICE'
+                ? question.options.map(option => option.trim()).filter(Boolean)
+                : []
+            }))
+        }))
     };
 
     if (isEditMode) {
@@ -435,7 +501,12 @@ function CreateProjectModal({ onClose, projectToEdit }) {
       case 0:
         return formData.title && formData.description && formData.industry && formData.stage;
       case 1:
-        return formData.openPositions.some(pos => pos.role.trim() !== '');
+        // Multiple choice questions need at least two options
+        return formData.openPositions.some(pos => pos.role.trim() !== '') &&
+               formData.openPositions.every(pos => (pos.questions || []).every(q =>
+                 q.type !== 'MULTIPLE_CHOICE' || q.prompt.trim() === '' ||
+                 q.options.filter(option => option.trim() !== '').length >= 2
+               ));
       case 2:
         // All team members must be verified and have a position if any are added
         return formData.teamMembers.length === 0 || 
@@ -537,6 +608,25 @@ function CreateProjectModal({ onClose, projectToEdit }) {
                       </button>
                     )}
                   </div>
+                  <div className="position-capacity">
+                    <label>
+                      People needed
+                      <input
+                        type="number"
+                        min="1"
+                        value={position.headcount ?? 1}
+                        onChange={(e) => handlePositionChange(index, 'headcount', e.target.value)}
+                      />
+                    </label>
+                    <label>
+                      Apply by (optional)
+                      <input
+                        type="date"
+                        value={position.deadline || ''}
+                        onChange={(e) => handlePositionChange(index, 'deadline', e.target.value)}
+                      />
+                    </label>
+                  </div>
                   <div className="position-skills">
                     <label>Required skills for this position:</label>
                     <div className="skills-input-container">
@@ -594,6 +684,64 @@ function CreateProjectModal({ onClose, projectToEdit }) {
                       </div>
                     )}
                   </div>
+                  <div className="position-questions">
+                    <label>Screening questions (optional):</label>
+                    {(position.questions || []).map((question, questionIndex) => (
+                      <div key={question._id || questionIndex} className="question-form">
+                        <div className="question-header">
+                          <input
+                            type="text"
+                            value={question.prompt}
+                            onChange={(e) => handleQuestionChange(index, questionIndex, 'prompt', e.target.value)}
+                            placeholder="Question (e.g., Link to a project you've built)"
+                          />
+                          <button
+                            type="button"
+                            className="remove-position-btn"
+                            aria-label="Remove question"
+                            onClick={() => removeQuestion(index, questionIndex)}
+                          >
+                            <Minus size={14} />
+                          </button>
+                        </div>
+                        <div className="question-settings">
+                          <select
+                            value={question.type}
+                            onChange={(e) => handleQuestionChange(index, questionIndex, 'type', e.target.value)}
+                          >
+                            {questionTypeOptions.map(option => (
+                              <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                          </select>
+                          <label className="question-required">
+                            <input
+                              type="checkbox"
+                              checked={question.required}
+                              onChange={(e) => handleQuestionChange(index, questionIndex, 'required', e.target.checked)}
+                            />
+                            Required
+                          </label>
+                        </div>
+                        {question.type === 'MULTIPLE_CHOICE' && (
+                          <textarea
+                            className="question-options"
+                            value={question.options.join('\n')}
+                            onChange={(e) => handleQuestionChange(index, questionIndex, 'options', e.target.value.split('\n'))}
+                            placeholder={'One option per line (at least two)'}
+                            rows={3}
+                          />
+                        )}
+                      </div>
+                    ))}
+                    <button
+                      type="button"
+                      className="add-question-btn"
+                      onClick={() => addQuestion(index)}
+                    >
+                      <Plus size={14} />
+                      Add Question
+                    </button>
+                  </div>
                 </div>
               ))}
               <button
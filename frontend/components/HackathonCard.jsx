@@ -1,7 +1,19 @@
-import { Calendar, Users, Trophy, MapPin, Bookmark, Share2 } from 'lucide-react';
+import { Calendar, CalendarPlus, Users, Trophy, MapPin, Clock, Bookmark, Share2, Pencil, XCircle, Send, Gavel } from 'lucide-react';
 import './HackathonCard.css';
 
-function HackathonCard({ hackathon, onJoinClick, onRegisterClick }) {
+const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+function HackathonCard({
+  hackathon,
+  onJoinClick,
+  onRegisterClick,
+  onTeamClick,
+  onEditClick,
+  onCancelClick,
+  onSubmitClick,
+  onJudgingClick,
+  onResultsClick
+}) {
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-US', {
       month: 'short',
@@ -19,6 +31,10 @@ function HackathonCard({ hackathon, onJoinClick, onRegisterClick }) {
   };
 
   const daysUntil = getDaysUntil(hackathon.startDate);
+  const canManage = hackathon.isOrganizer && ['upcoming', 'ongoing'].includes(hackathon.status);
+  const isFull = Boolean(hackathon.maxParticipants) && hackathon.participantCount >= hackathon.maxParticipants;
+  const canRegister = !hackathon.isOrganizer && !hackathon.isJudge && !hackathon.isRegistered;
+  const canJudge = (hackathon.isOrganizer || hackathon.isJudge) && hackathon.status !== 'cancelled';
 
   const handleBookmark = (e) => {
     e.stopPropagation();
@@ -39,6 +55,7 @@ function HackathonCard({ hackathon, onJoinClick, onRegisterClick }) {
             {hackathon.status === 'upcoming' && 'Upcoming'}
             {hackathon.status === 'ongoing' && 'Live Now'}
             {hackathon.status === 'completed' && 'Completed'}
+            {hackathon.status === 'cancelled' && 'Cancelled'}
           </span>
           <div className="card-actions">
             <button className="action-btn bookmark-btn" onClick={handleBookmark}>
@@ -47,12 +64,25 @@ function HackathonCard({ hackathon, onJoinClick, onRegisterClick }) {
             <button className="action-btn share-btn" onClick={handleShare}>
               <Share2 size={16} />
             </button>
+            <a
+              className="action-btn calendar-btn"
+              href={`${apiBaseUrl}/api/hackathons/${hackathon._id}/calendar.ics`}
+              title="Add to calendar"
+              aria-label="Add to calendar"
+              download
+            >
+              <CalendarPlus size={16} />
+            </a>
           </div>
         </div>
       </div>
 
       <p className="hackathon-description">{hackathon.description}</p>
 
+      {hackathon.status === 'cancelled' && hackathon.cancellationReason && (
+        <p className="hackathon-cancel-reason">Cancelled: {hackathon.cancellationReason}</p>
+      )}
+
       <div className="hackathon-meta">
         <div className="meta-item">
           <Calendar size={16} />
@@ -60,12 +90,27 @@ function HackathonCard({ hackathon, onJoinClick, onRegisterClick }) {
         </div>
         <div className="meta-item">
           <Users size={16} />
-          <span>{hackathon.participants} participants</span>
+          <span>
+            {hackathon.participantCount}
+            {hackathon.maxParticipants ? ` / ${hackathon.maxParticipants}` : ''} participants
+          </span>
         </div>
         <div className="meta-item">
-          <Trophy size={16} />
-          <span>{hackathon.prize}</span>
+          <MapPin size={16} />
+          <span>{hackathon.location || 'Online'}</span>
         </div>
+        {hackathon.prize && (
+          <div className="meta-item">
+            <Trophy size={16} />
+            <span>{hackathon.prize}</span>
+          </div>
+        )}
+        {hackathon.registrationDeadline && hackathon.status === 'upcoming' && (
+          <div className="meta-item">
+            <Clock size={16} />
+            <span>Register by {formatDate(hackathon.registrationDeadline)}</span>
+          </div>
+        )}
       </div>
 
       <div className="hackathon-categories">
@@ -82,30 +127,100 @@ function HackathonCard({ hackathon, onJoinClick, onRegisterClick }) {
           <span className="days-until">{daysUntil} days to go</span>
         )}
         <div className="hackathon-actions">
-          {hackathon.status === 'upcoming' && (
+          {canManage && (
+            <>
+              <button
+                className="manage-btn"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onEditClick(hackathon);
+                }}
+              >
+                <Pencil size={14} />
+                Edit
+              </button>
+              <button
+                className="manage-btn danger"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onCancelClick(hackathon);
+                }}
+              >
+                <XCircle size={14} />
+                Cancel
+              </button>
+            </>
+          )}
+          {hackathon.isRegistered && ['upcoming', 'ongoing'].includes(hackathon.status) && (
+            <button
+              className="team-btn-card"
+              onClick={(e) => {
+                e.stopPropagation();
+                onTeamClick(hackathon);
+              }}
+            >
+              <Users size={14} />
+              Your Team
+            </button>
+          )}
+          {hackathon.isRegistered && hackathon.submissionOpen && (
+            <button
+              className="team-btn-card"
+              onClick={(e) => {
+                e.stopPropagation();
+                onSubmitClick(hackathon);
+              }}
+            >
+              <Send size={14} />
+              Submit Project
+            </button>
+          )}
+          {canJudge && (
+            <button
+              className="manage-btn"
+              onClick={(e) => {
+                e.stopPropagation();
+                onJudgingClick(hackathon);
+              }}
+            >
+              <Gavel size={14} />
+              {hackathon.isJudge ? 'Judge' : 'Judging'}
+            </button>
+          )}
+          {hackathon.status === 'upcoming' && canRegister && (
             <button 
               className="register-btn"
+              disabled={!hackathon.registrationOpen || isFull}
               onClick={(e) => {
                 e.stopPropagation();
                 onRegisterClick(hackathon);
               }}
             >
-              Register Now
+              {!hackathon.registrationOpen ? 'Registration Closed' : isFull ? 'Full' : 'Register Now'}
             </button>
           )}
-          {hackathon.status === 'ongoing' && (
+          {hackathon.status === 'ongoing' && canRegister && (
             <button 
               className="join-btn"
+              disabled={!hackathon.registrationOpen || isFull}
               onClick={(e) => {
                 e.stopPropagation();
                 onJoinClick(hackathon);
               }}
             >
-              Join Now
+              {!hackathon.registrationOpen ? 'Registration Closed' : isFull ? 'Full' : 'Join Now'}
             </button>
           )}
           {hackathon.status === 'completed' && (
-            <button className="view-results-btn">View Results</button>
+            <button
+              className="view-results-btn"
+              onClick={(e) => {
+                e.stopPropagation();
+                onResultsClick(hackathon);
+              }}
+            >
+              View Results
+            </button>
           )}
         </div>
       </div>
@@ -0,0 +1,423 @@
+import { useState, useEffect, useCallback } from 'react';
+import { X, Plus, Trash2, Github, ExternalLink, Trophy } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { useNotifications } from '../context/NotificationContext';
+import UserAvatar from './UserAvatar';
+import SubmissionAssetList from './SubmissionAssetList';
+import { authFetch } from '../utils/api';
+import './HackathonJudging.css';
+
+const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+// Matches MAX_RUBRIC_CRITERIA on the Hackathon model
+const MAX_CRITERIA = 10;
+
+const emptyCriterion = () => ({ name: '', description: '', weight: 1, maxScore: 10 });
+
+// Sends a JSON request and throws with the server's message on failure
+const send = async (path, method, body) => {
+  const response = await authFetch(`${apiBaseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const result = await response.json();
+  if (!response.ok || !result.success) {
+    throw new Error(result.message || 'Request failed');
+  }
+  return result;
+};
+
+// A judge's scoring form for one submission
+function ScoreForm({ hackathon, rubric, submission, scorecard, onScored }) {
+  const { showToast } = useNotifications();
+  const [scores, setScores] = useState(() => Object.fromEntries(rubric.map(criterion => [
+    criterion._id,
+    scorecard?.scores.find(entry => entry.criterionId === criterion._id)?.score ?? ''
+  ])));
+  const [comment, setComment] = useState(scorecard?.comment || '');
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const result = await send(
+        `/api/hackathons/${hackathon._id}/submissions/${submission._id}/scorecard`,
+        'PUT',
+        { scores, comment }
+      );
+      showToast({ type: 'success', title: 'Scores saved', description: submission.title });
+      onScored(result.data);
+    } catch (err) {
+      console.error('Error saving scores:', err);
+      showToast({ type: 'error', title: 'Could not save scores', description: err.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="judging-section">
+      <div className="score-grid">
+        {rubric.map(criterion => (
+          <label key={criterion._id}>
+            <span title={criterion.description}>
+              {criterion.name} <span className="judging-muted">(×{criterion.weight}, out of {criterion.maxScore})</span>
+            </span>
+            <input
+              type="number"
+              min={0}
+              max={criterion.maxScore}
+              step="any"
+              required
+              value={scores[criterion._id]}
+              onChange={(e) => setScores(prev => ({ ...prev, [criterion._id]: e.target.value }))}
+            />
+          </label>
+        ))}
+      </div>
+      <div className="judging-inline-form">
+        <input
+          placeholder="Comment for the organizer (optional)"
+          maxLength={1000}
+          value={comment}
+          onChange={(e) => setComment(e.target.value)}
+        />
+        <button type="submit" className="judging-btn primary" disabled={saving}>
+          {saving ? 'Saving...' : scorecard ? 'Update Scores' : 'Save Scores'}
+        </button>
+      </div>
+      {scorecard && <p className="judging-muted">Your total: {scorecard.total} / 100</p>}
+    </form>
+  );
+}
+
+/**
+ * Judging for a hackathon. The organizer edits the rubric, assigns judges
+ * and follows the scores; judges score each submission once submissions
+ * close.
+ *
+ * @param {Object} props
+ * @param {Object} props.hackathon - Hackathon from the list
+ * @param {Function} props.onClose - Called when the panel is dismissed
+ * @param {Function} props.onResultsClick - Opens the leaderboard
+ */
+function HackathonJudgingPanel({ hackathon, onClose, onResultsClick }) {
+  const { user } = useAuth();
+  const { showToast } = useNotifications();
+  const userId = user?.id || user?._id;
+  const [rubric, setRubric] = useState(hackathon.rubric || []);
+  const [draftRubric, setDraftRubric] = useState(null);
+  const [judges, setJudges] = useState([]);
+  const [judgeEmail, setJudgeEmail] = useState('');
+  const [submissions, setSubmissions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const basePath = `/api/hackathons/${hackathon._id}`;
+  const deadline = new Date(hackathon.submissionDeadline || hackathon.endDate);
+  const judgingOpen = deadline < new Date() && hackathon.status !== 'cancelled';
+  const canManage = hackathon.isOrganizer && hackathon.status !== 'cancelled';
+  const rubricLocked = submissions.some(submission => submission.judgeCount > 0);
+
+  const load = useCallback(async () => {
+    try {
+      const [judgesResponse, submissionsResponse] = await Promise.all([
+        authFetch(`${apiBaseUrl}${basePath}/judges`),
+        authFetch(`${apiBaseUrl}${basePath}/submissions`)
+      ]);
+      const [judgesResult, submissionsResult] = await Promise.all([judgesResponse.json(), submissionsResponse.json()]);
+      if (judgesResult.success) setJudges(judgesResult.data);
+      if (submissionsResult.success) setSubmissions(submissionsResult.data);
+      else setError(submissionsResult.message || 'Failed to load submissions');
+    } catch (err) {
+      console.error('Error loading judging data:', err);
+      setError('Failed to load judging data');
+    } finally {
+      setLoading(false);
+    }
+  }, [basePath]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const run = async (action, successTitle) => {
+    setBusy(true);
+    try {
+      const result = await action();
+      showToast({ type: 'success', title: successTitle, description: result.message });
+      return result;
+    } catch (err) {
+      console.error(`${successTitle} failed:`, err);
+      showToast({ type: 'error', title: 'Something went wrong', description: err.message });
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const updateDraft = (index, field, value) => {
+    setDraftRubric(prev => prev.map((criterion, i) => (i === index ? { ...criterion, [field]: value } : criterion)));
+  };
+
+  const handleSaveRubric = async () => {
+    const result = await run(() => send(`${basePath}/rubric`, 'PUT', {
+      rubric: draftRubric.map(criterion => ({
+        ...criterion,
+        weight: Number(criterion.weight),
+        maxScore: Number(criterion.maxScore)
+      }))
+    }), 'Rubric saved');
+    if (result) {
+      setRubric(result.data);
+      setDraftRubric(null);
+    }
+  };
+
+  const handleAddJudge = async (e) => {
+    e.preventDefault();
+    if (!judgeEmail.trim()) return;
+    const result = await run(() => send(`${basePath}/judges`, 'POST', { email: judgeEmail.trim() }), 'Judge added');
+    if (result) {
+      setJudges(prev => [...prev, result.data]);
+      setJudgeEmail('');
+    }
+  };
+
+  const handleRemoveJudge = async (judge) => {
+    if (!window.confirm(`Remove ${judge.name} as a judge?`)) return;
+    const result = await run(() => send(`${basePath}/judges/${judge._id}`, 'DELETE'), 'Judge removed');
+    if (result) setJudges(prev => prev.filter(entry => entry._id !== judge._id));
+  };
+
+  const handleScored = (saved) => {
+    setSubmissions(prev => prev.map(submission => (submission._id === saved._id ? saved : submission)));
+  };
+
+  return (
+    <div className="judging-overlay" onClick={onClose}>
+      <div className="judging-modal wide" onClick={(e) => e.stopPropagation()}>
+        <div className="judging-header">
+          <div>
+            <h2>Judging · {hackathon.title}</h2>
+            <p>
+              {judgingOpen
+                ? 'Submissions are closed and ready to score.'
+                : `Scoring opens when submissions close on ${deadline.toLocaleString()}.`}
+            </p>
+          </div>
+          <button className="judging-close-btn" onClick={onClose} aria-label="Close">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="judging-body">
+          {hackathon.isOrganizer && (
+            <section className="judging-section">
+              <h3>Rubric</h3>
+              {draftRubric ? (
+                <>
+                  <div className="criterion-row labels">
+                    <span>Criterion</span>
+                    <span>Description</span>
+                    <span>Weight</span>
+                    <span>Out of</span>
+                    <span></span>
+                  </div>
+                  {draftRubric.map((criterion, index) => (
+                    <div key={criterion._id || `new-${index}`} className="criterion-row">
+                      <input
+                        value={criterion.name}
+                        maxLength={80}
+                        placeholder="e.g. Innovation"
+                        onChange={(e) => updateDraft(index, 'name', e.target.value)}
+                      />
+                      <input
+                        value={criterion.description}
+                        maxLength={300}
+                        placeholder="What judges look for"
+                        onChange={(e) => updateDraft(index, 'description', e.target.value)}
+                      />
+                      <input
+                        type="number"
+                        min={1}
+                        max={100}
+                        value={criterion.weight}
+                        onChange={(e) => updateDraft(index, 'weight', e.target.value)}
+                      />
+                      <input
+                        type="number"
+                        min={1}
+                        max={100}
+                        value={criterion.maxScore}
+                        onChange={(e) => updateDraft(index, 'maxScore', e.target.value)}
+                      />
+                      <button
+                        type="button"
+                        className="judging-icon-btn"
+                        onClick={() => setDraftRubric(prev => prev.filter((_, i) => i !== index))}
+                        aria-label="Remove criterion"
+                      >
+                        <Trash2 size={16} />
+                      </button>
+                    </div>
+                  ))}
+                  <div className="judging-row">
+                    <button
+                      type="button"
+                      className="judging-btn"
+                      disabled={draftRubric.length >= MAX_CRITERIA}
+                      onClick={() => setDraftRubric(prev => [...prev, emptyCriterion()])}
+                    >
+                      <Plus size={14} />
+                      Add criterion
+                    </button>
+                    <div className="judging-inline-form">
+                      <button type="button" className="judging-btn" onClick={() => setDraftRubric(null)}>Cancel</button>
+                      <button
+                        type="button"
+                        className="judging-btn primary"
+                        disabled={busy || draftRubric.length === 0}
+                        onClick={handleSaveRubric}
+                      >
+                        Save Rubric
+                      </button>
+                    </div>
+                  </div>
+                </>
+              ) : (
+                <>
+                  {rubric.length === 0 && <p className="judging-muted">No rubric yet. Judges can't score until there is one.</p>}
+                  {rubric.map(criterion => (
+                    <div key={criterion._id} className="judging-row">
+                      <span>
+                        <strong>{criterion.name}</strong>
+                        {criterion.description && <span className="judging-muted"> · {criterion.description}</span>}
+                      </span>
+                      <span className="judging-muted">weight {criterion.weight} · out of {criterion.maxScore}</span>
+                    </div>
+                  ))}
+                  {canManage && (
+                    <button
+                      type="button"
+                      className="judging-btn"
+                      disabled={rubricLocked}
+                      title={rubricLocked ? 'The rubric is locked once scoring starts' : undefined}
+                      onClick={() => setDraftRubric(rubric.length > 0 ? rubric : [emptyCriterion()])}
+                    >
+                      {rubric.length > 0 ? 'Edit Rubric' : 'Set Up Rubric'}
+                    </button>
+                  )}
+                </>
+              )}
+            </section>
+          )}
+
+          {hackathon.isOrganizer && (
+            <section className="judging-section">
+              <h3>Judges ({judges.length})</h3>
+              {judges.map(judge => (
+                <div key={judge._id} className="judging-row">
+                  <div className="judging-person">
+                    <UserAvatar user={judge} size="small" />
+                    <span>{judge.name}</span>
+                  </div>
+                  {canManage && (
+                    <button className="judging-btn" disabled={busy} onClick={() => handleRemoveJudge(judge)}>
+                      Remove
+                    </button>
+                  )}
+                </div>
+              ))}
+              {canManage && hackathon.status !== 'completed' && (
+                <form className="judging-inline-form" onSubmit={handleAddJudge}>
+                  <input
+                    type="email"
+                    placeholder="Judge's account email"
+                    value={judgeEmail}
+                    onChange={(e) => setJudgeEmail(e.target.value)}
+                  />
+                  <button type="submit" className="judging-btn primary" disabled={busy || !judgeEmail.trim()}>
+                    <Plus size={14} />
+                    Add Judge
+                  </button>
+                </form>
+              )}
+            </section>
+          )}
+
+          <section className="judging-section">
+            <h3>Submissions ({submissions.length})</h3>
+            {loading && <p className="judging-muted">Loading...</p>}
+            {!loading && submissions.length === 0 && <p className="judging-muted">No projects submitted yet.</p>}
+            {submissions.map(submission => {
+              const myScorecard = submission.scorecards.find(card => (card.judgeId?._id || card.judgeId) === userId);
+              return (
+                <div key={submission._id} className="submission-card">
+                  <div className="submission-card-header">
+                    <h4>{submission.title}</h4>
+                    <span className="judging-muted">
+                      {submission.averageScore !== null ? `${submission.averageScore} avg · ` : ''}
+                      {submission.judgeCount} {submission.judgeCount === 1 ? 'judge' : 'judges'}
+                    </span>
+                  </div>
+                  <span className="judging-muted">
+                    {submission.team ? submission.team.name : submission.submittedBy?.name}
+                  </span>
+                  <p className="submission-description">{submission.description}</p>
+                  <div className="submission-links">
+                    {submission.repoUrl && (
+                      <a href={submission.repoUrl} target="_blank" rel="noopener noreferrer">
+                        <Github size={14} /> Repository
+                      </a>
+                    )}
+                    {submission.demoUrl && (
+                      <a href={submission.demoUrl} target="_blank" rel="noopener noreferrer">
+                        <ExternalLink size={14} /> Demo
+                      </a>
+                    )}
+                  </div>
+                  <SubmissionAssetList hackathonId={hackathon._id} submission={submission} onError={setError} />
+
+                  {hackathon.isOrganizer && submission.scorecards.map(card => (
+                    <div key={card._id} className="judging-row">
+                      <span className="judging-muted">
+                        {card.judgeId?.name || 'Former judge'}{card.comment ? `: ${card.comment}` : ''}
+                      </span>
+                      <strong>{card.total}</strong>
+                    </div>
+                  ))}
+
+                  {hackathon.isJudge && judgingOpen && rubric.length > 0 && (
+                    <ScoreForm
+                      hackathon={hackathon}
+                      rubric={rubric}
+                      submission={submission}
+                      scorecard={myScorecard}
+                      onScored={handleScored}
+                    />
+                  )}
+                </div>
+              );
+            })}
+          </section>
+
+          {error && <p className="judging-error">{error}</p>}
+        </div>
+
+        <div className="judging-footer">
+          <button className="judging-btn" onClick={() => onResultsClick(hackathon)}>
+            <Trophy size={14} />
+            {hackathon.status === 'completed' ? 'View Results' : 'Preview Leaderboard'}
+          </button>
+          <button className="judging-btn primary" onClick={onClose}>Done</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default HackathonJudgingPanel;
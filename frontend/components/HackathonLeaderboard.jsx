@@ -0,0 +1,128 @@
+import { useState, useEffect } from 'react';
+import { X, Github, ExternalLink } from 'lucide-react';
+import { authFetch } from '../utils/api';
+import './HackathonJudging.css';
+
+const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+const MEDALS = { 1: '🥇', 2: '🥈', 3: '🥉' };
+
+// What separated an entry from the one ranked above it
+const describeTieBreak = (decidedBy) => {
+  if (!decidedBy || decidedBy === 'score') return null;
+  if (decidedBy === 'judges') return 'Tie broken by number of judges';
+  if (decidedBy === 'submitted first') return 'Tie broken by earlier submission';
+  return `Tie broken on ${decidedBy}`;
+};
+
+/**
+ * Ranked results for a hackathon. Everyone sees them once the hackathon is
+ * completed; the organizer and judges can preview them before that.
+ *
+ * @param {Object} props
+ * @param {Object} props.hackathon - Hackathon from the list
+ * @param {Function} props.onClose - Called when the modal is dismissed
+ */
+function HackathonLeaderboard({ hackathon, onClose }) {
+  const [leaderboard, setLeaderboard] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    authFetch(`${apiBaseUrl}/api/hackathons/${hackathon._id}/leaderboard`)
+      .then(response => response.json())
+      .then(result => {
+        if (result.success) setLeaderboard(result.data);
+        else setError(result.message || 'Failed to load results');
+      })
+      .catch(err => {
+        console.error('Error loading leaderboard:', err);
+        setError('Failed to load results');
+      });
+  }, [hackathon._id]);
+
+  const criteria = leaderboard?.entries[0]?.criterionScores || [];
+
+  return (
+    <div className="judging-overlay" onClick={onClose}>
+      <div className="judging-modal wide" onClick={(e) => e.stopPropagation()}>
+        <div className="judging-header">
+          <div>
+            <h2>Results · {hackathon.title}</h2>
+            {leaderboard && <p>{leaderboard.entries.length} submissions · {leaderboard.judgeCount} judges</p>}
+          </div>
+          <button className="judging-close-btn" onClick={onClose} aria-label="Close">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="judging-body">
+          {!leaderboard && !error && <p className="judging-muted">Loading...</p>}
+          {error && <p className="judging-error">{error}</p>}
+
+          {leaderboard && !leaderboard.published && (
+            <div className="leaderboard-banner">
+              Preview: results are published when the hackathon is completed and may still change.
+            </div>
+          )}
+
+          {leaderboard && leaderboard.entries.length === 0 && (
+            <p className="judging-muted">No projects were submitted.</p>
+          )}
+
+          {leaderboard && leaderboard.entries.length > 0 && (
+            <table className="leaderboard-table">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Project</th>
+                  <th>Score</th>
+                  {criteria.map(criterion => <th key={criterion.criterionId}>{criterion.name}</th>)}
+                  <th>Judges</th>
+                </tr>
+              </thead>
+              <tbody>
+                {leaderboard.entries.map(entry => (
+                  <tr key={entry.submission._id}>
+                    <td className="leaderboard-rank">
+                      {entry.rank ? `${MEDALS[entry.rank] || ''} ${entry.rank}` : '–'}
+                    </td>
+                    <td>
+                      <strong>{entry.submission.title}</strong>
+                      <span className="leaderboard-tiebreak">
+                        {entry.submission.team?.name || entry.submission.submittedBy?.name}
+                      </span>
+                      <span className="submission-links">
+                        {entry.submission.repoUrl && (
+                          <a href={entry.submission.repoUrl} target="_blank" rel="noopener noreferrer">
+                            <Github size={12} /> Repo
+                          </a>
+                        )}
+                        {entry.submission.demoUrl && (
+                          <a href={entry.submission.demoUrl} target="_blank" rel="noopener noreferrer">
+                            <ExternalLink size={12} /> Demo
+                          </a>
+                        )}
+                      </span>
+                    </td>
+                    <td>
+                      {entry.score ?? 'Not scored'}
+                      {describeTieBreak(entry.decidedBy) && (
+                        <span className="leaderboard-tiebreak">{describeTieBreak(entry.decidedBy)}</span>
+                      )}
+                    </td>
+                    {entry.criterionScores.map(criterion => (
+                      <td key={criterion.criterionId}>{entry.judgeCount > 0 ? criterion.average : '–'}</td>
+                    ))}
+                    <td>{entry.judgeCount}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default HackathonLeaderboard;
@@ -1,9 +1,14 @@
 import { useState } from 'react';
 import { X, Upload, Send, Calendar, Trophy, Users } from 'lucide-react';
-import { useAuth } from '../context/AuthContext';
+import { authFetch } from '../utils/api';
 import './HackathonRegistrationModal.css';
 
-function HackathonRegistrationModal({ hackathon, onClose, isJoinFlow = false }) {
+const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+// Matches MAX_TEAM_SIZE on the backend
+const MAX_TEAM_SIZE = 5;
+
+function HackathonRegistrationModal({ hackathon, onClose, onRegistered, isJoinFlow = false }) {
   const [currentStep, setCurrentStep] = useState(0);
   const [formData, setFormData] = useState({
     teamName: '',
@@ -12,9 +17,11 @@ function HackathonRegistrationModal({ hackathon, onClose, isJoinFlow = false })
     motivation: '',
     skills: [],
     resume: null,
+    lookingForTeam: true,
     agreeTerms: false
   });
-  const { user } = useAuth();
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
 
   const steps = isJoinFlow 
     ? ['Team Info', 'Skills & Experience', 'Confirmation']
@@ -64,10 +71,36 @@ function HackathonRegistrationModal({ hackathon, onClose, isJoinFlow = false })
     }
   };
 
-  const handleSubmit = () => {
-    // Handle registration/join submission
-    console.log('Submitting:', formData);
-    onClose();
+  const handleSubmit = async () => {
+    const body = new FormData();
+    body.append('skills', formData.skills.join(','));
+    if (formData.motivation.trim()) body.append('motivation', formData.motivation.trim());
+    if (formData.experience) body.append('experience', formData.experience);
+    if (formData.teamName.trim()) {
+      body.append('teamName', formData.teamName.trim());
+      body.append('teamSize', isJoinFlow ? formData.teamSize : String(MAX_TEAM_SIZE));
+    } else {
+      body.append('lookingForTeam', String(formData.lookingForTeam));
+    }
+    if (formData.resume) body.append('resume', formData.resume);
+
+    setSubmitting(true);
+    setError('');
+    try {
+      const response = await authFetch(`${apiBaseUrl}/api/hackathons/${hackathon._id}/registrations`, {
+        method: 'POST',
+        body
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Registration failed');
+      }
+      onRegistered(result);
+    } catch (err) {
+      console.error('Error registering for hackathon:', err);
+      setError(err.message);
+      setSubmitting(false);
+    }
   };
 
   const canProceed = () => {
@@ -110,7 +143,7 @@ function HackathonRegistrationModal({ hackathon, onClose, isJoinFlow = false })
                   <option value="2">2 members</option>
                   <option value="3">3 members</option>
                   <option value="4">4 members</option>
-                  <option value="5">5+ members</option>
+                  <option value="5">5 members (max)</option>
                 </select>
               </div>
             </div>
@@ -212,6 +245,18 @@ function HackathonRegistrationModal({ hackathon, onClose, isJoinFlow = false })
                   placeholder="Enter team name if you have one"
                 />
               </div>
+              {!formData.teamName.trim() && (
+                <div className="form-group">
+                  <label className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      checked={formData.lookingForTeam}
+                      onChange={(e) => handleInputChange('lookingForTeam', e.target.checked)}
+                    />
+                    List me in the "looking for team" pool with my skills
+                  </label>
+                </div>
+              )}
               <div className="form-group">
                 <label>Your Skills</label>
                 <div className="skills-grid">
@@ -249,7 +294,7 @@ function HackathonRegistrationModal({ hackathon, onClose, isJoinFlow = false })
           return (
             <div className="step-content">
               <div className="confirmation-content">
-                <h3>Registration Complete!</h3>
+                <h3>Almost Done!</h3>
                 <div className="hackathon-summary">
                   <h4>{hackathon.title}</h4>
                   <div className="summary-details">
@@ -263,7 +308,7 @@ function HackathonRegistrationModal({ hackathon, onClose, isJoinFlow = false })
                     </div>
                     <div className="detail-item">
                       <Users size={16} />
-                      <span>{hackathon.participants} participants registered</span>
+                      <span>{hackathon.participantCount} participants registered</span>
                     </div>
                   </div>
                 </div>
@@ -311,6 +356,8 @@ function HackathonRegistrationModal({ hackathon, onClose, isJoinFlow = false })
 
           {renderStepContent()}
 
+          {error && <p className="registration-error">{error}</p>}
+
           <div className="step-actions">
             {currentStep > 0 && (
               <button className="prev-btn" onClick={handlePrevious}>
@@ -320,9 +367,11 @@ function HackathonRegistrationModal({ hackathon, onClose, isJoinFlow = false })
             <button 
               className="next-btn" 
               onClick={handleNext}
-              disabled={!canProceed()}
+              disabled={!canProceed() || submitting}
             >
-              {currentStep === steps.length - 1 ? (isJoinFlow ? 'Join Now' : 'Register') : 'Next'}
+              {currentStep === steps.length - 1
+                ? (submitting ? 'Saving...' : isJoinFlow ? 'Join Now' : 'Register')
+                : 'Next'}
             </button>
           </div>
         </div>
@@ -0,0 +1,223 @@
+import { useState, useEffect, useRef } from 'react';
+import { X, Upload } from 'lucide-react';
+import { useNotifications } from '../context/NotificationContext';
+import SubmissionAssetList from './SubmissionAssetList';
+import { authFetch } from '../utils/api';
+import './HackathonJudging.css';
+
+const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+// Matches the limits on the HackathonSubmission model and upload middleware
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 5000;
+const MAX_ASSETS = 5;
+
+const formatDeadline = (value) => new Date(value).toLocaleString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+/**
+ * The viewer's project submission for a hackathon: one per team, or one
+ * per solo registrant. Any team member can edit it until submissions close.
+ *
+ * @param {Object} props
+ * @param {Object} props.hackathon - Hackathon from the list
+ * @param {Function} props.onClose - Called when the modal is dismissed
+ */
+function HackathonSubmissionModal({ hackathon, onClose }) {
+  const { showToast } = useNotifications();
+  const [submission, setSubmission] = useState(null);
+  const [form, setForm] = useState({ title: '', description: '', repoUrl: '', demoUrl: '' });
+  const [files, setFiles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const fileInputRef = useRef(null);
+
+  const basePath = `${apiBaseUrl}/api/hackathons/${hackathon._id}/submissions/mine`;
+  const deadline = hackathon.submissionDeadline || hackathon.endDate;
+
+  const applySubmission = (saved) => {
+    setSubmission(saved);
+    if (saved) {
+      setForm({
+        title: saved.title,
+        description: saved.description,
+        repoUrl: saved.repoUrl || '',
+        demoUrl: saved.demoUrl || ''
+      });
+    }
+  };
+
+  useEffect(() => {
+    authFetch(basePath)
+      .then(response => response.json())
+      .then(result => {
+        if (result.success) applySubmission(result.data);
+        else setError(result.message || 'Failed to load your submission');
+      })
+      .catch(err => {
+        console.error('Error loading submission:', err);
+        setError('Failed to load your submission');
+      })
+      .finally(() => setLoading(false));
+  }, [basePath]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+    setError('');
+  };
+
+  const assetCount = (submission?.assets.length || 0) + files.length;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.title.trim() || !form.description.trim()) {
+      setError('Project title and description are required');
+      return;
+    }
+    if (assetCount > MAX_ASSETS) {
+      setError(`A submission can have at most ${MAX_ASSETS} files`);
+      return;
+    }
+
+    const formData = new FormData();
+    Object.entries(form).forEach(([field, value]) => formData.append(field, value.trim()));
+    files.forEach(file => formData.append('files', file));
+
+    setSubmitting(true);
+    try {
+      const response = await authFetch(basePath, { method: 'PUT', body: formData });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to save submission');
+      }
+      applySubmission(result.data);
+      setFiles([]);
+      if (fileInputRef.current) fileInputRef.current.value = '';
+      showToast({ type: 'success', title: result.message, description: result.data.title });
+    } catch (err) {
+      console.error('Error saving submission:', err);
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRemoveAsset = async (asset) => {
+    if (!window.confirm(`Remove ${asset.originalName}?`)) return;
+    try {
+      const response = await authFetch(`${basePath}/assets/${asset._id}`, { method: 'DELETE' });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to remove file');
+      }
+      setSubmission(result.data);
+    } catch (err) {
+      console.error('Error removing submission file:', err);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="judging-overlay" onClick={onClose}>
+      <form className="judging-modal" onClick={(e) => e.stopPropagation()} onSubmit={handleSubmit}>
+        <div className="judging-header">
+          <div>
+            <h2>{submission ? 'Your Submission' : 'Submit Your Project'}</h2>
+            <p>{hackathon.title} · Submissions close {formatDeadline(deadline)}</p>
+          </div>
+          <button type="button" className="judging-close-btn" onClick={onClose} aria-label="Close">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="judging-body">
+          {loading ? (
+            <p className="judging-muted">Loading...</p>
+          ) : (
+            <>
+              {submission?.team && (
+                <p className="judging-muted">Submitting for {submission.team.name}. Your teammates can edit this too.</p>
+              )}
+
+              <label className="judging-field">
+                <span>Project title *</span>
+                <input name="title" value={form.title} maxLength={MAX_TITLE_LENGTH} onChange={handleChange} />
+              </label>
+
+              <label className="judging-field">
+                <span>Description *</span>
+                <textarea
+                  name="description"
+                  rows={5}
+                  value={form.description}
+                  maxLength={MAX_DESCRIPTION_LENGTH}
+                  onChange={handleChange}
+                  placeholder="What did you build, how does it work, and what's next?"
+                />
+              </label>
+
+              <label className="judging-field">
+                <span>Repository URL</span>
+                <input name="repoUrl" type="url" value={form.repoUrl} onChange={handleChange} placeholder="https://github.com/..." />
+              </label>
+
+              <label className="judging-field">
+                <span>Demo URL</span>
+                <input name="demoUrl" type="url" value={form.demoUrl} onChange={handleChange} placeholder="https://..." />
+              </label>
+
+              {submission && (
+                <SubmissionAssetList
+                  hackathonId={hackathon._id}
+                  submission={submission}
+                  onRemove={hackathon.submissionOpen ? handleRemoveAsset : undefined}
+                  onError={setError}
+                />
+              )}
+
+              {hackathon.submissionOpen && (
+                <label className="judging-field">
+                  <span>
+                    <Upload size={14} /> Add files ({assetCount}/{MAX_ASSETS}) — slides, screenshots, documents
+                  </span>
+                  <input
+                    ref={fileInputRef}
+                    type="file"
+                    multiple
+                    onChange={(e) => {
+                      setFiles(Array.from(e.target.files));
+                      setError('');
+                    }}
+                  />
+                </label>
+              )}
+
+              {!hackathon.submissionOpen && (
+                <p className="judging-muted">Submissions are closed.</p>
+              )}
+            </>
+          )}
+
+          {error && <p className="judging-error">{error}</p>}
+        </div>
+
+        <div className="judging-footer">
+          <button type="button" className="judging-btn" onClick={onClose}>Close</button>
+          {hackathon.submissionOpen && (
+            <button type="submit" className="judging-btn primary" disabled={loading || submitting}>
+              {submitting ? 'Saving...' : submission ? 'Save Changes' : 'Submit Project'}
+            </button>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default HackathonSubmissionModal;
@@ -0,0 +1,326 @@
+import { useState, useEffect, useCallback } from 'react';
+import { X, Crown, Mail, UserPlus, Check, LogOut } from 'lucide-react';
+import { useNotifications } from '../context/NotificationContext';
+import UserAvatar from './UserAvatar';
+import { authFetch } from '../utils/api';
+import './HackathonTeamPanel.css';
+
+const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+// Pool entries fetched per "Show more"
+const POOL_PAGE_SIZE = 10;
+
+const EXPERIENCE_LABELS = {
+  beginner: 'Beginner',
+  intermediate: 'Intermediate',
+  experienced: 'Experienced',
+  expert: 'Expert'
+};
+
+// Sends a JSON request and throws with the server's message on failure
+const send = async (path, method, body) => {
+  const response = await authFetch(`${apiBaseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const result = await response.json();
+  if (!response.ok || !result.success) {
+    throw new Error(result.message || 'Request failed');
+  }
+  return result;
+};
+
+/**
+ * The viewer's registration for a hackathon: their team (with invites for
+ * the lead to manage), team invites waiting for them, and the pool of solo
+ * registrants looking for a team.
+ *
+ * @param {Object} props
+ * @param {Object} props.hackathon - Hackathon from the list
+ * @param {Function} props.onClose - Called when the panel is dismissed
+ * @param {Function} props.onChanged - Called after the registration changes
+ */
+function HackathonTeamPanel({ hackathon, onClose, onChanged }) {
+  const { showToast } = useNotifications();
+  const [mine, setMine] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [pool, setPool] = useState([]);
+  const [poolCursor, setPoolCursor] = useState(null);
+  const [poolHasMore, setPoolHasMore] = useState(false);
+  const [poolTotal, setPoolTotal] = useState(0);
+  const [skillFilter, setSkillFilter] = useState('');
+
+  const basePath = `/api/hackathons/${hackathon._id}`;
+
+  const loadMine = useCallback(async () => {
+    try {
+      const response = await authFetch(`${apiBaseUrl}${basePath}/registrations/me`);
+      const result = await response.json();
+      if (result.success) setMine(result.data);
+    } catch (err) {
+      console.error('Error loading registration:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [basePath]);
+
+  const loadPool = useCallback(async (cursor) => {
+    const params = new URLSearchParams({ limit: String(POOL_PAGE_SIZE) });
+    if (skillFilter.trim()) params.set('skills', skillFilter.trim());
+    if (cursor) params.set('cursor', cursor);
+
+    try {
+      const response = await authFetch(`${apiBaseUrl}${basePath}/pool?${params}`);
+      const result = await response.json();
+      if (result.success) {
+        setPool(prev => (cursor ? [...prev, ...result.data] : result.data));
+        setPoolCursor(result.pagination?.nextCursor || null);
+        setPoolHasMore(Boolean(result.pagination?.hasMore));
+        setPoolTotal(result.pagination?.total ?? result.data.length);
+      }
+    } catch (err) {
+      console.error('Error loading team pool:', err);
+    }
+  }, [basePath, skillFilter]);
+
+  useEffect(() => {
+    loadMine();
+  }, [loadMine]);
+
+  // Wait for a pause in typing before filtering the pool
+  useEffect(() => {
+    const timer = setTimeout(() => loadPool(null), 300);
+    return () => clearTimeout(timer);
+  }, [loadPool]);
+
+  // Runs an action, then refreshes everything it may have changed
+  const run = async (action, successTitle) => {
+    setBusy(true);
+    try {
+      const result = await action();
+      showToast({ type: 'success', title: successTitle, description: result.message });
+      await Promise.all([loadMine(), loadPool(null)]);
+      onChanged();
+      return true;
+    } catch (err) {
+      console.error(`${successTitle} failed:`, err);
+      showToast({ type: 'error', title: 'Something went wrong', description: err.message });
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const registration = mine?.registration;
+  const team = mine?.team;
+  const invites = mine?.invites || [];
+  const canInvite = Boolean(team?.isLeader && team.openSeats > 0 && hackathon.registrationOpen);
+
+  const invite = (body) => run(() => send(`${basePath}/teams/${team._id}/invites`, 'POST', body), 'Invite sent');
+
+  const handleEmailInvite = async (e) => {
+    e.preventDefault();
+    if (!inviteEmail.trim()) return;
+    if (await invite({ email: inviteEmail.trim() })) setInviteEmail('');
+  };
+
+  const handleLeaveTeam = () => {
+    const message = team.isLeader && team.members.length > 1
+      ? `Leave ${team.name}? ${team.members[1].name} will become the team lead.`
+      : `Leave ${team.name}?`;
+    if (!window.confirm(message)) return;
+    run(() => send(`${basePath}/teams/${team._id}/leave`, 'POST'), 'Left team');
+  };
+
+  const handleWithdraw = async () => {
+    if (!window.confirm(`Withdraw your registration for ${hackathon.title}?`)) return;
+    if (await run(() => send(`${basePath}/registrations/me`, 'DELETE'), 'Registration withdrawn')) onClose();
+  };
+
+  return (
+    <div className="team-panel-overlay" onClick={onClose}>
+      <div className="team-panel" onClick={(e) => e.stopPropagation()}>
+        <div className="team-panel-header">
+          <div>
+            <h2>{hackathon.title}</h2>
+            <p>{team ? team.name : registration ? 'Registered solo' : 'Teams and invites'}</p>
+          </div>
+          <button className="team-close-btn" onClick={onClose} aria-label="Close">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="team-panel-body">
+          {loading && <p className="team-muted">Loading...</p>}
+
+          {invites.length > 0 && (
+            <section className="team-section">
+              <h3>Invites for you</h3>
+              {invites.map(pending => (
+                <div key={pending._id} className="team-row">
+                  <div className="team-row-info">
+                    <strong>{pending.teamName}</strong>
+                    <span className="team-muted">
+                      Led by {pending.leader?.name || 'a former member'} · {pending.memberCount}/{pending.maxSize} members
+                    </span>
+                  </div>
+                  <div className="team-row-actions">
+                    <button
+                      className="team-btn primary"
+                      disabled={busy || Boolean(team)}
+                      title={team ? 'Leave your current team first' : undefined}
+                      onClick={() => run(
+                        () => send(`${basePath}/teams/${pending.teamId}/invites/${pending._id}/accept`, 'POST'),
+                        'Joined team'
+                      )}
+                    >
+                      <Check size={14} />
+                      Accept
+                    </button>
+                    <button
+                      className="team-btn"
+                      disabled={busy}
+                      onClick={() => run(
+                        () => send(`${basePath}/teams/${pending.teamId}/invites/${pending._id}/decline`, 'POST'),
+                        'Invite declined'
+                      )}
+                    >
+                      Decline
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </section>
+          )}
+
+          {team && (
+            <section className="team-section">
+              <h3>Your team <span className="team-muted">({team.members.length}/{team.maxSize})</span></h3>
+              {team.members.map(member => (
+                <div key={member._id} className="team-row">
+                  <div className="team-person">
+                    <UserAvatar user={member} size="small" />
+                    <span>{member.name}</span>
+                    {member._id === team.leaderId && (
+                      <span className="team-badge"><Crown size={12} /> Lead</span>
+                    )}
+                  </div>
+                </div>
+              ))}
+
+              {team.invites.length > 0 && (
+                <>
+                  <h4>Pending invites</h4>
+                  {team.invites.map(pending => (
+                    <div key={pending._id} className="team-row">
+                      <div className="team-person">
+                        {pending.user ? <UserAvatar user={pending.user} size="small" /> : <Mail size={16} />}
+                        <span>{pending.user?.name || pending.email}</span>
+                      </div>
+                      {team.isLeader && (
+                        <button
+                          className="team-btn"
+                          disabled={busy}
+                          onClick={() => run(
+                            () => send(`${basePath}/teams/${team._id}/invites/${pending._id}`, 'DELETE'),
+                            'Invite withdrawn'
+                          )}
+                        >
+                          Withdraw
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                </>
+              )}
+
+              {canInvite && (
+                <form className="team-invite-form" onSubmit={handleEmailInvite}>
+                  <input
+                    type="email"
+                    placeholder="Invite by email"
+                    value={inviteEmail}
+                    onChange={(e) => setInviteEmail(e.target.value)}
+                  />
+                  <button type="submit" className="team-btn primary" disabled={busy || !inviteEmail.trim()}>
+                    <Mail size={14} />
+                    Invite
+                  </button>
+                </form>
+              )}
+
+              <button className="team-link-btn" disabled={busy} onClick={handleLeaveTeam}>
+                <LogOut size={14} />
+                Leave team
+              </button>
+            </section>
+          )}
+
+          {registration && !team && (
+            <section className="team-section">
+              <label className="team-toggle">
+                <input
+                  type="checkbox"
+                  checked={registration.lookingForTeam}
+                  disabled={busy}
+                  onChange={(e) => run(
+                    () => send(`${basePath}/registrations/me`, 'PATCH', { lookingForTeam: e.target.checked }),
+                    'Registration updated'
+                  )}
+                />
+                Show me in the "looking for team" pool
+              </label>
+            </section>
+          )}
+
+          <section className="team-section">
+            <h3>Looking for a team <span className="team-muted">({poolTotal})</span></h3>
+            <input
+              className="team-skill-filter"
+              placeholder="Filter by skills, e.g. React, Python"
+              value={skillFilter}
+              onChange={(e) => setSkillFilter(e.target.value)}
+            />
+            {pool.length === 0 && <p className="team-muted">Nobody is in the pool yet.</p>}
+            {pool.map(entry => (
+              <div key={entry._id} className="team-row">
+                <div className="team-row-info">
+                  <div className="team-person">
+                    <UserAvatar user={entry.user} size="small" />
+                    <span>{entry.user?.name || 'Member'}</span>
+                    {entry.experience && <span className="team-muted">{EXPERIENCE_LABELS[entry.experience]}</span>}
+                  </div>
+                  <div className="team-skills">
+                    {entry.skills.map(skill => <span key={skill} className="team-skill">{skill}</span>)}
+                  </div>
+                </div>
+                {canInvite && entry.user && (
+                  <button className="team-btn" disabled={busy} onClick={() => invite({ userId: entry.user._id })}>
+                    <UserPlus size={14} />
+                    Invite
+                  </button>
+                )}
+              </div>
+            ))}
+            {poolHasMore && (
+              <button className="team-link-btn" onClick={() => loadPool(poolCursor)}>Show more</button>
+            )}
+          </section>
+        </div>
+
+        {registration && (
+          <div className="team-panel-footer">
+            <button className="team-link-btn danger" disabled={busy} onClick={handleWithdraw}>
+              Withdraw registration
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default HackathonTeamPanel;
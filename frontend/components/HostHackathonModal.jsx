@@ -0,0 +1,240 @@
+import { useState } from 'react';
+import { X } from 'lucide-react';
+import { authFetch } from '../utils/api';
+import './HostHackathonModal.css';
+
+const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+// Matches the limits on the Hackathon model
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 2000;
+const MAX_CATEGORIES = 10;
+
+// Date -> value for a datetime-local input, in the browser's time zone
+const toInputValue = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
+
+const toFormState = (hackathon) => ({
+  title: hackathon?.title || '',
+  description: hackathon?.description || '',
+  startDate: toInputValue(hackathon?.startDate),
+  endDate: toInputValue(hackathon?.endDate),
+  registrationDeadline: toInputValue(hackathon?.registrationDeadline),
+  submissionDeadline: toInputValue(hackathon?.submissionDeadline),
+  location: hackathon?.location || 'Online',
+  prize: hackathon?.prize || '',
+  maxParticipants: hackathon?.maxParticipants ? String(hackathon.maxParticipants) : '',
+  categories: (hackathon?.categories || []).join(', ')
+});
+
+/**
+ * Form for hosting a new hackathon or, when `hackathon` is given, editing
+ * one the user organizes.
+ *
+ * @param {Object} props
+ * @param {Object} [props.hackathon] - Hackathon to edit
+ * @param {Function} props.onClose - Called when the modal is dismissed
+ * @param {Function} props.onSaved - Called with the saved hackathon
+ */
+function HostHackathonModal({ hackathon, onClose, onSaved }) {
+  const isEdit = Boolean(hackathon);
+  const hasStarted = isEdit && hackathon.status !== 'upcoming';
+  const [form, setForm] = useState(() => toFormState(hackathon));
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+    setError('');
+  };
+
+  const validate = () => {
+    if (!form.title.trim() || !form.description.trim()) return 'Title and description are required';
+    if (!form.startDate || !form.endDate) return 'Start and end dates are required';
+
+    const start = new Date(form.startDate);
+    const end = new Date(form.endDate);
+    if (!hasStarted && start <= new Date()) return 'Start date must be in the future';
+    if (end <= start) return 'End date must be after the start date';
+    if (form.registrationDeadline && new Date(form.registrationDeadline) > end) {
+      return 'Registration must close before the hackathon ends';
+    }
+    if (form.submissionDeadline) {
+      const submissionDeadline = new Date(form.submissionDeadline);
+      if (submissionDeadline <= start || submissionDeadline > end) {
+        return 'Submissions must close after the start and no later than the end';
+      }
+    }
+
+    const categories = form.categories.split(',').map(c => c.trim()).filter(Boolean);
+    if (categories.length > MAX_CATEGORIES) return `Use at most ${MAX_CATEGORIES} categories`;
+    return '';
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const validationError = validate();
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    const payload = {
+      title: form.title.trim(),
+      description: form.description.trim(),
+      endDate: new Date(form.endDate).toISOString(),
+      registrationDeadline: form.registrationDeadline ? new Date(form.registrationDeadline).toISOString() : null,
+      submissionDeadline: form.submissionDeadline ? new Date(form.submissionDeadline).toISOString() : null,
+      location: form.location.trim() || 'Online',
+      prize: form.prize.trim(),
+      maxParticipants: form.maxParticipants ? Number(form.maxParticipants) : null,
+      categories: form.categories.split(',').map(c => c.trim()).filter(Boolean)
+    };
+    // The start of a running hackathon is locked, so don't resend it
+    if (!hasStarted) payload.startDate = new Date(form.startDate).toISOString();
+
+    setSubmitting(true);
+    try {
+      const response = await authFetch(
+        isEdit ? `${apiBaseUrl}/api/hackathons/${hackathon._id}` : `${apiBaseUrl}/api/hackathons`,
+        {
+          method: isEdit ? 'PATCH' : 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(payload)
+        }
+      );
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to save hackathon');
+      }
+      onSaved(result.data);
+    } catch (err) {
+      console.error('Error saving hackathon:', err);
+      setError(err.message);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="host-modal-overlay" onClick={onClose}>
+      <form className="host-modal" onClick={(e) => e.stopPropagation()} onSubmit={handleSubmit}>
+        <div className="host-modal-header">
+          <h2>{isEdit ? 'Edit Hackathon' : 'Host a Hackathon'}</h2>
+          <button type="button" className="host-close-btn" onClick={onClose} aria-label="Close">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="host-modal-body">
+          <label className="host-field">
+            <span>Title *</span>
+            <input
+              name="title"
+              value={form.title}
+              maxLength={MAX_TITLE_LENGTH}
+              onChange={handleChange}
+              placeholder="e.g. Climate Tech Weekend"
+            />
+          </label>
+
+          <label className="host-field">
+            <span>Description *</span>
+            <textarea
+              name="description"
+              value={form.description}
+              maxLength={MAX_DESCRIPTION_LENGTH}
+              onChange={handleChange}
+              rows={4}
+              placeholder="What will participants build, and who is it for?"
+            />
+          </label>
+
+          <div className="host-row">
+            <label className="host-field">
+              <span>Starts *</span>
+              <input type="datetime-local" name="startDate" value={form.startDate} onChange={handleChange} disabled={hasStarted} />
+            </label>
+            <label className="host-field">
+              <span>Ends *</span>
+              <input type="datetime-local" name="endDate" value={form.endDate} onChange={handleChange} />
+            </label>
+          </div>
+          {hasStarted && <p className="host-hint">The start date can't be changed once the hackathon has started.</p>}
+
+          <div className="host-row">
+            <label className="host-field">
+              <span>Registration closes</span>
+              <input
+                type="datetime-local"
+                name="registrationDeadline"
+                value={form.registrationDeadline}
+                onChange={handleChange}
+              />
+            </label>
+            <label className="host-field">
+              <span>Max participants</span>
+              <input
+                type="number"
+                name="maxParticipants"
+                min={1}
+                value={form.maxParticipants}
+                onChange={handleChange}
+                placeholder="No limit"
+              />
+            </label>
+          </div>
+
+          <label className="host-field">
+            <span>Submissions close</span>
+            <input
+              type="datetime-local"
+              name="submissionDeadline"
+              value={form.submissionDeadline}
+              onChange={handleChange}
+            />
+          </label>
+          <p className="host-hint">
+            Defaults to the end date. Closing submissions earlier gives judges time to score before results are published.
+          </p>
+
+          <div className="host-row">
+            <label className="host-field">
+              <span>Location</span>
+              <input name="location" value={form.location} onChange={handleChange} placeholder="Online" />
+            </label>
+            <label className="host-field">
+              <span>Prize</span>
+              <input name="prize" value={form.prize} onChange={handleChange} placeholder="e.g. ₹1,00,000" />
+            </label>
+          </div>
+
+          <label className="host-field">
+            <span>Categories</span>
+            <input
+              name="categories"
+              value={form.categories}
+              onChange={handleChange}
+              placeholder="Comma separated, e.g. AI/ML, IoT"
+            />
+          </label>
+
+          {error && <p className="host-error">{error}</p>}
+        </div>
+
+        <div className="host-modal-actions">
+          <button type="button" className="host-cancel-btn" onClick={onClose}>Cancel</button>
+          <button type="submit" className="host-submit-btn" disabled={submitting}>
+            {submitting ? 'Saving...' : isEdit ? 'Save Changes' : 'Create Hackathon'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default HostHackathonModal;
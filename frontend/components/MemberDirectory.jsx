@@ -0,0 +1,282 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { Search, Filter, MapPin, Briefcase } from 'lucide-react';
+import UserAvatar from './UserAvatar';
+import { authFetch } from '../utils/api';
+import './MemberDirectory.css';
+
+const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+// Members fetched per request while scrolling
+const PAGE_SIZE = 24;
+
+// Wait for the user to stop typing before searching
+const SEARCH_DEBOUNCE_MS = 300;
+
+const ROLES = [
+  ['student', 'Student'],
+  ['professional', 'Professional'],
+  ['founder', 'Founder'],
+  ['investor', 'Investor'],
+  ['user', 'Developer']
+];
+
+// Skill chips shown per card before collapsing into "+N"
+const MAX_SKILLS_SHOWN = 6;
+
+/**
+ * MemberDirectory Component
+ *
+ * Searchable, infinitely scrolling list of community members with their
+ * skills, open-to-work status and the projects they share with the viewer.
+ *
+ * @param {Object} props
+ * @param {Function} props.onMemberClick - Called with a member's id when their card is clicked
+ * @returns {JSX.Element} MemberDirectory component
+ */
+function MemberDirectory({ onMemberClick }) {
+  const [searchTerm, setSearchTerm] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const [skillsInput, setSkillsInput] = useState('');
+  const [debouncedSkills, setDebouncedSkills] = useState('');
+  const [role, setRole] = useState('');
+  const [openToWork, setOpenToWork] = useState(false);
+  const [showFilters, setShowFilters] = useState(false);
+
+  const [members, setMembers] = useState([]);
+  const [totalMembers, setTotalMembers] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [pageLoading, setPageLoading] = useState(true);
+  const [pageError, setPageError] = useState(null);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedSearch(searchTerm.trim());
+      setDebouncedSkills(skillsInput.trim());
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchTerm, skillsInput]);
+
+  // Bumped whenever the filters change so late responses for old filters are ignored
+  const requestIdRef = useRef(0);
+  const sentinelRef = useRef(null);
+
+  const fetchPage = useCallback(async (cursor) => {
+    const requestId = requestIdRef.current;
+    const params = new URLSearchParams({ limit: String(PAGE_SIZE) });
+    if (debouncedSearch) params.set('q', debouncedSearch);
+    if (debouncedSkills) params.set('skills', debouncedSkills);
+    if (role) params.set('role', role);
+    if (openToWork) params.set('availability', 'AVAILABLE');
+    if (cursor) params.set('cursor', cursor);
+
+    setPageLoading(true);
+    setPageError(null);
+    try {
+      const response = await authFetch(`${apiBaseUrl}/api/users?${params}`);
+      const result = await response.json();
+      if (requestId !== requestIdRef.current) return;
+
+      if (result.success) {
+        setMembers(prev => (cursor ? [...prev, ...result.data] : result.data));
+        setTotalMembers(result.pagination?.total ?? result.data.length);
+        setNextCursor(result.pagination?.nextCursor || null);
+        setHasMore(Boolean(result.pagination?.hasMore));
+      } else {
+        setPageError(result.message || 'Failed to load members');
+        setHasMore(false);
+      }
+    } catch (error) {
+      if (requestId !== requestIdRef.current) return;
+      console.error('Error fetching members:', error);
+      setPageError('Failed to load members');
+      setHasMore(false);
+    } finally {
+      if (requestId === requestIdRef.current) setPageLoading(false);
+    }
+  }, [debouncedSearch, debouncedSkills, role, openToWork]);
+
+  // Start over from the first page when the filters change
+  useEffect(() => {
+    requestIdRef.current += 1;
+    setMembers([]);
+    setNextCursor(null);
+    setHasMore(false);
+    fetchPage(null);
+  }, [fetchPage]);
+
+  // Load the next page when the bottom of the list scrolls into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !hasMore || pageLoading) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) fetchPage(nextCursor);
+    }, { rootMargin: '300px' });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [fetchPage, hasMore, nextCursor, pageLoading]);
+
+  const clearFilters = () => {
+    setSearchTerm('');
+    setSkillsInput('');
+    setRole('');
+    setOpenToWork(false);
+  };
+
+  const hasFilters = searchTerm || skillsInput || role || openToWork;
+
+  return (
+    <div className="member-directory">
+      <div className="community-filters">
+        <div className="search-bar">
+          <Search size={20} />
+          <input
+            type="text"
+            placeholder="Search members by name, title or bio..."
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+          />
+        </div>
+        <button
+          className="filter-toggle"
+          onClick={() => setShowFilters(!showFilters)}
+        >
+          <Filter size={20} />
+          <span className="filter-text">Filters</span>
+          {(skillsInput || role || openToWork) && <span className="filter-indicator"></span>}
+        </button>
+      </div>
+
+      {showFilters && (
+        <div className="filters-panel">
+          <div className="filter-group">
+            <label htmlFor="member-skills-filter">Skills</label>
+            <input
+              id="member-skills-filter"
+              type="text"
+              className="member-filter-input"
+              placeholder="e.g. React, Node.js"
+              value={skillsInput}
+              onChange={(e) => setSkillsInput(e.target.value)}
+            />
+          </div>
+          <div className="filter-group">
+            <label htmlFor="member-role-filter">Role</label>
+            <select
+              id="member-role-filter"
+              value={role}
+              onChange={(e) => setRole(e.target.value)}
+            >
+              <option value="">All roles</option>
+              {ROLES.map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <label className="member-open-filter">
+            <input
+              type="checkbox"
+              checked={openToWork}
+              onChange={(e) => setOpenToWork(e.target.checked)}
+            />
+            Open to work only
+          </label>
+          <div className="filter-actions">
+            <button className="clear-filters-btn" onClick={clearFilters}>
+              Clear Filters
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="community-stats">
+        <span>{totalMembers} members</span>
+        {hasFilters && (
+          <button className="clear-filters-btn small" onClick={clearFilters}>
+            Clear filters
+          </button>
+        )}
+      </div>
+
+      {members.length === 0 && pageLoading ? (
+        <div className="member-status">Loading members...</div>
+      ) : members.length === 0 && pageError ? (
+        <div className="member-status error">
+          {pageError}{' '}
+          <button className="clear-filters-btn small" onClick={() => fetchPage(null)}>
+            Try again
+          </button>
+        </div>
+      ) : members.length === 0 ? (
+        <div className="member-status">No members match your search.</div>
+      ) : (
+        <>
+          <div className="member-grid">
+            {members.map(member => {
+              const skills = (member.skills || []).filter(skill => skill.name);
+              const isOpenToWork = !member.availability || member.availability === 'AVAILABLE';
+              return (
+                <button
+                  key={member._id}
+                  type="button"
+                  className="member-card"
+                  onClick={() => onMemberClick(member._id)}
+                >
+                  <div className="member-card-header">
+                    <UserAvatar user={member} size="medium" />
+                    <div className="member-identity">
+                      <span className="member-name">{member.name}</span>
+                      {member.title && <span className="member-title">{member.title}</span>}
+                    </div>
+                    {isOpenToWork && <span className="member-open-badge">Open to work</span>}
+                  </div>
+
+                  {member.location && (
+                    <span className="member-location"><MapPin size={12} /> {member.location}</span>
+                  )}
+
+                  {skills.length > 0 && (
+                    <div className="member-skills">
+                      {skills.slice(0, MAX_SKILLS_SHOWN).map(skill => (
+                        <span key={skill.name} className="member-skill">{skill.name}</span>
+                      ))}
+                      {skills.length > MAX_SKILLS_SHOWN && (
+                        <span className="member-skill more">+{skills.length - MAX_SKILLS_SHOWN}</span>
+                      )}
+                    </div>
+                  )}
+
+                  {(member.mutualProjects || []).length > 0 && (
+                    <div className="member-mutual">
+                      <Briefcase size={12} />
+                      <span>
+                        {member.mutualProjects.length === 1
+                          ? `Also on ${member.mutualProjects[0].title}`
+                          : `${member.mutualProjects.length} projects in common: ${member.mutualProjects.map(project => project.title).join(', ')}`}
+                      </span>
+                    </div>
+                  )}
+                </button>
+              );
+            })}
+          </div>
+
+          <div ref={sentinelRef} className="member-sentinel" aria-hidden="true"></div>
+          {pageLoading && <div className="member-status">Loading more members...</div>}
+          {pageError && (
+            <div className="member-status error">
+              {pageError}{' '}
+              <button className="clear-filters-btn small" onClick={() => fetchPage(nextCursor)}>
+                Try again
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default MemberDirectory;
@@ -2,9 +2,10 @@ import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useState } from 'react';
 import { useAuth } from '../context/AuthContext';
 import { useNotifications } from '../context/NotificationContext';
-import { User, Plus, Menu, X, Bell, MessageCircle, Settings, LogOut } from 'lucide-react';
+import { User, Plus, Menu, X, Bell, MessageCircle, Settings, LogOut, Shield } from 'lucide-react';
 import NotificationModal from './NotificationModal';
 import UserAvatar from './UserAvatar';
+import { isModerator } from '../utils/roles';
 import './Navbar.css';
 
 // Navbar component handles navigation, user actions, and responsive menu
@@ -60,6 +61,16 @@ function Navbar({ onAuthClick, onCreateProject, onCollaborationClick }) {
               Projects
             </Link>
           </li>
+          {user && (
+            <li className="nav-item">
+              <Link 
+                to="/talent" 
+                className={`nav-link ${location.pathname === '/talent' ? 'active' : ''}`}
+              >
+                Find Talent
+              </Link>
+            </li>
+          )}
           <li className="nav-item">
             <Link 
               to="/hackathons" 
@@ -132,6 +143,13 @@ function Navbar({ onAuthClick, onCreateProject, onCollaborationClick }) {
                       <MessageCircle size={16} />
                       My Workspace
                     </button>
+                    {/* Moderator queue (moderators and admins) */}
+                    {isModerator(user) && (
+                      <Link to="/moderation" onClick={() => setShowUserMenu(false)} className="dropdown-item">
+                        <Shield size={16} />
+                        Moderation
+                      </Link>
+                    )}
 
                     {/* Settings Link */}
                     {/* <Link to="/settings" onClick={() => setShowUserMenu(false)} className="dropdown-item">
@@ -205,6 +223,17 @@ function Navbar({ onAuthClick, onCreateProject, onCollaborationClick }) {
                   Projects
                 </Link>
               </li>
+              {user && (
+                <li>
+                  <Link 
+                    to="/talent" 
+                    className={location.pathname === '/talent' ? 'active' : ''}
+                    onClick={() => setShowMobileMenu(false)}
+                  >
+                    Find Talent
+                  </Link>
+                </li>
+              )}
               <li>
                 <Link 
                   to="/hackathons" 
@@ -0,0 +1,247 @@
+import { useState, useEffect } from 'react';
+import { BellOff, Bell } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { useNotifications } from '../context/NotificationContext';
+import { authFetch } from '../utils/api';
+import './NotificationSettings.css';
+
+const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+const DIGEST_OPTIONS = [
+  { value: 'daily', label: 'Daily' },
+  { value: 'weekly', label: 'Weekly' },
+  { value: 'off', label: 'Off' }
+];
+
+const CHANNEL_LABELS = {
+  inApp: 'In-app',
+  toast: 'Pop-up',
+  email: 'Email'
+};
+
+// Grouped the way users think about them, not the way the backend names them
+const TYPE_GROUPS = [
+  {
+    title: 'Your projects',
+    types: {
+      NEW_APPLICATION: 'New applications',
+      APPLICATION_WITHDRAWN: 'Withdrawn applications',
+      MEMBER_QUIT: 'Members leaving'
+    }
+  },
+  {
+    title: 'Your applications',
+    types: {
+      APPLICATION_ACCEPTED: 'Accepted',
+      APPLICATION_REJECTED: 'Rejected',
+      APPLICATION_WAITLISTED: 'Waitlisted',
+      WAITLIST_PROMOTED: 'Promoted from the waitlist',
+      INVITATION_RECEIVED: 'Invitations to join',
+      MEMBER_REMOVED: 'Removed from a team'
+    }
+  },
+  {
+    title: 'Hackathons',
+    types: {
+      HACKATHON_REMINDER: 'Start and deadline reminders',
+      HACKATHON_TEAM_INVITE: 'Team invites',
+      HACKATHON_TEAM_UPDATED: 'Team changes',
+      HACKATHON_JUDGE_ASSIGNED: 'Judging assignments',
+      HACKATHON_CANCELLED: 'Cancellations'
+    }
+  },
+  {
+    title: 'Account',
+    types: {
+      MODERATION_WARNING: 'Moderator warnings'
+    }
+  }
+];
+
+// Per-type channel toggles and project muting for the signed-in user
+function NotificationSettings() {
+  const { user } = useAuth();
+  const { showToast } = useNotifications();
+  const userId = user?.id || user?._id;
+  const [preferences, setPreferences] = useState(null);
+  const [projects, setProjects] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!userId) return;
+
+    authFetch(`${apiBaseUrl}/api/users/${userId}/notification-preferences`)
+      .then(response => response.json())
+      .then(result => {
+        if (result.success) setPreferences(result.data);
+        else setError(result.message || 'Failed to load notification settings');
+      })
+      .catch(err => {
+        console.error('Error loading notification settings:', err);
+        setError('Failed to load notification settings');
+      });
+
+    authFetch(`${apiBaseUrl}/api/projects/user/${userId}`)
+      .then(response => response.json())
+      .then(result => {
+        if (result.success) {
+          setProjects([...result.data.owned, ...result.data.participating].map(project => ({
+            id: project._id,
+            title: project.title
+          })));
+        }
+      })
+      .catch(err => console.error('Error loading projects:', err));
+  }, [userId]);
+
+  if (!preferences) {
+    return (
+      <div className="settings-card">
+        <h3>Notification Settings</h3>
+        {error ? <p className="settings-message">{error}</p> : <p>Loading...</p>}
+      </div>
+    );
+  }
+
+  const mutedIds = preferences.mutedProjects.map(project => project.id);
+  // Muted projects the user has since left still need an unmute button
+  const projectList = [
+    ...projects,
+    ...preferences.mutedProjects.filter(muted => !projects.some(project => project.id === muted.id))
+  ];
+
+  const toggleChannel = (type, channel) => {
+    setPreferences(prev => ({
+      ...prev,
+      types: {
+        ...prev.types,
+        [type]: { ...prev.types[type], [channel]: !prev.types[type][channel] }
+      }
+    }));
+  };
+
+  const toggleMuted = (project) => {
+    setPreferences(prev => ({
+      ...prev,
+      mutedProjects: mutedIds.includes(project.id)
+        ? prev.mutedProjects.filter(muted => muted.id !== project.id)
+        : [...prev.mutedProjects, project]
+    }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const response = await authFetch(`${apiBaseUrl}/api/users/${userId}/notification-preferences`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ types: preferences.types, mutedProjects: mutedIds, digest: preferences.digest })
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to save notification settings');
+      }
+      setPreferences(result.data);
+      setError('');
+      showToast({ title: 'Notification settings saved', type: 'success' });
+    } catch (err) {
+      console.error('Error saving notification settings:', err);
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="settings-card">
+      <h3>Notification Settings</h3>
+      <p>Choose where each kind of notification reaches you.</p>
+
+      {error && <p className="settings-message">{error}</p>}
+      {!preferences.emailVerified && (
+        <p className="settings-message">Verify your email address to receive notifications and digests by email.</p>
+      )}
+
+      <table className="notification-prefs-table">
+        <thead>
+          <tr>
+            <th />
+            {preferences.channels.map(channel => <th key={channel}>{CHANNEL_LABELS[channel]}</th>)}
+          </tr>
+        </thead>
+        {TYPE_GROUPS.map(group => (
+          <tbody key={group.title}>
+            <tr className="notification-prefs-group">
+              <th colSpan={preferences.channels.length + 1}>{group.title}</th>
+            </tr>
+            {Object.entries(group.types).map(([type, label]) => (
+              <tr key={type}>
+                <td>{label}</td>
+                {preferences.channels.map(channel => {
+                  const required = channel === 'inApp' && preferences.requiredTypes.includes(type);
+                  return (
+                    <td key={channel}>
+                      <input
+                        type="checkbox"
+                        checked={Boolean(preferences.types[type]?.[channel])}
+                        disabled={required}
+                        title={required ? 'Always shown' : undefined}
+                        aria-label={`${label}: ${CHANNEL_LABELS[channel]}`}
+                        onChange={() => toggleChannel(type, channel)}
+                      />
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        ))}
+      </table>
+
+      <h4 className="notification-prefs-subtitle">Email digest</h4>
+      <p>A summary of unread notifications, new matching projects and applications waiting for your review.</p>
+      <div className="notification-digest-options">
+        {DIGEST_OPTIONS.map(option => (
+          <label key={option.value}>
+            <input
+              type="radio"
+              name="digest"
+              value={option.value}
+              checked={preferences.digest === option.value}
+              onChange={() => setPreferences(prev => ({ ...prev, digest: option.value }))}
+            />
+            {option.label}
+          </label>
+        ))}
+      </div>
+
+      <h4 className="notification-prefs-subtitle">Muted projects</h4>
+      <p>You won't get any notifications about a muted project.</p>
+      {projectList.length === 0 ? (
+        <p className="notification-prefs-empty">You're not part of any projects yet.</p>
+      ) : (
+        <ul className="notification-prefs-projects">
+          {projectList.map(project => {
+            const muted = mutedIds.includes(project.id);
+            return (
+              <li key={project.id} className={muted ? 'muted' : ''}>
+                <span>{project.title}</span>
+                <button className="notification-mute-btn" onClick={() => toggleMuted(project)}>
+                  {muted ? <BellOff size={16} /> : <Bell size={16} />}
+                  <span>{muted ? 'Unmute' : 'Mute'}</span>
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <button className="settings-btn" onClick={handleSave} disabled={saving}>
+        {saving ? 'Saving...' : 'Save Preferences'}
+      </button>
+    </div>
+  );
+}
+
+export default NotificationSettings;
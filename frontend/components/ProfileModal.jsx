@@ -1,5 +1,6 @@
 import { useState } from 'react';
 import UserAvatar from './UserAvatar';
+import ReportButton from './ReportButton';
 import './ProfileModal.css';
 import { X, Github, Linkedin, Globe, Mail } from 'lucide-react';
 
@@ -62,6 +63,13 @@ function ProfileModal({ user, onClose }) {
             <p className="profile-title">{user.title || getRoleDisplayTitle(user.role)}</p>
             {user.location && <p className="profile-location">{user.location}</p>}
           </div>
+          <ReportButton
+            targetType="user"
+            targetId={user._id || user.id}
+            ownerId={user._id || user.id}
+            className="profile-report-btn"
+            showLabel
+          />
         </div>
 
         {/* Profile navigation tabs */}
@@ -1,6 +1,7 @@
 import { Users, MapPin, Briefcase, Bookmark, Share2, Edit, Trash2, LogOut } from 'lucide-react';
 import { useProjects } from '../context/ProjectContext';
 import UserAvatar from './UserAvatar';
+import { getPositionAvailability, describeAvailability, countOpenSlots } from '../utils/positions';
 import './ProjectCard.css';
 
 function ProjectCard({ project, onClick, isOwned, isParticipating, onEdit, onDelete, onLeave }) {
@@ -38,6 +39,9 @@ function ProjectCard({ project, onClick, isOwned, isParticipating, onEdit, onDel
   const teamMembers = Array.isArray(project.teamMembers) ? project.teamMembers : [];
   const founder = teamMembers.find(member => member?.role === "Founder") || teamMembers[0] || {};
   
+  // Seats still open across all positions
+  const openSlots = countOpenSlots(project);
+
   // Get the first initial of the founder's name
   const getInitial = (name) => {
     return name ? name.charAt(0) : "?";
@@ -91,19 +95,26 @@ function ProjectCard({ project, onClick, isOwned, isParticipating, onEdit, onDel
         </div>
         <div className="meta-item">
           <Briefcase size={18} />
-          <span>{Array.isArray(project.openPositions) ? project.openPositions.length : 0} open positions</span>
+          <span>
+            {Array.isArray(project.openPositions) ? project.openPositions.length : 0} open positions
+            {' · '}{openSlots} {openSlots === 1 ? 'spot' : 'spots'} left
+          </span>
         </div>
       </div>
       
       <div className="project-positions">
-        {project.openPositions && Array.isArray(project.openPositions) && project.openPositions.slice(0, 3).map((position, index) => (
-          <span key={index} className="position-tag">
-            {position.role}
-            <span className={`position-status ${position.isPaid ? 'paid' : 'unpaid'}`}>
-              {position.isPaid ? 'Paid' : 'Unpaid'}
+        {project.openPositions && Array.isArray(project.openPositions) && project.openPositions.slice(0, 3).map((position, index) => {
+          const availability = getPositionAvailability(project, position);
+          return (
+            <span key={index} className={`position-tag ${availability.isOpen ? '' : 'closed'}`}>
+              {position.role}
+              <span className={`position-status ${position.isPaid ? 'paid' : 'unpaid'}`}>
+                {position.isPaid ? 'Paid' : 'Unpaid'}
+              </span>
+              <span className="position-slots">{describeAvailability(availability)}</span>
             </span>
-          </span>
-        ))}
+          );
+        })}
         {project.openPositions && Array.isArray(project.openPositions) && project.openPositions.length > 3 && (
           <span className="position-tag more">+{project.openPositions.length - 3}</span>
         )}
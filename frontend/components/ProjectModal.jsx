@@ -5,6 +5,8 @@ import { useAuth } from '../context/AuthContext';
 import { useProjects } from '../context/ProjectContext';
 import { useNotifications } from '../context/NotificationContext';
 import UserAvatar from './UserAvatar';
+import ReportButton from './ReportButton';
+import { getPositionAvailability, describeAvailability } from '../utils/positions';
 import './ProjectModal.css';
 
 function ProjectModal({ project, onClose }) {
@@ -14,8 +16,11 @@ function ProjectModal({ project, onClose }) {
   const [selectedPosition, setSelectedPosition] = useState(null);
   const [applicationData, setApplicationData] = useState({
     message: '',
-    resume: null
+    resume: null,
+    answers: {}
   });
+  // Server-side problems with screening answers, keyed by question id
+  const [answerErrors, setAnswerErrors] = useState({});
   const [existingApplications, setExistingApplications] = useState({});
   const [invitations, setInvitations] = useState([]);
 
@@ -77,6 +82,9 @@ function ProjectModal({ project, onClose }) {
     e.preventDefault();
     if (!user || !selectedPosition) return;
 
+    // A filled position only takes waitlist entries
+    const joinWaitlist = getPositionAvailability(project, selectedPosition).closedReason === 'FILLED';
+
     const result = await applyToProject(project.id, {
       userId: user.id,
       applicantName: user.name,
@@ -87,6 +95,8 @@ function ProjectModal({ project, onClose }) {
       resumeUrl: applicationData.resume ? URL.createObjectURL(applicationData.resume) : null,
       position: selectedPosition.role,
       positionId: selectedPosition._id || selectedPosition.id, // Include positionId
+      screeningAnswers: applicationData.answers,
+      joinWaitlist,
       projectName: project.title,
       skills: selectedPosition.skills || [],
       userDetails: {
@@ -114,7 +124,7 @@ function ProjectModal({ project, onClose }) {
         [appliedRole]: {
           hasApplied: true,
           application: {
-            status: 'PENDING',
+            status: result.status || 'PENDING',
             position: appliedRole,
             message: applicationData.message,
           },
@@ -123,18 +133,22 @@ function ProjectModal({ project, onClose }) {
       }));
 
       setShowApplicationForm(false);
-      setApplicationData({ message: '', resume: null });
+      setApplicationData({ message: '', resume: null, answers: {} });
+      setAnswerErrors({});
       setSelectedPosition(null);
       showToast({
         type: 'success',
-        title: 'Application submitted',
-        description: `You applied for '${selectedPosition.role}' on '${project.title}'. Track it in Dashboard → Applications → Sent.`,
+        title: result.status === 'WAITLISTED' ? 'Added to the waitlist' : 'Application submitted',
+        description: result.status === 'WAITLISTED'
+          ? `You're on the waitlist for '${selectedPosition.role}' on '${project.title}'. We'll let you know if a spot opens up.`
+          : `You applied for '${selectedPosition.role}' on '${project.title}'. Track it in Dashboard → Applications → Sent.`,
         action: {
           label: 'View My Applications',
           onClick: () => { onClose(); navigate('/dashboard', { state: { tab: 'applications', subTab: 'sent' } }); }
         }
       });
     } else {
+      setAnswerErrors(Object.fromEntries((result.answerErrors || []).map(err => [err.questionId, err.message])));
       showToast({
         type: 'error',
         title: 'Application failed',
@@ -145,9 +159,55 @@ function ProjectModal({ project, onClose }) {
 
   const handlePositionSelect = (position) => {
     setSelectedPosition(position);
+    setApplicationData(prev => ({ ...prev, answers: {} }));
+    setAnswerErrors({});
     setShowApplicationForm(true);
   };
 
+  const handleAnswerChange = (questionId, value) => {
+    setApplicationData(prev => ({
+      ...prev,
+      answers: { ...prev.answers, [questionId]: value }
+    }));
+    setAnswerErrors(prev => ({ ...prev, [questionId]: undefined }));
+  };
+
+  // Input for one screening question, by answer type
+  const renderQuestionInput = (question) => {
+    const value = applicationData.answers[question._id] || '';
+    const onChange = (e) => handleAnswerChange(question._id, e.target.value);
+
+    switch (question.type) {
+      case 'LONG_TEXT':
+        return <textarea value={value} onChange={onChange} rows={3} required={question.required} />;
+      case 'MULTIPLE_CHOICE':
+      case 'YES_NO': {
+        const options = question.type === 'YES_NO' ? ['Yes', 'No'] : question.options;
+        return (
+          <div className="screening-options">
+            {options.map(option => (
+              <label key={option} className="screening-option">
+                <input
+                  type="radio"
+                  name={`question-${question._id}`}
+                  value={option}
+                  checked={value === option}
+                  onChange={onChange}
+                  required={question.required}
+                />
+                {option}
+              </label>
+            ))}
+          </div>
+        );
+      }
+      case 'URL':
+        return <input type="url" value={value} onChange={onChange} placeholder="https://" required={question.required} />;
+      default:
+        return <input type="text" value={value} onChange={onChange} maxLength={300} required={question.required} />;
+    }
+  };
+
   const handleFileUpload = (e) => {
     const file = e.target.files[0];
     setApplicationData(prev => ({
@@ -303,6 +363,7 @@ function ProjectModal({ project, onClose }) {
                 })
               }
               {(project.openPositions || []).map((position, index) => {
+                const availability = getPositionAvailability(project, position);
                 const appData = existingApplications[position.role];
                 const hasActiveApplication = appData?.hasApplied || false;
                 const existingApp = appData?.application;
@@ -320,13 +381,19 @@ function ProjectModal({ project, onClose }) {
                   // User has an active PENDING, ACCEPTED, or INVITED application
                   const statusMap = {
                     PENDING:  { icon: <Clock size={15} />,        text: 'Your application is under review' },
+                    WAITLISTED: {
+                      icon: <Clock size={15} />,
+                      text: existingApp.waitlistRank
+                        ? `You are #${existingApp.waitlistRank} on the waitlist`
+                        : 'You are on the waitlist'
+                    },
                     ACCEPTED: { icon: <CheckCircle size={15} />,  text: 'You are part of this team' },
                     INVITED:  { icon: '🎉', text: `You have been invited by the Founder for the '${position.role}' position` }
                   };
                   const s = statusMap[existingApp.status] || statusMap.PENDING;
                   statusMessage = { icon: s.icon, text: s.text, showLink: true, isPrevious: false };
                 } else if (previousApp) {
-                  // User has a previous REJECTED, QUIT, or REMOVED application
+                  // User has a previous REJECTED, QUIT, REMOVED, or WITHDRAWN application
                   const statusMap = {
                     'REJECTED': {
                       icon: '✕',
@@ -343,6 +410,11 @@ function ProjectModal({ project, onClose }) {
                       text: 'You were removed from this position. You can reapply.',
                       variant: 'removed'
                     },
+                    'WITHDRAWN': {
+                      icon: '↩',
+                      text: 'You withdrew your previous application. You can apply again.',
+                      variant: 'previous'
+                    },
                   };
                   const s = statusMap[previousApp.status] || { icon: '🔄', text: 'You can apply for this position.', variant: 'previous' };
 
@@ -363,6 +435,16 @@ function ProjectModal({ project, onClose }) {
                         {position.isPaid ? 'Paid' : 'Unpaid'}
                       </span>
                     </div>
+                    <div className={`position-availability ${availability.isOpen ? '' : 'closed'}`}>
+                      <Users size={14} />
+                      <span>{describeAvailability(availability)}</span>
+                      {position.deadline && availability.closedReason !== 'FILLED' && (
+                        <span>
+                          · {availability.closedReason === 'EXPIRED' ? 'Deadline was' : 'Apply by'}{' '}
+                          {new Date(position.deadline).toLocaleDateString()}
+                        </span>
+                      )}
+                    </div>
                     <div className="position-skills">
                       {(position.skills || []).map((skill, skillIndex) => (
                         <span key={skillIndex} className="skill-tag small">{skill}</span>
@@ -373,10 +455,12 @@ function ProjectModal({ project, onClose }) {
                         <button
                           className="apply-position-btn"
                           onClick={() => handlePositionSelect(position)}
-                          disabled={hasActiveApplication || disabledByTeamMembership}
+                          disabled={hasActiveApplication || disabledByTeamMembership || availability.closedReason === 'EXPIRED'}
                           title={disabledByTeamMembership ? 'You are already part of this team' : ''}
                         >
-                          {previousApp && !hasActiveApplication ? 'Reapply for this position' : 'Apply for this position'}
+                          {availability.closedReason === 'EXPIRED' ? 'Applications closed'
+                            : availability.closedReason === 'FILLED' ? 'Join the waitlist'
+                            : previousApp && !hasActiveApplication ? 'Reapply for this position' : 'Apply for this position'}
                         </button>
 
 
@@ -456,6 +540,12 @@ function ProjectModal({ project, onClose }) {
           <div className="project-header-info">
             <h2>{project.title}</h2>
             <span className="project-stage-badge">{project.stage}</span>
+            <ReportButton
+              targetType="project"
+              targetId={project._id || project.id}
+              ownerId={project.ownerId?._id || project.ownerId}
+              showLabel
+            />
           </div>
           <button className="close-btn" onClick={onClose}>
             <X size={24} />
@@ -498,7 +588,11 @@ function ProjectModal({ project, onClose }) {
               }}>
                 <X size={20} />
               </button>
-              <h3>Apply for {selectedPosition?.role} position in {project.title}</h3>
+              <h3>
+                {selectedPosition && getPositionAvailability(project, selectedPosition).closedReason === 'FILLED'
+                  ? `Join the waitlist for ${selectedPosition.role} in ${project.title}`
+                  : `Apply for ${selectedPosition?.role} position in ${project.title}`}
+              </h3>
               <form onSubmit={handleApplicationSubmit}>
                 <div className="form-group">
                   <label>Position</label>
@@ -524,6 +618,19 @@ function ProjectModal({ project, onClose }) {
                   />
                 </div>
 
+                {selectedPosition?.questions?.map(question => (
+                  <div key={question._id} className="form-group screening-question">
+                    <label>
+                      {question.prompt}
+                      {question.required ? ' *' : ' (Optional)'}
+                    </label>
+                    {renderQuestionInput(question)}
+                    {answerErrors[question._id] && (
+                      <span className="screening-error">{answerErrors[question._id]}</span>
+                    )}
+                  </div>
+                ))}
+
                 <div className="form-group">
                   <label>Upload Resume (Optional)</label>
                   <div className="file-upload">
@@ -1,11 +1,13 @@
 import { Navigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 
-export default function ProtectedRoute({ children }) {
+// Signed-in users only; with `roles`, only users holding one of them
+export default function ProtectedRoute({ children, roles }) {
   const { user, loading } = useAuth();
   
   if (loading) return null;
   if (!user) return <Navigate to="/" replace />;
+  if (roles && !roles.includes(user.role)) return <Navigate to="/" replace />;
   
   return children;
 }
@@ -0,0 +1,149 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { Sparkles, ChevronDown, ChevronUp, DollarSign } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { useProjects } from '../context/ProjectContext';
+import { authFetch } from '../utils/api';
+import { describeAvailability } from '../utils/positions';
+import './RecommendedProjects.css';
+
+const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+// Profile fields that improve the matches, in the order we suggest them
+const PROFILE_HINTS = [
+  ['hasSkills', 'skills'],
+  ['hasPreferredStages', 'preferred project stages'],
+  ['hasLocation', 'your location']
+];
+
+// Open positions that match the signed-in user's profile, with the reasons
+// behind each score
+function RecommendedProjects({ onProjectClick, limit = 6 }) {
+  const { user } = useAuth();
+  const { applications } = useProjects();
+  const [recommendations, setRecommendations] = useState([]);
+  const [profile, setProfile] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [expanded, setExpanded] = useState(null);
+
+  const userId = user?.id || user?._id;
+
+  const fetchRecommendations = useCallback(async () => {
+    if (!userId) return;
+    try {
+      const response = await authFetch(`${apiBaseUrl}/api/users/${userId}/recommendations?limit=${limit}`);
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to load recommendations');
+      }
+      setRecommendations(result.data.recommendations);
+      setProfile(result.data.profile);
+      setError('');
+    } catch (err) {
+      console.error('Error loading recommendations:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [userId, limit]);
+
+  // Refetch after applying so positions the user applied for drop out
+  useEffect(() => {
+    fetchRecommendations();
+  }, [fetchRecommendations, applications]);
+
+  if (!userId) return null;
+
+  const missing = profile
+    ? PROFILE_HINTS.filter(([flag]) => !profile[flag]).map(([, label]) => label)
+    : [];
+
+  const renderBody = () => {
+    if (loading) return <p className="recommended-status">Finding projects for you...</p>;
+    if (error) return <p className="recommended-status error">{error}</p>;
+    if (recommendations.length === 0) {
+      return (
+        <p className="recommended-status">
+          {profile?.hasSkills
+            ? 'No open positions match your skills right now. Check back soon.'
+            : 'Add skills to your profile to get project recommendations.'}
+        </p>
+      );
+    }
+
+    return (
+      <div className="recommended-grid">
+        {recommendations.map(({ project, position, score, factors }) => {
+          const key = `${project._id}-${position._id}`;
+          const isExpanded = expanded === key;
+          return (
+            <div key={key} className="recommended-card">
+              <button
+                className="recommended-main"
+                onClick={() => onProjectClick?.({ ...project, id: project._id })}
+              >
+                <div className="recommended-header">
+                  <span className="recommended-role">{position.role}</span>
+                  <span className="recommended-score" title="Match score">{score}%</span>
+                </div>
+                <span className="recommended-project">{project.title}</span>
+                <div className="recommended-meta">
+                  <span>{project.stage}</span>
+                  <span>{project.industry}</span>
+                  {position.isPaid && (
+                    <span className="recommended-paid"><DollarSign size={12} /> Paid</span>
+                  )}
+                  <span>{describeAvailability(position.availability)}</span>
+                </div>
+              </button>
+
+              <button
+                className="recommended-why-btn"
+                onClick={() => setExpanded(isExpanded ? null : key)}
+                aria-expanded={isExpanded}
+              >
+                Why this match
+                {isExpanded ? <ChevronUp size={14} /> : <ChevronDown size={14} />}
+              </button>
+
+              {isExpanded && (
+                <ul className="recommended-factors">
+                  {factors.map(factor => (
+                    <li key={factor.factor}>
+                      <div className="recommended-factor-header">
+                        <span>{factor.label}</span>
+                        <span>{Math.round(factor.points)} / {factor.weight}</span>
+                      </div>
+                      <div className="recommended-factor-bar">
+                        <div style={{ width: `${Math.round(factor.score * 100)}%` }} />
+                      </div>
+                      <p>{factor.explanation}</p>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    );
+  };
+
+  return (
+    <section className="recommended-section">
+      <div className="recommended-title">
+        <Sparkles size={20} />
+        <h2>Recommended for you</h2>
+      </div>
+      {missing.length > 0 && (
+        <p className="recommended-hint">
+          Add {missing.join(', ')} on your <Link to="/profile">profile</Link> for better matches.
+        </p>
+      )}
+      {renderBody()}
+    </section>
+  );
+}
+
+export default RecommendedProjects;
@@ -0,0 +1,150 @@
+import { useState } from 'react';
+import { Flag, X } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { useNotifications } from '../context/NotificationContext';
+import { authFetch } from '../utils/api';
+import './ReportButton.css';
+
+const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+// Matches REPORT_REASONS on the backend
+const REPORT_REASONS = [
+  { value: 'SPAM', label: 'Spam or advertising' },
+  { value: 'HARASSMENT', label: 'Harassment or bullying' },
+  { value: 'HATE_SPEECH', label: 'Hate speech' },
+  { value: 'INAPPROPRIATE', label: 'Inappropriate content' },
+  { value: 'MISINFORMATION', label: 'Misleading or false information' },
+  { value: 'OTHER', label: 'Something else' }
+];
+
+const TARGET_LABELS = {
+  post: 'post',
+  comment: 'comment',
+  project: 'project',
+  user: 'profile'
+};
+
+const MAX_DETAILS_LENGTH = 1000;
+
+function ReportModal({ targetType, targetId, onClose }) {
+  const { showToast } = useNotifications();
+  const [reason, setReason] = useState('');
+  const [details, setDetails] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!reason) {
+      setError('Please choose a reason');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const response = await authFetch(`${apiBaseUrl}/api/reports`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ targetType, targetId, reason, details: details.trim() })
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to send report');
+      }
+      showToast({ type: 'success', title: 'Report sent', description: result.message });
+      onClose();
+    } catch (err) {
+      console.error('Error sending report:', err);
+      setError(err.message);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    // Clicks stop here so a report opened from a clickable card doesn't open the card
+    <div className="report-modal-overlay" onClick={(e) => { e.stopPropagation(); onClose(); }}>
+      <form className="report-modal" onClick={(e) => e.stopPropagation()} onSubmit={handleSubmit}>
+        <div className="report-modal-header">
+          <h3>Report {TARGET_LABELS[targetType]}</h3>
+          <button type="button" className="report-close-btn" onClick={onClose} aria-label="Close">
+            <X size={18} />
+          </button>
+        </div>
+
+        <p className="report-modal-hint">
+          Reports are private. A moderator will review this {TARGET_LABELS[targetType]} against the community guidelines.
+        </p>
+
+        <div className="report-reasons">
+          {REPORT_REASONS.map(option => (
+            <label key={option.value} className={`report-reason ${reason === option.value ? 'selected' : ''}`}>
+              <input
+                type="radio"
+                name="report-reason"
+                value={option.value}
+                checked={reason === option.value}
+                onChange={() => { setReason(option.value); setError(''); }}
+              />
+              {option.label}
+            </label>
+          ))}
+        </div>
+
+        <textarea
+          className="report-details"
+          placeholder="Anything else the moderators should know? (optional)"
+          value={details}
+          maxLength={MAX_DETAILS_LENGTH}
+          onChange={(e) => setDetails(e.target.value)}
+          rows={3}
+        />
+
+        {error && <p className="report-error">{error}</p>}
+
+        <div className="report-modal-actions">
+          <button type="button" className="report-cancel-btn" onClick={onClose}>Cancel</button>
+          <button type="submit" className="report-submit-btn" disabled={submitting}>
+            {submitting ? 'Sending...' : 'Send report'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+/**
+ * Flag button that opens the report form for a post, comment, project or
+ * profile. Hidden for signed-out users and on the user's own content.
+ *
+ * @param {Object} props
+ * @param {'post'|'comment'|'project'|'user'} props.targetType - What is reported
+ * @param {string} props.targetId - ID of the reported item
+ * @param {string} [props.ownerId] - Author or owner of the item
+ * @param {string} [props.className] - Extra class for the button
+ * @param {boolean} [props.showLabel] - Show "Report" next to the icon
+ */
+function ReportButton({ targetType, targetId, ownerId, className = '', showLabel = false }) {
+  const { user } = useAuth();
+  const [open, setOpen] = useState(false);
+
+  const userId = user?.id || user?._id;
+  if (!userId || !targetId || (ownerId && String(ownerId) === String(userId))) return null;
+
+  return (
+    <>
+      <button
+        type="button"
+        className={`report-btn ${className}`}
+        onClick={(e) => { e.stopPropagation(); setOpen(true); }}
+        title={`Report this ${TARGET_LABELS[targetType]}`}
+        aria-label={`Report this ${TARGET_LABELS[targetType]}`}
+      >
+        <Flag size={14} />
+        {showLabel && <span>Report</span>}
+      </button>
+      {open && <ReportModal targetType={targetType} targetId={targetId} onClose={() => setOpen(false)} />}
+    </>
+  );
+}
+
+export default ReportButton;
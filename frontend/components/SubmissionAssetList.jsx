@@ -0,0 +1,74 @@
+import { Paperclip, Trash2 } from 'lucide-react';
+import { authFetch } from '../utils/api';
+import './HackathonJudging.css';
+
+const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+const formatSize = (bytes) => (bytes >= 1024 * 1024
+  ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+  : `${Math.max(1, Math.round(bytes / 1024))} KB`);
+
+/**
+ * Files attached to a hackathon submission, with downloads and, for the
+ * entrant while submissions are open, a remove button.
+ *
+ * @param {Object} props
+ * @param {string} props.hackathonId
+ * @param {Object} props.submission - Submission with its assets
+ * @param {Function} [props.onRemove] - Called with an asset to remove it
+ * @param {Function} [props.onError] - Called with an error message
+ */
+function SubmissionAssetList({ hackathonId, submission, onRemove, onError }) {
+  if (!submission.assets?.length) return null;
+
+  // Downloads need the auth header, so fetch the bytes and save them from a blob URL
+  const handleDownload = async (asset) => {
+    try {
+      const response = await authFetch(
+        `${apiBaseUrl}/api/hackathons/${hackathonId}/submissions/${submission._id}/assets/${asset._id}`
+      );
+      if (!response.ok) {
+        const result = await response.json().catch(() => ({}));
+        throw new Error(result.message || 'Failed to download file');
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = asset.originalName;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error downloading submission file:', err);
+      onError?.(err.message);
+    }
+  };
+
+  return (
+    <div className="submission-assets">
+      {submission.assets.map(asset => (
+        <div key={asset._id} className="submission-asset">
+          <Paperclip size={14} />
+          <button type="button" className="link" onClick={() => handleDownload(asset)}>
+            {asset.originalName}
+          </button>
+          <span className="judging-muted">{formatSize(asset.size)}</span>
+          {onRemove && (
+            <button
+              type="button"
+              className="judging-icon-btn"
+              onClick={() => onRemove(asset)}
+              aria-label={`Remove ${asset.originalName}`}
+            >
+              <Trash2 size={14} />
+            </button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default SubmissionAssetList;
@@ -1,132 +1,309 @@
-import { useState, useEffect, useRef } from 'react';
-import { Send, Paperclip, ThumbsUp, MessageCircle } from 'lucide-react';
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { Send, Paperclip, ThumbsUp, MessageCircle, Edit2, Trash2, CornerUpLeft, X } from 'lucide-react';
 import UserAvatar from '../UserAvatar';
 import { useAuth } from '../../context/AuthContext';
+import { getSocket, joinProjectRoom, leaveProjectRoom } from '../../utils/socket';
+import { authFetch } from '../../utils/api';
 import './Tabs.css';
 
+const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+const LIKE_EMOJI = '👍';
+
 function ChatTab({ project }) {
   const [message, setMessage] = useState('');
   const [messages, setMessages] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [replyTo, setReplyTo] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [editText, setEditText] = useState('');
   const messagesEndRef = useRef(null);
   const { user } = useAuth();
 
-  // Load messages from localStorage on component mount
-  useEffect(() => {
-    const loadMessages = () => {
-      const projectKey = project ? `chat_messages_${project.id}` : 'chat_messages_general';
-      const storedMessages = localStorage.getItem(projectKey);
+  const userId = user?.id || user?._id;
+  const projectId = project?.id || project?._id;
 
-      if (storedMessages) {
-        setMessages(JSON.parse(storedMessages));
-      }
-      // Removed hardcoded sample messages
-    };
+  const scrollToBottom = () => {
+    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  };
 
-    loadMessages();
-  }, [project]);
+  // Fetch a page of history; without a cursor this loads the latest page
+  const fetchMessages = useCallback(async (cursor = null) => {
+    if (!projectId || !userId) return;
+    setLoading(true);
+    try {
+      const query = cursor ? `?before=${encodeURIComponent(cursor)}` : '';
+      const res = await authFetch(`${apiBaseUrl}/api/projects/${projectId}/messages${query}`);
+      const result = await res.json();
+      if (!res.ok || !result.success) {
+        throw new Error(result.message || 'Failed to load messages');
+      }
 
-  // Save messages to localStorage whenever messages change
-  useEffect(() => {
-    if (messages.length > 0) {
-      const projectKey = project ? `chat_messages_${project.id}` : 'chat_messages_general';
-      localStorage.setItem(projectKey, JSON.stringify(messages));
+      const { messages: page, hasMore: more, nextCursor: next } = result.data;
+      setMessages(prev => (cursor ? [...page, ...prev] : page));
+      setHasMore(more);
+      setNextCursor(next);
+      setError('');
+      if (!cursor) setTimeout(scrollToBottom, 100);
+    } catch (err) {
+      console.error('Error loading chat messages:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
     }
-  }, [messages, project]);
+  }, [projectId, userId]);
 
-  // Scroll to bottom when messages change
+  // Load history and subscribe to live updates for the selected project
   useEffect(() => {
-    scrollToBottom();
-  }, [messages]);
+    setMessages([]);
+    setReplyTo(null);
+    setEditingId(null);
+    if (!projectId || !userId) return;
 
-  const scrollToBottom = () => {
-    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-  };
+    fetchMessages();
+
+    const socket = getSocket();
+    joinProjectRoom(projectId);
+
+    const belongsHere = (msg) => msg?.projectId?.toString() === projectId.toString();
+
+    const handleNew = (msg) => {
+      if (!belongsHere(msg)) return;
+      setMessages(prev => (prev.some(m => m._id === msg._id) ? prev : [...prev, msg]));
+      setTimeout(scrollToBottom, 100);
+    };
+
+    const handleUpdated = (msg) => {
+      if (!belongsHere(msg)) return;
+      setMessages(prev => prev.map(m => (m._id === msg._id ? msg : m)));
+    };
+
+    const handleDeleted = ({ _id, projectId: pid }) => {
+      if (pid?.toString() !== projectId.toString()) return;
+      setMessages(prev => prev.map(m => (m._id === _id ? { ...m, isDeleted: true, content: '', reactions: [] } : m)));
+    };
+
+    socket.on('message:new', handleNew);
+    socket.on('message:updated', handleUpdated);
+    socket.on('message:deleted', handleDeleted);
+
+    return () => {
+      socket.off('message:new', handleNew);
+      socket.off('message:updated', handleUpdated);
+      socket.off('message:deleted', handleDeleted);
+      leaveProjectRoom(projectId);
+    };
+  }, [projectId, userId, fetchMessages]);
 
-  // Format timestamp
-  const formatTimestamp = () => {
-    const now = new Date();
-    return now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  const formatTimestamp = (dateString) => {
+    const date = new Date(dateString);
+    const sameDay = date.toDateString() === new Date().toDateString();
+    const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    return sameDay ? time : `${date.toLocaleDateString()} ${time}`;
   };
 
-  const handleSendMessage = (e) => {
+  const handleSendMessage = async (e) => {
     e.preventDefault();
-    if (message.trim() && user) {
-      // Create new message object
-      const newMessage = {
-        id: Date.now(),
-        user: user.name || 'Anonymous',
-        message: message.trim(),
-        timestamp: formatTimestamp(),
-        avatar: user.avatar || '/api/placeholder/32/32',
-        likes: 0,
-        replies: 0,
-        createdAt: new Date().toISOString(),
-        projectId: project?.id || null
-      };
-
-      // Add message to the messages array
-      setMessages(prevMessages => [...prevMessages, newMessage]);
-
-      // Clear input
-      setMessage('');
-
-      // Scroll to bottom after sending message
+    if (!message.trim() || !user || !projectId) return;
+
+    const content = message.trim();
+    setMessage('');
+
+    try {
+      const res = await authFetch(`${apiBaseUrl}/api/projects/${projectId}/messages`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          content,
+          replyTo: replyTo?._id || null
+        }),
+      });
+      const result = await res.json();
+      if (!res.ok || !result.success) {
+        throw new Error(result.message || 'Failed to send message');
+      }
+
+      // The socket broadcast usually arrives first; dedupe by id either way
+      setMessages(prev => (prev.some(m => m._id === result.data._id) ? prev : [...prev, result.data]));
+      setReplyTo(null);
       setTimeout(scrollToBottom, 100);
+    } catch (err) {
+      console.error('Error sending message:', err);
+      setError(err.message);
+      setMessage(content);
+    }
+  };
+
+  const handleSaveEdit = async (messageId) => {
+    if (!editText.trim()) return;
+    try {
+      const res = await authFetch(`${apiBaseUrl}/api/projects/${projectId}/messages/${messageId}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ content: editText.trim() }),
+      });
+      const result = await res.json();
+      if (!res.ok || !result.success) {
+        throw new Error(result.message || 'Failed to edit message');
+      }
+      setMessages(prev => prev.map(m => (m._id === messageId ? result.data : m)));
+      setEditingId(null);
+      setEditText('');
+    } catch (err) {
+      console.error('Error editing message:', err);
+      setError(err.message);
+    }
+  };
+
+  const handleDeleteMessage = async (messageId) => {
+    if (!window.confirm('Delete this message?')) return;
+    try {
+      const res = await authFetch(
+        `${apiBaseUrl}/api/projects/${projectId}/messages/${messageId}`,
+        { method: 'DELETE' }
+      );
+      const result = await res.json();
+      if (!res.ok || !result.success) {
+        throw new Error(result.message || 'Failed to delete message');
+      }
+      setMessages(prev => prev.map(m => (m._id === messageId ? { ...m, isDeleted: true, content: '', reactions: [] } : m)));
+    } catch (err) {
+      console.error('Error deleting message:', err);
+      setError(err.message);
     }
   };
 
-  // Handle message like
-  const handleLikeMessage = (messageId) => {
-    setMessages(prevMessages =>
-      prevMessages.map(msg =>
-        msg.id === messageId
-          ? { ...msg, likes: msg.likes + 1 }
-          : msg
-      )
-    );
+  // Toggle the current user's like on a message
+  const handleLikeMessage = async (messageId) => {
+    try {
+      const res = await authFetch(`${apiBaseUrl}/api/projects/${projectId}/messages/${messageId}/reactions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ emoji: LIKE_EMOJI }),
+      });
+      const result = await res.json();
+      if (res.ok && result.success) {
+        setMessages(prev => prev.map(m => (m._id === messageId ? result.data : m)));
+      }
+    } catch (err) {
+      console.error('Error reacting to message:', err);
+    }
   };
 
+  const getLikes = (msg) => (msg.reactions || []).filter(r => r.emoji === LIKE_EMOJI);
+  const isOwnMessage = (msg) => msg.senderId?.toString() === userId?.toString();
+
   return (
     <div className="chat-section">
       <div className="chat-messages scrollable">
-        {messages.length === 0 ? (
+        {hasMore && (
+          <button
+            className="load-earlier-btn"
+            onClick={() => fetchMessages(nextCursor)}
+            disabled={loading}
+          >
+            {loading ? 'Loading...' : 'Load earlier messages'}
+          </button>
+        )}
+
+        {error && <div className="chat-error">{error}</div>}
+
+        {messages.length === 0 && !loading ? (
           <div className="empty-chat-state">
             <MessageCircle size={48} className="empty-icon" />
             <h3>No messages yet</h3>
             <p>Start the conversation by sending your first message</p>
           </div>
         ) : (
-          messages.map((msg) => (
-            <div key={msg.id} className="chat-message">
-              <div className="avatar-container">
-                <UserAvatar user={{ name: msg.user }} size="small" />
-              </div>
-              <div className="message-content">
-                <div className="message-header">
-                  <span className="message-user">{msg.user}</span>
-                  <span className="message-time">{msg.timestamp}</span>
+          messages.map((msg) => {
+            const likes = getLikes(msg);
+            const likedByMe = likes.some(r => r.userId?.toString() === userId?.toString());
+
+            return (
+              <div key={msg._id} className="chat-message">
+                <div className="avatar-container">
+                  <UserAvatar user={{ name: msg.senderName }} size="small" />
                 </div>
-                <p className="message-text">{msg.message}</p>
-                <div className="message-actions">
-                  <button
-                    className="message-action"
-                    onClick={() => handleLikeMessage(msg.id)}
-                  >
-                    <ThumbsUp size={16} />
-                    <span>{msg.likes} Like</span>
-                  </button>
-                  {/* <button className="message-action">
-                    <MessageCircle size={16} />
-                    <span>{msg.replies} Replies</span>
-                  </button> */}
+                <div className="message-content">
+                  <div className="message-header">
+                    <span className="message-user">{msg.senderName}</span>
+                    <span className="message-time">{formatTimestamp(msg.createdAt)}</span>
+                    {msg.editedAt && !msg.isDeleted && <span className="message-edited">(edited)</span>}
+                  </div>
+
+                  {msg.replyTo && (
+                    <div className="message-reply-quote">
+                      <span className="message-user">{msg.replyTo.senderName}</span>
+                      <span>{msg.replyTo.content || 'Message deleted'}</span>
+                    </div>
+                  )}
+
+                  {msg.isDeleted ? (
+                    <p className="message-text message-deleted">This message was deleted</p>
+                  ) : editingId === msg._id ? (
+                    <div className="message-edit">
+                      <input
+                        type="text"
+                        value={editText}
+                        onChange={(e) => setEditText(e.target.value)}
+                        autoFocus
+                      />
+                      <button className="message-action" onClick={() => handleSaveEdit(msg._id)}>Save</button>
+                      <button className="message-action" onClick={() => setEditingId(null)}>Cancel</button>
+                    </div>
+                  ) : (
+                    <p className="message-text">{msg.content}</p>
+                  )}
+
+                  {!msg.isDeleted && (
+                    <div className="message-actions">
+                      <button
+                        className={`message-action ${likedByMe ? 'active' : ''}`}
+                        onClick={() => handleLikeMessage(msg._id)}
+                      >
+                        <ThumbsUp size={16} />
+                        <span>{likes.length} Like</span>
+                      </button>
+                      <button className="message-action" onClick={() => setReplyTo(msg)}>
+                        <CornerUpLeft size={16} />
+                        <span>Reply</span>
+                      </button>
+                      {isOwnMessage(msg) && (
+                        <>
+                          <button
+                            className="message-action"
+                            onClick={() => { setEditingId(msg._id); setEditText(msg.content); }}
+                          >
+                            <Edit2 size={16} />
+                            <span>Edit</span>
+                          </button>
+                          <button className="message-action" onClick={() => handleDeleteMessage(msg._id)}>
+                            <Trash2 size={16} />
+                            <span>Delete</span>
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  )}
                 </div>
               </div>
-            </div>
-          ))
+            );
+          })
         )}
         <div ref={messagesEndRef} />
       </div>
 
+      {replyTo && (
+        <div className="chat-reply-bar">
+          <span>Replying to <strong>{replyTo.senderName}</strong>: {replyTo.content}</span>
+          <button type="button" className="message-action" onClick={() => setReplyTo(null)}>
+            <X size={16} />
+          </button>
+        </div>
+      )}
+
       <form className="chat-input" onSubmit={handleSendMessage}>
         <button type="button" className="attach-btn">
           <Paperclip size={20} />
@@ -136,6 +313,7 @@ function ChatTab({ project }) {
           placeholder="Type a message..."
           value={message}
           onChange={(e) => setMessage(e.target.value)}
+          maxLength={2000}
         />
         <button type="submit" className="send-btn" disabled={!message.trim()}>
           <Send size={20} />
@@ -145,4 +323,4 @@ function ChatTab({ project }) {
   );
 }
 
-export default ChatTab; 
\ No newline at end of file
+export default ChatTab;
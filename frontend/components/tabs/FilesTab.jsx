@@ -1,45 +1,68 @@
 import { useState, useRef, useEffect } from 'react';
 import { Download, Trash2, FileText, Clock, CheckCircle, AlertCircle, Upload } from 'lucide-react';
 import { useAuth } from '../../context/AuthContext';
+import { getSocket, joinProjectRoom, leaveProjectRoom } from '../../utils/socket';
+import { authFetch } from '../../utils/api';
 import './Tabs.css';
 
-function FilesTab({ project, isUploading }) {
+const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+function FilesTab({ project, isUploading, uploads = [], isOwner }) {
   const filesListRef = useRef(null);
   const { user } = useAuth();
   const [files, setFiles] = useState([]);
+  const [quota, setQuota] = useState(null);
+  const [error, setError] = useState('');
+
+  const userId = user?.id || user?._id;
+  const projectId = project?.id || project?._id;
 
-  // Load files from localStorage and update in real-time
+  // Load project files and follow uploads/deletes made by teammates
   useEffect(() => {
-    const loadFiles = () => {
-      const storedFiles = JSON.parse(localStorage.getItem('uploadedFiles') || '[]');
-      
-      // Filter files for the current project
-      let projectFiles = storedFiles;
-      if (project && project.id) {
-        projectFiles = storedFiles.filter(file => file.projectId === project.id);
+    setFiles([]);
+    setQuota(null);
+    if (!projectId || !userId) return;
+
+    const loadFiles = async () => {
+      try {
+        const response = await authFetch(`${apiBaseUrl}/api/projects/${projectId}/files`);
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+          throw new Error(result.message || 'Failed to load files');
+        }
+        setFiles(result.data.files);
+        setQuota(result.data.usage.quota);
+        setError('');
+      } catch (err) {
+        console.error('Error loading files:', err);
+        setError(err.message);
       }
-      
-      setFiles(projectFiles);
     };
 
-    // Load files initially
     loadFiles();
 
-    // Set up interval to check for updates
-    const interval = setInterval(loadFiles, 500);
+    const socket = getSocket();
+    joinProjectRoom(projectId);
+
+    const handleUploaded = (file) => {
+      if (file?.projectId?.toString() !== projectId.toString()) return;
+      setFiles(prev => (prev.some(f => f._id === file._id) ? prev : [file, ...prev]));
+    };
 
-    // Listen for storage changes
-    const handleStorageChange = () => {
-      loadFiles();
+    const handleDeleted = ({ _id, projectId: pid }) => {
+      if (pid?.toString() !== projectId.toString()) return;
+      setFiles(prev => prev.filter(f => f._id !== _id));
     };
 
-    window.addEventListener('storage', handleStorageChange);
+    socket.on('file:uploaded', handleUploaded);
+    socket.on('file:deleted', handleDeleted);
 
     return () => {
-      clearInterval(interval);
-      window.removeEventListener('storage', handleStorageChange);
+      socket.off('file:uploaded', handleUploaded);
+      socket.off('file:deleted', handleDeleted);
+      leaveProjectRoom(projectId);
     };
-  }, [project]); // Re-run when project changes
+  }, [projectId, userId]);
 
   const formatFileSize = (bytes) => {
     if (bytes === 0) return '0 Bytes';
@@ -103,29 +126,54 @@ function FilesTab({ project, isUploading }) {
     return diffDays <= 1;
   };
 
-  const handleDeleteFile = (fileId, fileName) => {
-    if (window.confirm(`Are you sure you want to delete "${fileName}"?`)) {
-      // Remove file from localStorage
-      const storedFiles = JSON.parse(localStorage.getItem('uploadedFiles') || '[]');
-      const updatedFiles = storedFiles.filter(f => f.id !== fileId);
-      localStorage.setItem('uploadedFiles', JSON.stringify(updatedFiles));
-      setFiles(updatedFiles.filter(f => !project || f.projectId === project.id));
+  const handleDeleteFile = async (fileId, fileName) => {
+    if (!window.confirm(`Are you sure you want to delete "${fileName}"?`)) return;
+
+    try {
+      const response = await authFetch(
+        `${apiBaseUrl}/api/projects/${projectId}/files/${fileId}`,
+        { method: 'DELETE' }
+      );
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to delete file');
+      }
+      setFiles(prev => prev.filter(f => f._id !== fileId));
+    } catch (err) {
+      console.error('Error deleting file:', err);
+      setError(err.message);
     }
   };
 
-  const handleDownload = (file) => {
-    if (file.file && file.status === 'completed') {
-      const url = URL.createObjectURL(file.file);
+  // Downloads need the auth header, so fetch the bytes and save them from a blob URL
+  const handleDownload = async (file) => {
+    try {
+      const response = await authFetch(`${apiBaseUrl}/api/projects/${projectId}/files/${file._id}/download`);
+      if (!response.ok) {
+        const result = await response.json().catch(() => ({}));
+        throw new Error(result.message || 'Failed to download file');
+      }
+
+      const url = URL.createObjectURL(await response.blob());
       const a = document.createElement('a');
       a.href = url;
-      a.download = file.name;
+      a.download = file.originalName;
       document.body.appendChild(a);
       a.click();
       document.body.removeChild(a);
       URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error downloading file:', err);
+      setError(err.message);
     }
   };
 
+  // Every project file is listed, so usage is simply the sum of their sizes
+  const usedBytes = files.reduce((sum, file) => sum + (file.size || 0), 0);
+
+  const canDeleteFile = (file) =>
+    isOwner || file.uploadedBy?.toString() === userId?.toString();
+
   // Render project-specific content
   const renderProjectFiles = () => {
     if (!project) {
@@ -138,7 +186,7 @@ function FilesTab({ project, isUploading }) {
       );
     }
 
-    if (files.length === 0 && !isUploading) {
+    if (files.length === 0 && uploads.length === 0 && !isUploading) {
       return (
         <div className="empty-files">
           <FileText size={48} className="empty-icon" />
@@ -150,30 +198,44 @@ function FilesTab({ project, isUploading }) {
 
     return (
       <>
-        {files.map((file, index) => (
-          <div key={file.id} className={`file-item ${index === 0 ? 'recent-upload' : ''}`}>
+        {uploads.map((upload) => (
+          <div key={upload.id} className="file-item recent-upload">
             <div className="file-icon">
               <FileText size={24} />
             </div>
             <div className="file-info">
               <div className="file-header">
-                <h4>{file.name}</h4>
-                
+                <h4>{upload.name}</h4>
               </div>
               <div className="file-details">
                 <div className="file-meta">
-                  <span className="file-size">{formatFileSize(file.size)}</span>
-                  <span className="uploader">by {file.uploadedBy}</span>
-                  <span className="upload-date">{formatDate(file.uploadedAt)}</span>
+                  <span className="file-size">{formatFileSize(upload.size)}</span>
+                  <span className="uploader">by {upload.uploadedBy}</span>
+                  <span className="upload-date">{getStatusText(upload.status)}</span>
                 </div>
                 <div className="upload-status-info">
-             
-                  {file.status === 'uploading' && (
-                    <div className="upload-progress">
-                      <div className="upload-progress-bar" style={{ width: `${file.progress}%` }}></div>
-                    </div>
-                  )}
-                
+                  <div className="upload-progress">
+                    <div className="upload-progress-bar" style={{ width: `${upload.progress}%` }}></div>
+                  </div>
+                </div>
+              </div>
+            </div>
+          </div>
+        ))}
+        {files.map((file) => (
+          <div key={file._id} className={`file-item ${isRecentUpload(file.createdAt) ? 'recent-upload' : ''}`}>
+            <div className="file-icon">
+              <FileText size={24} />
+            </div>
+            <div className="file-info">
+              <div className="file-header">
+                <h4>{file.originalName}</h4>
+              </div>
+              <div className="file-details">
+                <div className="file-meta">
+                  <span className="file-size">{formatFileSize(file.size)}</span>
+                  <span className="uploader">by {file.uploadedByName || 'Unknown'}</span>
+                  <span className="upload-date">{formatDate(file.createdAt)}</span>
                 </div>
               </div>
             </div>
@@ -181,15 +243,14 @@ function FilesTab({ project, isUploading }) {
               className="download-btn" 
               title="Download"
               onClick={() => handleDownload(file)}
-              disabled={file.status !== 'completed'}
             >
               <Download size={20} />
             </button>
-            {user && file.uploadedBy === user.name && (
+            {canDeleteFile(file) && (
               <button 
                 className="delete-btn" 
                 title="Delete file"
-                onClick={() => handleDeleteFile(file.id, file.name)}
+                onClick={() => handleDeleteFile(file._id, file.originalName)}
               >
                 <Trash2 size={20} />
               </button>
@@ -202,6 +263,18 @@ function FilesTab({ project, isUploading }) {
 
   return (
     <div className="files-section">
+      {quota && (
+        <div className="files-usage">
+          <span>{formatFileSize(usedBytes)} of {formatFileSize(quota)} used</span>
+          <div className="files-usage-bar">
+            <div
+              className="files-usage-fill"
+              style={{ width: `${Math.min(100, (usedBytes / quota) * 100)}%` }}
+            ></div>
+          </div>
+        </div>
+      )}
+      {error && <div className="chat-error">{error}</div>}
       <div ref={filesListRef} className="files-list scrollable">
         {renderProjectFiles()}
       </div>
@@ -1,70 +1,114 @@
 import { useState, useRef, useEffect } from 'react';
-import { Check, Clock, User, Trash2, Plus, AlertCircle } from 'lucide-react';
+import { Check, Clock, User, Trash2, RotateCcw } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+import { getSocket, joinProjectRoom, leaveProjectRoom } from '../../utils/socket';
+import { authFetch } from '../../utils/api';
 import './Tabs.css';
 
-function TasksTab({ project, isAdmin }) {
+const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+function TasksTab({ project, isAdmin, isOwner }) {
   const tasksListRef = useRef(null);
   const [tasks, setTasks] = useState([]);
+  const [error, setError] = useState('');
+  const { user } = useAuth();
+
+  const userId = user?.id || user?._id;
+  const projectId = project?.id || project?._id;
 
-  // Load tasks from localStorage and update in real-time
+  // Load the project board and keep it in sync with teammates' changes
   useEffect(() => {
-    const loadTasks = () => {
-      // Load created tasks from localStorage
-      const createdTasks = JSON.parse(localStorage.getItem('createdTasks') || '[]');
-      
-      // Filter tasks for current project if project is selected
-      const projectTasks = project 
-        ? createdTasks.filter(task => task.projectId === project.id)
-        : createdTasks;
-      
-      setTasks(projectTasks);
+    setTasks([]);
+    if (!projectId || !userId) return;
+
+    const loadTasks = async () => {
+      try {
+        const response = await authFetch(`${apiBaseUrl}/api/projects/${projectId}/tasks`);
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+          throw new Error(result.message || 'Failed to load tasks');
+        }
+        setTasks(result.data);
+        setError('');
+      } catch (err) {
+        console.error('Error loading tasks:', err);
+        setError(err.message);
+      }
     };
 
-    // Load tasks initially
     loadTasks();
 
-    // Set up interval to check for updates
-    const interval = setInterval(loadTasks, 1000);
+    const socket = getSocket();
+    joinProjectRoom(projectId);
+
+    const belongsHere = (task) => task?.projectId?.toString() === projectId.toString();
+
+    const handleCreated = (task) => {
+      if (!belongsHere(task)) return;
+      setTasks(prev => (prev.some(t => t._id === task._id) ? prev : [task, ...prev]));
+    };
+
+    const handleUpdated = (task) => {
+      if (!belongsHere(task)) return;
+      setTasks(prev => prev.map(t => (t._id === task._id ? task : t)));
+    };
 
-    // Listen for storage changes
-    const handleStorageChange = () => {
-      loadTasks();
+    const handleDeleted = ({ _id, projectId: pid }) => {
+      if (pid?.toString() !== projectId.toString()) return;
+      setTasks(prev => prev.filter(t => t._id !== _id));
     };
 
-    window.addEventListener('storage', handleStorageChange);
+    socket.on('task:created', handleCreated);
+    socket.on('task:updated', handleUpdated);
+    socket.on('task:deleted', handleDeleted);
 
     return () => {
-      clearInterval(interval);
-      window.removeEventListener('storage', handleStorageChange);
+      socket.off('task:created', handleCreated);
+      socket.off('task:updated', handleUpdated);
+      socket.off('task:deleted', handleDeleted);
+      leaveProjectRoom(projectId);
     };
-  }, [project]);
+  }, [projectId, userId]);
 
-  const handleDeleteTask = (taskId) => {
-    // Remove task from localStorage
-    const storedTasks = JSON.parse(localStorage.getItem('createdTasks') || '[]');
-    const updatedTasks = storedTasks.filter(task => task.id !== taskId);
-    localStorage.setItem('createdTasks', JSON.stringify(updatedTasks));
-    
-    // Update local state
-    setTasks(prevTasks => prevTasks.filter(task => task.id !== taskId));
+  const handleDeleteTask = async (taskId) => {
+    if (!window.confirm('Delete this task?')) return;
+    try {
+      const response = await authFetch(
+        `${apiBaseUrl}/api/projects/${projectId}/tasks/${taskId}`,
+        { method: 'DELETE' }
+      );
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to delete task');
+      }
+      setTasks(prevTasks => prevTasks.filter(task => task._id !== taskId));
+    } catch (err) {
+      console.error('Error deleting task:', err);
+      setError(err.message);
+    }
   };
 
-  const handleStatusChange = (taskId, newStatus) => {
-    // Update task status in localStorage
-    const storedTasks = JSON.parse(localStorage.getItem('createdTasks') || '[]');
-    const updatedTasks = storedTasks.map(task => 
-      task.id === taskId ? { ...task, status: newStatus } : task
-    );
-    localStorage.setItem('createdTasks', JSON.stringify(updatedTasks));
-    
-    // Update local state
-    setTasks(prevTasks => 
-      prevTasks.map(task => 
-        task.id === taskId ? { ...task, status: newStatus } : task
-      )
-    );
+  const handleStatusChange = async (taskId, newStatus) => {
+    try {
+      const response = await authFetch(`${apiBaseUrl}/api/projects/${projectId}/tasks/${taskId}/status`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ status: newStatus }),
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to update task');
+      }
+      setTasks(prevTasks => prevTasks.map(task => (task._id === taskId ? result.data : task)));
+    } catch (err) {
+      console.error('Error updating task status:', err);
+      setError(err.message);
+    }
   };
 
+  const canDeleteTask = (task) =>
+    isOwner || isAdmin || task.createdBy?.toString() === userId?.toString();
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'completed': return '#10b981';
@@ -134,6 +178,8 @@ function TasksTab({ project, isAdmin }) {
   return (
     <div className="tasks-section">
       <div ref={tasksListRef} className="tasks-list scrollable">
+        {error && <div className="chat-error">{error}</div>}
+
         {tasks.length === 0 && (
           <div className="empty-tasks">
             <Clock size={48} className="empty-icon" />
@@ -143,7 +189,7 @@ function TasksTab({ project, isAdmin }) {
         )}
         
         {tasks.map((task) => (
-          <div key={task.id} className={`task-item ${task.status === 'completed' ? 'completed-task' : ''}`}>
+          <div key={task._id} className={`task-item ${task.status === 'completed' ? 'completed-task' : ''}`}>
             <div
               className="task-status"
               style={{ backgroundColor: getStatusColor(task.status) }}
@@ -159,7 +205,7 @@ function TasksTab({ project, isAdmin }) {
                   {task.status !== 'completed' && (
                     <button
                       className="status-change-btn"
-                      onClick={() => handleStatusChange(task.id, 'completed')}
+                      onClick={() => handleStatusChange(task._id, 'completed')}
                       title="Mark as completed"
                     >
                       <Check size={16} />
@@ -168,16 +214,25 @@ function TasksTab({ project, isAdmin }) {
                   {task.status === 'pending' && (
                     <button
                       className="status-change-btn"
-                      onClick={() => handleStatusChange(task.id, 'in-progress')}
+                      onClick={() => handleStatusChange(task._id, 'in-progress')}
                       title="Mark as in progress"
                     >
                       <Clock size={16} />
                     </button>
                   )}
-                  {isAdmin && (
+                  {task.status === 'completed' && (
+                    <button
+                      className="status-change-btn"
+                      onClick={() => handleStatusChange(task._id, 'in-progress')}
+                      title="Reopen task"
+                    >
+                      <RotateCcw size={16} />
+                    </button>
+                  )}
+                  {canDeleteTask(task) && (
                     <button
                       className="delete-task-btn"
-                      onClick={() => handleDeleteTask(task.id)}
+                      onClick={() => handleDeleteTask(task._id)}
                       title="Delete task"
                     >
                       <Trash2 size={16} />
@@ -193,7 +248,7 @@ function TasksTab({ project, isAdmin }) {
               <div className="task-meta">
                 <div className="task-assignee">
                   <User size={16} />
-                  <span>{task.assignee || 'Unassigned'}</span>
+                  <span>{task.assigneeName || 'Unassigned'}</span>
                 </div>
                 <div className="task-due-date">
                   <Clock size={16} />
@@ -1,4 +1,8 @@
 import { createContext, useContext, useState, useEffect } from 'react';
+import { authFetch, setAuthToken, SESSION_EXPIRED_EVENT } from '../utils/api';
+import { disconnectSocket } from '../utils/socket';
+
+const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000';
 
 const AuthContext = createContext();
 
@@ -20,42 +24,73 @@ export const AuthProvider = ({ children }) => {
   const demoUsers = [];
   */
 
+  // Forget the signed-in user locally (token, profile, live connection)
+  const clearSession = () => {
+    setUser(null);
+    setAuthToken(null);
+    localStorage.removeItem('teamera_user');
+    disconnectSocket();
+  };
+
   useEffect(() => {
     // Check for existing user session
     const savedUser = localStorage.getItem('teamera_user');
     if (savedUser) {
-      setUser(JSON.parse(savedUser));
+      const { token, ...parsedUser } = JSON.parse(savedUser);
+      // Older sessions kept the token on the user object
+      if (token) {
+        setAuthToken(token);
+        localStorage.setItem('teamera_user', JSON.stringify(parsedUser));
+      }
+      setUser(parsedUser);
     }
     setLoading(false);
+
+    // The refresh cookie was revoked or expired: sign out everywhere in the UI
+    window.addEventListener(SESSION_EXPIRED_EVENT, clearSession);
+    return () => window.removeEventListener(SESSION_EXPIRED_EVENT, clearSession);
   }, []);
 
   const login = async (userData) => {
+    const { token, ...profile } = userData;
+    setAuthToken(token);
+
     // Store profile data if it's a new user or has extended profile info
-    const storedUser = await storeUserProfile(userData);
+    const storedUser = await storeUserProfile(profile);
     setUser(storedUser);
     localStorage.setItem('teamera_user', JSON.stringify(storedUser));
     setShowAuthModal(false);
   };
 
-  const logout = () => {
-    setUser(null);
-    localStorage.removeItem('teamera_user');
+  const logout = async () => {
+    try {
+      // Revokes the server session and clears the refresh cookie
+      await fetch(`${apiBaseUrl}/api/auth/logout`, {
+        method: 'POST',
+        credentials: 'include',
+      });
+    } catch (error) {
+      console.error('Logout error:', error);
+    }
+    clearSession();
   };
 
   const signup = async (userData) => {
     try {
-      const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000';
       const response = await fetch(`${apiBaseUrl}/api/users`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
+        credentials: 'include',
         body: JSON.stringify(userData),
       });
 
       if (response.ok) {
         const result = await response.json();
-        const newUser = { ...result.data, id: result.data._id || result.data.id };
+        const { token, ...createdUser } = result.data;
+        setAuthToken(token);
+        const newUser = { ...createdUser, id: createdUser._id || createdUser.id };
         
         // Store user locally and in localStorage
         setUser(newUser);
@@ -99,12 +134,11 @@ export const AuthProvider = ({ children }) => {
       // Sync with backend if user has an ID
       if (user?.id || user?._id) {
         const userId = user.id || user._id;
-        const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000';
-        
+
         console.log('Updating profile for user:', userId);
         console.log('Profile data being sent:', profileData);
         
-        const response = await fetch(`${apiBaseUrl}/api/users/${userId}/profile`, {
+        const response = await authFetch(`${apiBaseUrl}/api/users/${userId}/profile`, {
           method: 'PUT',
           headers: {
             'Content-Type': 'application/json',
@@ -142,14 +176,23 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Reflect a confirmed email address on the stored user
+  const markEmailVerified = () => {
+    setUser(prev => {
+      if (!prev) return prev;
+      const updatedUser = { ...prev, emailVerified: true };
+      localStorage.setItem('teamera_user', JSON.stringify(updatedUser));
+      return updatedUser;
+    });
+  };
+
   // Store new user profile data on signup/signin
   const storeUserProfile = async (userData) => {
     try {
       const userId = userData.id || userData._id;
       if (userId) {
         // If user has ID, sync with backend
-        const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000';
-        const response = await fetch(`${apiBaseUrl}/api/users/${userId}/profile`, {
+        const response = await authFetch(`${apiBaseUrl}/api/users/${userId}/profile`, {
           method: 'PUT',
           headers: {
             'Content-Type': 'application/json',
@@ -179,6 +222,7 @@ export const AuthProvider = ({ children }) => {
     logout,
     signup,
     updateProfile,
+    markEmailVerified,
     storeUserProfile,
     loading,
     isAuthenticated: !!user,
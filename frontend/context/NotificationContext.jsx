@@ -1,7 +1,8 @@
 import { createContext, useContext, useState, useEffect, useRef, useCallback } from 'react';
-import { Users, CheckCircle, XCircle, UserMinus, LogOut, Mail } from 'lucide-react';
+import { Users, CheckCircle, XCircle, UserMinus, LogOut, Mail, Undo2, Clock, ArrowUpCircle, AlertTriangle, CalendarX, UserPlus, Gavel, AlarmClock } from 'lucide-react';
 import { useAuth } from './AuthContext';
 import ToastContainer from '../components/Toast';
+import { authFetch } from '../utils/api';
 
 const NotificationContext = createContext();
 
@@ -14,6 +15,15 @@ const TYPE_META = {
   MEMBER_REMOVED:       { icon: (s) => <UserMinus size={s} />,   color: '#f59e0b', subTab: 'sent' },
   MEMBER_QUIT:          { icon: (s) => <LogOut size={s} />,      color: '#6366f1', subTab: 'received' },
   INVITATION_RECEIVED:  { icon: (s) => <Mail size={s} />,        color: '#3b82f6', subTab: 'sent' },
+  APPLICATION_WITHDRAWN: { icon: (s) => <Undo2 size={s} />,      color: '#6b7280', subTab: 'received' },
+  APPLICATION_WAITLISTED: { icon: (s) => <Clock size={s} />,     color: '#6366f1', subTab: 'sent' },
+  WAITLIST_PROMOTED:    { icon: (s) => <ArrowUpCircle size={s} />, color: '#10b981', subTab: 'sent' },
+  MODERATION_WARNING:   { icon: (s) => <AlertTriangle size={s} />, color: '#f59e0b', subTab: 'received' },
+  HACKATHON_CANCELLED:  { icon: (s) => <CalendarX size={s} />,   color: '#ef4444', subTab: 'received' },
+  HACKATHON_TEAM_INVITE: { icon: (s) => <UserPlus size={s} />,   color: '#3b82f6', subTab: 'received' },
+  HACKATHON_TEAM_UPDATED: { icon: (s) => <Users size={s} />,     color: '#10b981', subTab: 'received' },
+  HACKATHON_JUDGE_ASSIGNED: { icon: (s) => <Gavel size={s} />,   color: '#8b5cf6', subTab: 'received' },
+  HACKATHON_REMINDER:   { icon: (s) => <AlarmClock size={s} />,  color: '#f59e0b', subTab: 'received' },
 };
 
 function enrichNotification(n) {
@@ -99,12 +109,16 @@ export const NotificationProvider = ({ children }) => {
         // Skip the connection-confirmation event
         if (raw.type === 'CONNECTED') return;
         const enriched = enrichNotification(raw);
-        setNotifications((prev) => {
-          // Avoid duplicates
-          if (prev.some((n) => n.id === enriched.id)) return prev;
-          return [enriched, ...prev];
-        });
-        // Show toast so user sees the notification in real-time
+        // Transient pushes are toast-only: the user turned the in-app list off for this type
+        if (!raw.transient) {
+          setNotifications((prev) => {
+            // Avoid duplicates
+            if (prev.some((n) => n.id === enriched.id)) return prev;
+            return [enriched, ...prev];
+          });
+        }
+        // Show toast so user sees the notification in real-time, unless they turned toasts off
+        if (raw.toast === false) return;
         setToasts((prev) => [
           ...prev,
           {
@@ -158,7 +172,7 @@ export const NotificationProvider = ({ children }) => {
   // Mark a single notification as read
   const markAsRead = async (notificationId) => {
     try {
-      await fetch(`${apiBaseUrl}/api/notifications/${notificationId}/read`, { method: 'PATCH' });
+      await authFetch(`${apiBaseUrl}/api/notifications/${notificationId}/read`, { method: 'PATCH' });
       setNotifications((prev) => prev.map((n) => n.id === notificationId ? { ...n, read: true } : n));
     } catch (err) {
       console.error('Error marking notification as read:', err);
@@ -170,7 +184,7 @@ export const NotificationProvider = ({ children }) => {
     const userId = user?.id || user?._id;
     if (!userId) return;
     try {
-      await fetch(`${apiBaseUrl}/api/notifications/${userId}/read-all`, { method: 'PATCH' });
+      await authFetch(`${apiBaseUrl}/api/notifications/${userId}/read-all`, { method: 'PATCH' });
       setNotifications((prev) => prev.map((n) => ({ ...n, read: true })));
     } catch (err) {
       console.error('Error marking all notifications as read:', err);
@@ -180,7 +194,7 @@ export const NotificationProvider = ({ children }) => {
   // Remove a notification
   const removeNotification = async (notificationId) => {
     try {
-      await fetch(`${apiBaseUrl}/api/notifications/${notificationId}`, { method: 'DELETE' });
+      await authFetch(`${apiBaseUrl}/api/notifications/${notificationId}`, { method: 'DELETE' });
       setNotifications((prev) => prev.filter((n) => n.id !== notificationId));
     } catch (err) {
       console.error('Error removing notification:', err);
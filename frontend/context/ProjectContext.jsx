@@ -1,5 +1,6 @@
 import { createContext, useContext, useState, useEffect } from 'react';
 import { useNotifications } from './NotificationContext';
+import { authFetch } from '../utils/api';
 
 const ProjectContext = createContext();
 
@@ -13,7 +14,6 @@ export const useProjects = () => {
 
 export const ProjectProvider = ({ children }) => {
   const [projects, setProjects] = useState([]);
-  const [hackathons, setHackathons] = useState([]);
   const [loading, setLoading] = useState(true);
   const [userProjectMap, setUserProjectMap] = useState({});
   const [bookmarkedProjects, setBookmarkedProjects] = useState([]);
@@ -51,7 +51,7 @@ export const ProjectProvider = ({ children }) => {
       console.log('Fetching applications for user:', userId);
 
       // Fetch applications from dashboard endpoint
-      const response = await fetch(`${apiBaseUrl}/api/dashboard/${userId}/applications`);
+      const response = await authFetch(`${apiBaseUrl}/api/dashboard/${userId}/applications`);
       const result = await response.json();
 
       console.log('Applications fetch result:', result);
@@ -158,18 +158,27 @@ export const ProjectProvider = ({ children }) => {
       const fetchProjectsData = async () => {
       try {
         setLoading(true);
-        const response = await fetch(`${apiBaseUrl}/api/projects`);
-        const result = await response.json();
-        
-        if (result.success && result.data) {
-          // Transform backend data to match frontend format
-          const transformedProjects = result.data.map(project => ({
-            ...project,
-            id: project._id || project.id,
-            requiredSkills: project.requiredSkills || []
-          }));
-          setProjects(transformedProjects);
-        }
+        // The listing is paged, so follow the cursor until every project is loaded
+        const allProjects = [];
+        let cursor = null;
+        do {
+          const params = new URLSearchParams({ limit: '50' });
+          if (cursor) params.set('cursor', cursor);
+          const response = await authFetch(`${apiBaseUrl}/api/projects?${params}`);
+          const result = await response.json();
+          if (!result.success || !result.data) break;
+
+          allProjects.push(...result.data);
+          cursor = result.pagination?.nextCursor || null;
+        } while (cursor);
+
+        // Transform backend data to match frontend format
+        const transformedProjects = allProjects.map(project => ({
+          ...project,
+          id: project._id || project.id,
+          requiredSkills: project.requiredSkills || []
+        }));
+        setProjects(transformedProjects);
       } catch (error) {
         console.error('Error fetching projects:', error);
       } finally {
@@ -189,7 +198,7 @@ export const ProjectProvider = ({ children }) => {
         if (!userId) return;
 
         // Fetch bookmarks from MongoDB
-        const response = await fetch(`${apiBaseUrl}/api/dashboard/${userId}/bookmarks`);
+        const response = await authFetch(`${apiBaseUrl}/api/dashboard/${userId}/bookmarks`);
         const result = await response.json();
 
         if (result.success && result.data) {
@@ -222,7 +231,6 @@ export const ProjectProvider = ({ children }) => {
     fetchProjectsData();
     fetchBookmarks();
     fetchApplications(); // Call the function defined above
-    setHackathons(sampleHackathons);
   }, []);
 
   const createProject = async (projectData) => {
@@ -232,17 +240,13 @@ export const ProjectProvider = ({ children }) => {
         ? projectData.teamMembers[0].id 
         : null;
 
-      const payload = {
-        ...projectData,
-        ownerId: founderId
-      };
-
-      const response = await fetch(`${apiBaseUrl}/api/projects`, {
+      // The backend sets ownerId from the auth token
+      const response = await authFetch(`${apiBaseUrl}/api/projects`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify(payload)
+        body: JSON.stringify(projectData)
       });
 
       const result = await response.json();
@@ -371,7 +375,7 @@ export const ProjectProvider = ({ children }) => {
         updatedData.teamMembers = projectData.teamMembers;
       }
 
-      const response = await fetch(`${apiBaseUrl}/api/projects/${projectId}`, {
+      const response = await authFetch(`${apiBaseUrl}/api/projects/${projectId}`, {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json',
@@ -410,7 +414,7 @@ export const ProjectProvider = ({ children }) => {
 
       if (!projectToDelete) return false;
 
-      const response = await fetch(`${apiBaseUrl}/api/projects/${projectId}`, {
+      const response = await authFetch(`${apiBaseUrl}/api/projects/${projectId}`, {
         method: 'DELETE'
       });
 
@@ -500,7 +504,6 @@ export const ProjectProvider = ({ children }) => {
         projectIndustry: project.industry || '',
         position: applicationData.position,
         positionId: applicationData.positionId,
-        applicantId: userId,
         applicantName: user.name,
         applicantEmail: user.email,
         applicantAvatar: user.avatar || '',
@@ -512,13 +515,15 @@ export const ProjectProvider = ({ children }) => {
         projectOwnerAvatar: project.teamMembers?.find(m => m.role === 'Founder')?.avatar || '',
         message: applicationData.message || '',
         skills: applicationData.skills || [],
+        screeningAnswers: applicationData.screeningAnswers || {},
+        joinWaitlist: !!applicationData.joinWaitlist,
         hasResume: !!applicationData.resumeUrl,
         resumeUrl: applicationData.resumeUrl || '',
         resumeFileName: applicationData.resume?.name || ''
       };
 
       // Submit application to backend
-      const response = await fetch(`${apiBaseUrl}/api/applications/submit`, {
+      const response = await authFetch(`${apiBaseUrl}/api/applications/submit`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -569,13 +574,15 @@ export const ProjectProvider = ({ children }) => {
         // Refresh notifications for current user (applicant)
         fetchNotifications(userId);
 
-        return { success: true };
+        return { success: true, status: result.data.status };
       } else {
         console.error('Failed to submit application:', result.message);
         return { 
           success: false, 
           message: result.message || 'Failed to submit application',
-          existingStatus: result.existingStatus 
+          existingStatus: result.existingStatus,
+          // Per-question problems when screening answers were rejected
+          answerErrors: result.error?.code === 'INVALID_SCREENING_ANSWERS' ? result.error.details : []
         };
       }
     } catch (error) {
@@ -643,25 +650,18 @@ export const ProjectProvider = ({ children }) => {
         return false;
       }
 
-      // Get current user
-      const savedUser = localStorage.getItem('teamera_user');
-      if (!savedUser) return false;
-
-      const user = JSON.parse(savedUser);
-      const userId = user.id || user._id;
+      // Reviewer identity comes from the auth token
+      if (!localStorage.getItem('teamera_user')) return false;
 
       console.log('Accepting application:', application.applicationId);
 
       // Update application status in backend
-      const response = await fetch(`${apiBaseUrl}/api/applications/${application.applicationId || applicationId}/status`, {
+      const response = await authFetch(`${apiBaseUrl}/api/applications/${application.applicationId || applicationId}/status`, {
         method: 'PATCH',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({
-          status: 'ACCEPTED',
-          reviewerId: userId
-        })
+        body: JSON.stringify({ status: 'ACCEPTED' })
       });
 
       const result = await response.json();
@@ -671,13 +671,13 @@ export const ProjectProvider = ({ children }) => {
         // Update local application status
         setApplications(prev => prev.map(app =>
           (app.id === applicationId || app.applicationId === applicationId)
-            ? { ...app, status: 'ACCEPTED' }
+            ? { ...app, status: 'ACCEPTED', timeline: result.data?.timeline || app.timeline }
             : app
         ));
 
         // Refresh project to get updated team
         const appProjectId = application.projectId?._id || application.projectId;
-        const projectResponse = await fetch(`${apiBaseUrl}/api/projects/${appProjectId}`);
+        const projectResponse = await authFetch(`${apiBaseUrl}/api/projects/${appProjectId}`);
         const projectResult = await projectResponse.json();
 
         if (projectResult.success && projectResult.data) {
@@ -720,25 +720,18 @@ export const ProjectProvider = ({ children }) => {
         return false;
       }
 
-      // Get current user
-      const savedUser = localStorage.getItem('teamera_user');
-      if (!savedUser) return false;
-
-      const user = JSON.parse(savedUser);
-      const userId = user.id || user._id;
+      // Reviewer identity comes from the auth token
+      if (!localStorage.getItem('teamera_user')) return false;
 
       console.log('Rejecting application:', application.applicationId);
 
       // Update application status in backend
-      const response = await fetch(`${apiBaseUrl}/api/applications/${application.applicationId || applicationId}/status`, {
+      const response = await authFetch(`${apiBaseUrl}/api/applications/${application.applicationId || applicationId}/status`, {
         method: 'PATCH',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({
-          status: 'REJECTED',
-          reviewerId: userId
-        })
+        body: JSON.stringify({ status: 'REJECTED' })
       });
 
       const result = await response.json();
@@ -748,7 +741,7 @@ export const ProjectProvider = ({ children }) => {
         // Update local application status
         setApplications(prev => prev.map(app =>
           (app.id === applicationId || app.applicationId === applicationId)
-            ? { ...app, status: 'REJECTED' }
+            ? { ...app, status: 'REJECTED', timeline: result.data?.timeline || app.timeline }
             : app
         ));
 
@@ -770,6 +763,74 @@ export const ProjectProvider = ({ children }) => {
     }
   };
 
+  // Withdraw a pending application (applicant side)
+  const withdrawApplication = async (applicationId, reason = '') => {
+    try {
+      const application = applications.find(app =>
+        app.type === 'sent' && (app.id === applicationId || app.applicationId === applicationId)
+      );
+      if (!application) {
+        console.error('Application not found:', applicationId);
+        return false;
+      }
+
+      const response = await authFetch(`${apiBaseUrl}/api/applications/${application.applicationId || applicationId}/withdraw`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ reason })
+      });
+
+      const result = await response.json();
+
+      if (result.success) {
+        setApplications(prev => prev.map(app =>
+          (app.type === 'sent' && (app.id === applicationId || app.applicationId === applicationId))
+            ? { ...app, status: 'WITHDRAWN', timeline: result.data?.timeline || app.timeline }
+            : app
+        ));
+        return true;
+      } else {
+        console.error('Failed to withdraw application:', result.message);
+        return false;
+      }
+    } catch (error) {
+      console.error('Error withdrawing application:', error);
+      return false;
+    }
+  };
+
+  // Invite someone from talent search to one of the owner's open positions.
+  // They join the team straight away with an INVITED application.
+  const inviteToPosition = async (projectId, positionId, userId, message = '') => {
+    try {
+      const response = await authFetch(`${apiBaseUrl}/api/projects/${projectId}/invitations`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ userId, positionId, message })
+      });
+
+      const result = await response.json();
+
+      if (result.success) {
+        const updated = result.data.project;
+        setProjects(prev => prev.map(project =>
+          project.id === updated._id
+            ? { ...project, ...updated, id: updated._id }
+            : project
+        ));
+        return { success: true, message: result.message };
+      }
+      return { success: false, error: result.message, code: result.error?.code };
+    } catch (error) {
+      console.error('Error sending invitation:', error);
+      return { success: false, error: 'Failed to send invitation' };
+    }
+  };
+
   // Get applications for a specific project
   const getProjectApplications = (projectId) => {
     return applications.filter(app => app.projectId === projectId);
@@ -797,7 +858,7 @@ export const ProjectProvider = ({ children }) => {
       // CRITICAL FIX: Use backend API which determines participation based on application status
       // This is the SINGLE SOURCE OF TRUTH for participation
       // Backend checks for ACCEPTED or INVITED status in applications_sent
-      const response = await fetch(`${apiBaseUrl}/api/projects/user/${userId}`);
+      const response = await authFetch(`${apiBaseUrl}/api/projects/user/${userId}`);
       const result = await response.json();
 
       if (result.success) {
@@ -835,7 +896,7 @@ export const ProjectProvider = ({ children }) => {
   // Update project stage
   const updateProjectStage = async (projectId, newStage) => {
     try {
-      const response = await fetch(`${apiBaseUrl}/api/projects/${projectId}/stage`, {
+      const response = await authFetch(`${apiBaseUrl}/api/projects/${projectId}/stage`, {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json',
@@ -884,7 +945,7 @@ export const ProjectProvider = ({ children }) => {
     try {
       if (isCurrentlyBookmarked) {
         // Remove bookmark from backend
-        const response = await fetch(`${apiBaseUrl}/api/dashboard/${currentUserId}/bookmarks/${projectId}`, {
+        const response = await authFetch(`${apiBaseUrl}/api/dashboard/${currentUserId}/bookmarks/${projectId}`, {
           method: 'DELETE'
         });
 
@@ -903,7 +964,7 @@ export const ProjectProvider = ({ children }) => {
         }
       } else {
         // Add bookmark to backend
-        const response = await fetch(`${apiBaseUrl}/api/dashboard/${currentUserId}/bookmarks`, {
+        const response = await authFetch(`${apiBaseUrl}/api/dashboard/${currentUserId}/bookmarks`, {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
@@ -980,7 +1041,7 @@ export const ProjectProvider = ({ children }) => {
       console.log('Removing user from project team...');
       
       // Use direct team member removal endpoint with isQuit parameter
-      const response = await fetch(`${apiBaseUrl}/api/projects/${cleanProjectId}/team/${cleanUserId}?isQuit=true`, {
+      const response = await authFetch(`${apiBaseUrl}/api/projects/${cleanProjectId}/team/${cleanUserId}?isQuit=true`, {
         method: 'DELETE',
         headers: {
           'Content-Type': 'application/json',
@@ -1042,7 +1103,6 @@ export const ProjectProvider = ({ children }) => {
 
   const value = {
     projects,
-    hackathons,
     loading,
     applications,
     applicationsLoading,
@@ -1055,6 +1115,8 @@ export const ProjectProvider = ({ children }) => {
     addUserToProject,
     acceptApplication,
     rejectApplication,
+    withdrawApplication,
+    inviteToPosition,
     getProjectApplications,
     getReceivedApplications,
     getSentApplications,
@@ -1072,29 +1134,3 @@ export const ProjectProvider = ({ children }) => {
     </ProjectContext.Provider>
   );
 };
-
-// Sample hackathon data
-const sampleHackathons = [
-  {
-    id: 1,
-    title: "FinTech Innovation Challenge 2024",
-    description: "Build the next generation of financial technology solutions",
-    startDate: "2024-02-15",
-    endDate: "2024-02-17",
-    prize: "₹5,00,000",
-    participants: 150,
-    status: "upcoming",
-    categories: ["Blockchain", "AI/ML", "Mobile Apps"]
-  },
-  {
-    id: 2,
-    title: "Sustainable Tech Hackathon",
-    description: "Create technology solutions for environmental challenges",
-    startDate: "2024-01-20",
-    endDate: "2024-01-22",
-    prize: "₹3,00,000",
-    participants: 89,
-    status: "ongoing",
-    categories: ["IoT", "Clean Energy", "Data Analytics"]
-  }
-];
\ No newline at end of file
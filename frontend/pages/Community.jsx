@@ -1,11 +1,45 @@
 
-import { useState, useEffect, useRef } from 'react';
-import { Search, MessageSquare, Filter, X, Send, Paperclip, Download, User, Tag, Heart } from 'lucide-react';
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { Search, MessageSquare, Filter, X, Send, Paperclip, Download, User, Users, Tag, Heart, Edit, Trash2 } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
+import { useNotifications } from '../context/NotificationContext';
+import { authFetch } from '../utils/api';
 import UserAvatar from '../components/UserAvatar';
 import ProfileModal from '../components/ProfileModal';
+import MemberDirectory from '../components/MemberDirectory';
+import ReportButton from '../components/ReportButton';
 import './Community.css';
 
+const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+// Posts fetched per request while scrolling
+const PAGE_SIZE = 10;
+
+// Top-level comments fetched per request; replies come with their thread
+const COMMENT_PAGE_SIZE = 20;
+
+// Wait for the user to stop typing before searching
+const SEARCH_DEBOUNCE_MS = 300;
+
+const POST_SORTS = [
+  ['latest', 'Latest'],
+  ['top', 'Top'],
+  ['trending', 'Trending']
+];
+
+// File types the server accepts as post attachments, and its limits
+const ATTACHMENT_EXTENSIONS = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'zip', 'fig', 'txt', 'md', 'csv'];
+const MAX_ATTACHMENT_MB = 10;
+const MAX_ATTACHMENTS = 5;
+
+const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const attachmentUrl = (postId, attachmentId) => `${apiBaseUrl}/api/posts/${postId}/attachments/${attachmentId}`;
+
 // Utility function to get file icon based on file type
 const getFileIcon = (fileType) => {
   if (!fileType) return '📁';
@@ -14,6 +48,7 @@ const getFileIcon = (fileType) => {
     case 'pdf':
       return '📄';
     case 'figma':
+    case 'fig':
       return '🎨';
     case 'doc':
     case 'docx':
@@ -30,6 +65,9 @@ const getFileIcon = (fileType) => {
     case 'image':
     case 'png':
     case 'jpg':
+    case 'jpeg':
+    case 'gif':
+    case 'webp':
       return '🖼️';
     default:
       return '📁';
@@ -42,6 +80,8 @@ function CreatePostModal({ onClose, onSubmit }) {
   const [category, setCategory] = useState('General');
   const [attachedFiles, setAttachedFiles] = useState([]);
   const [isDragOver, setIsDragOver] = useState(false);
+  const [fileError, setFileError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
   const textareaRef = useRef(null);
   const fileInputRef = useRef(null);
 
@@ -63,27 +103,51 @@ function CreatePostModal({ onClose, onSubmit }) {
     }
   };
 
-  const handleSubmit = () => {
-    if (content.trim()) {
-      onSubmit({
-        content,
-        category,
-        attachedFiles
-      });
-      onClose();
-    }
+  const handleSubmit = async () => {
+    if (!content.trim() || submitting) return;
+
+    // Keep the modal open with its contents if publishing fails
+    setSubmitting(true);
+    const posted = await onSubmit({
+      content,
+      category,
+      attachedFiles
+    });
+    setSubmitting(false);
+    if (posted) onClose();
   };
 
+  // Only keep files the server will accept, and say why others were skipped
   const processFiles = (files) => {
     const fileArray = Array.from(files);
-    const newFiles = fileArray.map(file => ({
+    const rejected = [];
+    const accepted = fileArray.filter(file => {
+      const type = file.name.split('.').pop().toLowerCase();
+      if (!ATTACHMENT_EXTENSIONS.includes(type)) {
+        rejected.push(`${file.name}: this file type isn't supported`);
+        return false;
+      }
+      if (file.size > MAX_ATTACHMENT_MB * 1024 * 1024) {
+        rejected.push(`${file.name} is larger than ${MAX_ATTACHMENT_MB} MB`);
+        return false;
+      }
+      return true;
+    });
+
+    const room = MAX_ATTACHMENTS - attachedFiles.length;
+    if (accepted.length > room) {
+      rejected.push(`You can attach up to ${MAX_ATTACHMENTS} files`);
+    }
+
+    const newFiles = accepted.slice(0, Math.max(room, 0)).map(file => ({
       id: Date.now() + Math.random(),
       name: file.name,
-      size: `${(file.size / (1024 * 1024)).toFixed(1)} MB`,
+      size: formatFileSize(file.size),
       type: file.name.split('.').pop().toLowerCase(),
       file: file
     }));
 
+    setFileError(rejected.length > 0 ? rejected.join('. ') : null);
     setAttachedFiles(prev => [...prev, ...newFiles]);
   };
 
@@ -120,6 +184,7 @@ function CreatePostModal({ onClose, onSubmit }) {
 
   const removeFile = (fileId) => {
     setAttachedFiles(prev => prev.filter(file => file.id !== fileId));
+    setFileError(null);
   };
 
   return (
@@ -188,9 +253,13 @@ function CreatePostModal({ onClose, onSubmit }) {
                 onChange={handleFileChange}
                 style={{ display: 'none' }}
                 multiple
-                accept="*/*"
+                accept={ATTACHMENT_EXTENSIONS.map(ext => `.${ext}`).join(',')}
               />
             </div>
+            <p className="attach-file-hint">
+              Images, PDFs, Office documents, ZIP, Figma and text files · up to {MAX_ATTACHMENTS} files, {MAX_ATTACHMENT_MB} MB each
+            </p>
+            {fileError && <p className="attach-file-error">{fileError}</p>}
 
             {/* Attached Files Display */}
             {attachedFiles.length > 0 && (
@@ -228,10 +297,10 @@ function CreatePostModal({ onClose, onSubmit }) {
           <button
             className="submit-btn"
             onClick={handleSubmit}
-            disabled={!content.trim()}
+            disabled={!content.trim() || submitting}
           >
             <Send size={20} />
-            Post
+            {submitting ? 'Posting...' : 'Post'}
           </button>
         </div>
       </div>
@@ -239,18 +308,360 @@ function CreatePostModal({ onClose, onSubmit }) {
   );
 }
 
+// "5 minutes ago", or the date for anything older than a week
+const formatTimeAgo = (dateString) => {
+  const date = new Date(dateString);
+  const diffMinutes = Math.floor((Date.now() - date) / (1000 * 60));
+  const diffHours = Math.floor(diffMinutes / 60);
+  const diffDays = Math.floor(diffHours / 24);
+
+  if (diffMinutes < 1) return 'Just now';
+  if (diffMinutes < 60) return `${diffMinutes} minute${diffMinutes > 1 ? 's' : ''} ago`;
+  if (diffHours < 24) return `${diffHours} hour${diffHours > 1 ? 's' : ''} ago`;
+  if (diffDays < 7) return `${diffDays} day${diffDays > 1 ? 's' : ''} ago`;
+
+  return date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+};
+
+// Applies `update` to the comment with the given id, wherever it is in the threads
+const updateCommentTree = (comments, commentId, update) => comments.map(comment => {
+  if (comment._id === commentId) return update(comment);
+  if (comment.replies.length === 0) return comment;
+  return { ...comment, replies: updateCommentTree(comment.replies, commentId, update) };
+});
+
+// Replies deeper than this are shown at the same indent
+const MAX_REPLY_DEPTH = 3;
+
+// One comment and its replies
+function CommentItem({ comment, depth, userId, onReply, onSaveEdit, onDelete, onUserClick }) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState(comment.content);
+
+  const isAuthor = Boolean(userId) && comment.author?._id === userId;
+  // Deleted by its author or hidden by a moderator
+  const isRemoved = comment.isDeleted || comment.isHidden;
+
+  const handleSave = async () => {
+    if (!draft.trim()) return;
+    const saved = await onSaveEdit(comment._id, draft.trim());
+    if (saved) setIsEditing(false);
+  };
+
+  return (
+    <div className={`comment-thread ${depth > 0 && depth <= MAX_REPLY_DEPTH ? 'nested' : ''}`}>
+      <div className="comment-item">
+        {isRemoved ? (
+          <UserAvatar name="?" size="small" />
+        ) : (
+          <span className="comment-avatar" onClick={() => onUserClick(comment.author?._id)}>
+            <UserAvatar user={comment.author} size="small" />
+          </span>
+        )}
+        <div className="comment-content">
+          <div className="comment-header">
+            <span className="comment-user">
+              {isRemoved ? 'Removed comment' : (comment.author?.name || 'Former member')}
+            </span>
+            <span className="comment-time">
+              {formatTimeAgo(comment.createdAt)}
+              {comment.editedAt && !isRemoved && ' · edited'}
+            </span>
+          </div>
+
+          {isEditing ? (
+            <div className="comment-edit">
+              <textarea
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                rows={2}
+                maxLength={2000}
+              />
+              <div className="comment-actions">
+                <button className="comment-action" onClick={handleSave} disabled={!draft.trim()}>Save</button>
+                <button
+                  className="comment-action"
+                  onClick={() => {
+                    setDraft(comment.content);
+                    setIsEditing(false);
+                  }}
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          ) : (
+            <p className={`comment-text ${isRemoved ? 'deleted' : ''}`}>
+              {comment.isDeleted && 'This comment was deleted.'}
+              {!comment.isDeleted && comment.isHidden && 'This comment was removed by a moderator.'}
+              {!isRemoved && comment.content}
+            </p>
+          )}
+
+          {!isRemoved && !isEditing && userId && (
+            <div className="comment-actions">
+              <button className="comment-action" onClick={() => onReply(comment)}>Reply</button>
+              {isAuthor ? (
+                <>
+                  <button className="comment-action" onClick={() => setIsEditing(true)}>Edit</button>
+                  <button className="comment-action" onClick={() => onDelete(comment)}>Delete</button>
+                </>
+              ) : (
+                <ReportButton targetType="comment" targetId={comment._id} ownerId={comment.author?._id} className="comment-action" />
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {comment.replies.map(reply => (
+        <CommentItem
+          key={reply._id}
+          comment={reply}
+          depth={depth + 1}
+          userId={userId}
+          onReply={onReply}
+          onSaveEdit={onSaveEdit}
+          onDelete={onDelete}
+          onUserClick={onUserClick}
+        />
+      ))}
+    </div>
+  );
+}
+
+// Comment threads of one post, loaded when the post's comments are opened
+function PostComments({ postId, onCountChange, onUserClick }) {
+  const { user } = useAuth();
+  const { showToast } = useNotifications();
+  const [comments, setComments] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  const [input, setInput] = useState('');
+  const [replyTo, setReplyTo] = useState(null);
+  const [sending, setSending] = useState(false);
+  const inputRef = useRef(null);
+
+  const userId = user?.id || user?._id;
+
+  const fetchComments = useCallback(async (cursor) => {
+    const params = new URLSearchParams({ limit: String(COMMENT_PAGE_SIZE) });
+    if (cursor) params.set('cursor', cursor);
+
+    setLoading(true);
+    setLoadError(null);
+    try {
+      const response = await fetch(`${apiBaseUrl}/api/posts/${postId}/comments?${params}`);
+      const result = await response.json();
+      if (result.success) {
+        setComments(prev => (cursor ? [...prev, ...result.data] : result.data));
+        setNextCursor(result.pagination?.nextCursor || null);
+        setHasMore(Boolean(result.pagination?.hasMore));
+      } else {
+        setLoadError(result.message || 'Failed to load comments');
+      }
+    } catch (error) {
+      console.error('Error fetching comments:', error);
+      setLoadError('Failed to load comments');
+    } finally {
+      setLoading(false);
+    }
+  }, [postId]);
+
+  useEffect(() => {
+    fetchComments(null);
+  }, [fetchComments]);
+
+  const handleReply = (comment) => {
+    setReplyTo(comment);
+    inputRef.current?.focus();
+  };
+
+  const handleSubmit = async () => {
+    const content = input.trim();
+    if (!content || sending) return;
+
+    setSending(true);
+    try {
+      const response = await authFetch(`${apiBaseUrl}/api/posts/${postId}/comments`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ content, parentId: replyTo?._id })
+      });
+      const result = await response.json();
+      if (!result.success) throw new Error(result.message || 'Failed to add comment');
+
+      const comment = result.data;
+      setComments(prev => (replyTo
+        ? updateCommentTree(prev, replyTo._id, parent => ({ ...parent, replies: [...parent.replies, comment] }))
+        : [...prev, comment]));
+      setInput('');
+      setReplyTo(null);
+      onCountChange(1);
+    } catch (error) {
+      showToast({ type: 'error', title: 'Could not add comment', description: error.message });
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleSaveEdit = async (commentId, content) => {
+    try {
+      const response = await authFetch(`${apiBaseUrl}/api/posts/${postId}/comments/${commentId}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ content })
+      });
+      const result = await response.json();
+      if (!result.success) throw new Error(result.message || 'Failed to update comment');
+
+      setComments(prev => updateCommentTree(prev, commentId, comment => ({
+        ...comment,
+        content: result.data.content,
+        editedAt: result.data.editedAt
+      })));
+      return true;
+    } catch (error) {
+      showToast({ type: 'error', title: 'Could not update comment', description: error.message });
+      return false;
+    }
+  };
+
+  const handleDelete = async (comment) => {
+    if (!window.confirm('Delete this comment?')) return;
+
+    try {
+      const response = await authFetch(`${apiBaseUrl}/api/posts/${postId}/comments/${comment._id}`, {
+        method: 'DELETE'
+      });
+      const result = await response.json();
+      if (!result.success) throw new Error(result.message || 'Failed to delete comment');
+
+      setComments(prev => updateCommentTree(prev, comment._id, deleted => ({
+        ...deleted,
+        isDeleted: true,
+        content: '',
+        author: null
+      })));
+      if (replyTo?._id === comment._id) setReplyTo(null);
+      onCountChange(-1);
+    } catch (error) {
+      showToast({ type: 'error', title: 'Could not delete comment', description: error.message });
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      handleSubmit();
+    }
+  };
+
+  return (
+    <div className="comments-section">
+      <div className="comments-list">
+        {comments.length === 0 && loading ? (
+          <div className="no-comments">
+            <p>Loading comments...</p>
+          </div>
+        ) : comments.length === 0 && loadError ? (
+          <div className="no-comments">
+            <p>{loadError}</p>
+          </div>
+        ) : comments.length === 0 ? (
+          <div className="no-comments">
+            <p>No comments yet. Be the first to comment!</p>
+          </div>
+        ) : (
+          comments.map(comment => (
+            <CommentItem
+              key={comment._id}
+              comment={comment}
+              depth={0}
+              userId={userId}
+              onReply={handleReply}
+              onSaveEdit={handleSaveEdit}
+              onDelete={handleDelete}
+              onUserClick={onUserClick}
+            />
+          ))
+        )}
+
+        {hasMore && (
+          <button
+            className="comment-action load-more-comments"
+            onClick={() => fetchComments(nextCursor)}
+            disabled={loading}
+          >
+            {loading ? 'Loading...' : 'Show more comments'}
+          </button>
+        )}
+      </div>
+
+      {user ? (
+        <>
+          {replyTo && (
+            <div className="replying-to">
+              Replying to {replyTo.author?.name || 'comment'}
+              <button onClick={() => setReplyTo(null)} aria-label="Cancel reply">
+                <X size={14} />
+              </button>
+            </div>
+          )}
+          <div className="comment-input">
+            <UserAvatar user={user} size="small" />
+            <input
+              ref={inputRef}
+              type="text"
+              placeholder={replyTo ? 'Write a reply...' : 'Write a comment...'}
+              value={input}
+              onChange={(e) => setInput(e.target.value)}
+              onKeyDown={handleKeyDown}
+              maxLength={2000}
+            />
+            <button
+              className="send-comment-btn"
+              onClick={handleSubmit}
+              disabled={!input.trim() || sending}
+            >
+              <Send size={16} />
+            </button>
+          </div>
+        </>
+      ) : (
+        <div className="no-comments">
+          <p>Sign in to join the discussion.</p>
+        </div>
+      )}
+    </div>
+  );
+}
+
 function Community() {
   const { user } = useAuth();
+  const { showToast } = useNotifications();
   const [searchTerm, setSearchTerm] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
   const [selectedCategory, setSelectedCategory] = useState('');
+  const [sortBy, setSortBy] = useState('latest');
   const [showFilters, setShowFilters] = useState(false);
   const [selectedMember, setSelectedMember] = useState(null);
   const [showProfileModal, setShowProfileModal] = useState(false);
   const [showCreatePostModal, setShowCreatePostModal] = useState(false);
   const [posts, setPosts] = useState([]);
-  const [activeTab, setActiveTab] = useState('all');
+  const [totalPosts, setTotalPosts] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [pageLoading, setPageLoading] = useState(true);
+  const [pageError, setPageError] = useState(null);
+  // 'posts' or 'members'
+  const [view, setView] = useState('posts');
   const [expandedComments, setExpandedComments] = useState(new Set());
-  const [commentInputs, setCommentInputs] = useState({});
+  const [editingPost, setEditingPost] = useState(null);
+
+  const userId = user?.id || user?._id;
 
   // Map user role to display title (match Profile page behavior)
   const getRoleDisplayTitle = (role) => {
@@ -263,251 +674,76 @@ function Community() {
     return roleMap[role] || role || 'Developer';
   };
 
-  // Mock data - in a real app, this would come from an API
   // Updated category options for filtering posts
   const categories = ['General', 'Announcements', 'Project Showcase', 'Job Opportunities', 'Help & Support'];
 
-  // Mock members data for user profiles
-  const mockMembers = [
-    {
-      id: '1',
-      name: 'Ankit Kumar',
-      title: 'Full Stack Developer',
-      role: 'professional',
-      location: 'Bangalore, India',
-      bio: 'Passionate full-stack developer with 5+ years of experience in React, Node.js, and cloud technologies. Love building scalable applications and mentoring junior developers.',
-      email: 'ankit.kumar@example.com',
-      website: 'https://ankitkumar.dev',
-      githubUrl: 'https://github.com/ankitkumar',
-      linkedinUrl: 'https://linkedin.com/in/ankitkumar-dev',
-      portfolioUrl: 'https://portfolio.ankitkumar.dev',
-      experiences: [
-        {
-          title: 'Senior Full Stack Developer',
-          company: 'TechCorp Solutions',
-          duration: '2022 - Present',
-          description: 'Leading development of microservices architecture and React applications. Mentoring junior developers and implementing best practices.'
-        },
-        {
-          title: 'Full Stack Developer',
-          company: 'StartupXYZ',
-          duration: '2020 - 2022',
-          description: 'Built and maintained multiple web applications using React, Node.js, and MongoDB. Collaborated with cross-functional teams.'
-        }
-      ],
-      education: [
-        {
-          degree: 'Bachelor of Technology in Computer Science',
-          institution: 'Indian Institute of Technology',
-          duration: '2016 - 2020',
-          description: 'Specialized in software engineering and data structures.'
-        }
-      ],
-      skills: ['React', 'Node.js', 'JavaScript', 'TypeScript', 'MongoDB', 'AWS', 'Docker', 'GraphQL']
-    },
-    {
-      id: '2',
-      name: 'Priya Sharma',
-      title: 'UI/UX Designer',
-      role: 'professional',
-      location: 'Mumbai, India',
-      bio: 'Creative UI/UX designer with expertise in user-centered design and design systems. Passionate about creating intuitive and accessible digital experiences.',
-      email: 'priya.sharma@example.com',
-      website: 'https://priyasharma.design',
-      githubUrl: 'https://github.com/priyasharma',
-      linkedinUrl: 'https://linkedin.com/in/priyasharma-ux',
-      portfolioUrl: 'https://dribbble.com/priyasharma',
-      experiences: [
-        {
-          title: 'Senior UI/UX Designer',
-          company: 'DesignStudio Pro',
-          duration: '2021 - Present',
-          description: 'Leading design for healthcare and fintech applications. Created comprehensive design systems and conducted user research.'
-        },
-        {
-          title: 'UI/UX Designer',
-          company: 'Creative Agency',
-          duration: '2019 - 2021',
-          description: 'Designed web and mobile applications for various clients. Collaborated with developers to ensure design implementation.'
-        }
-      ],
-      education: [
-        {
-          degree: 'Master of Design',
-          institution: 'National Institute of Design',
-          duration: '2017 - 2019',
-          description: 'Specialized in interaction design and user experience.'
-        }
-      ],
-      skills: ['Figma', 'Adobe Creative Suite', 'Sketch', 'Prototyping', 'User Research', 'Design Systems', 'HTML/CSS']
-    },
-    {
-      id: '3',
-      name: 'Rahul Verma',
-      title: 'Product Manager',
-      role: 'professional',
-      location: 'Delhi, India',
-      bio: 'Strategic product manager with experience in fintech and blockchain technologies. Focused on building products that solve real-world problems.',
-      email: 'rahul.verma@example.com',
-      experiences: [
-        {
-          title: 'Senior Product Manager',
-          company: 'FinTech Innovations',
-          duration: '2020 - Present',
-          description: 'Managing product roadmap for blockchain-based financial products. Leading cross-functional teams and driving product strategy.'
-        },
-        {
-          title: 'Product Manager',
-          company: 'Tech Solutions Inc',
-          duration: '2018 - 2020',
-          description: 'Managed product development lifecycle for B2B SaaS applications. Conducted market research and user interviews.'
-        }
-      ],
-      education: [
-        {
-          degree: 'MBA in Technology Management',
-          institution: 'Indian School of Business',
-          duration: '2016 - 2018',
-          description: 'Focused on technology strategy and product management.'
-        }
-      ],
-      skills: ['Product Strategy', 'Agile', 'Data Analysis', 'User Research', 'Blockchain', 'Project Management', 'SQL']
-    }
-  ];
-
-  // Sample posts with updated categories to match the new category system and comments
-  const mockPosts = [
-    {
-      id: '1',
-      userId: '1',
-      author: 'Ankit Kumar',
-      authorTitle: 'Full Stack Developer',
-      content: 'Exciting news! We\'re launching a new React animation library next month. Stay tuned for the official release and documentation!',
-      timestamp: '2 hours ago',
-      likes: 12,
-      comments: [
-        {
-          id: '1',
-          userId: '2',
-          author: 'Priya Sharma',
-          content: 'This sounds amazing! Can\'t wait to see the documentation and examples.',
-          timestamp: '1 hour ago',
-          likes: 3
-        },
-        {
-          id: '2',
-          userId: '3',
-          author: 'Rahul Verma',
-          content: 'Will this be compatible with existing React projects? Looking forward to trying it out!',
-          timestamp: '30 minutes ago',
-          likes: 1
-        }
-      ],
-      category: 'Announcements'
-    },
-    {
-      id: '2',
-      userId: '2',
-      author: 'Priya Sharma',
-      authorTitle: 'UI/UX Designer',
-      content: 'Just completed my healthcare design system project! Check out the comprehensive component library and design tokens I\'ve created.',
-      timestamp: '5 hours ago',
-      likes: 8,
-      comments: [
-        {
-          id: '3',
-          userId: '1',
-          author: 'Ankit Kumar',
-          content: 'This looks really professional! The accessibility considerations are spot on.',
-          timestamp: '4 hours ago',
-          likes: 2
-        }
-      ],
-      category: 'Project Showcase',
-      attachedFile: {
-        name: 'HealthcareDesignSystem.fig',
-        size: '2.3 MB',
-        type: 'figma'
-      }
-    },
-    {
-      id: '3',
-      userId: '3',
-      author: 'Rahul Verma',
-      authorTitle: 'Product Manager',
-      content: 'We\'re hiring! Looking for talented developers and designers to join our fintech startup. Exciting blockchain projects ahead. Apply now!',
-      timestamp: '1 day ago',
-      likes: 24,
-      comments: [
-        {
-          id: '4',
-          userId: '1',
-          author: 'Ankit Kumar',
-          content: 'Interested! What\'s the tech stack you\'re using?',
-          timestamp: '23 hours ago',
-          likes: 5
-        },
-        {
-          id: '5',
-          userId: '2',
-          author: 'Priya Sharma',
-          content: 'This sounds like a great opportunity! Are you looking for remote work as well?',
-          timestamp: '22 hours ago',
-          likes: 3
-        }
-      ],
-      category: 'Job Opportunities'
-    },
-    {
-      id: '4',
-      userId: '1',
-      author: 'Ankit Kumar',
-      authorTitle: 'Full Stack Developer',
-      content: 'Need help with microservices architecture? I\'ve shared our implementation guide. Feel free to ask questions or request clarifications!',
-      timestamp: '2 days ago',
-      likes: 18,
-      comments: [],
-      category: 'Help & Support',
-      attachedFile: {
-        name: 'MicroservicesArchitecture.pdf',
-        size: '1.5 MB',
-        type: 'pdf'
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(searchTerm.trim()), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+
+  // Bumped whenever the filters change so late responses for old filters are ignored
+  const requestIdRef = useRef(0);
+  const sentinelRef = useRef(null);
+
+  const fetchPage = useCallback(async (cursor) => {
+    const requestId = requestIdRef.current;
+    const params = new URLSearchParams({ limit: String(PAGE_SIZE), sort: sortBy });
+    if (debouncedSearch) params.set('q', debouncedSearch);
+    if (selectedCategory) params.set('category', selectedCategory);
+    if (cursor) params.set('cursor', cursor);
+
+    setPageLoading(true);
+    setPageError(null);
+    try {
+      const response = await authFetch(`${apiBaseUrl}/api/posts?${params}`);
+      const result = await response.json();
+      if (requestId !== requestIdRef.current) return;
+
+      if (result.success) {
+        setPosts(prev => (cursor ? [...prev, ...result.data] : result.data));
+        setTotalPosts(result.pagination?.total ?? result.data.length);
+        setNextCursor(result.pagination?.nextCursor || null);
+        setHasMore(Boolean(result.pagination?.hasMore));
+      } else {
+        setPageError(result.message || 'Failed to load posts');
+        setHasMore(false);
       }
+    } catch (error) {
+      if (requestId !== requestIdRef.current) return;
+      console.error('Error fetching posts:', error);
+      setPageError('Failed to load posts');
+      setHasMore(false);
+    } finally {
+      if (requestId === requestIdRef.current) setPageLoading(false);
     }
-  ];
+  }, [debouncedSearch, selectedCategory, sortBy]);
 
-  // Initialize posts state with mock data
+  // Start over from the first page when the filters change
   useEffect(() => {
-    setPosts(mockPosts);
-  }, []);
+    requestIdRef.current += 1;
+    setPosts([]);
+    setNextCursor(null);
+    setHasMore(false);
+    fetchPage(null);
+  }, [fetchPage]);
 
-  const filteredPosts = posts.filter(post => {
-    const matchesSearch = post.content.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      post.author.toLowerCase().includes(searchTerm.toLowerCase());
-    const matchesCategory = !selectedCategory || post.category === selectedCategory;
-    const matchesTab = activeTab === 'all' ||
-      (activeTab === 'discussions' && !post.attachedFile) ||
-      (activeTab === 'resources' && post.attachedFile);
+  // Load the next page when the bottom of the feed scrolls into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !hasMore || pageLoading || view !== 'posts') return;
 
-    return matchesSearch && matchesCategory && matchesTab;
-  });
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) fetchPage(nextCursor);
+    }, { rootMargin: '300px' });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [fetchPage, hasMore, nextCursor, pageLoading, view]);
 
   const handleUserClick = async (memberId) => {
     try {
-      // First check mock members (for demo users)
-      const mockMember = mockMembers.find(m => m.id === memberId);
-      if (mockMember) {
-        const profileData = {
-          ...mockMember,
-          title: mockMember.title || getRoleDisplayTitle(mockMember.role)
-        };
-        setSelectedMember(profileData);
-        setShowProfileModal(true);
-        return;
-      }
-
-      // Try to fetch from backend API
-      const response = await fetch(`/api/users/${memberId}/profile`);
+      const response = await fetch(`${apiBaseUrl}/api/users/${memberId}/profile`);
       if (response.ok) {
         const result = await response.json();
         const userProfile = result.data;
@@ -576,78 +812,129 @@ function Community() {
       setShowProfileModal(true);
     }
   };
+  const replacePost = (updated) => {
+    setPosts(prev => prev.map(post => (post._id === updated._id ? updated : post)));
+  };
 
-  const handleCreatePost = (postData) => {
-    const newPost = {
-      id: Date.now().toString(),
-      userId: user?.id || '0',
-      author: user?.name || 'Guest User',
-      authorTitle: user?.title || getRoleDisplayTitle(user?.role),
-      content: postData.content,
-      timestamp: 'Just now',
-      likes: 0,
-      comments: [],
-      category: postData.category,
-      attachedFile: postData.attachedFiles && postData.attachedFiles.length > 0 ? postData.attachedFiles[0] : null
-    };
+  const handleNewPostClick = () => {
+    if (!user) {
+      showToast({ type: 'info', title: 'Sign in to post', description: 'You need an account to start a discussion.' });
+      return;
+    }
+    setShowCreatePostModal(true);
+  };
+
+  // Returns whether the post was published
+  const handleCreatePost = async (postData) => {
+    // Multipart so attachments travel with the post
+    const body = new FormData();
+    body.append('content', postData.content);
+    body.append('category', postData.category);
+    postData.attachedFiles.forEach(({ file }) => body.append('files', file));
+
+    try {
+      const response = await authFetch(`${apiBaseUrl}/api/posts`, { method: 'POST', body });
+      const result = await response.json();
+      if (!result.success) throw new Error(result.message || 'Failed to create post');
 
-    setPosts([newPost, ...posts]);
+      setPosts(prev => [result.data, ...prev]);
+      setTotalPosts(prev => prev + 1);
+      return true;
+    } catch (error) {
+      showToast({ type: 'error', title: 'Could not publish post', description: error.message });
+      return false;
+    }
   };
 
-  const toggleComments = (postId) => {
-    const newExpanded = new Set(expandedComments);
-    if (newExpanded.has(postId)) {
-      newExpanded.delete(postId);
-    } else {
-      newExpanded.add(postId);
+  const handleRemoveAttachment = async (post, attachment) => {
+    if (!window.confirm(`Remove ${attachment.originalName} from this post?`)) return;
+
+    try {
+      const response = await authFetch(attachmentUrl(post._id, attachment._id), { method: 'DELETE' });
+      const result = await response.json();
+      if (!result.success) throw new Error(result.message || 'Failed to remove attachment');
+      replacePost(result.data);
+    } catch (error) {
+      showToast({ type: 'error', title: 'Could not remove attachment', description: error.message });
     }
-    setExpandedComments(newExpanded);
   };
 
-  const handleCommentSubmit = (postId) => {
-    const commentText = commentInputs[postId]?.trim();
-    if (!commentText) return;
-
-    const newComment = {
-      id: Date.now().toString(),
-      userId: user?.id || '0',
-      author: user?.name || 'Guest User',
-      content: commentText,
-      timestamp: 'Just now',
-      likes: 0
-    };
+  const handleSavePost = async () => {
+    const content = editingPost.content.trim();
+    if (!content) return;
 
-    setPosts(posts.map(post => {
-      if (post.id === postId) {
-        return {
-          ...post,
-          comments: [...post.comments, newComment]
-        };
-      }
-      return post;
-    }));
+    try {
+      const response = await authFetch(`${apiBaseUrl}/api/posts/${editingPost._id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ content, category: editingPost.category })
+      });
+      const result = await response.json();
+      if (!result.success) throw new Error(result.message || 'Failed to update post');
 
-    // Clear the input
-    setCommentInputs(prev => ({
-      ...prev,
-      [postId]: ''
-    }));
+      replacePost(result.data);
+      setEditingPost(null);
+    } catch (error) {
+      showToast({ type: 'error', title: 'Could not update post', description: error.message });
+    }
   };
 
-  const handleCommentInputChange = (postId, value) => {
-    setCommentInputs(prev => ({
-      ...prev,
-      [postId]: value
-    }));
+  const handleDeletePost = async (post) => {
+    if (!window.confirm('Delete this post and all of its comments?')) return;
+
+    try {
+      const response = await authFetch(`${apiBaseUrl}/api/posts/${post._id}`, { method: 'DELETE' });
+      const result = await response.json();
+      if (!result.success) throw new Error(result.message || 'Failed to delete post');
+
+      setPosts(prev => prev.filter(item => item._id !== post._id));
+      setTotalPosts(prev => Math.max(prev - 1, 0));
+    } catch (error) {
+      showToast({ type: 'error', title: 'Could not delete post', description: error.message });
+    }
   };
 
-  const handleCommentKeyDown = (e, postId) => {
-    if (e.key === 'Enter' && !e.shiftKey) {
-      e.preventDefault();
-      handleCommentSubmit(postId);
+  const handleToggleLike = async (post) => {
+    if (!user) {
+      showToast({ type: 'info', title: 'Sign in to like posts' });
+      return;
+    }
+
+    // Show the change right away; the server's counts replace it
+    const liked = !post.likedByMe;
+    replacePost({ ...post, likedByMe: liked, likeCount: post.likeCount + (liked ? 1 : -1) });
+
+    try {
+      const response = await authFetch(`${apiBaseUrl}/api/posts/${post._id}/like`, {
+        method: liked ? 'PUT' : 'DELETE'
+      });
+      const result = await response.json();
+      if (!result.success) throw new Error(result.message || 'Failed to update like');
+      replacePost(result.data);
+    } catch (error) {
+      replacePost(post);
+      showToast({ type: 'error', title: 'Could not update like', description: error.message });
+    }
+  };
+
+  const handleCommentCountChange = (postId, change) => {
+    setPosts(prev => prev.map(post => (
+      post._id === postId ? { ...post, commentCount: Math.max(post.commentCount + change, 0) } : post
+    )));
+  };
+
+  const toggleComments = (postId) => {
+    const newExpanded = new Set(expandedComments);
+    if (newExpanded.has(postId)) {
+      newExpanded.delete(postId);
+    } else {
+      newExpanded.add(postId);
     }
+    setExpandedComments(newExpanded);
   };
 
+  const hasFilters = searchTerm || selectedCategory;
+
   return (
     <div className="community-container">
       <div className="community-header">
@@ -655,212 +942,339 @@ function Community() {
           <h1 style={{ color: 'white' }}>Community</h1>
           <p style={{ color: 'white' }}>Connect, share, and grow with fellow developers</p>
         </div>
-        <button className="new-post-btn" onClick={() => setShowCreatePostModal(true)}>
-          <MessageSquare size={20} />
-          New Post
-        </button>
-      </div>
-
-      <div className="community-filters">
-        <div className="search-bar">
-          <Search size={20} />
-          <input
-            type="text"
-            placeholder="Search posts..."
-            value={searchTerm}
-            onChange={(e) => setSearchTerm(e.target.value)}
-          />
-        </div>
-        <button
-          className="filter-toggle"
-          onClick={() => setShowFilters(!showFilters)}
-        >
-          <Filter size={20} />
-          <span className="filter-text">Filters</span>
-          {selectedCategory && <span className="filter-indicator"></span>}
-        </button>
+        {view === 'posts' && (
+          <button className="new-post-btn" onClick={handleNewPostClick}>
+            <MessageSquare size={20} />
+            New Post
+          </button>
+        )}
       </div>
 
-      {showFilters && (
-        <div className="filters-panel">
-          <div className="filter-group">
-            <label htmlFor="category-filter">Category</label>
-            <select
-              id="category-filter"
-              value={selectedCategory}
-              onChange={(e) => setSelectedCategory(e.target.value)}
-            >
-              <option value="">All Categories</option>
-              {categories.map(category => (
-                <option key={category} value={category}>{category}</option>
-              ))}
-            </select>
-          </div>
-          <div className="filter-actions">
-            <button
-              className="clear-filters-btn"
-              onClick={() => {
-                setSelectedCategory('');
-                setShowFilters(false);
-              }}
-            >
-              Clear Filters
-            </button>
-          </div>
-        </div>
-      )}
-
-      {/* <div className="tabs-container">
+      <div className="community-view-tabs" role="tablist">
         <button
-          className={`tab-button ${activeTab === 'all' ? 'active' : ''}`}
-          onClick={() => setActiveTab('all')}
+          role="tab"
+          aria-selected={view === 'posts'}
+          className={`community-view-tab ${view === 'posts' ? 'active' : ''}`}
+          onClick={() => setView('posts')}
         >
           <MessageSquare size={16} />
-          All Posts
-        </button>
-        <button
-          className={`tab-button ${activeTab === 'recent' ? 'active' : ''}`}
-          onClick={() => setActiveTab('recent')}
-        >
-          <Clock size={16} />
-          Recent
+          Posts
         </button>
         <button
-          className={`tab-button ${activeTab === 'following' ? 'active' : ''}`}
-          onClick={() => setActiveTab('following')}
+          role="tab"
+          aria-selected={view === 'members'}
+          className={`community-view-tab ${view === 'members' ? 'active' : ''}`}
+          onClick={() => setView('members')}
         >
           <Users size={16} />
-          Following
+          Members
         </button>
-      </div> */}
-
-      <div className="community-feed">
-        {/* Empty state */}
-        {posts.length === 0 && (
-          <div className="empty-state">
-            <div className="empty-icon">
-              <MessageSquare size={48} />
+      </div>
+
+      {view === 'members' ? (
+        <MemberDirectory onMemberClick={handleUserClick} />
+      ) : (
+        <>
+          <div className="community-filters">
+            <div className="search-bar">
+              <Search size={20} />
+              <input
+                type="text"
+                placeholder="Search posts..."
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+              />
             </div>
-            <h3>No Posts Yet</h3>
-            <p>Be the first one to start a discussion!</p>
+            <button
+              className="filter-toggle"
+              onClick={() => setShowFilters(!showFilters)}
+            >
+              <Filter size={20} />
+              <span className="filter-text">Filters</span>
+              {selectedCategory && <span className="filter-indicator"></span>}
+            </button>
           </div>
-        )}
 
-        {/* Posts list */}
-        <div className="posts-list">
-          {filteredPosts.map(post => (
-            <div key={post.id} className="post-card">
-              <div className="post-header">
-                <div className="post-author" onClick={() => handleUserClick(post.userId)}>
-                  <UserAvatar user={{ name: post.author }} size="medium" />
-                  <div className="author-info">
-                    <span className="author-name">{post.author}</span>
-                    <span className="author-title">{post.authorTitle}</span>
-                  </div>
-                </div>
-                <div className="post-meta">
-                  <span className="post-timestamp">{post.timestamp}</span>
-                  <span className="post-category">{post.category}</span>
-                </div>
+          {showFilters && (
+            <div className="filters-panel">
+              <div className="filter-group">
+                <label htmlFor="category-filter">Category</label>
+                <select
+                  id="category-filter"
+                  value={selectedCategory}
+                  onChange={(e) => setSelectedCategory(e.target.value)}
+                >
+                  <option value="">All Categories</option>
+                  {categories.map(category => (
+                    <option key={category} value={category}>{category}</option>
+                  ))}
+                </select>
               </div>
-              <div className="post-content">
-                <p>{post.content}</p>
-                {post.attachedFile && (
-                  <div className="attached-file">
-                    <div className="file-icon">
-                      {getFileIcon(post.attachedFile.type)}
-                    </div>
-                    <div className="file-info">
-                      <span className="file-name">{post.attachedFile.name}</span>
-                      <span className="file-size">{post.attachedFile.size}</span>
-                    </div>
-                    <button
-                      className="download-btn"
-                      title="Download file"
-                      onClick={(e) => {
-                        e.stopPropagation();
-                        // In a real app, this would initiate a file download
-                        alert('File download started');
-                      }}
-                    >
-                      <Download size={18} />
-                    </button>
-                  </div>
-                )}
+              <div className="filter-actions">
+                <button
+                  className="clear-filters-btn"
+                  onClick={() => {
+                    setSelectedCategory('');
+                    setShowFilters(false);
+                  }}
+                >
+                  Clear Filters
+                </button>
               </div>
-              <div className="post-actions">
+            </div>
+          )}
+
+          <div className="community-stats">
+            <div className="post-sort" role="group" aria-label="Sort posts">
+              {POST_SORTS.map(([value, label]) => (
                 <button
-                  className={`post-action-btn ${expandedComments.has(post.id) ? 'active' : ''}`}
-                  onClick={() => toggleComments(post.id)}
+                  key={value}
+                  className={`post-sort-btn ${sortBy === value ? 'active' : ''}`}
+                  onClick={() => setSortBy(value)}
                 >
-                  <MessageSquare size={18} />
-                  {post.comments.length} Comments
+                  {label}
                 </button>
-                <button className="post-action-btn">
-                  <Heart size={18} />
-                  {post.likes} Likes
+              ))}
+            </div>
+            <span>
+              {totalPosts} posts
+              {hasFilters && (
+                <button
+                  className="clear-filters-btn small"
+                  onClick={() => {
+                    setSearchTerm('');
+                    setSelectedCategory('');
+                  }}
+                >
+                  Clear filters
                 </button>
-                <button className="post-action-btn">
-                  <Tag size={18} />
-                  Share
+              )}
+            </span>
+          </div>
+
+          <div className="community-feed">
+            {posts.length === 0 && pageLoading && (
+              <div className="empty-state">
+                <p>Loading posts...</p>
+              </div>
+            )}
+
+            {posts.length === 0 && !pageLoading && pageError && (
+              <div className="empty-state">
+                <h3>{pageError}</h3>
+                <button className="clear-filters-btn" onClick={() => fetchPage(null)}>
+                  Try again
                 </button>
               </div>
+            )}
 
-              {/* Comments Section */}
-              {expandedComments.has(post.id) && (
-                <div className="comments-section">
-                  <div className="comments-list">
-                    {post.comments.length === 0 ? (
-                      <div className="no-comments">
-                        <p>No comments yet. Be the first to comment!</p>
+            {/* Empty state */}
+            {posts.length === 0 && !pageLoading && !pageError && (
+              <div className="empty-state">
+                <div className="empty-icon">
+                  <MessageSquare size={48} />
+                </div>
+                {hasFilters ? (
+                  <>
+                    <h3>No Matching Posts</h3>
+                    <p>Try a different search or category.</p>
+                  </>
+                ) : (
+                  <>
+                    <h3>No Posts Yet</h3>
+                    <p>Be the first one to start a discussion!</p>
+                  </>
+                )}
+              </div>
+            )}
+
+            {/* Posts list */}
+            <div className="posts-list">
+              {posts.map(post => {
+                const isAuthor = Boolean(userId) && post.author?._id === userId;
+                const isEditing = editingPost?._id === post._id;
+                return (
+                  <div key={post._id} className="post-card">
+                    <div className="post-header">
+                      <div className="post-author" onClick={() => post.author && handleUserClick(post.author._id)}>
+                        <UserAvatar user={post.author || { name: 'Former member' }} size="medium" />
+                        <div className="author-info">
+                          <span className="author-name">{post.author?.name || 'Former member'}</span>
+                          <span className="author-title">
+                            {post.author && (post.author.title || getRoleDisplayTitle(post.author.role))}
+                          </span>
+                        </div>
                       </div>
-                    ) : (
-                      post.comments.map(comment => (
-                        <div key={comment.id} className="comment-item">
-                          <UserAvatar user={{ name: comment.author }} size="small" />
-                          <div className="comment-content">
-                            <div className="comment-header">
-                              <span className="comment-user">{comment.author}</span>
-                              <span className="comment-time">{comment.timestamp}</span>
-                            </div>
-                            <p className="comment-text">{comment.content}</p>
-                            <div className="comment-actions">
-                              <button className="comment-action">
-                                <Heart size={14} />
-                                {comment.likes}
-                              </button>
-                              <button className="comment-action">Reply</button>
+                      <div className="post-meta">
+                        <span className="post-timestamp">
+                          {formatTimeAgo(post.createdAt)}
+                          {post.editedAt && ' · edited'}
+                        </span>
+                        <span className="post-category">{post.category}</span>
+                      </div>
+                    </div>
+                    <div className="post-content">
+                      {isEditing ? (
+                        <div className="post-edit">
+                          <select
+                            value={editingPost.category}
+                            onChange={(e) => setEditingPost({ ...editingPost, category: e.target.value })}
+                          >
+                            {categories.map(category => (
+                              <option key={category} value={category}>{category}</option>
+                            ))}
+                          </select>
+                          <textarea
+                            value={editingPost.content}
+                            onChange={(e) => setEditingPost({ ...editingPost, content: e.target.value })}
+                            rows={4}
+                            maxLength={5000}
+                          />
+                          <div className="post-edit-actions">
+                            <button className="clear-filters-btn" onClick={() => setEditingPost(null)}>
+                              Cancel
+                            </button>
+                            <button
+                              className="post-edit-save"
+                              onClick={handleSavePost}
+                              disabled={!editingPost.content.trim()}
+                            >
+                              Save
+                            </button>
+                          </div>
+                        </div>
+                      ) : (
+                        <p>{post.content}</p>
+                      )}
+
+                      {post.attachments.some(attachment => attachment.kind === 'image') && (
+                        <div className="post-images">
+                          {post.attachments.filter(attachment => attachment.kind === 'image').map(attachment => (
+                            <div key={attachment._id} className="post-image">
+                              <a
+                                href={`${attachmentUrl(post._id, attachment._id)}?inline=true`}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                                title={attachment.originalName}
+                              >
+                                <img
+                                  src={`${attachmentUrl(post._id, attachment._id)}/thumbnail`}
+                                  alt={attachment.originalName}
+                                  loading="lazy"
+                                />
+                              </a>
+                              {isEditing && (
+                                <button
+                                  className="remove-file-btn"
+                                  onClick={() => handleRemoveAttachment(post, attachment)}
+                                  title="Remove image"
+                                >
+                                  <X size={16} />
+                                </button>
+                              )}
                             </div>
+                          ))}
+                        </div>
+                      )}
+
+                      {post.attachments.filter(attachment => attachment.kind !== 'image').map(attachment => (
+                        <div key={attachment._id} className="attached-file">
+                          <div className="file-icon">
+                            {getFileIcon(attachment.originalName.split('.').pop())}
+                          </div>
+                          <div className="file-info">
+                            <span className="file-name">{attachment.originalName}</span>
+                            <span className="file-size">{formatFileSize(attachment.size)}</span>
                           </div>
+                          {isEditing ? (
+                            <button
+                              className="remove-file-btn"
+                              onClick={() => handleRemoveAttachment(post, attachment)}
+                              title="Remove file"
+                            >
+                              <X size={16} />
+                            </button>
+                          ) : (
+                            <a
+                              className="download-btn"
+                              href={attachmentUrl(post._id, attachment._id)}
+                              download={attachment.originalName}
+                              title="Download file"
+                            >
+                              <Download size={18} />
+                            </a>
+                          )}
                         </div>
-                      ))
-                    )}
-                  </div>
+                      ))}
+                    </div>
+                    <div className="post-actions">
+                      <button
+                        className={`post-action-btn ${expandedComments.has(post._id) ? 'active' : ''}`}
+                        onClick={() => toggleComments(post._id)}
+                      >
+                        <MessageSquare size={18} />
+                        {post.commentCount} Comments
+                      </button>
+                      <button
+                        className={`post-action-btn ${post.likedByMe ? 'liked' : ''}`}
+                        onClick={() => handleToggleLike(post)}
+                        aria-pressed={post.likedByMe}
+                      >
+                        <Heart size={18} fill={post.likedByMe ? 'currentColor' : 'none'} />
+                        {post.likeCount} Likes
+                      </button>
+                      <button className="post-action-btn">
+                        <Tag size={18} />
+                        Share
+                      </button>
+                      {!isAuthor && (
+                        <ReportButton targetType="post" targetId={post._id} ownerId={post.author?._id} className="post-report-btn" showLabel />
+                      )}
+                      {isAuthor && !isEditing && (
+                        <div className="post-owner-actions">
+                          <button
+                            className="post-action-btn"
+                            onClick={() => setEditingPost({ _id: post._id, content: post.content, category: post.category })}
+                          >
+                            <Edit size={16} />
+                            Edit
+                          </button>
+                          <button className="post-action-btn" onClick={() => handleDeletePost(post)}>
+                            <Trash2 size={16} />
+                            Delete
+                          </button>
+                        </div>
+                      )}
+                    </div>
 
-                  {/* Comment Input */}
-                  <div className="comment-input">
-                    <UserAvatar user={{ name: user?.name || 'Guest' }} size="small" />
-                    <input
-                      type="text"
-                      placeholder="Write a comment..."
-                      value={commentInputs[post.id] || ''}
-                      onChange={(e) => handleCommentInputChange(post.id, e.target.value)}
-                      onKeyDown={(e) => handleCommentKeyDown(e, post.id)}
-                    />
-                    <button
-                      className="send-comment-btn"
-                      onClick={() => handleCommentSubmit(post.id)}
-                      disabled={!commentInputs[post.id]?.trim()}
-                    >
-                      <Send size={16} />
-                    </button>
+                    {/* Comments Section */}
+                    {expandedComments.has(post._id) && (
+                      <PostComments
+                        postId={post._id}
+                        onCountChange={(change) => handleCommentCountChange(post._id, change)}
+                        onUserClick={handleUserClick}
+                      />
+                    )}
                   </div>
-                </div>
-              )}
+                );
+              })}
             </div>
-          ))}
-        </div>
-      </div>
+
+            <div ref={sentinelRef} className="feed-sentinel" aria-hidden="true"></div>
+            {posts.length > 0 && pageLoading && (
+              <p className="feed-status">Loading more posts...</p>
+            )}
+            {posts.length > 0 && pageError && (
+              <p className="feed-status">
+                {pageError}{' '}
+                <button className="clear-filters-btn small" onClick={() => fetchPage(nextCursor)}>
+                  Try again
+                </button>
+              </p>
+            )}
+          </div>
+        </>
+      )}
 
       {showCreatePostModal && (
         <CreatePostModal
@@ -882,4 +1296,4 @@ function Community() {
   );
 }
 
-export default Community; 
\ No newline at end of file
+export default Community;
@@ -1,6 +1,6 @@
 import { useState, useEffect } from 'react';
 import { useLocation } from 'react-router-dom';
-import { Users, Bookmark, Settings, MessageCircle, User, CheckCircle, XCircle, Clock, Download, LayoutDashboard, ExternalLink } from 'lucide-react';
+import { Users, Bookmark, Settings, MessageCircle, User, CheckCircle, XCircle, Clock, Download, LayoutDashboard, ExternalLink, Undo2 } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
 import { useProjects } from '../context/ProjectContext';
 import { useNotifications } from '../context/NotificationContext';
@@ -9,13 +9,15 @@ import ProfileModal from '../components/ProfileModal';
 import ProjectModal from '../components/ProjectModal';
 import CollaborationSpace from '../components/CollaborationSpace';
 import CreateProjectModal from '../components/CreateProjectModal';
+import RecommendedProjects from '../components/RecommendedProjects';
 import './Dashboard.css';
 import ProjectCard from '../components/ProjectCard';
+import ApplicationTimeline from '../components/ApplicationTimeline';
 
 // Dashboard component displays the main dashboard UI for authenticated users
 // 
-// APPLICATION COLLECTION STRUCTURE (from SYSTEM_FLOW_DATABASE_SCHEMA.md):
-// - Each user has ONE Application document (userId is unique)
+// APPLICATIONS RESPONSE (GET /api/dashboard/:userId/applications, see SYSTEM_FLOW_DATABASE_SCHEMA.md):
+// - The backend stores one Application document per application and builds both lists from it
 // - applications_received[]: Applications this user received as project owner
 //   - Contains: applicantId, applicantName, applicantEmail, applicantAvatar, applicantTitle, applicantLocation
 //   - Project info: projectId, projectName, projectStage
@@ -25,7 +27,7 @@ import ProjectCard from '../components/ProjectCard';
 // - applications_sent[]: Applications this user sent as applicant
 //   - Contains: projectOwnerId, projectOwnerName, projectOwnerEmail, projectOwnerAvatar
 //   - Project info: projectId, projectName, projectStage, projectIndustry
-//   - Application: position, message, skills, status (PENDING/ACCEPTED/REJECTED/QUIT/REMOVED/INVITED)
+//   - Application: position, message, skills, status (PENDING/WAITLISTED/ACCEPTED/REJECTED/QUIT/REMOVED/INVITED/WITHDRAWN)
 //   - Resume: hasResume, resumeUrl, resumeFileName, attachments[]
 //   - Review: reviewNotes, reviewedAt, reviewedBy, rejectionReason, removedFromTeamAt, removalReason
 // - stats: Aggregated counts for both received and sent applications
@@ -43,6 +45,7 @@ function Dashboard() {
     fetchApplications,
     acceptApplication, 
     rejectApplication, 
+    withdrawApplication,
     getReceivedApplications, 
     getSentApplications,
     getUserProjects,
@@ -246,6 +249,29 @@ function Dashboard() {
     }
   };
 
+  // Function to handle withdrawing one of the user's own pending applications
+  const handleWithdrawApplication = async (application) => {
+    if (!window.confirm(`Withdraw your application for '${application.position}' at ${application.projectName}?`)) {
+      return;
+    }
+
+    const success = await withdrawApplication(application.applicationId || application.id);
+
+    if (success) {
+      showToast({
+        type: 'info',
+        title: 'Application withdrawn',
+        description: `Your application for '${application.position}' has been withdrawn.`,
+      });
+    } else {
+      showToast({
+        type: 'error',
+        title: 'Failed to withdraw application',
+        description: 'Something went wrong. Please try again.',
+      });
+    }
+  };
+
   // Function to handle viewing profile/project based on tab
   const handleViewProfile = async (application) => {
     console.log(`Viewing details for application:`, application);
@@ -466,6 +492,13 @@ function Dashboard() {
         </div> */}
       </header>
 
+      <RecommendedProjects
+        onProjectClick={(project) => {
+          setSelectedProject(project);
+          setShowProjectModal(true);
+        }}
+      />
+
       {/* Dashboard tabs for switching between My Projects, Bookmarks and Applications */}
       <div className="dashboard-tabs">
         <button
@@ -650,19 +683,40 @@ function Dashboard() {
                       <p className="application-message">
                         {application.message}
                       </p>
+
+                      {/* Owners review the applicant's screening answers */}
+                      {applicationTab === 'received' && application.screeningAnswers?.length > 0 && (
+                        <dl className="screening-answers">
+                          {application.screeningAnswers.map(item => (
+                            <div key={item.questionId} className="screening-answer">
+                              <dt>{item.prompt}</dt>
+                              <dd>
+                                {item.type === 'URL'
+                                  ? <a href={item.answer} target="_blank" rel="noopener noreferrer">{item.answer}</a>
+                                  : item.answer}
+                              </dd>
+                            </div>
+                          ))}
+                        </dl>
+                      )}
+
+                      <ApplicationTimeline application={application} />
                     </div>
                     
                     {/* Status and actions - Aligned with Application schema statuses */}
                     <div className="application-status-actions">
                       <div className={`application-status status-${application.status.toLowerCase()}`}>
-                        {application.status === 'PENDING' && <Clock size={16} />}
+                        {(application.status === 'PENDING' || application.status === 'WAITLISTED') && <Clock size={16} />}
                         {application.status === 'ACCEPTED' && <CheckCircle size={16} />}
                         {application.status === 'INVITED' && <CheckCircle size={16} />}
                         {(application.status === 'REJECTED' || application.status === 'QUIT') && <XCircle size={16} />}
                         {application.status === 'REMOVED' && <XCircle size={16} />}
+                        {application.status === 'WITHDRAWN' && <Undo2 size={16} />}
                         <span>
                           {application.status === 'QUIT' ? 'Quit' : 
                            application.status === 'REMOVED' ? 'Removed' :
+                           application.status === 'WAITLISTED'
+                             ? `Waitlisted${application.waitlistRank ? ` #${application.waitlistRank}` : ''}` :
                            application.status.charAt(0) + application.status.slice(1).toLowerCase()}
                         </span>
                       </div>
@@ -733,6 +787,29 @@ function Dashboard() {
                             </button>
                           </div>
                         )}
+
+                        {/* Waitlisted applicants can be turned down without waiting for a spot */}
+                        {application.status === 'WAITLISTED' && applicationTab === 'received' && (
+                          <div className="decision-actions">
+                            <button 
+                              className="reject-btn" 
+                              onClick={() => handleRejectApplication(application.id)}
+                            >
+                              Reject
+                            </button>
+                          </div>
+                        )}
+
+                        {/* Applicants can take back an application until it's reviewed */}
+                        {(application.status === 'PENDING' || application.status === 'WAITLISTED') && applicationTab === 'sent' && (
+                          <button
+                            className="withdraw-btn"
+                            onClick={() => handleWithdrawApplication(application)}
+                          >
+                            <Undo2 size={16} />
+                            Withdraw
+                          </button>
+                        )}
                       </div>
                     </div>
                   </div>
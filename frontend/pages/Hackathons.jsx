@@ -1,31 +1,129 @@
-import { useState, useEffect } from 'react';
-import { Calendar, Users, Trophy, Clock, MapPin, Plus } from 'lucide-react';
-import { useProjects } from '../context/ProjectContext';
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { Plus } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
+import { useNotifications } from '../context/NotificationContext';
 import HackathonCard from '../components/HackathonCard';
 import HackathonRegistrationModal from '../components/HackathonRegistrationModal';
+import HostHackathonModal from '../components/HostHackathonModal';
+import HackathonTeamPanel from '../components/HackathonTeamPanel';
+import HackathonSubmissionModal from '../components/HackathonSubmissionModal';
+import HackathonJudgingPanel from '../components/HackathonJudgingPanel';
+import HackathonLeaderboard from '../components/HackathonLeaderboard';
+import { authFetch } from '../utils/api';
 import './Hackathons.css';
 
+const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+// Hackathons fetched per request while scrolling
+const PAGE_SIZE = 12;
+
+// Statuses and order behind each tab; past events show the most recent first
+const TABS = {
+  upcoming: { status: 'upcoming', sort: 'soonest' },
+  ongoing: { status: 'ongoing', sort: 'soonest' },
+  past: { status: 'completed,cancelled', sort: 'latest' }
+};
+
+const tabCount = (counts, tab) => TABS[tab].status
+  .split(',')
+  .reduce((sum, status) => sum + (counts[status] || 0), 0);
+
 function Hackathons() {
   const [activeTab, setActiveTab] = useState('upcoming');
   const [selectedHackathon, setSelectedHackathon] = useState(null);
   const [showRegistrationModal, setShowRegistrationModal] = useState(false);
   const [isJoinFlow, setIsJoinFlow] = useState(false);
-  const { hackathons } = useProjects();
+  const [hostModal, setHostModal] = useState(null);
+  const [teamHackathon, setTeamHackathon] = useState(null);
+  const [submissionHackathon, setSubmissionHackathon] = useState(null);
+  const [judgingHackathon, setJudgingHackathon] = useState(null);
+  const [resultsHackathon, setResultsHackathon] = useState(null);
+  const [hackathons, setHackathons] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [nextCursor, setNextCursor] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
   const { user } = useAuth();
+  const { showToast } = useNotifications();
+  const location = useLocation();
+  const navigate = useNavigate();
+
+  // Bumped on every tab change so late responses for another tab are ignored
+  const requestIdRef = useRef(0);
+  const sentinelRef = useRef(null);
 
-  const upcomingHackathons = hackathons.filter(h => h.status === 'upcoming');
-  const ongoingHackathons = hackathons.filter(h => h.status === 'ongoing');
-  const pastHackathons = hackathons.filter(h => h.status === 'completed');
+  const fetchPage = useCallback(async (cursor) => {
+    const requestId = requestIdRef.current;
+    const params = new URLSearchParams({ ...TABS[activeTab], limit: String(PAGE_SIZE) });
+    if (cursor) params.set('cursor', cursor);
 
-  const getHackathonsByTab = () => {
-    switch (activeTab) {
-      case 'upcoming': return upcomingHackathons;
-      case 'ongoing': return ongoingHackathons;
-      case 'past': return pastHackathons;
-      default: return upcomingHackathons;
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await authFetch(`${apiBaseUrl}/api/hackathons?${params}`);
+      const result = await response.json();
+      if (requestId !== requestIdRef.current) return;
+
+      if (result.success) {
+        setHackathons(prev => (cursor ? [...prev, ...result.data] : result.data));
+        setCounts(result.counts || {});
+        setNextCursor(result.pagination?.nextCursor || null);
+        setHasMore(Boolean(result.pagination?.hasMore));
+      } else {
+        setError(result.message || 'Failed to load hackathons');
+        setHasMore(false);
+      }
+    } catch (err) {
+      if (requestId !== requestIdRef.current) return;
+      console.error('Error loading hackathons:', err);
+      setError('Failed to load hackathons');
+      setHasMore(false);
+    } finally {
+      if (requestId === requestIdRef.current) setLoading(false);
     }
-  };
+  }, [activeTab]);
+
+  const reload = useCallback(() => {
+    requestIdRef.current += 1;
+    setHackathons([]);
+    setNextCursor(null);
+    setHasMore(false);
+    fetchPage(null);
+  }, [fetchPage]);
+
+  useEffect(() => {
+    reload();
+  }, [reload, user]);
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !hasMore || loading) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) fetchPage(nextCursor);
+    }, { rootMargin: '300px' });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [fetchPage, hasMore, nextCursor, loading]);
+
+  // Team and judging notifications link here with the hackathon to open
+  useEffect(() => {
+    const hackathonId = location.state?.hackathonId;
+    if (!hackathonId || !user) return;
+    navigate(location.pathname, { replace: true, state: null });
+
+    authFetch(`${apiBaseUrl}/api/hackathons/${hackathonId}`)
+      .then(response => response.json())
+      .then(result => {
+        if (!result.success) return;
+        if (result.data.isJudge) setJudgingHackathon(result.data);
+        else setTeamHackathon(result.data);
+      })
+      .catch(err => console.error('Error loading hackathon:', err));
+  }, [location.state, location.pathname, navigate, user]);
 
   const handleRegisterClick = (hackathon) => {
     setSelectedHackathon(hackathon);
@@ -45,6 +143,51 @@ function Hackathons() {
     setIsJoinFlow(false);
   };
 
+  const handleRegistered = (result) => {
+    const hackathon = selectedHackathon;
+    closeModal();
+    showToast({ type: 'success', title: 'You are registered', description: result.message });
+    reload();
+    // A new team lead goes straight to inviting members
+    if (result.data.team) setTeamHackathon({ ...hackathon, isRegistered: true });
+  };
+
+  const handleSaved = (saved) => {
+    const isNew = hostModal.hackathon === undefined;
+    setHostModal(null);
+    showToast({
+      type: 'success',
+      title: isNew ? 'Hackathon created' : 'Hackathon updated',
+      description: saved.title
+    });
+    // Dates may have moved it to another tab, so refetch rather than patch in place
+    reload();
+  };
+
+  const handleCancelClick = async (hackathon) => {
+    const reason = window.prompt(
+      `Cancel "${hackathon.title}"? Registered participants will be notified.\n\nReason (optional):`
+    );
+    if (reason === null) return;
+
+    try {
+      const response = await authFetch(`${apiBaseUrl}/api/hackathons/${hackathon._id}/cancel`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ reason: reason.trim() })
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to cancel hackathon');
+      }
+      showToast({ type: 'success', title: 'Hackathon cancelled', description: hackathon.title });
+      reload();
+    } catch (err) {
+      console.error('Error cancelling hackathon:', err);
+      showToast({ type: 'error', title: 'Could not cancel hackathon', description: err.message });
+    }
+  };
+
   return (
     <div className="hackathons-container">
       <div className="hackathons-header">
@@ -52,12 +195,12 @@ function Hackathons() {
           <h1 style={{ color: 'white' }}>Hackathons & Competitions</h1>
           <p style={{ color: 'white' }}>Participate in exciting challenges, showcase your skills, and win amazing prizes</p>
         </div>
-        {/* {user && (
-          <button className="create-hackathon-btn">
+        {user && (
+          <button className="create-hackathon-btn" onClick={() => setHostModal({})}>
             <Plus size={20} />
             Host Hackathon
           </button>
-        )} */}
+        )}
       </div>
 
       <div className="hackathons-tabs">
@@ -65,45 +208,60 @@ function Hackathons() {
           className={`tab-btn ${activeTab === 'upcoming' ? 'active' : ''}`}
           onClick={() => setActiveTab('upcoming')}
         >
-          Upcoming ({upcomingHackathons.length})
+          Upcoming ({tabCount(counts, 'upcoming')})
         </button>
         <button
           className={`tab-btn ${activeTab === 'ongoing' ? 'active' : ''}`}
           onClick={() => setActiveTab('ongoing')}
         >
-          Live Now ({ongoingHackathons.length})
+          Live Now ({tabCount(counts, 'ongoing')})
         </button>
         <button
           className={`tab-btn ${activeTab === 'past' ? 'active' : ''}`}
           onClick={() => setActiveTab('past')}
         >
-          Past Events ({pastHackathons.length})
+          Past Events ({tabCount(counts, 'past')})
         </button>
       </div>
 
       <div className="hackathons-content">
-        {getHackathonsByTab().length === 0 ? (
+        {hackathons.length === 0 && !loading ? (
           <div className="empty-state">
             <div className="empty-icon">🏆</div>
-            <h3>No hackathons found</h3>
+            <h3>{error ? 'Could not load hackathons' : 'No hackathons found'}</h3>
             <p>
-              {activeTab === 'upcoming' && 'No upcoming hackathons at the moment. Check back soon!'}
-              {activeTab === 'ongoing' && 'No hackathons are currently live.'}
-              {activeTab === 'past' && 'No past hackathons to display.'}
+              {error && 'Please try again in a moment.'}
+              {!error && activeTab === 'upcoming' && 'No upcoming hackathons at the moment. Check back soon!'}
+              {!error && activeTab === 'ongoing' && 'No hackathons are currently live.'}
+              {!error && activeTab === 'past' && 'No past hackathons to display.'}
             </p>
           </div>
         ) : (
           <div className="hackathons-grid">
-            {getHackathonsByTab().map(hackathon => (
+            {hackathons.map(hackathon => (
               <HackathonCard
-                key={hackathon.id}
+                key={hackathon._id}
                 hackathon={hackathon}
                 onRegisterClick={handleRegisterClick}
                 onJoinClick={handleJoinClick}
+                onTeamClick={setTeamHackathon}
+                onEditClick={(h) => setHostModal({ hackathon: h })}
+                onCancelClick={handleCancelClick}
+                onSubmitClick={setSubmissionHackathon}
+                onJudgingClick={setJudgingHackathon}
+                onResultsClick={setResultsHackathon}
               />
             ))}
           </div>
         )}
+        <div ref={sentinelRef} className="hackathons-sentinel" aria-hidden="true"></div>
+        {loading && <p className="hackathons-status">Loading hackathons...</p>}
+        {error && hackathons.length > 0 && (
+          <p className="hackathons-status">
+            {error}.{' '}
+            <button className="retry-btn" onClick={() => fetchPage(nextCursor)}>Try again</button>
+          </p>
+        )}
       </div>
 
       {/* Featured Section */}
@@ -178,9 +336,48 @@ function Hackathons() {
         <HackathonRegistrationModal
           hackathon={selectedHackathon}
           onClose={closeModal}
+          onRegistered={handleRegistered}
           isJoinFlow={isJoinFlow}
         />
       )}
+
+      {teamHackathon && (
+        <HackathonTeamPanel
+          hackathon={teamHackathon}
+          onClose={() => setTeamHackathon(null)}
+          onChanged={reload}
+        />
+      )}
+
+      {submissionHackathon && (
+        <HackathonSubmissionModal
+          hackathon={submissionHackathon}
+          onClose={() => setSubmissionHackathon(null)}
+        />
+      )}
+
+      {judgingHackathon && (
+        <HackathonJudgingPanel
+          hackathon={judgingHackathon}
+          onClose={() => setJudgingHackathon(null)}
+          onResultsClick={setResultsHackathon}
+        />
+      )}
+
+      {resultsHackathon && (
+        <HackathonLeaderboard
+          hackathon={resultsHackathon}
+          onClose={() => setResultsHackathon(null)}
+        />
+      )}
+
+      {hostModal && (
+        <HostHackathonModal
+          hackathon={hostModal.hackathon}
+          onClose={() => setHostModal(null)}
+          onSaved={handleSaved}
+        />
+      )}
     </div>
   );
 }
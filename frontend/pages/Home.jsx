@@ -1,9 +1,10 @@
 import { Link } from 'react-router-dom';
 import { Rocket, Search, ArrowRight, Users, Lightbulb, Trophy, Target, GitBranch, MessageSquare, Shield, Zap } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
+import RecommendedProjects from '../components/RecommendedProjects';
 import './Home.css';
 
-function Home({ onAuthClick }) {
+function Home({ onAuthClick, onProjectClick }) {
   const { user } = useAuth();
 
 
@@ -46,6 +47,12 @@ function Home({ onAuthClick }) {
 
       </section>
 
+      {user && (
+        <div className="home-recommended">
+          <RecommendedProjects onProjectClick={onProjectClick} />
+        </div>
+      )}
+
       {/* Features Section */}
       <section id="features" className="our-features-section">
         <div className="features-header">
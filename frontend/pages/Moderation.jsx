@@ -0,0 +1,451 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { Shield, EyeOff, Trash2, AlertTriangle, Ban, Check, UserCheck } from 'lucide-react';
+import { useNotifications } from '../context/NotificationContext';
+import UserAvatar from '../components/UserAvatar';
+import { authFetch } from '../utils/api';
+import './Projects.css';
+import './Moderation.css';
+
+const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+// Reports or audit entries fetched per request while scrolling
+const PAGE_SIZE = 20;
+
+const REPORT_STATUSES = [
+  ['OPEN', 'Open'],
+  ['RESOLVED', 'Resolved'],
+  ['DISMISSED', 'Dismissed']
+];
+
+const TARGET_TYPES = [
+  ['post', 'Posts'],
+  ['comment', 'Comments'],
+  ['project', 'Projects'],
+  ['user', 'Profiles']
+];
+
+const TARGET_LABELS = {
+  post: 'Post',
+  comment: 'Comment',
+  project: 'Project',
+  user: 'Profile'
+};
+
+const REASON_LABELS = {
+  SPAM: 'Spam',
+  HARASSMENT: 'Harassment',
+  HATE_SPEECH: 'Hate speech',
+  INAPPROPRIATE: 'Inappropriate',
+  MISINFORMATION: 'Misinformation',
+  OTHER: 'Other'
+};
+
+// Button label, icon and confirmation for each moderator action
+const ACTIONS = {
+  HIDE: { label: 'Hide', icon: EyeOff },
+  DELETE: { label: 'Delete', icon: Trash2, confirm: 'Delete this content for good?' },
+  WARN: { label: 'Warn author', icon: AlertTriangle },
+  SUSPEND: { label: 'Suspend author', icon: Ban, confirm: 'Suspend this account? They will be signed out everywhere.' },
+  DISMISS: { label: 'Dismiss', icon: Check }
+};
+
+const AUDIT_ACTIONS = ['HIDE', 'DELETE', 'WARN', 'SUSPEND', 'REINSTATE', 'DISMISS'];
+
+const formatDateTime = (value) => new Date(value).toLocaleString(undefined, {
+  dateStyle: 'medium',
+  timeStyle: 'short'
+});
+
+// Cursor-paged GET of `path` with `params`; starts over when either changes
+function usePagedList(path, params) {
+  const [items, setItems] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Bumped whenever the filters change so late responses for old filters are ignored
+  const requestIdRef = useRef(0);
+  const query = new URLSearchParams(params).toString();
+
+  const fetchPage = useCallback(async (cursor) => {
+    const requestId = requestIdRef.current;
+    const search = new URLSearchParams(query);
+    search.set('limit', String(PAGE_SIZE));
+    if (cursor) search.set('cursor', cursor);
+
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await authFetch(`${apiBaseUrl}${path}?${search}`);
+      const result = await response.json();
+      if (requestId !== requestIdRef.current) return;
+
+      if (result.success) {
+        setItems(prev => (cursor ? [...prev, ...result.data] : result.data));
+        setTotal(result.pagination?.total ?? result.data.length);
+        setNextCursor(result.pagination?.nextCursor || null);
+        setHasMore(Boolean(result.pagination?.hasMore));
+      } else {
+        setError(result.message || 'Failed to load');
+        setHasMore(false);
+      }
+    } catch (err) {
+      if (requestId !== requestIdRef.current) return;
+      console.error(`Error loading ${path}:`, err);
+      setError('Failed to load');
+      setHasMore(false);
+    } finally {
+      if (requestId === requestIdRef.current) setLoading(false);
+    }
+  }, [path, query]);
+
+  const reload = useCallback(() => {
+    requestIdRef.current += 1;
+    setItems([]);
+    setNextCursor(null);
+    setHasMore(false);
+    fetchPage(null);
+  }, [fetchPage]);
+
+  const loadMore = useCallback(() => fetchPage(nextCursor), [fetchPage, nextCursor]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  return { items, setItems, total, setTotal, hasMore, loading, error, loadMore, reload };
+}
+
+// Loads the next page when the bottom of the list scrolls into view
+function useLoadMoreSentinel(list) {
+  const sentinelRef = useRef(null);
+  const { hasMore, loading, loadMore } = list;
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !hasMore || loading) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) loadMore();
+    }, { rootMargin: '300px' });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMore, loading, loadMore]);
+
+  return sentinelRef;
+}
+
+function PersonChip({ person, fallback }) {
+  if (!person) return <span className="moderation-person muted">{fallback}</span>;
+  return (
+    <span className="moderation-person">
+      <UserAvatar user={person} size="small" />
+      {person.name}
+      {person.status === 'suspended' && <span className="moderation-badge suspended">Suspended</span>}
+    </span>
+  );
+}
+
+function ReportCard({ report, onAction, busy }) {
+  const [note, setNote] = useState('');
+  const { target } = report;
+
+  return (
+    <div className="moderation-card">
+      <div className="moderation-card-header">
+        <span className="moderation-badge">{TARGET_LABELS[report.targetType]}</span>
+        <span className="moderation-badge reason">{REASON_LABELS[report.reason] || report.reason}</span>
+        {report.openReportsOnTarget > 1 && (
+          <span className="moderation-badge count">{report.openReportsOnTarget} open reports</span>
+        )}
+        <span className="moderation-time">{formatDateTime(report.createdAt)}</span>
+      </div>
+
+      <div className="moderation-target">
+        {!target.exists && <p className="moderation-muted">This content no longer exists.</p>}
+        {target.exists && (
+          <>
+            {target.isHidden && <span className="moderation-badge hidden">Hidden</span>}
+            <p className="moderation-target-text">{target.text}</p>
+          </>
+        )}
+      </div>
+
+      <div className="moderation-meta">
+        <div>
+          <span className="moderation-label">Author</span>
+          <PersonChip person={report.targetUser} fallback="Unknown" />
+        </div>
+        <div>
+          <span className="moderation-label">Reported by</span>
+          <PersonChip person={report.reporter} fallback="Former member" />
+        </div>
+      </div>
+
+      {report.details && <p className="moderation-details">“{report.details}”</p>}
+
+      {report.status === 'OPEN' ? (
+        <>
+          <input
+            type="text"
+            className="moderation-note"
+            placeholder="Note for the audit log (sent to the author with a warning; required to suspend)"
+            value={note}
+            maxLength={1000}
+            onChange={(e) => setNote(e.target.value)}
+          />
+          <div className="moderation-actions">
+            {report.availableActions.map(action => {
+              const { label, icon: Icon } = ACTIONS[action];
+              // Nothing left to hide or delete
+              const unavailable = (action === 'HIDE' || action === 'DELETE') && (!target.exists || (action === 'HIDE' && target.isHidden));
+              return (
+                <button
+                  key={action}
+                  className={`moderation-action ${action.toLowerCase()}`}
+                  disabled={busy || unavailable || (action === 'SUSPEND' && !note.trim())}
+                  onClick={() => onAction(report, action, note.trim())}
+                >
+                  <Icon size={14} />
+                  {label}
+                </button>
+              );
+            })}
+          </div>
+        </>
+      ) : (
+        <p className="moderation-muted">
+          {ACTIONS[report.resolution]?.label || report.resolution}
+          {report.resolvedBy?.name && ` by ${report.resolvedBy.name}`}
+          {report.resolvedAt && ` · ${formatDateTime(report.resolvedAt)}`}
+        </p>
+      )}
+    </div>
+  );
+}
+
+function ReportQueue() {
+  const { showToast } = useNotifications();
+  const [status, setStatus] = useState('OPEN');
+  const [targetType, setTargetType] = useState('');
+  const [busy, setBusy] = useState(null);
+
+  const params = targetType ? { status, targetType } : { status };
+  const list = usePagedList('/api/moderation/reports', params);
+  const sentinelRef = useLoadMoreSentinel(list);
+
+  const handleAction = async (report, action, note) => {
+    if (ACTIONS[action].confirm && !window.confirm(ACTIONS[action].confirm)) return;
+
+    setBusy(report._id);
+    try {
+      const response = await authFetch(`${apiBaseUrl}/api/moderation/reports/${report._id}/actions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action, note })
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Action failed');
+      }
+
+      // The action closed every open report on the same target
+      const sameTarget = (item) => item.targetType === report.targetType && item.targetId === report.targetId;
+      list.setItems(prev => prev.filter(item => !sameTarget(item)));
+      list.setTotal(prev => Math.max(prev - result.data.resolvedReports, 0));
+      showToast({
+        type: 'success',
+        title: `${ACTIONS[action].label} done`,
+        description: `${result.data.resolvedReports} report${result.data.resolvedReports === 1 ? '' : 's'} closed.`
+      });
+    } catch (err) {
+      showToast({ type: 'error', title: 'Could not complete action', description: err.message });
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <>
+      <div className="filters-panel">
+        <div className="filter-group">
+          <label>Status</label>
+          <select value={status} onChange={(e) => setStatus(e.target.value)}>
+            {REPORT_STATUSES.map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="filter-group">
+          <label>Type</label>
+          <select value={targetType} onChange={(e) => setTargetType(e.target.value)}>
+            <option value="">Everything</option>
+            {TARGET_TYPES.map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="projects-stats">
+        <span>{list.total} report{list.total === 1 ? '' : 's'}</span>
+      </div>
+
+      {list.items.length === 0 && list.loading && (
+        <div className="loading-state">
+          <div className="loading-spinner"></div>
+        </div>
+      )}
+      {list.items.length === 0 && !list.loading && list.error && (
+        <div className="empty-state">
+          <div className="empty-icon">⚠️</div>
+          <h3>{list.error}</h3>
+          <button className="clear-filters-btn" onClick={list.reload}>Try again</button>
+        </div>
+      )}
+      {list.items.length === 0 && !list.loading && !list.error && (
+        <div className="empty-state">
+          <div className="empty-icon">✅</div>
+          <h3>Nothing to review</h3>
+          <p>No {status.toLowerCase()} reports{targetType ? ' of this type' : ''}.</p>
+        </div>
+      )}
+
+      <div className="moderation-list">
+        {list.items.map(report => (
+          <ReportCard key={report._id} report={report} onAction={handleAction} busy={busy === report._id} />
+        ))}
+      </div>
+      <div ref={sentinelRef} aria-hidden="true"></div>
+      {list.items.length > 0 && list.loading && <p className="moderation-muted">Loading more...</p>}
+    </>
+  );
+}
+
+function AuditLog() {
+  const { showToast } = useNotifications();
+  const [action, setAction] = useState('');
+  const [reinstating, setReinstating] = useState(null);
+
+  const list = usePagedList('/api/moderation/audit', action ? { action } : {});
+  const sentinelRef = useLoadMoreSentinel(list);
+
+  const handleReinstate = async (person) => {
+    if (!window.confirm(`Lift the suspension on ${person.name}?`)) return;
+
+    setReinstating(person._id);
+    try {
+      const response = await authFetch(`${apiBaseUrl}/api/moderation/users/${person._id}/reinstate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({})
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Could not reinstate account');
+      }
+      showToast({ type: 'success', title: 'Account reinstated', description: `${person.name} can sign in again.` });
+      list.reload();
+    } catch (err) {
+      showToast({ type: 'error', title: 'Could not reinstate account', description: err.message });
+    } finally {
+      setReinstating(null);
+    }
+  };
+
+  return (
+    <>
+      <div className="filters-panel">
+        <div className="filter-group">
+          <label>Action</label>
+          <select value={action} onChange={(e) => setAction(e.target.value)}>
+            <option value="">All actions</option>
+            {AUDIT_ACTIONS.map(value => (
+              <option key={value} value={value}>{value.charAt(0) + value.slice(1).toLowerCase()}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {list.items.length === 0 && !list.loading && (
+        <div className="empty-state">
+          <div className="empty-icon">📋</div>
+          <h3>{list.error || 'No moderator actions yet'}</h3>
+        </div>
+      )}
+
+      <div className="moderation-list">
+        {list.items.map(entry => (
+          <div key={entry._id} className="moderation-card audit">
+            <div className="moderation-card-header">
+              <span className={`moderation-badge action ${entry.action.toLowerCase()}`}>{entry.action}</span>
+              <span className="moderation-badge">{TARGET_LABELS[entry.targetType]}</span>
+              <span className="moderation-time">{formatDateTime(entry.createdAt)}</span>
+            </div>
+            <div className="moderation-meta">
+              <div>
+                <span className="moderation-label">Moderator</span>
+                <PersonChip person={entry.moderator} fallback="Former staff" />
+              </div>
+              <div>
+                <span className="moderation-label">Affected user</span>
+                <PersonChip person={entry.targetUser} fallback="—" />
+              </div>
+              {entry.reportIds.length > 0 && (
+                <div>
+                  <span className="moderation-label">Reports closed</span>
+                  <span>{entry.reportIds.length}</span>
+                </div>
+              )}
+            </div>
+            {entry.note && <p className="moderation-details">{entry.note}</p>}
+            {entry.snapshot && <p className="moderation-snapshot">{entry.snapshot}</p>}
+            {entry.action === 'SUSPEND' && entry.targetUser?.status === 'suspended' && (
+              <div className="moderation-actions">
+                <button
+                  className="moderation-action"
+                  disabled={reinstating === entry.targetUser._id}
+                  onClick={() => handleReinstate(entry.targetUser)}
+                >
+                  <UserCheck size={14} />
+                  Reinstate
+                </button>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+      <div ref={sentinelRef} aria-hidden="true"></div>
+      {list.items.length > 0 && list.loading && <p className="moderation-muted">Loading more...</p>}
+    </>
+  );
+}
+
+// Moderator queue for reported content, and the audit trail of every
+// action moderators have taken
+function Moderation() {
+  const [view, setView] = useState('queue');
+
+  return (
+    <div className="projects-container">
+      <div className="projects-header">
+        <div className="header-content">
+          <h1 style={{ color: 'white' }}><Shield size={32} /> Moderation</h1>
+          <p style={{ color: 'white' }}>Review reported posts, comments, projects and profiles</p>
+        </div>
+      </div>
+
+      <div className="moderation-tabs">
+        <button className={view === 'queue' ? 'active' : ''} onClick={() => setView('queue')}>Report queue</button>
+        <button className={view === 'audit' ? 'active' : ''} onClick={() => setView('audit')}>Audit log</button>
+      </div>
+
+      {view === 'queue' ? <ReportQueue /> : <AuditLog />}
+    </div>
+  );
+}
+
+export default Moderation;
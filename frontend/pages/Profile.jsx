@@ -7,12 +7,16 @@ import { useNotifications } from '../context/NotificationContext';
 import ProjectCard from '../components/ProjectCard';
 import ProjectModal from '../components/ProjectModal';
 import CreateProjectModal from '../components/CreateProjectModal';
+import ActiveSessions from '../components/ActiveSessions';
+import CalendarFeedSettings from '../components/CalendarFeedSettings';
+import NotificationSettings from '../components/NotificationSettings';
+import { authFetch } from '../utils/api';
 import './Profile.css';
 
 // Main Profile component
 function Profile() {
   // Auth and project context hooks
-  const { user, updateProfile, setUser, profileUpdateTrigger } = useAuth();
+  const { user, updateProfile, setUser, markEmailVerified, profileUpdateTrigger } = useAuth();
   const { getUserProjects, updateProjectStage, editProject, deleteProject, leaveProject } = useProjects();
   const { showToast } = useNotifications();
 
@@ -37,6 +41,8 @@ function Profile() {
   const [editingProjectStage, setEditingProjectStage] = useState(null);
   // State for password reset message
   const [resetPasswordMessage, setResetPasswordMessage] = useState('');
+  // State for email verification message
+  const [verificationMessage, setVerificationMessage] = useState('');
 
   // Project modal state
   const [selectedProject, setSelectedProject] = useState(null);
@@ -54,6 +60,13 @@ function Profile() {
     'Scaling'
   ];
 
+  // Whether the user is open to joining projects, as shown to owners in talent search
+  const availabilityLabels = {
+    AVAILABLE: 'Available',
+    LIMITED: 'Limited availability',
+    UNAVAILABLE: 'Not available'
+  };
+
   // useEffect to load user projects when user is available
   useEffect(() => {
     const loadUserProjects = async () => {
@@ -162,26 +175,54 @@ function Profile() {
     setSelectedProject(null);
   };
 
-  // Handle password reset
-  // function: handleResetPassword, add API call to send reset password email here
-  const handleResetPassword = () => {
-    if (user && user.email) {
-      // TODO: Add API call to send reset password link to user.email here
-      console.log(`Password reset link sent to ${user.email}`);
-      setResetPasswordMessage('Password reset link has been sent to your email.');
+  // Handle password reset: emails a reset link to the account address
+  const handleResetPassword = async () => {
+    if (!user || !user.email) {
+      setResetPasswordMessage('Unable to reset password. Please try again later.');
+      return;
+    }
 
-      // Clear message after 5 seconds
-      setTimeout(() => {
-        setResetPasswordMessage('');
-      }, 5000);
-    } else {
+    try {
+      const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+      const response = await fetch(`${apiBaseUrl}/api/auth/password/forgot`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email: user.email })
+      });
+      if (!response.ok) {
+        throw new Error('Failed to send reset link');
+      }
+      setResetPasswordMessage('Password reset link has been sent to your email.');
+    } catch (error) {
+      console.error('Error requesting password reset:', error);
       setResetPasswordMessage('Unable to reset password. Please try again later.');
+    }
 
-      // Clear message after 5 seconds
-      setTimeout(() => {
-        setResetPasswordMessage('');
-      }, 5000);
+    // Clear message after 5 seconds
+    setTimeout(() => {
+      setResetPasswordMessage('');
+    }, 5000);
+  };
+
+  // Send a fresh email verification link
+  const handleResendVerification = async () => {
+    try {
+      const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+      const response = await authFetch(`${apiBaseUrl}/api/auth/email/verify/resend`, { method: 'POST' });
+      const result = await response.json();
+
+      if (result.code === 'ALREADY_VERIFIED') {
+        markEmailVerified();
+      }
+      setVerificationMessage(result.message || 'Verification email sent.');
+    } catch (error) {
+      console.error('Error resending verification email:', error);
+      setVerificationMessage('Unable to send verification email. Please try again later.');
     }
+
+    setTimeout(() => {
+      setVerificationMessage('');
+    }, 5000);
   };
 
   // Sample data for new users (default experience)
@@ -288,6 +329,8 @@ function Profile() {
         linkedinUrl: userData.linkedinUrl || '',
         portfolioUrl: userData.portfolioUrl || '',
         skills: formattedSkills,
+        availability: userData.availability || 'AVAILABLE',
+        preferredStages: Array.isArray(userData.preferredStages) ? userData.preferredStages : [],
         experience: Array.isArray(userData.experiences) && userData.experiences.length > 0
           ? userData.experiences
           : [],
@@ -310,6 +353,8 @@ function Profile() {
     linkedinUrl: '',
     portfolioUrl: '',
     skills: [],
+    availability: 'AVAILABLE',
+    preferredStages: [],
     experience: [],
     education: []
   });
@@ -449,6 +494,8 @@ function Profile() {
               : { name: skill, level: skillLevel }
           )
         : [],
+      availability: user?.availability || 'AVAILABLE',
+      preferredStages: Array.isArray(user?.preferredStages) ? [...user.preferredStages] : [],
       experience: Array.isArray(user?.experience)
         ? user.experience.map(exp => ({ ...exp }))
         : [],
@@ -975,6 +1022,59 @@ function Profile() {
                 </div>
               )}
             </div>
+
+            {/* Availability (shown in talent search) and preferred project stages (used to rank recommendations) */}
+            <div className="skills-section preferred-stages-section">
+              <h3>Project Preferences</h3>
+              <h4 className="preference-label">Availability</h4>
+              {isEditing ? (
+                <select
+                  className="skill-level-select availability-select"
+                  value={formData.availability}
+                  onChange={(e) => handleInputChange('availability', e.target.value)}
+                >
+                  {Object.entries(availabilityLabels).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              ) : (
+                <span className={`availability-badge ${formData.availability.toLowerCase()}`}>
+                  {availabilityLabels[formData.availability] || availabilityLabels.AVAILABLE}
+                </span>
+              )}
+
+              <h4 className="preference-label">Preferred Stages</h4>
+              {isEditing ? (
+                <div className="preferred-stages">
+                  {projectStages.map(stage => {
+                    const selected = formData.preferredStages.includes(stage);
+                    return (
+                      <button
+                        key={stage}
+                        type="button"
+                        className={`preferred-stage-chip ${selected ? 'selected' : ''}`}
+                        onClick={() => handleInputChange(
+                          'preferredStages',
+                          selected
+                            ? formData.preferredStages.filter(s => s !== stage)
+                            : [...formData.preferredStages, stage]
+                        )}
+                      >
+                        {stage}
+                      </button>
+                    );
+                  })}
+                </div>
+              ) : formData.preferredStages.length > 0 ? (
+                <div className="preferred-stages">
+                  {formData.preferredStages.map(stage => (
+                    <span key={stage} className="preferred-stage-chip selected">{stage}</span>
+                  ))}
+                </div>
+              ) : (
+                <p className="preferred-stages-empty">No preference set</p>
+              )}
+            </div>
           </div>
         </div>
       </div>
@@ -1053,7 +1153,7 @@ function Profile() {
   */
 
   // Render settings tab content
-  // function: renderSettings, add API calls for privacy/notification settings as needed
+  // function: renderSettings, add API calls for privacy settings as needed
   function renderSettings() {
     return (
       <div className="settings-content">
@@ -1063,14 +1163,33 @@ function Profile() {
             <div className="account-info-item">
               <Mail size={16} />
               <span>{user?.email || 'No email provided'}</span>
+              {user?.email && (
+                <span className={`email-status ${user.emailVerified ? 'verified' : 'unverified'}`}>
+                  {user.emailVerified ? 'Verified' : 'Not verified'}
+                </span>
+              )}
             </div>
           </div>
+          {user?.email && !user.emailVerified && (
+            <>
+              {verificationMessage && (
+                <p className="settings-message">{verificationMessage}</p>
+              )}
+              <button className="settings-btn settings-btn-secondary" onClick={handleResendVerification}>
+                Resend Verification Email
+              </button>
+            </>
+          )}
           {resetPasswordMessage && (
             <p className="settings-message">{resetPasswordMessage}</p>
           )}
           <button className="settings-btn" onClick={handleResetPassword}>Reset Password</button>
         </div>
 
+        <ActiveSessions />
+
+        <CalendarFeedSettings />
+
         <div className="settings-card">
           <h3>Privacy Settings</h3>
           <p>Control who can see your profile and contact you.</p>
@@ -1078,12 +1197,7 @@ function Profile() {
           <button className="settings-btn">Manage Privacy</button>
         </div>
 
-        <div className="settings-card">
-          <h3>Notification Settings</h3>
-          <p>Choose what notifications you want to receive.</p>
-          {/* Add router or API call for notification settings here */}
-          <button className="settings-btn">Manage Notifications</button>
-        </div>
+        <NotificationSettings />
       </div>
     );
   }
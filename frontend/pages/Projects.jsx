@@ -1,17 +1,36 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef, useCallback } from 'react';
 import { Search, Filter, Plus, ChevronDown, ChevronUp, Edit, Trash2 } from 'lucide-react';
 import { useProjects } from '../context/ProjectContext';
 import { useAuth } from '../context/AuthContext';
 import { useNotifications } from '../context/NotificationContext';
 import ProjectCard from '../components/ProjectCard';
+import { authFetch } from '../utils/api';
 import './Projects.css';
 
+const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+// Projects fetched per request while scrolling
+const PAGE_SIZE = 12;
+
+// Wait for the user to stop typing before searching
+const SEARCH_DEBOUNCE_MS = 300;
+
 function Projects({ onProjectClick, onCreateProject, onEditProject }) {
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedIndustry, setSelectedIndustry] = useState('');
   const [selectedStage, setSelectedStage] = useState('');
   const [selectedSkills, setSelectedSkills] = useState([]);
+  const [paidFilter, setPaidFilter] = useState('');
+  const [sortBy, setSortBy] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
   const [showFilters, setShowFilters] = useState(false);
+  // Search results, loaded a page at a time from the API
+  const [results, setResults] = useState([]);
+  const [totalResults, setTotalResults] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [pageLoading, setPageLoading] = useState(true);
+  const [pageError, setPageError] = useState(null);
   const [showOwnedProjects, setShowOwnedProjects] = useState(true);
   const { projects, loading, deleteProject, getUserProjects } = useProjects();
   const { user } = useAuth();
@@ -36,16 +55,75 @@ function Projects({ onProjectClick, onCreateProject, onEditProject }) {
     loadUserProjects();
   }, [user, getUserProjects]);
   
-  const filteredProjects = projects.filter(project => {
-    const matchesSearch = project.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                         project.description.toLowerCase().includes(searchTerm.toLowerCase());
-    const matchesIndustry = !selectedIndustry || project.industry === selectedIndustry;
-    const matchesStage = !selectedStage || project.stage === selectedStage;
-    const matchesSkills = selectedSkills.length === 0 || 
-                         selectedSkills.some(skill => project.requiredSkills.includes(skill));
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(searchTerm.trim()), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+
+  // Bumped whenever the filters change so late responses for old filters are ignored
+  const requestIdRef = useRef(0);
+  const sentinelRef = useRef(null);
 
-    return matchesSearch && matchesIndustry && matchesStage && matchesSkills;
-  });
+  const fetchPage = useCallback(async (cursor) => {
+    const requestId = requestIdRef.current;
+    const params = new URLSearchParams({ limit: String(PAGE_SIZE) });
+    if (debouncedSearch) params.set('q', debouncedSearch);
+    if (selectedIndustry) params.set('industry', selectedIndustry);
+    if (selectedStage) params.set('stage', selectedStage);
+    if (selectedSkills.length > 0) params.set('skills', selectedSkills.join(','));
+    if (paidFilter) params.set('isPaid', paidFilter);
+    if (sortBy) params.set('sort', sortBy);
+    if (cursor) params.set('cursor', cursor);
+
+    setPageLoading(true);
+    setPageError(null);
+    try {
+      const response = await authFetch(`${apiBaseUrl}/api/projects?${params}`);
+      const result = await response.json();
+      if (requestId !== requestIdRef.current) return;
+
+      if (result.success) {
+        const page = result.data.map(project => ({ ...project, id: project._id || project.id }));
+        setResults(prev => (cursor ? [...prev, ...page] : page));
+        setTotalResults(result.pagination?.total ?? page.length);
+        setNextCursor(result.pagination?.nextCursor || null);
+        setHasMore(Boolean(result.pagination?.hasMore));
+      } else {
+        setPageError(result.message || 'Failed to load projects');
+        setHasMore(false);
+      }
+    } catch (error) {
+      if (requestId !== requestIdRef.current) return;
+      console.error('Error searching projects:', error);
+      setPageError('Failed to load projects');
+      setHasMore(false);
+    } finally {
+      if (requestId === requestIdRef.current) setPageLoading(false);
+    }
+  }, [debouncedSearch, selectedIndustry, selectedStage, selectedSkills, paidFilter, sortBy]);
+
+  // Start over from the first page when the filters change, or when projects
+  // are created, edited or deleted elsewhere in the app
+  useEffect(() => {
+    requestIdRef.current += 1;
+    setResults([]);
+    setNextCursor(null);
+    setHasMore(false);
+    fetchPage(null);
+  }, [fetchPage, projects]);
+
+  // Load the next page when the bottom of the list scrolls into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !hasMore || pageLoading) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) fetchPage(nextCursor);
+    }, { rootMargin: '300px' });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [fetchPage, hasMore, nextCursor, pageLoading]);
 
   const handleSkillToggle = (skill) => {
     setSelectedSkills(prev => 
@@ -60,6 +138,8 @@ function Projects({ onProjectClick, onCreateProject, onEditProject }) {
     setSelectedIndustry('');
     setSelectedStage('');
     setSelectedSkills([]);
+    setPaidFilter('');
+    setSortBy('');
   };
 
   const handleDeleteProject = (projectId, e) => {
@@ -132,7 +212,7 @@ function Projects({ onProjectClick, onCreateProject, onEditProject }) {
         >
           <Filter size={20} />
           <span className="filter-text">Filters</span>
-          {(selectedIndustry || selectedStage || selectedSkills.length > 0) && (
+          {(selectedIndustry || selectedStage || selectedSkills.length > 0 || paidFilter) && (
             <span className="filter-indicator"></span>
           )}
         </button>
@@ -166,6 +246,31 @@ function Projects({ onProjectClick, onCreateProject, onEditProject }) {
             </select>
           </div>
 
+          <div className="filter-group">
+            <label>Compensation</label>
+            <select
+              value={paidFilter}
+              onChange={(e) => setPaidFilter(e.target.value)}
+            >
+              <option value="">Paid or unpaid</option>
+              <option value="true">Has paid positions</option>
+              <option value="false">Has unpaid positions</option>
+            </select>
+          </div>
+
+          <div className="filter-group">
+            <label>Sort by</label>
+            <select
+              value={sortBy}
+              onChange={(e) => setSortBy(e.target.value)}
+            >
+              <option value="">{debouncedSearch ? 'Best match' : 'Newest'}</option>
+              <option value="newest">Newest</option>
+              <option value="oldest">Oldest</option>
+              <option value="popular">Most applications</option>
+            </select>
+          </div>
+
           <div className="filter-group">
             <label>Skills</label>
             <div className="skills-filter">
@@ -190,15 +295,28 @@ function Projects({ onProjectClick, onCreateProject, onEditProject }) {
       )}
 
       <div className="projects-stats">
-        <span>{filteredProjects.length} projects found</span>
-        {(selectedIndustry || selectedStage || selectedSkills.length > 0 || searchTerm) && (
+        <span>{totalResults} projects found</span>
+        {(selectedIndustry || selectedStage || selectedSkills.length > 0 || paidFilter || sortBy || searchTerm) && (
           <button className="clear-filters-btn small" onClick={clearFilters}>
             Clear filters
           </button>
         )}
       </div>
 
-      {filteredProjects.length === 0 ? (
+      {results.length === 0 && pageLoading ? (
+        <div className="loading-state">
+          <div className="loading-spinner"></div>
+          <p>Searching projects...</p>
+        </div>
+      ) : results.length === 0 && pageError ? (
+        <div className="empty-state">
+          <div className="empty-icon">⚠️</div>
+          <h3>{pageError}</h3>
+          <button className="clear-filters-btn" onClick={() => fetchPage(null)}>
+            Try again
+          </button>
+        </div>
+      ) : results.length === 0 ? (
         <div className="empty-state">
           <div className="empty-icon">🔍</div>
           <h3>No projects found</h3>
@@ -211,15 +329,25 @@ function Projects({ onProjectClick, onCreateProject, onEditProject }) {
           )}
         </div>
       ) : (
-        <div className="projects-grid">
-          {filteredProjects.map(project => (
-            <ProjectCard
-              key={project.id || project._id}
-              project={project}
-              onClick={onProjectClick}
-            />
-          ))}
-        </div>
+        <>
+          <div className="projects-grid">
+            {results.map(project => (
+              <ProjectCard
+                key={project.id || project._id}
+                project={project}
+                onClick={onProjectClick}
+              />
+            ))}
+          </div>
+          <div ref={sentinelRef} className="projects-load-more">
+            {pageLoading && <div className="loading-spinner small"></div>}
+            {!pageLoading && pageError && (
+              <button className="clear-filters-btn small" onClick={() => fetchPage(nextCursor)}>
+                Couldn't load more projects. Retry
+              </button>
+            )}
+          </div>
+        </>
       )}
     </div>
   );
@@ -0,0 +1,116 @@
+import { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import './AccountAction.css';
+
+const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+// Landing page for the link in the password reset email
+function ResetPassword() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [formData, setFormData] = useState({ newPassword: '', confirmPassword: '' });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [done, setDone] = useState(false);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    if (error) setError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (formData.newPassword !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await fetch(`${apiBaseUrl}/api/auth/password/reset`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token, ...formData })
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to reset password');
+      }
+      setDone(true);
+    } catch (err) {
+      console.error('Password reset error:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!token) {
+    return (
+      <div className="account-action-container">
+        <div className="account-action-card">
+          <h1>Invalid reset link</h1>
+          <p>This link is missing its reset token. Request a new one from the sign in screen.</p>
+          <Link to="/" className="account-action-btn">Back to home</Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="account-action-container">
+      <div className="account-action-card">
+        <h1>Choose a new password</h1>
+        {done ? (
+          <>
+            <div className="account-action-message success">
+              Your password has been reset. You have been signed out on all devices, so please sign in again.
+            </div>
+            <Link to="/" className="account-action-btn">Back to home</Link>
+          </>
+        ) : (
+          <>
+            <p>Enter a new password for your Teamera account.</p>
+            {error && <div className="account-action-message error">{error}</div>}
+            <form onSubmit={handleSubmit} className="account-action-form">
+              <div className="account-action-field">
+                <label htmlFor="reset-new-password">New password</label>
+                <input
+                  type="password"
+                  id="reset-new-password"
+                  name="newPassword"
+                  value={formData.newPassword}
+                  onChange={handleInputChange}
+                  required
+                  disabled={loading}
+                  autoComplete="new-password"
+                />
+              </div>
+              <div className="account-action-field">
+                <label htmlFor="reset-confirm-password">Confirm password</label>
+                <input
+                  type="password"
+                  id="reset-confirm-password"
+                  name="confirmPassword"
+                  value={formData.confirmPassword}
+                  onChange={handleInputChange}
+                  required
+                  disabled={loading}
+                  autoComplete="new-password"
+                />
+              </div>
+              <button type="submit" className="account-action-btn" disabled={loading}>
+                {loading ? 'Saving...' : 'Reset password'}
+              </button>
+            </form>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ResetPassword;
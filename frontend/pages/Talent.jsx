@@ -0,0 +1,443 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { Search, Filter, MapPin, ChevronDown, ChevronUp, UserPlus, Check } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { useProjects } from '../context/ProjectContext';
+import { useNotifications } from '../context/NotificationContext';
+import UserAvatar from '../components/UserAvatar';
+import { authFetch } from '../utils/api';
+import { getPositionAvailability } from '../utils/positions';
+import './Projects.css';
+import './Talent.css';
+
+const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+// People fetched per request while scrolling
+const PAGE_SIZE = 20;
+
+// Wait for the user to stop typing before searching
+const SEARCH_DEBOUNCE_MS = 300;
+
+const LEVELS = [
+  ['BEGINNER', 'Beginner'],
+  ['INTERMEDIATE', 'Intermediate'],
+  ['ADVANCED', 'Advanced'],
+  ['EXPERT', 'Expert']
+];
+
+const ROLES = [
+  ['student', 'Student'],
+  ['professional', 'Professional'],
+  ['founder', 'Founder'],
+  ['investor', 'Investor'],
+  ['user', 'Developer']
+];
+
+const AVAILABILITY_LABELS = {
+  AVAILABLE: 'Available',
+  LIMITED: 'Limited availability',
+  UNAVAILABLE: 'Not available'
+};
+
+// People directory for project owners: filter by skill, level, role,
+// location and availability, rank against one of their open positions and
+// invite straight from the results
+function Talent() {
+  const { user } = useAuth();
+  const { projects, getUserProjects, inviteToPosition } = useProjects();
+  const { showToast } = useNotifications();
+
+  const [searchTerm, setSearchTerm] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const [skillsInput, setSkillsInput] = useState('');
+  const [debouncedSkills, setDebouncedSkills] = useState('');
+  const [locationInput, setLocationInput] = useState('');
+  const [debouncedLocation, setDebouncedLocation] = useState('');
+  const [level, setLevel] = useState('');
+  const [role, setRole] = useState('');
+  const [availability, setAvailability] = useState('');
+  // "projectId:positionId" of the position results are ranked for
+  const [rankFor, setRankFor] = useState('');
+  const [showFilters, setShowFilters] = useState(true);
+
+  const [ownedProjects, setOwnedProjects] = useState([]);
+  const [results, setResults] = useState([]);
+  const [totalResults, setTotalResults] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [pageLoading, setPageLoading] = useState(true);
+  const [pageError, setPageError] = useState(null);
+  const [expanded, setExpanded] = useState(null);
+  const [inviting, setInviting] = useState(null);
+  const [invited, setInvited] = useState({});
+
+  const userId = user?.id || user?._id;
+
+  useEffect(() => {
+    const loadOwnedProjects = async () => {
+      if (!userId) return;
+      const { owned } = await getUserProjects(userId);
+      setOwnedProjects(owned);
+    };
+
+    loadOwnedProjects();
+    // Reload after invites change a project's team
+  }, [userId, projects]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedSearch(searchTerm.trim());
+      setDebouncedSkills(skillsInput.trim());
+      setDebouncedLocation(locationInput.trim());
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchTerm, skillsInput, locationInput]);
+
+  const [rankProjectId, rankPositionId] = rankFor ? rankFor.split(':') : [null, null];
+  const rankProject = ownedProjects.find(project => (project._id || project.id) === rankProjectId);
+  const rankPosition = rankProject?.openPositions?.find(position => (position._id || position.id) === rankPositionId);
+
+  // Bumped whenever the filters change so late responses for old filters are ignored
+  const requestIdRef = useRef(0);
+  const sentinelRef = useRef(null);
+
+  const fetchPage = useCallback(async (cursor) => {
+    const requestId = requestIdRef.current;
+    const params = new URLSearchParams({ limit: String(PAGE_SIZE) });
+    if (debouncedSearch) params.set('q', debouncedSearch);
+    if (debouncedSkills) params.set('skills', debouncedSkills);
+    if (debouncedLocation) params.set('location', debouncedLocation);
+    if (level) params.set('level', level);
+    if (role) params.set('role', role);
+    if (availability) params.set('availability', availability);
+    if (rankProjectId && rankPositionId) {
+      params.set('projectId', rankProjectId);
+      params.set('positionId', rankPositionId);
+    }
+    if (cursor) params.set('cursor', cursor);
+
+    setPageLoading(true);
+    setPageError(null);
+    try {
+      const response = await authFetch(`${apiBaseUrl}/api/users/search?${params}`);
+      const result = await response.json();
+      if (requestId !== requestIdRef.current) return;
+
+      if (result.success) {
+        setResults(prev => (cursor ? [...prev, ...result.data] : result.data));
+        setTotalResults(result.pagination?.total ?? result.data.length);
+        setNextCursor(result.pagination?.nextCursor || null);
+        setHasMore(Boolean(result.pagination?.hasMore));
+      } else {
+        setPageError(result.message || 'Failed to load people');
+        setHasMore(false);
+      }
+    } catch (error) {
+      if (requestId !== requestIdRef.current) return;
+      console.error('Error searching people:', error);
+      setPageError('Failed to load people');
+      setHasMore(false);
+    } finally {
+      if (requestId === requestIdRef.current) setPageLoading(false);
+    }
+  }, [debouncedSearch, debouncedSkills, debouncedLocation, level, role, availability, rankProjectId, rankPositionId]);
+
+  // Start over from the first page when the filters change
+  useEffect(() => {
+    requestIdRef.current += 1;
+    setResults([]);
+    setNextCursor(null);
+    setHasMore(false);
+    setExpanded(null);
+    fetchPage(null);
+  }, [fetchPage]);
+
+  // Load the next page when the bottom of the list scrolls into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !hasMore || pageLoading) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) fetchPage(nextCursor);
+    }, { rootMargin: '300px' });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [fetchPage, hasMore, nextCursor, pageLoading]);
+
+  const clearFilters = () => {
+    setSearchTerm('');
+    setSkillsInput('');
+    setLocationInput('');
+    setLevel('');
+    setRole('');
+    setAvailability('');
+  };
+
+  const handleInvite = async (person) => {
+    if (!rankProject || !rankPosition) return;
+    if (!window.confirm(`Invite ${person.name} to ${rankProject.title} as ${rankPosition.role}?`)) return;
+
+    setInviting(person._id);
+    const result = await inviteToPosition(rankProjectId, rankPositionId, person._id);
+    setInviting(null);
+
+    if (result.success) {
+      setInvited(prev => ({ ...prev, [person._id]: rankFor }));
+      showToast({
+        type: 'success',
+        title: 'Invitation sent',
+        description: `${person.name} has been invited as ${rankPosition.role}.`,
+      });
+    } else {
+      showToast({
+        type: 'error',
+        title: 'Could not send invitation',
+        description: result.error || 'Something went wrong. Please try again.',
+      });
+    }
+  };
+
+  const hasFilters = searchTerm || skillsInput || locationInput || level || role || availability;
+  const rankAvailability = rankProject && rankPosition ? getPositionAvailability(rankProject, rankPosition) : null;
+
+  return (
+    <div className="projects-container">
+      <div className="projects-header">
+        <div className="header-content">
+          <h1 style={{ color: 'white' }}>Find Talent</h1>
+          <p style={{ color: 'white' }}>Search people by skill, level, role, location and availability, and invite them to your open positions</p>
+        </div>
+      </div>
+
+      <div className="projects-filters">
+        <div className="search-bar">
+          <Search size={20} />
+          <input
+            type="text"
+            placeholder="Search by name, title or bio..."
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+          />
+        </div>
+
+        <button
+          className="filter-toggle"
+          onClick={() => setShowFilters(!showFilters)}
+        >
+          <Filter size={20} />
+          <span className="filter-text">Filters</span>
+          {(skillsInput || locationInput || level || role || availability) && (
+            <span className="filter-indicator"></span>
+          )}
+        </button>
+      </div>
+
+      {showFilters && (
+        <div className="filters-panel">
+          <div className="filter-group">
+            <label>Rank for position</label>
+            <select
+              value={rankFor}
+              onChange={(e) => setRankFor(e.target.value)}
+            >
+              <option value="">Don't rank (sort by name)</option>
+              {ownedProjects
+                .filter(project => (project.openPositions || []).length > 0)
+                .map(project => (
+                  <optgroup key={project._id || project.id} label={project.title}>
+                    {project.openPositions.map(position => (
+                      <option
+                        key={position._id || position.id}
+                        value={`${project._id || project.id}:${position._id || position.id}`}
+                      >
+                        {position.role}
+                      </option>
+                    ))}
+                  </optgroup>
+                ))}
+            </select>
+          </div>
+
+          <div className="filter-group">
+            <label>Skills</label>
+            <input
+              type="text"
+              className="talent-filter-input"
+              placeholder="e.g. React, Node.js"
+              value={skillsInput}
+              onChange={(e) => setSkillsInput(e.target.value)}
+            />
+          </div>
+
+          <div className="filter-group">
+            <label>Minimum level</label>
+            <select value={level} onChange={(e) => setLevel(e.target.value)}>
+              <option value="">Any level</option>
+              {LEVELS.map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="filter-group">
+            <label>Role</label>
+            <select value={role} onChange={(e) => setRole(e.target.value)}>
+              <option value="">All roles</option>
+              {ROLES.map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="filter-group">
+            <label>Location</label>
+            <input
+              type="text"
+              className="talent-filter-input"
+              placeholder="City or country"
+              value={locationInput}
+              onChange={(e) => setLocationInput(e.target.value)}
+            />
+          </div>
+
+          <div className="filter-group">
+            <label>Availability</label>
+            <select value={availability} onChange={(e) => setAvailability(e.target.value)}>
+              <option value="">Anyone</option>
+              {Object.entries(AVAILABILITY_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="filter-actions">
+            <button className="clear-filters-btn" onClick={clearFilters}>
+              Clear All
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="projects-stats">
+        <span>
+          {totalResults} people found
+          {rankPosition && ` · ranked for ${rankPosition.role} on ${rankProject.title}`}
+        </span>
+        {hasFilters && (
+          <button className="clear-filters-btn small" onClick={clearFilters}>
+            Clear filters
+          </button>
+        )}
+      </div>
+
+      {results.length === 0 && pageLoading ? (
+        <div className="loading-state">
+          <div className="loading-spinner"></div>
+          <p>Searching people...</p>
+        </div>
+      ) : results.length === 0 && pageError ? (
+        <div className="empty-state">
+          <div className="empty-icon">⚠️</div>
+          <h3>{pageError}</h3>
+          <button className="clear-filters-btn" onClick={() => fetchPage(null)}>
+            Try again
+          </button>
+        </div>
+      ) : results.length === 0 ? (
+        <div className="empty-state">
+          <div className="empty-icon">🔍</div>
+          <h3>No people found</h3>
+          <p>Try fewer skills or a broader location</p>
+        </div>
+      ) : (
+        <>
+          <div className="talent-grid">
+            {results.map(person => {
+              const isExpanded = expanded === person._id;
+              const isInvited = invited[person._id] === rankFor;
+              return (
+                <div key={person._id} className="talent-card">
+                  <div className="talent-card-header">
+                    <UserAvatar user={person} size="medium" />
+                    <div className="talent-identity">
+                      <span className="talent-name">{person.name}</span>
+                      <span className="talent-title">{person.title}</span>
+                    </div>
+                    {person.match && (
+                      <span className="talent-score" title="Match score">{person.match.score}%</span>
+                    )}
+                  </div>
+
+                  <div className="talent-meta">
+                    {person.location && (
+                      <span><MapPin size={12} /> {person.location}</span>
+                    )}
+                    <span className={`talent-availability ${(person.availability || 'AVAILABLE').toLowerCase()}`}>
+                      {AVAILABILITY_LABELS[person.availability] || AVAILABILITY_LABELS.AVAILABLE}
+                    </span>
+                  </div>
+
+                  {person.bio && <p className="talent-bio">{person.bio}</p>}
+
+                  {(person.skills || []).length > 0 && (
+                    <div className="talent-skills">
+                      {person.skills.filter(skill => skill.name).map(skill => (
+                        <span key={skill.name} className={`talent-skill ${(skill.level || 'BEGINNER').toLowerCase()}`}>
+                          {skill.name}
+                        </span>
+                      ))}
+                    </div>
+                  )}
+
+                  {person.match && (
+                    <>
+                      <button
+                        className="talent-why-btn"
+                        onClick={() => setExpanded(isExpanded ? null : person._id)}
+                        aria-expanded={isExpanded}
+                      >
+                        Why this match
+                        {isExpanded ? <ChevronUp size={14} /> : <ChevronDown size={14} />}
+                      </button>
+                      {isExpanded && (
+                        <ul className="talent-factors">
+                          {person.match.factors.map(factor => (
+                            <li key={factor.factor}>
+                              <span className="talent-factor-label">
+                                {factor.label} · {Math.round(factor.points)} / {factor.weight}
+                              </span>
+                              <span>{factor.explanation}</span>
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </>
+                  )}
+
+                  <button
+                    className="talent-invite-btn"
+                    onClick={() => handleInvite(person)}
+                    disabled={!rankPosition || isInvited || inviting === person._id || rankAvailability?.remaining === 0}
+                    title={rankPosition ? undefined : 'Choose a position to rank for before inviting'}
+                  >
+                    {isInvited ? <><Check size={16} /> Invited</> : <><UserPlus size={16} /> {inviting === person._id ? 'Inviting...' : 'Invite'}</>}
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+          <div ref={sentinelRef} className="projects-load-more">
+            {pageLoading && <div className="loading-spinner small"></div>}
+            {!pageLoading && pageError && (
+              <button className="clear-filters-btn small" onClick={() => fetchPage(nextCursor)}>
+                Couldn't load more people. Retry
+              </button>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default Talent;
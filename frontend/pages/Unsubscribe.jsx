@@ -0,0 +1,67 @@
+import { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import './AccountAction.css';
+
+const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+// Landing page for the unsubscribe link in digest emails. It asks before
+// unsubscribing so mail scanners that open links don't do it by accident.
+function Unsubscribe() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { user } = useAuth();
+  const [status, setStatus] = useState(token ? 'confirm' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This link is missing its unsubscribe token.');
+
+  const handleUnsubscribe = async () => {
+    setStatus('sending');
+    try {
+      const response = await fetch(`${apiBaseUrl}/api/digests/unsubscribe`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token })
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to unsubscribe');
+      }
+      setStatus('success');
+      setMessage(result.message);
+    } catch (err) {
+      console.error('Unsubscribe error:', err);
+      setStatus('error');
+      setMessage(err.message);
+    }
+  };
+
+  return (
+    <div className="account-action-container">
+      <div className="account-action-card">
+        <h1>Digest emails</h1>
+        {['confirm', 'sending'].includes(status) && (
+          <>
+            <p>Stop receiving daily or weekly digest emails from Teamera? Other notification emails you turned on are not affected.</p>
+            <button className="account-action-btn" onClick={handleUnsubscribe} disabled={status === 'sending'}>
+              {status === 'sending' ? 'Unsubscribing...' : 'Unsubscribe'}
+            </button>
+          </>
+        )}
+        {['success', 'error'].includes(status) && (
+          <div className={`account-action-message ${status}`}>{message}</div>
+        )}
+        {status === 'success' && (
+          <p>You can turn digests back on in the settings tab of your profile.</p>
+        )}
+        {['success', 'error'].includes(status) && (
+          <Link to={user ? '/profile' : '/'} className="account-action-btn">
+            {user ? 'Go to profile' : 'Back to home'}
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Unsubscribe;
@@ -0,0 +1,68 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import './AccountAction.css';
+
+const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+// Landing page for the link in the verification email
+function VerifyEmail() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { user, markEmailVerified } = useAuth();
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This link is missing its verification token.');
+  // Tokens are single-use, so make sure StrictMode's double effect doesn't spend it twice
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (!token || requested.current) return;
+    requested.current = true;
+
+    const verify = async () => {
+      try {
+        const response = await fetch(`${apiBaseUrl}/api/auth/email/verify`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ token })
+        });
+        const result = await response.json();
+
+        if (!response.ok) {
+          throw new Error(result.message || 'Failed to verify email');
+        }
+        setStatus('success');
+        setMessage(result.message);
+        markEmailVerified();
+      } catch (err) {
+        console.error('Email verification error:', err);
+        setStatus('error');
+        setMessage(err.message);
+      }
+    };
+
+    verify();
+  }, [token, markEmailVerified]);
+
+  return (
+    <div className="account-action-container">
+      <div className="account-action-card">
+        <h1>Email verification</h1>
+        {status === 'verifying' && <p>Verifying your email address...</p>}
+        {status !== 'verifying' && (
+          <div className={`account-action-message ${status}`}>{message}</div>
+        )}
+        {status === 'error' && user && (
+          <p>You can request a new link from the settings tab of your profile.</p>
+        )}
+        {status !== 'verifying' && (
+          <Link to={user ? '/profile' : '/'} className="account-action-btn">
+            {user ? 'Go to profile' : 'Back to home'}
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default VerifyEmail;
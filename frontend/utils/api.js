@@ -1,6 +1,90 @@
 // API utility for making requests to the backend
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
 
+const TOKEN_STORAGE_KEY = 'teamera_token';
+
+// Fired when the session can't be refreshed; AuthContext signs the user out
+export const SESSION_EXPIRED_EVENT = 'teamera:session-expired';
+
+// Short-lived access token; the refresh token lives in an httpOnly cookie
+export const getAuthToken = () => localStorage.getItem(TOKEN_STORAGE_KEY);
+
+export const setAuthToken = (token) => {
+  if (token) {
+    localStorage.setItem(TOKEN_STORAGE_KEY, token);
+  } else {
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+  }
+};
+
+// Authorization header for the signed-in user (empty when signed out)
+export const getAuthHeaders = () => {
+  const token = getAuthToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
+let refreshPromise = null;
+
+// Trade the refresh cookie for a new access token. Concurrent callers share
+// one request so the rotating refresh token is only spent once.
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = fetch(`${API_BASE_URL}/api/auth/refresh`, {
+      method: 'POST',
+      credentials: 'include',
+    })
+      .then(async (response) => {
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok || !result.success) {
+          // Only a rejected refresh ends the session, not a network hiccup
+          if (response.status === 401) {
+            setAuthToken(null);
+            window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT));
+          }
+          throw new Error(result.message || 'Session expired');
+        }
+        setAuthToken(result.data.token);
+        return result.data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// fetch() that sends the access token and retries once after refreshing it
+export const authFetch = async (url, options = {}) => {
+  const send = () => fetch(url, {
+    ...options,
+    headers: {
+      ...getAuthHeaders(),
+      ...options.headers,
+    },
+  });
+
+  const response = await send();
+
+  // A suspended account is signed out as soon as the API turns it away
+  if (response.status === 403 && getAuthToken()) {
+    const result = await response.clone().json().catch(() => ({}));
+    if (result.code === 'ACCOUNT_SUSPENDED') {
+      setAuthToken(null);
+      window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT));
+    }
+    return response;
+  }
+
+  if (response.status !== 401 || !getAuthToken()) return response;
+
+  try {
+    await refreshAccessToken();
+  } catch {
+    return response;
+  }
+  return send();
+};
+
 class ApiClient {
   constructor(baseURL) {
     this.baseURL = baseURL;
@@ -9,15 +93,15 @@ class ApiClient {
   async request(endpoint, options = {}) {
     const url = `${this.baseURL}${endpoint}`;
     const config = {
+      ...options,
       headers: {
         'Content-Type': 'application/json',
         ...options.headers,
       },
-      ...options,
     };
 
     try {
-      const response = await fetch(url, config);
+      const response = await authFetch(url, config);
       const data = await response.json();
 
       if (!response.ok) {
@@ -74,6 +158,13 @@ const api = new ApiClient(API_BASE_URL);
 
 // Export API endpoints for easy access
 export const endpoints = {
+  // Auth session endpoints
+  auth: {
+    refresh: '/api/auth/refresh',
+    logout: '/api/auth/logout',
+    sessions: '/api/auth/sessions',
+    revokeSession: (sessionId) => `/api/auth/sessions/${sessionId}`,
+  },
   // User endpoints
   users: {
     login: '/api/users/login',
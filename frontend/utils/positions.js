@@ -0,0 +1,37 @@
+// Seat counts for open positions. The API sends `availability` with every
+// position; projects that haven't been reloaded since an edit fall back to
+// the same calculation done here.
+
+const toId = (value) => (value && typeof value === 'object' ? value._id || value.id : value)?.toString();
+
+export const getPositionAvailability = (project, position) => {
+  if (position.availability) return position.availability;
+
+  const positionId = toId(position._id || position.id);
+  const headcount = position.headcount || 1;
+  const filled = (project.teamMembers || []).filter(member => {
+    if (member.role === 'Founder') return false;
+    return member.positionId ? toId(member.positionId) === positionId : member.role === position.role;
+  }).length;
+  const remaining = Math.max(headcount - filled, 0);
+  const expired = Boolean(position.deadline && new Date(position.deadline) < new Date());
+
+  let closedReason = null;
+  if (remaining === 0) closedReason = 'FILLED';
+  else if (expired) closedReason = 'EXPIRED';
+
+  return { headcount, filled, remaining, isOpen: !closedReason, closedReason };
+};
+
+// Short label such as "2 of 3 spots left", "Filled" or "Closed"
+export const describeAvailability = ({ headcount, remaining, closedReason }) => {
+  if (closedReason === 'FILLED') return 'Filled';
+  if (closedReason === 'EXPIRED') return 'Closed';
+  return `${remaining} of ${headcount} ${headcount === 1 ? 'spot' : 'spots'} left`;
+};
+
+// Open seats across every position that still takes applications
+export const countOpenSlots = (project) => (project.openPositions || [])
+  .map(position => getPositionAvailability(project, position))
+  .filter(availability => availability.isOpen)
+  .reduce((total, availability) => total + availability.remaining, 0);
@@ -0,0 +1,4 @@
+// Staff roles that can use the moderator queue; matches MODERATOR_ROLES on the backend
+export const MODERATOR_ROLES = ['moderator', 'admin'];
+
+export const isModerator = (user) => Boolean(user) && MODERATOR_ROLES.includes(user.role);
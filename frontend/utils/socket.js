@@ -0,0 +1,75 @@
+// Shared socket.io connection for real-time collaboration features
+import { io } from 'socket.io-client';
+import { getAuthToken, refreshAccessToken } from './api';
+
+const SOCKET_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+let socket = null;
+let retriedAuth = false;
+
+// projectId -> number of subscribers, so several tabs can share one room
+const joinedRooms = new Map();
+
+const emitJoin = (projectId) => new Promise((resolve) => {
+  socket.emit('project:join', { projectId }, (ack) => resolve(ack || { success: false }));
+});
+
+// Lazily create a single connection that every tab reuses
+export const getSocket = () => {
+  if (!socket) {
+    socket = io(SOCKET_URL, {
+      withCredentials: true,
+      transports: ['websocket', 'polling'],
+      // Evaluated on every (re)connect so the current token is always sent
+      auth: (cb) => cb({ token: getAuthToken() }),
+    });
+
+    // Rooms are dropped server-side on disconnect; rejoin after reconnecting
+    socket.on('connect', () => {
+      retriedAuth = false;
+      joinedRooms.forEach((count, projectId) => emitJoin(projectId));
+    });
+
+    // The access token may have expired while we were away; refresh it once
+    // and try again (socket.io doesn't retry handshakes rejected by the server)
+    socket.on('connect_error', (err) => {
+      if (err.message !== 'Authentication required' || retriedAuth) return;
+      retriedAuth = true;
+      refreshAccessToken()
+        .then(() => socket?.connect())
+        .catch(() => {});
+    });
+  }
+  return socket;
+};
+
+// Join a project room; resolves with the server acknowledgement
+export const joinProjectRoom = (projectId) => {
+  getSocket();
+  joinedRooms.set(projectId, (joinedRooms.get(projectId) || 0) + 1);
+  return emitJoin(projectId);
+};
+
+// Leave a project room once the last subscriber is gone
+export const leaveProjectRoom = (projectId) => {
+  const count = joinedRooms.get(projectId);
+  if (!socket || !count) return;
+
+  if (count > 1) {
+    joinedRooms.set(projectId, count - 1);
+    return;
+  }
+
+  joinedRooms.delete(projectId);
+  socket.emit('project:leave', { projectId });
+};
+
+// Drop the connection (e.g. on logout) so the next user gets a fresh handshake
+export const disconnectSocket = () => {
+  if (!socket) return;
+  socket.disconnect();
+  socket = null;
+  joinedRooms.clear();
+};
+
+export default getSocket;